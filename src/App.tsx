@@ -8,6 +8,7 @@ import Index from "./pages/Index";
 import NotFound from "./pages/NotFound";
 import AnalysisResults from "./pages/AnalysisResults";
 import Compare from "./pages/Compare";
+import Batch from "./pages/Batch";
 import { FontProvider } from "./contexts/FontContext";
 
 const queryClient = new QueryClient();
@@ -23,6 +24,7 @@ const App = () => (
             <Route path="/" element={<Index />} />
             <Route path="/analysis-results" element={<AnalysisResults />} />
             <Route path="/compare" element={<Compare />} />
+            <Route path="/batch" element={<Batch />} />
             {/* ADD ALL CUSTOM ROUTES ABOVE THE CATCH-ALL "*" ROUTE */}
             <Route path="*" element={<NotFound />} />
           </Routes>
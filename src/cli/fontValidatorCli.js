@@ -0,0 +1,372 @@
+// Font Validator CLI - Runs the analysis, validation and comparison from the command line so CI can gate on them
+// Built into dist-cli/font-validator.js by `npm run build:cli`
+import { readFile, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { analyzeFontFile, analyzeFontCollection, listFontFaces, compareFonts, compareFontSet } from '@/lib/fontAnalysis/fontValidator';
+import { buildReport } from '@/lib/fontAnalysis/reportExport';
+import { checkFamilyConsistency } from '@/lib/fontAnalysis/familyConsistency';
+
+const USAGE = `Usage: font-validator <command> [options] <files...>
+
+Commands:
+  analyze <files...>       Analyze each font (every face of a collection)
+  validate <files...>      Run the validation checks on each font, and the family checks when several styles are given
+  compare <font> <font...>  Compare two fonts, or a shortlist of three or more side by side
+
+Options:
+  -f, --format <text|json>              Output format (default: text)
+  --fail-on <error|warning|info|none>   analyze, validate: exit with code 1 when a finding of this severity or worse is found (default: error)
+  --outlines                            compare: also list the glyphs whose outlines changed, most changed first
+  -h, --help                            Show this help
+`;
+
+const SEVERITIES = ['error', 'warning', 'info'];
+
+// Exit codes: findings at or above --fail-on give 1, bad arguments and unreadable input give 2
+const EXIT_FINDINGS = 1;
+const EXIT_USAGE = 2;
+
+const COMMANDS = {
+  analyze: runAnalyze,
+  validate: runValidate,
+  compare: runCompare
+};
+
+/**
+ * Runs the CLI
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Promise<number>} - The exit code
+ */
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        format: { type: 'string', short: 'f', default: 'text' },
+        'fail-on': { type: 'string' },
+        outlines: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (error) {
+    return usageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  const [command, ...files] = positionals;
+
+  if (values.help || !command) {
+    process.stdout.write(USAGE);
+    return values.help ? 0 : EXIT_USAGE;
+  }
+  if (!COMMANDS[command]) {
+    return usageError(`Unknown command '${command}'`);
+  }
+  if (!['text', 'json'].includes(values.format)) {
+    return usageError(`Unknown format '${values.format}'; use text or json`);
+  }
+  // Left unset so compare can tell an explicit --fail-on from the default; it runs no checks to gate on
+  const failOn = values['fail-on'] ?? 'error';
+  if (![...SEVERITIES, 'none'].includes(failOn)) {
+    return usageError(`Unknown severity '${failOn}'; use error, warning, info or none`);
+  }
+  if (command === 'compare' && values['fail-on'] !== undefined) {
+    return usageError(`'compare' runs no validation checks, so --fail-on doesn't apply; use 'validate' to gate on findings`);
+  }
+  if (files.length === 0) {
+    return usageError(`'${command}' needs at least one font file`);
+  }
+
+  return COMMANDS[command](files, { format: values.format, failOn, outlines: values.outlines });
+}
+
+/**
+ * Analyzes each file and prints the full report for every face
+ */
+async function runAnalyze(files, options) {
+  const { faces, failed } = await analyzeFiles(files);
+
+  if (options.format === 'json') {
+    printJson({
+      command: 'analyze',
+      fonts: faces.map(face => ({ file: face.file, ...buildReport(face.result, { file: face.fileDetails }) })),
+      failed
+    });
+  } else {
+    for (const face of faces) {
+      printAnalysisText(face);
+    }
+    printFailures(failed);
+  }
+
+  if (failed.length > 0) return EXIT_USAGE;
+  return exceedsThreshold(sumSummaries(faces.map(face => face.result.validation.summary)), options.failOn) ? EXIT_FINDINGS : 0;
+}
+
+/**
+ * Runs the validation checks on each file, and the family checks across them
+ */
+async function runValidate(files, options) {
+  const { faces, failed } = await analyzeFiles(files);
+
+  // Family checks only mean something with more than one style
+  const family = faces.length > 1
+    ? checkFamilyConsistency(faces.map(face => ({ id: face.label, label: face.label, style: face.result.familyStyle })))
+    : null;
+
+  const summary = sumSummaries([...faces.map(face => face.result.validation.summary), ...(family ? [family.summary] : [])]);
+  const failedThreshold = exceedsThreshold(summary, options.failOn);
+
+  if (options.format === 'json') {
+    printJson({
+      command: 'validate',
+      fonts: faces.map(face => ({
+        file: face.file,
+        faceIndex: face.result.faceIndex,
+        name: face.result.name,
+        validation: face.result.validation
+      })),
+      family,
+      failed,
+      summary,
+      failOn: options.failOn,
+      passed: !failedThreshold && failed.length === 0
+    });
+  } else {
+    for (const face of faces) {
+      console.log(`${face.label} (${face.result.name})`);
+      printFindings(face.result.validation.results);
+      console.log('');
+    }
+    if (family) {
+      console.log('Family checks');
+      printFindings(family.results);
+      console.log('');
+    }
+    printFailures(failed);
+    console.log(`${formatSummary(summary)} in ${faces.length} font${faces.length === 1 ? '' : 's'}${failedThreshold ? ` (failing on ${options.failOn})` : ''}`);
+  }
+
+  if (failed.length > 0) return EXIT_USAGE;
+  return failedThreshold ? EXIT_FINDINGS : 0;
+}
+
+/**
+ * Compares two fonts, or hands a longer list to runCompareSet
+ */
+async function runCompare(files, options) {
+  if (files.length < 2) {
+    return usageError(`'compare' needs at least two font files, got ${files.length}`);
+  }
+  if (files.length > 2) {
+    return runCompareSet(files, options);
+  }
+
+  let comparison;
+  try {
+    const [primary, secondary] = await Promise.all(files.map(readFontData));
+    comparison = await compareFonts(primary.data, secondary.data, {
+      fileNames: [primary.name, secondary.name],
+      outlines: options.outlines
+    });
+  } catch (error) {
+    console.error(`font-validator: ${error.message}`);
+    return EXIT_USAGE;
+  }
+
+  if (options.format === 'json') {
+    printJson({ command: 'compare', files, ...comparison });
+    return 0;
+  }
+
+  console.log(`${comparison.primaryFont.name} (${files[0]}) vs ${comparison.secondaryFont.name} (${files[1]})`);
+  console.log(`  Compatibility score: ${comparison.compatibilityScore}/100`);
+  for (const criterion of comparison.compatibility.criteria) {
+    const score = criterion.score === null ? 'not scored' : `${criterion.score}/100`;
+    console.log(`    ${criterion.label}: ${score}${criterion.value ? ` — ${criterion.value}` : ''}`);
+  }
+  for (const [key, entry] of Object.entries({ ...comparison.metrics, ...comparison.general })) {
+    const difference = entry.difference ? `  (${entry.difference})` : '';
+    console.log(`  ${key}: ${entry.primary} / ${entry.secondary}${difference}`);
+  }
+  const { glyphSet, features } = comparison;
+  console.log(`  Code points: ${glyphSet.shared.count} shared, ${glyphSet.onlyInPrimary.count} only in ${files[0]}, ${glyphSet.onlyInSecondary.count} only in ${files[1]}`);
+  console.log(`  Features: ${features.shared.length} shared; only in ${files[0]}: ${formatTags(features.onlyInPrimary)}; only in ${files[1]}: ${formatTags(features.onlyInSecondary)}`);
+  const { headingsBody, contrastPairing, hierarchyPairing } = comparison.pairingRecommendations;
+  for (const recommendation of [headingsBody, contrastPairing, hierarchyPairing].filter(Boolean)) {
+    console.log(`  - ${recommendation}`);
+  }
+  if (comparison.outlines) {
+    printOutlineChanges(comparison.outlines);
+  }
+  return 0;
+}
+
+/**
+ * Compares a shortlist of fonts: metrics and personality per font, and the compatibility of every pair
+ */
+async function runCompareSet(files, options) {
+  let comparison;
+  try {
+    const fonts = await Promise.all(files.map(readFontData));
+    comparison = await compareFontSet(fonts.map(font => font.data), { fileNames: fonts.map(font => font.name) });
+  } catch (error) {
+    console.error(`font-validator: ${error.message}`);
+    return EXIT_USAGE;
+  }
+
+  if (options.format === 'json') {
+    printJson({ command: 'compare', files, ...comparison });
+    return 0;
+  }
+
+  comparison.fonts.forEach((font, index) => {
+    console.log(`${index + 1}. ${font.name} (${files[index]})`);
+    for (const [key, values] of Object.entries({ ...comparison.metrics, ...comparison.personality })) {
+      console.log(`  ${key}: ${values[index]}`);
+    }
+  });
+  console.log('Compatibility');
+  comparison.compatibility.forEach((row, a) => {
+    row.forEach((score, b) => {
+      if (b > a) console.log(`  ${a + 1} + ${b + 1}: ${score}/100`);
+    });
+  });
+  return 0;
+}
+
+/**
+ * Reads and analyzes each file, every face of a collection
+ * A file that can't be read or parsed is listed in failed and the rest still run
+ * @param {Array<string>} files - Font file paths
+ * @returns {Promise<Object>} - { faces: [{ file, label, fileDetails, result }], failed: [{ file, error }] }
+ */
+async function analyzeFiles(files) {
+  const faces = [];
+  const failed = [];
+
+  for (const file of files) {
+    try {
+      const { data, name, lastModified } = await readFontData(file);
+      const options = { fileName: name, lastModified };
+      const collection = (await listFontFaces(data)).length > 0;
+      const results = collection ? await analyzeFontCollection(data, options) : [await analyzeFontFile(data, options)];
+
+      for (const result of results) {
+        faces.push({
+          file,
+          label: collection ? `${file} (face ${result.faceIndex + 1})` : file,
+          fileDetails: { name, lastModified },
+          result
+        });
+      }
+    } catch (error) {
+      failed.push({ file, error: error.message });
+    }
+  }
+
+  return { faces, failed };
+}
+
+async function readFontData(file) {
+  const [data, details] = await Promise.all([readFile(file), stat(file)]);
+  return { data, name: path.basename(file), lastModified: details.mtimeMs };
+}
+
+function printAnalysisText({ label, result }) {
+  const { metrics, characterSet, validation } = result;
+
+  console.log(`${label}`);
+  console.log(`  ${result.name} — ${result.format}, ${result.container}`);
+  console.log(`  Version: ${result.version}`);
+  console.log(`  Style: ${result.style}, ${result.weight}, ${result.width}${result.italic ? ', italic' : ''}`);
+  console.log(`  Metrics: x-height ${metrics.xHeight}, cap height ${metrics.capHeight}, ascender ${metrics.ascender}, descender ${metrics.descender}`);
+  console.log(`  Contrast: ${metrics.contrast}; terminals: ${metrics.strokeTerminals}`);
+  if (characterSet.coverage) {
+    console.log(`  Characters: ${characterSet.coverage.totalCodepoints} code points; ${characterSet.languages}`);
+  }
+  if (result.variations) {
+    console.log(`  Variable: ${result.variations.axes.map(axis => `${axis.tag} ${axis.min}–${axis.max}`).join(', ')}`);
+  }
+  console.log(`  Validation: ${formatSummary(validation.summary)}`);
+  console.log('');
+}
+
+// Lists the most changed glyphs; the JSON output has the full ranked list
+function printOutlineChanges({ compared, changedCount, changes }) {
+  console.log(`  Outlines: ${changedCount} of ${compared} matching glyphs changed`);
+  for (const { name, score, deltas } of changes.slice(0, 20)) {
+    const shift = deltas.maxPointShift !== null ? `, points moved up to ${deltas.maxPointShift}` : '';
+    console.log(`    ${name.padEnd(20)} ${String(score).padStart(7)}  points ${formatDelta(deltas.points)}, advance ${formatDelta(deltas.advance)}${shift}`);
+  }
+}
+
+function formatDelta(value) {
+  return value > 0 ? `+${value}` : `${value}`;
+}
+
+function printFindings(results) {
+  if (results.length === 0) {
+    console.log('  No findings');
+    return;
+  }
+  for (const result of results) {
+    console.log(`  ${result.severity.padEnd(7)} ${result.id.padEnd(28)} ${result.message}`);
+  }
+}
+
+function printFailures(failed) {
+  for (const { file, error } of failed) {
+    console.error(`${file}: ${error}`);
+  }
+}
+
+function printJson(value) {
+  process.stdout.write(`${JSON.stringify(value, null, 2)}\n`);
+}
+
+function usageError(message) {
+  console.error(`font-validator: ${message}\n`);
+  process.stderr.write(USAGE);
+  return EXIT_USAGE;
+}
+
+function sumSummaries(summaries) {
+  return summaries.reduce(
+    (total, summary) => ({
+      errors: total.errors + summary.errors,
+      warnings: total.warnings + summary.warnings,
+      info: total.info + summary.info
+    }),
+    { errors: 0, warnings: 0, info: 0 }
+  );
+}
+
+// 'warning' fails on warnings and errors, 'info' on any finding, 'none' never
+function exceedsThreshold(summary, failOn) {
+  if (failOn === 'none') return false;
+
+  const counts = [summary.errors, summary.warnings, summary.info];
+  return counts.slice(0, SEVERITIES.indexOf(failOn) + 1).some(count => count > 0);
+}
+
+function formatTags(features) {
+  return features.length > 0 ? features.map(feature => feature.tag).join(' ') : 'none';
+}
+
+function formatSummary(summary) {
+  return `${summary.errors} error${summary.errors === 1 ? '' : 's'}, ${summary.warnings} warning${summary.warnings === 1 ? '' : 's'}, ${summary.info} note${summary.info === 1 ? '' : 's'}`;
+}
+
+main(process.argv.slice(2)).then(
+  code => {
+    process.exitCode = code;
+  },
+  error => {
+    console.error(`font-validator: ${error.stack || error.message}`);
+    process.exitCode = EXIT_USAGE;
+  }
+);
@@ -1,16 +1,18 @@
 import { useContext } from "react";
 import { motion } from "framer-motion";
 import { Button } from "@/components/ui/button";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { ChevronRight, Zap } from "lucide-react";
 import { useNavigate } from "react-router-dom";
 import { FontContext } from "@/contexts/FontContext";
 import { useFontAnalysis } from "@/hooks/useFontAnalysis";
+import AnalysisProgress from "@/components/AnalysisProgress";
 import { toast } from "sonner";
 
 const AnalysisOptions = () => {
   const navigate = useNavigate();
-  const { fontFile } = useContext(FontContext);
-  const { analyzeFontAsync, isAnalyzing } = useFontAnalysis();
+  const { fontFile, fontFaces, faceSelection, setFaceSelection } = useContext(FontContext);
+  const { analyzeFontAsync, cancelAnalysis, isAnalyzing, progress } = useFontAnalysis();
 
   const handleAnalyze = async () => {
     if (!fontFile) {
@@ -36,6 +38,31 @@ const AnalysisOptions = () => {
       animate={{ opacity: 1, y: 0 }}
       transition={{ duration: 0.5, delay: 0.4 }}
     >      
+      {/* Face picker for font collections */}
+      {fontFaces.length > 1 && (
+        <div className="space-y-2">
+          <label className="text-sm font-medium text-foreground">
+            This collection contains {fontFaces.length} faces
+          </label>
+          <Select
+            value={String(faceSelection)}
+            onValueChange={(value) => setFaceSelection(value === "all" ? "all" : Number(value))}
+          >
+            <SelectTrigger>
+              <SelectValue placeholder="Choose a face" />
+            </SelectTrigger>
+            <SelectContent>
+              {fontFaces.map((face) => (
+                <SelectItem key={face.index} value={String(face.index)}>
+                  {face.familyName} — {face.subfamilyName}
+                </SelectItem>
+              ))}
+              <SelectItem value="all">All faces ({fontFaces.length})</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+      )}
+      
       <motion.div 
         className="mt-6"
         initial={{ opacity: 0, y: 10 }}
@@ -48,10 +75,7 @@ const AnalysisOptions = () => {
           disabled={isAnalyzing}
         >
           {isAnalyzing ? (
-            <>
-              <span className="animate-spin mr-2">⏳</span>
-              Analyzing...
-            </>
+            "Analyzing..."
           ) : (
             <>
               <Zap className="w-5 h-5" />
@@ -60,6 +84,12 @@ const AnalysisOptions = () => {
             </>
           )}
         </Button>
+
+        {isAnalyzing && (
+          <div className="mt-4">
+            <AnalysisProgress progress={progress} onCancel={cancelAnalysis} />
+          </div>
+        )}
       </motion.div>
     </motion.div>
   );
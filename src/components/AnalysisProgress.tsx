@@ -0,0 +1,52 @@
+import { XCircle } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Progress } from "@/components/ui/progress";
+
+export interface AnalysisProgressState {
+  stage: string;
+  label: string;
+  completed: number;
+  total: number;
+  faceIndex?: number;
+  font?: "primary" | "secondary";
+  fontIndex?: number;
+}
+
+interface AnalysisProgressProps {
+  progress: AnalysisProgressState | null;
+  onCancel: () => void;
+}
+
+const fontLabels = {
+  primary: "Primary font",
+  secondary: "Comparison font",
+};
+
+const AnalysisProgress = ({ progress, onCancel }: AnalysisProgressProps) => {
+  // Until the worker reports its first stage the file is still being read and unpacked
+  const fontLabel = progress?.fontIndex !== undefined ? `Font ${progress.fontIndex + 1}` : progress?.font && fontLabels[progress.font];
+  const label = progress ? [fontLabel, progress.label].filter(Boolean).join(": ") : "Reading the font file";
+  const percent = progress && progress.total > 0 ? (progress.completed / progress.total) * 100 : 0;
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between gap-3 text-sm">
+        <span className="text-foreground">{label}…</span>
+        <div className="flex items-center gap-3">
+          {progress && (
+            <span className="text-muted-foreground">
+              {progress.completed + 1} of {progress.total}
+            </span>
+          )}
+          <Button variant="ghost" size="sm" onClick={onCancel} className="flex items-center gap-1 h-7 px-2">
+            <XCircle className="w-4 h-4" />
+            Cancel
+          </Button>
+        </div>
+      </div>
+      <Progress value={percent} className="h-2" />
+    </div>
+  );
+};
+
+export default AnalysisProgress;
@@ -0,0 +1,59 @@
+interface CompatibilityCriterion {
+  id: string;
+  label: string;
+  score: number | null;
+  weight: number | null;
+  value: string | null;
+  explanation: string;
+}
+
+interface CompatibilityBreakdownProps {
+  criteria: CompatibilityCriterion[];
+}
+
+const scoreColor = (score: number) => {
+  if (score >= 75) return "bg-green-500";
+  if (score >= 45) return "bg-amber-500";
+  return "bg-red-500";
+};
+
+const CompatibilityBreakdown = ({ criteria }: CompatibilityBreakdownProps) => {
+  const totalWeight = criteria.reduce((sum, criterion) => sum + (criterion.weight ?? 0), 0);
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-muted-foreground">
+        The score is the weighted average of these criteria, each scored from 0 to 100 on measurements of both fonts.
+      </p>
+
+      <ul className="space-y-4">
+        {criteria.map((criterion) => (
+          <li key={criterion.id} className="rounded-md border border-border bg-background p-4">
+            <div className="flex flex-wrap items-center justify-between gap-3">
+              <div>
+                <span className="font-medium">{criterion.label}</span>
+                {criterion.weight !== null && totalWeight > 0 && (
+                  <span className="ml-2 text-xs text-muted-foreground">{Math.round((criterion.weight / totalWeight) * 100)}% of the score</span>
+                )}
+              </div>
+              {criterion.score !== null ? (
+                <div className="flex items-center gap-2">
+                  <div className="h-2 w-24 rounded-full bg-muted">
+                    <div className={`h-2 rounded-full ${scoreColor(criterion.score)}`} style={{ width: `${criterion.score}%` }} />
+                  </div>
+                  <span className="w-8 text-right text-sm font-semibold">{criterion.score}</span>
+                </div>
+              ) : (
+                <span className="text-sm text-muted-foreground">Not scored</span>
+              )}
+            </div>
+            {criterion.value && <p className="mt-2 text-sm font-mono text-muted-foreground">{criterion.value}</p>}
+            <p className="mt-1 text-sm">{criterion.explanation}</p>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default CompatibilityBreakdown;
@@ -0,0 +1,161 @@
+import { useState } from "react";
+import { Search } from "lucide-react";
+import { Input } from "@/components/ui/input";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { UnicodeCoverage } from "@/contexts/FontContext";
+
+interface CoverageTableProps {
+  coverage?: UnicodeCoverage;
+}
+
+type CoverageView = "languages" | "blocks";
+
+const statusStyles = {
+  supported: { label: "Supported", text: "text-green-700", bar: "bg-green-500" },
+  partial: { label: "Almost", text: "text-amber-700", bar: "bg-amber-500" },
+  unsupported: { label: "Not supported", text: "text-gray-500", bar: "bg-gray-300" },
+};
+
+const formatRange = (start: number | null, end: number | null) => {
+  if (start === null || end === null) return "—";
+  const hex = (value: number) => `U+${value.toString(16).toUpperCase().padStart(4, "0")}`;
+  return `${hex(start)}–${hex(end)}`;
+};
+
+const CoverageBar = ({ percent, className }: { percent: number; className: string }) => (
+  <div className="h-2 w-24 rounded-full bg-gray-100">
+    <div className={`h-2 rounded-full ${className}`} style={{ width: `${Math.min(100, percent)}%` }} />
+  </div>
+);
+
+const CoverageTable = ({ coverage }: CoverageTableProps) => {
+  const [view, setView] = useState<CoverageView>("languages");
+  const [query, setQuery] = useState("");
+
+  if (!coverage) {
+    return <p className="text-gray-500">Coverage data is not available. Analyze the font again to walk its character map.</p>;
+  }
+
+  const search = query.trim().toLowerCase();
+
+  // Languages the font supports or nearly supports come first
+  const statusOrder = { supported: 0, partial: 1, unsupported: 2 };
+  const languages = coverage.languages
+    .filter((entry) => !search || entry.language.toLowerCase().includes(search) || entry.script.toLowerCase().includes(search))
+    .sort((a, b) => statusOrder[a.status] - statusOrder[b.status] || b.percent - a.percent);
+
+  const blocks = coverage.blocks.filter((block) => !search || block.name.toLowerCase().includes(search));
+
+  const views: { value: CoverageView; label: string; count: number }[] = [
+    { value: "languages", label: "Languages", count: coverage.languages.filter((entry) => entry.status === "supported").length },
+    { value: "blocks", label: "Unicode blocks", count: coverage.blocks.length },
+  ];
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className="flex gap-2">
+          {views.map(({ value, label, count }) => (
+            <button
+              key={value}
+              onClick={() => setView(value)}
+              className={`px-3 py-1 rounded-md text-sm ${
+                view === value ? "bg-primary text-primary-foreground" : "bg-muted text-muted-foreground"
+              }`}
+            >
+              {label} ({count})
+            </button>
+          ))}
+        </div>
+
+        <div className="relative w-64">
+          <Search className="absolute left-2 top-2.5 w-4 h-4 text-gray-400" />
+          <Input
+            value={query}
+            onChange={(event) => setQuery(event.target.value)}
+            placeholder={view === "languages" ? "Search languages or scripts" : "Search blocks"}
+            className="pl-8"
+          />
+        </div>
+      </div>
+
+      <p className="text-sm text-gray-500">{coverage.totalCodepoints.toLocaleString()} code points mapped in total.</p>
+
+      {view === "languages" ? (
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Language</TableHead>
+              <TableHead>Script</TableHead>
+              <TableHead>Status</TableHead>
+              <TableHead>Coverage</TableHead>
+              <TableHead>Missing</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {languages.map((entry) => {
+              const style = statusStyles[entry.status];
+              return (
+                <TableRow key={entry.language}>
+                  <TableCell className="font-medium">{entry.language}</TableCell>
+                  <TableCell>{entry.script}</TableCell>
+                  <TableCell className={style.text}>{style.label}</TableCell>
+                  <TableCell>
+                    <div className="flex items-center gap-2">
+                      <CoverageBar percent={entry.percent} className={style.bar} />
+                      <span>{entry.percent}%</span>
+                    </div>
+                  </TableCell>
+                  <TableCell className="max-w-xs">
+                    {entry.missing.length > 0 && <span className="font-mono break-all">{entry.missing.join(" ")}</span>}
+                    {entry.shortfalls.map((shortfall) => (
+                      <div key={shortfall.label} className="text-gray-500">
+                        {shortfall.label}: {shortfall.covered.toLocaleString()} of {shortfall.minimum.toLocaleString()}
+                      </div>
+                    ))}
+                    {entry.status === "unsupported" && entry.missingCount > 0 && (
+                      <span className="text-gray-400">{entry.missingCount} characters</span>
+                    )}
+                  </TableCell>
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+      ) : (
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Block</TableHead>
+              <TableHead>Range</TableHead>
+              <TableHead>Covered</TableHead>
+              <TableHead>Coverage</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {blocks.map((block) => (
+              <TableRow key={block.name}>
+                <TableCell className="font-medium">{block.name}</TableCell>
+                <TableCell className="font-mono text-xs">{formatRange(block.start, block.end)}</TableCell>
+                <TableCell>
+                  {block.covered.toLocaleString()}
+                  {block.total !== null && ` / ${block.total.toLocaleString()}`}
+                </TableCell>
+                <TableCell>
+                  {block.percent !== null && (
+                    <div className="flex items-center gap-2">
+                      <CoverageBar percent={block.percent} className="bg-blue-500" />
+                      <span>{block.percent}%</span>
+                    </div>
+                  )}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+    </div>
+  );
+};
+
+export default CoverageTable;
@@ -0,0 +1,95 @@
+import { useState } from "react";
+import { Copy } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { LineMetrics } from "@/contexts/FontContext";
+import { FALLBACK_FONTS, buildFallbackFontFace } from "@/lib/fontAnalysis/fallbackMetrics";
+
+interface FallbackFontFaceProps {
+  lineMetrics?: LineMetrics;
+  fontFamily: string;
+  familyName: string;
+}
+
+const PREVIEW_TEXT =
+  "Layout shift happens when the fallback and the web font take up different space. Matching widths and line boxes keeps this paragraph still when the font arrives.";
+
+const FallbackFontFace = ({ lineMetrics, fontFamily, familyName }: FallbackFontFaceProps) => {
+  const [fallbackId, setFallbackId] = useState(FALLBACK_FONTS[0].id);
+
+  if (!lineMetrics) {
+    return <p className="text-gray-500">Line metrics are not available. Analyze the font again to generate fallback overrides.</p>;
+  }
+
+  const result = buildFallbackFontFace(lineMetrics, fallbackId, familyName);
+  if (!result) {
+    return <p className="text-gray-500">The font maps too few lowercase letters to measure an average width for size-adjust.</p>;
+  }
+
+  const snippet = `${result.css}\n\n/* Use it after the web font */\nfont-family: ${result.fontFamily};`;
+
+  // The preview face gets its own name so it can't clash with a real font called "<name> Fallback"
+  const previewFamily = `preview-fallback-${fallbackId}`;
+  const previewCss = result.css.replace(`"${result.familyName}"`, `"${previewFamily}"`);
+
+  const copySnippet = async () => {
+    try {
+      await navigator.clipboard.writeText(snippet);
+      toast.success("Copied the fallback @font-face rule");
+    } catch {
+      toast.error("Could not copy to the clipboard");
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <style>{previewCss}</style>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-sm text-gray-500">Fallback:</span>
+        {FALLBACK_FONTS.map((fallback) => (
+          <button
+            key={fallback.id}
+            onClick={() => setFallbackId(fallback.id)}
+            className={`px-3 py-1 rounded-md text-sm ${
+              fallbackId === fallback.id ? "bg-primary text-primary-foreground" : "bg-muted text-muted-foreground"
+            }`}
+          >
+            {fallback.name}
+          </button>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 gap-6 lg:grid-cols-2">
+        <div>
+          <div className="mb-2 flex items-center justify-between">
+            <span className="text-sm text-gray-500">
+              Based on {lineMetrics.source} line metrics and an average character width of{" "}
+              {(lineMetrics.averageWidth / lineMetrics.unitsPerEm).toFixed(3)} em.
+            </span>
+            <Button variant="outline" size="sm" onClick={copySnippet} className="flex items-center gap-2">
+              <Copy className="w-4 h-4" />
+              Copy
+            </Button>
+          </div>
+          <pre className="overflow-x-auto rounded-md bg-gray-900 p-4 text-sm text-gray-100">{snippet}</pre>
+        </div>
+
+        <div>
+          <div className="mb-2 text-sm text-gray-500">
+            Web font in black, adjusted {result.fallback.name} in red. They should overlap closely if {result.fallback.name} is
+            installed.
+          </div>
+          <div className="relative rounded-md border p-4 text-lg">
+            <p style={{ fontFamily }}>{PREVIEW_TEXT}</p>
+            <p className="absolute inset-4 text-red-500/60" style={{ fontFamily: `"${previewFamily}"` }} aria-hidden>
+              {PREVIEW_TEXT}
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FallbackFontFace;
@@ -0,0 +1,170 @@
+import { ReactNode, useState } from "react";
+import { AlertTriangle, ArrowDown, ArrowUp } from "lucide-react";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { FamilyMember } from "@/contexts/FontContext";
+
+interface FamilyTableProps {
+  rows: FamilyMember[];
+  outliers: Record<string, Record<string, string>>;
+}
+
+type SortKey =
+  | "name"
+  | "familyName"
+  | "weight"
+  | "width"
+  | "italic"
+  | "xHeight"
+  | "capHeight"
+  | "ascender"
+  | "descender"
+  | "lineHeight"
+  | "unitsPerEm"
+  | "codepoints"
+  | "validation";
+
+interface Column {
+  key: SortKey;
+  label: string;
+  numeric?: boolean;
+  value: (row: FamilyMember) => string | number | null;
+  render: (row: FamilyMember) => ReactNode;
+}
+
+const formatEm = (value: number | null) => (value === null ? "—" : value.toFixed(3));
+
+const columns: Column[] = [
+  {
+    key: "name",
+    label: "Font",
+    value: (row) => row.name.toLowerCase(),
+    render: (row) => (
+      <div>
+        <div className="font-medium">{row.name}</div>
+        <div className="text-xs text-gray-500">
+          {row.fileName}
+          {row.faceCount > 1 && ` · face ${row.faceIndex + 1} of ${row.faceCount}`}
+        </div>
+      </div>
+    ),
+  },
+  { key: "familyName", label: "Family", value: (row) => row.familyName.toLowerCase(), render: (row) => row.familyName },
+  { key: "weight", label: "Weight", numeric: true, value: (row) => row.weightClass, render: (row) => row.weight },
+  { key: "width", label: "Width", numeric: true, value: (row) => row.widthClass, render: (row) => row.width },
+  { key: "italic", label: "Italic", value: (row) => (row.italic ? 1 : 0), render: (row) => (row.italic ? "Yes" : "—") },
+  { key: "xHeight", label: "x-height", numeric: true, value: (row) => row.xHeight, render: (row) => formatEm(row.xHeight) },
+  { key: "capHeight", label: "Cap height", numeric: true, value: (row) => row.capHeight, render: (row) => formatEm(row.capHeight) },
+  { key: "ascender", label: "Ascender", numeric: true, value: (row) => row.ascender, render: (row) => formatEm(row.ascender) },
+  { key: "descender", label: "Descender", numeric: true, value: (row) => row.descender, render: (row) => formatEm(row.descender) },
+  { key: "lineHeight", label: "Line height", numeric: true, value: (row) => row.lineHeight, render: (row) => row.lineHeight ?? "—" },
+  { key: "unitsPerEm", label: "UPM", numeric: true, value: (row) => row.unitsPerEm, render: (row) => row.unitsPerEm },
+  {
+    key: "codepoints",
+    label: "Code points",
+    numeric: true,
+    value: (row) => row.codepoints,
+    render: (row) => row.codepoints?.toLocaleString() ?? "—",
+  },
+  {
+    key: "validation",
+    label: "Validation",
+    // Errors outweigh any number of warnings
+    value: (row) => row.validation.errors * 1000 + row.validation.warnings,
+    render: (row) => (
+      <span className="whitespace-nowrap">
+        {row.validation.errors > 0 && <span className="text-red-600">{row.validation.errors} errors</span>}
+        {row.validation.errors > 0 && row.validation.warnings > 0 && ", "}
+        {row.validation.warnings > 0 && <span className="text-amber-600">{row.validation.warnings} warnings</span>}
+        {row.validation.errors === 0 && row.validation.warnings === 0 && <span className="text-green-600">Passed</span>}
+      </span>
+    ),
+  },
+];
+
+// Family order: by family, then width, slope and weight, the way font menus list styles
+const compareFamilyOrder = (a: FamilyMember, b: FamilyMember) =>
+  a.familyName.localeCompare(b.familyName) ||
+  (a.widthClass ?? 0) - (b.widthClass ?? 0) ||
+  Number(a.italic) - Number(b.italic) ||
+  (a.weightClass ?? 0) - (b.weightClass ?? 0) ||
+  a.name.localeCompare(b.name);
+
+const FamilyTable = ({ rows, outliers }: FamilyTableProps) => {
+  const [sort, setSort] = useState<{ key: SortKey | null; descending: boolean }>({ key: null, descending: false });
+
+  const toggleSort = (key: SortKey) => {
+    setSort((current) =>
+      current.key === key ? { key, descending: !current.descending } : { key, descending: false }
+    );
+  };
+
+  const column = columns.find((candidate) => candidate.key === sort.key);
+  const sorted = [...rows].sort((a, b) => {
+    if (!column) return compareFamilyOrder(a, b);
+
+    const first = column.value(a);
+    const second = column.value(b);
+    // Missing values sort last in either direction
+    if (first === null || second === null) {
+      return first === second ? compareFamilyOrder(a, b) : first === null ? 1 : -1;
+    }
+    const order = first < second ? -1 : first > second ? 1 : 0;
+    return (sort.descending ? -order : order) || compareFamilyOrder(a, b);
+  });
+
+  const outlierCount = Object.keys(outliers).length;
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-gray-500">
+        {outlierCount === 0
+          ? "No style stands out from the rest of its family."
+          : `${outlierCount} of ${rows.length} styles differ from the rest of their family. Hover a highlighted value for details.`}
+      </p>
+
+      <div className="overflow-x-auto">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              {columns.map(({ key, label, numeric }) => (
+                <TableHead key={key} className={numeric ? "text-right" : undefined}>
+                  <button
+                    onClick={() => toggleSort(key)}
+                    className={`inline-flex items-center gap-1 whitespace-nowrap ${sort.key === key ? "text-gray-900" : ""}`}
+                  >
+                    {label}
+                    {sort.key === key &&
+                      (sort.descending ? <ArrowDown className="w-3 h-3" /> : <ArrowUp className="w-3 h-3" />)}
+                  </button>
+                </TableHead>
+              ))}
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {sorted.map((row) => (
+              <TableRow key={row.id}>
+                {columns.map(({ key, numeric, render }) => {
+                  const note = outliers[row.id]?.[key];
+                  return (
+                    <TableCell
+                      key={key}
+                      title={note}
+                      className={`${numeric ? "text-right" : ""} ${note ? "bg-amber-50 text-amber-800" : ""}`}
+                    >
+                      <span className="inline-flex items-center gap-1">
+                        {note && <AlertTriangle className="w-3 h-3 shrink-0" />}
+                        {render(row)}
+                      </span>
+                    </TableCell>
+                  );
+                })}
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </div>
+    </div>
+  );
+};
+
+export default FamilyTable;
@@ -0,0 +1,108 @@
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+
+interface FeatureSummary {
+  tag: string;
+  name: string;
+  tables: string[];
+}
+
+interface SharedFeature {
+  tag: string;
+  name: string;
+  primaryScripts: string[];
+  secondaryScripts: string[];
+  scriptsDiffer: boolean;
+}
+
+export interface FeatureComparison {
+  shared: SharedFeature[];
+  onlyInPrimary: FeatureSummary[];
+  onlyInSecondary: FeatureSummary[];
+  scripts: { shared: string[]; onlyInPrimary: string[]; onlyInSecondary: string[] };
+}
+
+interface FeatureDiffProps {
+  features: FeatureComparison;
+  primaryName: string;
+  secondaryName: string;
+}
+
+const FeatureList = ({ title, features }: { title: string; features: FeatureSummary[] }) => (
+  <div className="bg-background p-4 rounded-md border border-border">
+    <h4 className="font-medium mb-3">
+      {title} ({features.length})
+    </h4>
+    {features.length === 0 ? (
+      <p className="text-sm text-muted-foreground">None</p>
+    ) : (
+      <ul className="space-y-1 text-sm">
+        {features.map((feature) => (
+          <li key={feature.tag} className="flex items-baseline gap-2">
+            <code className="font-mono text-primary">{feature.tag}</code>
+            <span>{feature.name}</span>
+            <span className="text-xs text-muted-foreground">{feature.tables.join(", ")}</span>
+          </li>
+        ))}
+      </ul>
+    )}
+  </div>
+);
+
+const FeatureDiff = ({ features, primaryName, secondaryName }: FeatureDiffProps) => {
+  const { scripts } = features;
+  const scriptDifferences = [
+    { label: `Scripts only in ${primaryName}`, tags: scripts.onlyInPrimary },
+    { label: `Scripts only in ${secondaryName}`, tags: scripts.onlyInSecondary },
+  ].filter(({ tags }) => tags.length > 0);
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <FeatureList title={`Only in ${primaryName}`} features={features.onlyInPrimary} />
+        <FeatureList title={`Only in ${secondaryName}`} features={features.onlyInSecondary} />
+      </div>
+
+      {scriptDifferences.map(({ label, tags }) => (
+        <p key={label} className="text-sm">
+          <span className="text-muted-foreground">{label}:</span> <span className="font-mono">{tags.join(", ")}</span>
+        </p>
+      ))}
+
+      {features.shared.length > 0 && (
+        <div className="bg-card rounded-lg border border-border overflow-hidden">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Shared feature</TableHead>
+                <TableHead>{primaryName} scripts</TableHead>
+                <TableHead>{secondaryName} scripts</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {features.shared.map((feature) => (
+                <TableRow key={feature.tag}>
+                  <TableCell>
+                    <code className="font-mono text-primary mr-2">{feature.tag}</code>
+                    {feature.name}
+                  </TableCell>
+                  <TableCell className={`font-mono text-xs ${feature.scriptsDiffer ? "text-amber-600" : ""}`}>
+                    {feature.primaryScripts.join(", ")}
+                  </TableCell>
+                  <TableCell className={`font-mono text-xs ${feature.scriptsDiffer ? "text-amber-600" : ""}`}>
+                    {feature.secondaryScripts.join(", ")}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </div>
+      )}
+
+      {features.shared.length === 0 && features.onlyInPrimary.length === 0 && features.onlyInSecondary.length === 0 && (
+        <p className="text-sm text-muted-foreground">Neither font has GSUB or GPOS features.</p>
+      )}
+    </div>
+  );
+};
+
+export default FeatureDiff;
@@ -0,0 +1,126 @@
+import { useState } from "react";
+import { RotateCcw } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { LayoutFeatures } from "@/contexts/FontContext";
+
+interface FeaturePlaygroundProps {
+  layoutFeatures?: LayoutFeatures;
+  fontFamily: string;
+}
+
+// Exercises ligatures, figures, fractions, ordinals and case-sensitive punctuation
+const DEFAULT_SAMPLE = "Office affluence (FLIGHT) — 1/2 and 3/4 cup, 1st 2nd, 0123456789";
+
+const FeaturePlayground = ({ layoutFeatures, fontFamily }: FeaturePlaygroundProps) => {
+  const [sample, setSample] = useState(DEFAULT_SAMPLE);
+  // Only features switched away from their default state are stored
+  const [overrides, setOverrides] = useState<Record<string, boolean>>({});
+
+  if (!layoutFeatures) {
+    return <p className="text-gray-500">Feature data is not available. Analyze the font again to read its GSUB and GPOS tables.</p>;
+  }
+
+  const { features, lookupCounts } = layoutFeatures;
+  if (features.length === 0) {
+    return <p className="text-gray-500">This font has no GSUB or GPOS features.</p>;
+  }
+
+  const isEnabled = (tag: string, enabledByDefault: boolean) => overrides[tag] ?? enabledByDefault;
+
+  const toggle = (tag: string, enabledByDefault: boolean) => {
+    // Toggling an overridden feature returns it to its default
+    setOverrides((current) => {
+      const { [tag]: existing, ...rest } = current;
+      return existing === undefined ? { ...current, [tag]: !enabledByDefault } : rest;
+    });
+  };
+
+  const featureSettings = Object.entries(overrides)
+    .map(([tag, enabled]) => `"${tag}" ${enabled ? 1 : 0}`)
+    .join(", ");
+
+  return (
+    <div className="space-y-6">
+      <div className="space-y-3">
+        <Input value={sample} onChange={(event) => setSample(event.target.value)} placeholder="Type sample text" />
+
+        <div className="rounded-md border p-4">
+          <div className="mb-1 text-xs uppercase tracking-wide text-gray-400">Default</div>
+          <p className="text-3xl text-gray-400" style={{ fontFamily }}>{sample}</p>
+        </div>
+
+        <div className="rounded-md border border-blue-200 bg-blue-50/40 p-4">
+          <div className="mb-1 flex justify-between text-xs uppercase tracking-wide text-gray-400">
+            <span>With selected features</span>
+            <code className="normal-case">{featureSettings ? `font-feature-settings: ${featureSettings}` : "No changes"}</code>
+          </div>
+          <p className="text-3xl text-gray-900" style={{ fontFamily, fontFeatureSettings: featureSettings || "normal" }}>
+            {sample}
+          </p>
+        </div>
+      </div>
+
+      <div>
+        <div className="mb-3 flex items-center justify-between">
+          <p className="text-sm text-gray-500">
+            {features.length} features · {lookupCounts.GSUB ?? 0} GSUB and {lookupCounts.GPOS ?? 0} GPOS lookups.
+            Features marked "on" are applied by default.
+          </p>
+          <Button variant="outline" size="sm" onClick={() => setOverrides({})} disabled={!featureSettings} className="flex items-center gap-2">
+            <RotateCcw className="w-4 h-4" />
+            Reset
+          </Button>
+        </div>
+
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Feature</TableHead>
+              <TableHead>Name</TableHead>
+              <TableHead>Table</TableHead>
+              <TableHead>Scripts and languages</TableHead>
+              <TableHead className="text-right">Lookups</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {features.map((feature) => {
+              const enabled = isEnabled(feature.tag, feature.enabledByDefault);
+              return (
+                <TableRow key={feature.tag}>
+                  <TableCell>
+                    <button
+                      onClick={() => toggle(feature.tag, feature.enabledByDefault)}
+                      className={`px-3 py-1 rounded-md text-sm font-mono ${
+                        enabled ? "bg-primary text-primary-foreground" : "bg-muted text-muted-foreground"
+                      }`}
+                    >
+                      {feature.tag}
+                    </button>
+                  </TableCell>
+                  <TableCell>
+                    {feature.name}
+                    {feature.enabledByDefault && <span className="ml-2 text-xs text-gray-400">on</span>}
+                  </TableCell>
+                  <TableCell className="text-gray-500">{feature.tables.join(", ")}</TableCell>
+                  <TableCell className="text-sm text-gray-600">
+                    {feature.scripts.map((script) => (
+                      <div key={script.script}>
+                        {script.name}
+                        <span className="text-gray-400"> ({script.languages.join(", ")})</span>
+                      </div>
+                    ))}
+                  </TableCell>
+                  <TableCell className="text-right">{feature.lookupCount}</TableCell>
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+      </div>
+    </div>
+  );
+};
+
+export default FeaturePlayground;
@@ -6,17 +6,30 @@ import {
   Fingerprint, 
   Languages, 
   Scale, 
+  Shapes, 
+  ListChecks, 
+  Layers, 
+  GitCompare, 
   Check, 
-  X 
+  X, 
+  LayoutTemplate 
 } from 'lucide-react';
+import GlyphSetDiff from '@/components/GlyphSetDiff';
+import FeatureDiff from '@/components/FeatureDiff';
+import GlyphOutlineDiff from '@/components/GlyphOutlineDiff';
+import CompatibilityBreakdown from '@/components/CompatibilityBreakdown';
+import PairingPreview from '@/components/PairingPreview';
 
 /**
  * Component to display font comparison results
+ * Sections left out of the comparison options are null in the results and aren't rendered
  * @param {Object} props - Component props
  * @param {Object} props.results - The comparison results
+ * @param {File} [props.primaryFile] - The primary font file, loaded for the live pairing preview
+ * @param {File} [props.secondaryFile] - The secondary font file, loaded for the live pairing preview
  * @returns {JSX.Element} - Rendered component
  */
-const FontComparisonResults = ({ results }) => {
+const FontComparisonResults = ({ results, primaryFile, secondaryFile }) => {
   if (!results) return null;
   
   const { 
@@ -25,8 +38,12 @@ const FontComparisonResults = ({ results }) => {
     metrics, 
     personality, 
     characterSet, 
+    glyphSet, 
+    outlines, 
+    features, 
     general, 
     compatibilityScore, 
+    compatibility, 
     pairingRecommendations 
   } = results;
   
@@ -64,6 +81,22 @@ const FontComparisonResults = ({ results }) => {
         <div className="text-5xl font-bold text-primary">{compatibilityScore}<span className="text-2xl">/100</span></div>
       </motion.div>
       
+      {compatibility && (
+        <motion.div 
+          className="mb-8"
+          variants={itemVariants}
+        >
+          <div className="flex items-center gap-2 mb-4">
+            <ListChecks className="w-5 h-5 text-primary" />
+            <h3 className="text-xl font-semibold">Score Breakdown</h3>
+          </div>
+          
+          <div className="bg-card p-6 rounded-lg border border-border">
+            <CompatibilityBreakdown criteria={compatibility.criteria} />
+          </div>
+        </motion.div>
+      )}
+      
       <motion.div 
         className="grid grid-cols-1 md:grid-cols-2 gap-8 mb-8"
         variants={itemVariants}
@@ -87,114 +120,168 @@ const FontComparisonResults = ({ results }) => {
         </div>
       </motion.div>
       
-      <motion.div 
-        className="mb-8"
-        variants={itemVariants}
-      >
-        <div className="flex items-center gap-2 mb-4">
-          <BarChart3 className="w-5 h-5 text-primary" />
-          <h3 className="text-xl font-semibold">Metrics Comparison</h3>
-        </div>
+      {metrics && (
+        <motion.div 
+          className="mb-8"
+          variants={itemVariants}
+        >
+          <div className="flex items-center gap-2 mb-4">
+            <BarChart3 className="w-5 h-5 text-primary" />
+            <h3 className="text-xl font-semibold">Metrics Comparison</h3>
+          </div>
         
-        <div className="bg-card rounded-lg border border-border overflow-hidden">
-          <table className="w-full">
-            <thead className="bg-muted">
-              <tr>
-                <th className="p-3 text-left">Metric</th>
-                <th className="p-3 text-left">Primary Font</th>
-                <th className="p-3 text-left">Secondary Font</th>
-                <th className="p-3 text-left">Difference</th>
-              </tr>
-            </thead>
-            <tbody>
-              {Object.entries(metrics).map(([key, value]) => (
-                <tr key={key} className="border-t border-border">
-                  <td className="p-3 font-medium capitalize">{key}</td>
-                  <td className="p-3">{value.primary}</td>
-                  <td className="p-3">{value.secondary}</td>
-                  <td className="p-3">{value.difference || 'N/A'}</td>
+          <div className="bg-card rounded-lg border border-border overflow-hidden">
+            <table className="w-full">
+              <thead className="bg-muted">
+                <tr>
+                  <th className="p-3 text-left">Metric</th>
+                  <th className="p-3 text-left">Primary Font</th>
+                  <th className="p-3 text-left">Secondary Font</th>
+                  <th className="p-3 text-left">Difference</th>
                 </tr>
-              ))}
-            </tbody>
-          </table>
-        </div>
-      </motion.div>
+              </thead>
+              <tbody>
+                {Object.entries({ ...metrics, ...general }).map(([key, value]) => (
+                  <tr key={key} className="border-t border-border">
+                    <td className="p-3 font-medium capitalize">{key}</td>
+                    <td className="p-3">{value.primary}</td>
+                    <td className="p-3">{value.secondary}</td>
+                    <td className="p-3">{value.difference || 'N/A'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </motion.div>
+      )}
       
-      <motion.div 
-        className="mb-8"
-        variants={itemVariants}
-      >
-        <div className="flex items-center gap-2 mb-4">
-          <Fingerprint className="w-5 h-5 text-primary" />
-          <h3 className="text-xl font-semibold">Personality Comparison</h3>
-        </div>
+      {personality && (
+        <motion.div 
+          className="mb-8"
+          variants={itemVariants}
+        >
+          <div className="flex items-center gap-2 mb-4">
+            <Fingerprint className="w-5 h-5 text-primary" />
+            <h3 className="text-xl font-semibold">Personality Comparison</h3>
+          </div>
         
-        <div className="bg-card rounded-lg border border-border overflow-hidden">
-          <table className="w-full">
-            <thead className="bg-muted">
-              <tr>
-                <th className="p-3 text-left">Trait</th>
-                <th className="p-3 text-left">Primary Font</th>
-                <th className="p-3 text-left">Secondary Font</th>
-                <th className="p-3 text-left">Difference</th>
-              </tr>
-            </thead>
-            <tbody>
-              {Object.entries(personality).map(([key, value]) => (
-                <tr key={key} className="border-t border-border">
-                  <td className="p-3 font-medium capitalize">{key}</td>
-                  <td className="p-3">{value.primary}/100</td>
-                  <td className="p-3">{value.secondary}/100</td>
-                  <td className="p-3">{value.difference > 0 ? '+' : ''}{value.difference}</td>
+          <div className="bg-card rounded-lg border border-border overflow-hidden">
+            <table className="w-full">
+              <thead className="bg-muted">
+                <tr>
+                  <th className="p-3 text-left">Trait</th>
+                  <th className="p-3 text-left">Primary Font</th>
+                  <th className="p-3 text-left">Secondary Font</th>
+                  <th className="p-3 text-left">Difference</th>
                 </tr>
-              ))}
-            </tbody>
-          </table>
-        </div>
-      </motion.div>
+              </thead>
+              <tbody>
+                {Object.entries(personality).map(([key, value]) => (
+                  <tr key={key} className="border-t border-border">
+                    <td className="p-3 font-medium capitalize">{key}</td>
+                    <td className="p-3">{value.primary}/100</td>
+                    <td className="p-3">{value.secondary}/100</td>
+                    <td className="p-3">{value.difference > 0 ? '+' : ''}{value.difference}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </motion.div>
+      )}
       
-      <motion.div 
-        className="mb-8"
-        variants={itemVariants}
-      >
-        <div className="flex items-center gap-2 mb-4">
-          <Languages className="w-5 h-5 text-primary" />
-          <h3 className="text-xl font-semibold">Character Set Comparison</h3>
-        </div>
+      {characterSet && (
+        <motion.div 
+          className="mb-8"
+          variants={itemVariants}
+        >
+          <div className="flex items-center gap-2 mb-4">
+            <Languages className="w-5 h-5 text-primary" />
+            <h3 className="text-xl font-semibold">Character Set Comparison</h3>
+          </div>
         
-        <div className="bg-card rounded-lg border border-border overflow-hidden">
-          <table className="w-full">
-            <thead className="bg-muted">
-              <tr>
-                <th className="p-3 text-left">Character Set</th>
-                <th className="p-3 text-left">Primary Font</th>
-                <th className="p-3 text-left">Secondary Font</th>
-                <th className="p-3 text-left">Comparison</th>
-              </tr>
-            </thead>
-            <tbody>
-              {Object.entries(characterSet).map(([key, value]) => (
-                <tr key={key} className="border-t border-border">
-                  <td className="p-3 font-medium capitalize">{key}</td>
-                  <td className="p-3">{value.primary}</td>
-                  <td className="p-3">{value.secondary}</td>
-                  <td className="p-3">
-                    {value.difference === 'Identical' ? (
-                      <span className="flex items-center text-green-500">
-                        <Check className="w-4 h-4 mr-1" /> Identical
-                      </span>
-                    ) : (
-                      <span className="flex items-center text-amber-500">
-                        <X className="w-4 h-4 mr-1" /> Different
-                      </span>
-                    )}
-                  </td>
+          <div className="bg-card rounded-lg border border-border overflow-hidden">
+            <table className="w-full">
+              <thead className="bg-muted">
+                <tr>
+                  <th className="p-3 text-left">Character Set</th>
+                  <th className="p-3 text-left">Primary Font</th>
+                  <th className="p-3 text-left">Secondary Font</th>
+                  <th className="p-3 text-left">Comparison</th>
                 </tr>
-              ))}
-            </tbody>
-          </table>
-        </div>
-      </motion.div>
+              </thead>
+              <tbody>
+                {Object.entries(characterSet).map(([key, value]) => (
+                  <tr key={key} className="border-t border-border">
+                    <td className="p-3 font-medium capitalize">{key}</td>
+                    <td className="p-3">{value.primary}</td>
+                    <td className="p-3">{value.secondary}</td>
+                    <td className="p-3">
+                      {value.difference === 'Identical' ? (
+                        <span className="flex items-center text-green-500">
+                          <Check className="w-4 h-4 mr-1" /> Identical
+                        </span>
+                      ) : (
+                        <span className="flex items-center text-amber-500">
+                          <X className="w-4 h-4 mr-1" /> Different
+                        </span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </motion.div>
+      )}
+      
+      {glyphSet && (
+        <motion.div 
+          className="mb-8"
+          variants={itemVariants}
+        >
+          <div className="flex items-center gap-2 mb-4">
+            <Shapes className="w-5 h-5 text-primary" />
+            <h3 className="text-xl font-semibold">Glyph Set Comparison</h3>
+          </div>
+          
+          <div className="bg-card p-6 rounded-lg border border-border">
+            <GlyphSetDiff glyphSet={glyphSet} primaryName={primaryFont.name} secondaryName={secondaryFont.name} />
+          </div>
+        </motion.div>
+      )}
+      
+      {outlines && (
+        <motion.div 
+          className="mb-8"
+          variants={itemVariants}
+        >
+          <div className="flex items-center gap-2 mb-4">
+            <GitCompare className="w-5 h-5 text-primary" />
+            <h3 className="text-xl font-semibold">Outline Changes</h3>
+          </div>
+          
+          <div className="bg-card p-6 rounded-lg border border-border">
+            <GlyphOutlineDiff outlines={outlines} primaryName={primaryFont.name} secondaryName={secondaryFont.name} />
+          </div>
+        </motion.div>
+      )}
+      
+      {features && (
+        <motion.div 
+          className="mb-8"
+          variants={itemVariants}
+        >
+          <div className="flex items-center gap-2 mb-4">
+            <Layers className="w-5 h-5 text-primary" />
+            <h3 className="text-xl font-semibold">OpenType Features Comparison</h3>
+          </div>
+          
+          <div className="bg-card p-6 rounded-lg border border-border">
+            <FeatureDiff features={features} primaryName={primaryFont.name} secondaryName={secondaryFont.name} />
+          </div>
+        </motion.div>
+      )}
       
       <motion.div 
         className="mb-8"
@@ -222,6 +309,30 @@ const FontComparisonResults = ({ results }) => {
           </div>
         </div>
       </motion.div>
+      
+      {primaryFile && secondaryFile && (
+        <motion.div 
+          className="mb-8"
+          variants={itemVariants}
+        >
+          <div className="flex items-center gap-2 mb-4">
+            <LayoutTemplate className="w-5 h-5 text-primary" />
+            <h3 className="text-xl font-semibold">Live Preview</h3>
+          </div>
+          
+          <div className="bg-card p-6 rounded-lg border border-border">
+            <PairingPreview 
+              primaryFile={primaryFile} 
+              secondaryFile={secondaryFile} 
+              primaryFaceIndex={primaryFont.faceIndex} 
+              secondaryFaceIndex={secondaryFont.faceIndex} 
+              primaryName={primaryFont.name} 
+              secondaryName={secondaryFont.name} 
+              headingFont={pairingRecommendations.headingFont} 
+            />
+          </div>
+        </motion.div>
+      )}
     </motion.div>
   );
 };
@@ -0,0 +1,211 @@
+import type { ReactNode } from "react";
+import { Legend, PolarAngleAxis, PolarGrid, PolarRadiusAxis, Radar, RadarChart, ResponsiveContainer, Tooltip } from "recharts";
+import { BarChart3, Fingerprint, Grid3x3, Radar as RadarIcon } from "lucide-react";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+
+export interface FontSetResults {
+  fonts: { name: string; familyName: string; format: string; style: string }[];
+  metrics: Record<string, string[]>;
+  personality: Record<string, number[]>;
+  compatibility: (number | null)[][];
+}
+
+interface FontSetComparisonProps {
+  results: FontSetResults;
+  fileNames: string[];
+}
+
+const metricLabels: Record<string, string> = {
+  xHeight: "x-height",
+  capHeight: "Cap height",
+  ascender: "Ascender",
+  descender: "Descender",
+  contrast: "Contrast",
+  strokeTerminals: "Terminals",
+  weight: "Weight",
+  width: "Width",
+};
+
+const traitLabels: Record<string, string> = {
+  formality: "Formality",
+  approachability: "Approachability",
+  gentleness: "Gentleness",
+  sophistication: "Sophistication",
+  traditionality: "Traditionality",
+  playfulness: "Playfulness",
+};
+
+// One color per candidate, shared by the column headers and the radar chart
+const palette = ["#2563eb", "#dc2626", "#16a34a", "#d97706", "#7c3aed", "#0891b2", "#db2777", "#4b5563"];
+
+// Red for poor pairings through amber to green for strong ones
+const heatColor = (score: number) => `hsl(${Math.round((score / 100) * 120)}, 70%, 85%)`;
+
+const Section = ({ icon: Icon, title, children }: { icon: typeof BarChart3; title: string; children: ReactNode }) => (
+  <div className="mb-8">
+    <div className="flex items-center gap-2 mb-4">
+      <Icon className="w-5 h-5 text-primary" />
+      <h3 className="text-xl font-semibold">{title}</h3>
+    </div>
+    {children}
+  </div>
+);
+
+const FontHeading = ({ index, name, fileName }: { index: number; name: string; fileName: string }) => (
+  <div className="flex items-center gap-2">
+    <span className="inline-block h-2 w-2 shrink-0 rounded-full" style={{ backgroundColor: palette[index % palette.length] }} />
+    <span title={fileName}>{name}</span>
+  </div>
+);
+
+const FontSetComparison = ({ results, fileNames }: FontSetComparisonProps) => {
+  const { fonts, metrics, personality, compatibility } = results;
+  const heading = (index: number) => <FontHeading index={index} name={fonts[index].name} fileName={fileNames[index]} />;
+
+  const radarData = Object.entries(traitLabels).map(([trait, label]) => ({
+    trait: label,
+    ...Object.fromEntries(fonts.map((_, index) => [`font${index}`, personality[trait][index]])),
+  }));
+
+  // The strongest pairing gets called out above the heatmap
+  const best = compatibility
+    .flatMap((row, a) => row.map((score, b) => ({ a, b, score })))
+    .filter((pair) => pair.a < pair.b)
+    .reduce((top, pair) => (top && top.score >= pair.score ? top : pair), null as { a: number; b: number; score: number } | null);
+
+  return (
+    <div>
+      <Section icon={BarChart3} title="Metrics">
+        <div className="bg-card rounded-lg border border-border overflow-x-auto">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Metric</TableHead>
+                {fonts.map((_, index) => (
+                  <TableHead key={index}>
+                    {heading(index)}
+                  </TableHead>
+                ))}
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {Object.entries(metricLabels).map(([key, label]) => (
+                <TableRow key={key}>
+                  <TableCell className="font-medium">{label}</TableCell>
+                  {metrics[key].map((value, index) => (
+                    <TableCell key={index}>{value}</TableCell>
+                  ))}
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </div>
+      </Section>
+
+      <Section icon={Fingerprint} title="Personality">
+        <div className="bg-card rounded-lg border border-border overflow-x-auto">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Trait</TableHead>
+                {fonts.map((_, index) => (
+                  <TableHead key={index}>
+                    {heading(index)}
+                  </TableHead>
+                ))}
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {Object.entries(traitLabels).map(([trait, label]) => {
+                const values = personality[trait];
+                const highest = Math.max(...values);
+                return (
+                  <TableRow key={trait}>
+                    <TableCell className="font-medium">{label}</TableCell>
+                    {values.map((value, index) => (
+                      <TableCell key={index} className={value === highest ? "font-semibold" : ""}>
+                        {value}/100
+                      </TableCell>
+                    ))}
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+        </div>
+
+        <div className="bg-card rounded-lg border border-border mt-4 p-4">
+          <div className="flex items-center gap-2 mb-2 text-sm text-muted-foreground">
+            <RadarIcon className="w-4 h-4" />
+            Personality traits of every candidate, overlaid
+          </div>
+          <div className="h-[360px] w-full">
+            <ResponsiveContainer width="100%" height="100%">
+              <RadarChart cx="50%" cy="50%" outerRadius="75%" data={radarData}>
+                <PolarGrid />
+                <PolarAngleAxis dataKey="trait" />
+                <PolarRadiusAxis angle={30} domain={[0, 100]} />
+                {fonts.map((font, index) => (
+                  <Radar
+                    key={index}
+                    name={font.name}
+                    dataKey={`font${index}`}
+                    stroke={palette[index % palette.length]}
+                    fill={palette[index % palette.length]}
+                    fillOpacity={0.1}
+                  />
+                ))}
+                <Tooltip />
+                <Legend />
+              </RadarChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      </Section>
+
+      <Section icon={Grid3x3} title="Pairwise Compatibility">
+        {best && (
+          <p className="mb-4 text-sm">
+            Strongest pairing: <span className="font-medium">{fonts[best.a].name}</span> with{" "}
+            <span className="font-medium">{fonts[best.b].name}</span> ({best.score}/100)
+          </p>
+        )}
+        <div className="bg-card rounded-lg border border-border overflow-x-auto p-4">
+          <table className="text-sm">
+            <thead>
+              <tr>
+                <th />
+                {fonts.map((_, index) => (
+                  <th key={index} className="p-2 text-left font-medium">
+                    {heading(index)}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {compatibility.map((row, a) => (
+                <tr key={a}>
+                  <th className="p-2 text-left font-medium">
+                    {heading(a)}
+                  </th>
+                  {row.map((score, b) => (
+                    <td
+                      key={b}
+                      className="h-12 min-w-[4rem] border border-background text-center font-semibold"
+                      style={{ backgroundColor: score === null ? "transparent" : heatColor(score) }}
+                      title={score === null ? undefined : `${fonts[a].name} with ${fonts[b].name}: ${score}/100`}
+                    >
+                      {score ?? "—"}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </Section>
+    </div>
+  );
+};
+
+export default FontSetComparison;
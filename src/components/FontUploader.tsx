@@ -1,4 +1,5 @@
 import { useState, useRef, useContext } from "react";
+import { useNavigate } from "react-router-dom";
 import { motion } from "framer-motion";
 import { Upload, FileType, FolderOpen } from "lucide-react";
 import { toast } from "sonner";
@@ -18,7 +19,8 @@ const FontUploader = () => {
   const [isDirectoryMode, setIsDirectoryMode] = useState(false);
   const fileInputRef = useRef<HTMLInputElement>(null);
   const dirInputRef = useRef<HTMLInputElement>(null);
-  const { fontFile, setFontFile } = useContext(FontContext);
+  const { fontFile, setFontFile, setBatchFiles } = useContext(FontContext);
+  const navigate = useNavigate();
 
   const handleDragEnter = (e: React.DragEvent) => {
     e.preventDefault();
@@ -50,7 +52,7 @@ const FontUploader = () => {
       for (let i = 0; i < files.length; i++) {
         const file = files[i];
         const fileExtension = '.' + file.name.split('.').pop()?.toLowerCase();
-        const validFormats = ['.ttf', '.otf', '.woff', '.woff2'];
+        const validFormats = ['.ttf', '.otf', '.woff', '.woff2', '.ttc', '.otc'];
         
         if (validFormats.includes(fileExtension)) {
           validateAndSetFile(file);
@@ -59,10 +61,12 @@ const FontUploader = () => {
         }
       }
       
-      if (!foundValidFile) {
-        toast.error("No valid font files found. Please upload TTF, OTF, WOFF, or WOFF2 files.");
+      if (!foundValidFile && hasArchive(files)) {
+        openBatchAnalysis(Array.from(files));
+      } else if (!foundValidFile) {
+        toast.error("No valid font files found. Please upload TTF, OTF, WOFF, WOFF2, TTC, or OTC files.");
       } else if (files.length > 1) {
-        toast.info(`Multiple files detected. Only the first valid font file will be used.`);
+        offerBatchAnalysis(Array.from(files));
       }
     }
   };
@@ -81,7 +85,7 @@ const FontUploader = () => {
         for (let i = 0; i < files.length; i++) {
           const file = files[i];
           const fileExtension = '.' + file.name.split('.').pop()?.toLowerCase();
-          const validFormats = ['.ttf', '.otf', '.woff', '.woff2'];
+          const validFormats = ['.ttf', '.otf', '.woff', '.woff2', '.ttc', '.otc'];
           
           if (validFormats.includes(fileExtension)) {
             validateAndSetFile(file);
@@ -90,27 +94,46 @@ const FontUploader = () => {
           }
         }
         
-        if (!foundValidFile && files.length > 0) {
+        if (!foundValidFile && hasArchive(files)) {
+          openBatchAnalysis(Array.from(files));
+        } else if (!foundValidFile && files.length > 0) {
           toast.error("No valid font files found in the selected folder");
         } else if (files.length > 1) {
-          toast.info(`Multiple files detected. Only the first valid font file will be used.`);
+          offerBatchAnalysis(Array.from(files));
         }
       }
     }
   };
 
   const validateAndSetFile = (file: File) => {
-    const validFormats = ['.ttf', '.otf', '.woff', '.woff2'];
+    const validFormats = ['.ttf', '.otf', '.woff', '.woff2', '.ttc', '.otc'];
     const fileExtension = '.' + file.name.split('.').pop()?.toLowerCase();
     
     if (validFormats.includes(fileExtension)) {
       setFontFile(file);
       toast.success("Font file uploaded successfully");
     } else {
-      toast.error("Invalid file format. Please upload TTF, OTF, WOFF, or WOFF2");
+      toast.error("Invalid file format. Please upload TTF, OTF, WOFF, WOFF2, TTC, or OTC");
     }
   };
 
+  const hasArchive = (files: FileList) => Array.from(files).some((file) => file.name.toLowerCase().endsWith(".zip"));
+
+  // Several fonts, or an archive of them, can be audited together on the batch page
+  const openBatchAnalysis = (files: File[]) => {
+    setBatchFiles(files);
+    navigate("/batch");
+  };
+
+  const offerBatchAnalysis = (files: File[]) => {
+    toast.info("Multiple files detected. Only the first valid font file will be used.", {
+      action: {
+        label: "Analyze all",
+        onClick: () => openBatchAnalysis(files),
+      },
+    });
+  };
+
   const handleClick = () => {
     if (isDirectoryMode) {
       dirInputRef.current?.click();
@@ -162,7 +185,7 @@ const FontUploader = () => {
           type="file"
           ref={fileInputRef}
           className="hidden"
-          accept=".ttf,.otf,.woff,.woff2"
+          accept=".ttf,.otf,.woff,.woff2,.ttc,.otc"
           onChange={handleFileChange}
         />
         
@@ -173,7 +196,7 @@ const FontUploader = () => {
           className="hidden"
           webkitdirectory="true"
           directory="true"
-          accept=".ttf,.otf,.woff,.woff2"
+          accept=".ttf,.otf,.woff,.woff2,.ttc,.otc"
           onChange={handleFileChange}
         />
         
@@ -213,7 +236,7 @@ const FontUploader = () => {
               }
             </p>
             <p className="text-sm text-muted-foreground mt-2">
-              Supported formats: TTF, OTF, WOFF, WOFF2
+              Supported formats: TTF, OTF, WOFF, WOFF2, TTC, OTC
             </p>
           </div>
         )}
@@ -0,0 +1,261 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { Search } from "lucide-react";
+import { Input } from "@/components/ui/input";
+import { useParsedFont } from "@/hooks/useParsedFont";
+import { listGlyphs, searchGlyphs, getGlyphPathData, inspectGlyph } from "@/lib/fontAnalysis/glyphInspector";
+
+interface GlyphInspectorProps {
+  fontFile: File | null;
+  faceIndex?: number;
+}
+
+interface GlyphEntry {
+  index: number;
+  name: string;
+  unicodes: number[];
+}
+
+// Grid cells are square; only the rows in view (plus a few either side) are rendered
+const CELL_SIZE = 72;
+const GRID_HEIGHT = 560;
+const OVERSCAN_ROWS = 3;
+
+const formatCodepoint = (codepoint: number) => `U+${codepoint.toString(16).toUpperCase().padStart(4, "0")}`;
+
+type OpentypeFont = ReturnType<typeof useParsedFont>["font"];
+
+interface GlyphGridProps {
+  font: OpentypeFont;
+  glyphs: GlyphEntry[];
+  pathCache: Map<number, string>;
+  selected: number | null;
+  onSelect: (index: number) => void;
+}
+
+const GlyphGrid = ({ font, glyphs, pathCache, selected, onSelect }: GlyphGridProps) => {
+  const scrollRef = useRef<HTMLDivElement>(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [width, setWidth] = useState(0);
+
+  useEffect(() => {
+    const element = scrollRef.current;
+    if (!element) return;
+
+    const observer = new ResizeObserver(([entry]) => setWidth(entry.contentRect.width));
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, []);
+
+  const pathData = (index: number) => {
+    if (!pathCache.has(index)) pathCache.set(index, getGlyphPathData(font, index));
+    return pathCache.get(index);
+  };
+
+  // Every cell shares one frame, from the ascender to the descender, so glyphs keep their relative sizes
+  const frameHeight = font.ascender - font.descender;
+
+  const columns = Math.max(1, Math.floor(width / CELL_SIZE));
+  const rows = Math.ceil(glyphs.length / columns);
+  const firstRow = Math.max(0, Math.floor(scrollTop / CELL_SIZE) - OVERSCAN_ROWS);
+  const lastRow = Math.min(rows, Math.ceil((scrollTop + GRID_HEIGHT) / CELL_SIZE) + OVERSCAN_ROWS);
+  const visible = glyphs.slice(firstRow * columns, lastRow * columns);
+
+  return (
+    <div
+      ref={scrollRef}
+      onScroll={(event) => setScrollTop(event.currentTarget.scrollTop)}
+      className="relative overflow-y-auto rounded-md border"
+      style={{ height: GRID_HEIGHT }}
+    >
+      <div style={{ height: rows * CELL_SIZE }}>
+        {visible.map((glyph, offset) => {
+          const position = firstRow * columns + offset;
+          const advance = font.glyphs.get(glyph.index).advanceWidth || 0;
+
+          return (
+            <button
+              key={glyph.index}
+              onClick={() => onSelect(glyph.index)}
+              title={`${glyph.name}${glyph.unicodes.length ? ` (${glyph.unicodes.map(formatCodepoint).join(", ")})` : ""}`}
+              className={`absolute flex flex-col items-center border-r border-b text-gray-800 hover:bg-blue-50 ${
+                selected === glyph.index ? "bg-blue-100" : "bg-white"
+              }`}
+              style={{
+                width: CELL_SIZE,
+                height: CELL_SIZE,
+                top: Math.floor(position / columns) * CELL_SIZE,
+                left: (position % columns) * CELL_SIZE,
+              }}
+            >
+              <svg
+                viewBox={`${(advance - frameHeight) / 2} ${-font.ascender} ${frameHeight} ${frameHeight}`}
+                className="h-12 w-12"
+              >
+                <path d={pathData(glyph.index)} fill="currentColor" />
+              </svg>
+              <span className="w-full truncate px-1 text-[10px] text-gray-400">{glyph.name}</span>
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+const GlyphDetail = ({ font, index }: { font: OpentypeFont; index: number }) => {
+  const glyph = useMemo(() => inspectGlyph(font, index), [font, index]);
+  const { bounds, advanceWidth } = glyph;
+
+  // Frame the advance box between the font's ascender and descender, widened to fit any overhang
+  const margin = font.unitsPerEm * 0.1;
+  const left = Math.min(0, bounds?.xMin ?? 0) - margin;
+  const right = Math.max(advanceWidth, bounds?.xMax ?? 0) + margin;
+  const top = -Math.max(font.ascender, bounds?.yMax ?? 0) - margin;
+  const bottom = -Math.min(font.descender, bounds?.yMin ?? 0) + margin;
+  const pointRadius = font.unitsPerEm / 120;
+  const lineWidth = font.unitsPerEm / 400;
+
+  const onCurveCount = glyph.points.filter((point) => point.onCurve).length;
+  const stats = [
+    { label: "Glyph ID", value: glyph.index },
+    { label: "Name", value: glyph.name },
+    { label: "Unicode", value: glyph.unicodes.length ? glyph.unicodes.map(formatCodepoint).join(", ") : "Unmapped" },
+    { label: "Advance width", value: advanceWidth },
+    { label: "Left side bearing", value: glyph.leftSideBearing ?? "—" },
+    { label: "Right side bearing", value: glyph.rightSideBearing ?? "—" },
+    {
+      label: "Bounding box",
+      value: bounds ? `${bounds.xMin}, ${bounds.yMin} → ${bounds.xMax}, ${bounds.yMax}` : "Empty glyph",
+    },
+    { label: "Contours", value: glyph.contourCount },
+    { label: "Points", value: `${glyph.points.length} (${onCurveCount} on-curve, ${glyph.points.length - onCurveCount} off-curve)` },
+  ];
+
+  return (
+    <div className="space-y-4">
+      <svg viewBox={`${left} ${top} ${right - left} ${bottom - top}`} className="w-full rounded-md border bg-white" style={{ maxHeight: 360 }}>
+        {/* Vertical metrics and the advance box */}
+        {[font.ascender, 0, font.descender].map((y) => (
+          <line key={y} x1={left} x2={right} y1={-y} y2={-y} stroke={y === 0 ? "#9ca3af" : "#e5e7eb"} strokeWidth={lineWidth} />
+        ))}
+        {[0, advanceWidth].map((x, i) => (
+          <line key={i} x1={x} x2={x} y1={top} y2={bottom} stroke="#9ca3af" strokeWidth={lineWidth} />
+        ))}
+
+        {bounds && (
+          <rect
+            x={bounds.xMin}
+            y={-bounds.yMax}
+            width={bounds.xMax - bounds.xMin}
+            height={bounds.yMax - bounds.yMin}
+            fill="none"
+            stroke="#60a5fa"
+            strokeWidth={lineWidth}
+            strokeDasharray={`${lineWidth * 4} ${lineWidth * 4}`}
+          />
+        )}
+
+        <path d={glyph.pathData} fill="#e5e7eb" stroke="#374151" strokeWidth={lineWidth * 1.5} />
+
+        {glyph.points.map((point, i) => (
+          <circle
+            key={i}
+            cx={point.x}
+            cy={-point.y}
+            r={pointRadius}
+            fill={point.onCurve ? "#2563eb" : "#ffffff"}
+            stroke="#2563eb"
+            strokeWidth={lineWidth}
+          />
+        ))}
+      </svg>
+
+      <div className="flex gap-4 text-xs text-gray-500">
+        <span className="flex items-center gap-1">
+          <span className="inline-block h-2 w-2 rounded-full bg-blue-600" /> On-curve point
+        </span>
+        <span className="flex items-center gap-1">
+          <span className="inline-block h-2 w-2 rounded-full border border-blue-600" /> Off-curve point
+        </span>
+        <span className="flex items-center gap-1">
+          <span className="inline-block h-0 w-3 border-t border-dashed border-blue-400" /> Bounding box
+        </span>
+      </div>
+
+      <dl className="grid grid-cols-2 gap-x-4 gap-y-2 text-sm">
+        {stats.map(({ label, value }) => (
+          <div key={label} className="contents">
+            <dt className="text-gray-500">{label}</dt>
+            <dd className="font-medium break-all">{value}</dd>
+          </div>
+        ))}
+      </dl>
+      <p className="text-xs text-gray-400">Values are in font units ({font.unitsPerEm} per em).</p>
+    </div>
+  );
+};
+
+const GlyphInspector = ({ fontFile, faceIndex = 0 }: GlyphInspectorProps) => {
+  const { font, isLoading, error } = useParsedFont(fontFile, faceIndex);
+  const [query, setQuery] = useState("");
+  const [selected, setSelected] = useState<number | null>(null);
+
+  // Path data is cached per font so scrolling or searching back does not rebuild it
+  const { glyphs, pathCache } = useMemo(
+    () => ({ glyphs: (font ? listGlyphs(font) : []) as GlyphEntry[], pathCache: new Map<number, string>() }),
+    [font]
+  );
+  const matches = useMemo(() => searchGlyphs(glyphs, query), [glyphs, query]);
+
+  // A selection from a previous face may not exist in this one
+  useEffect(() => {
+    setSelected(null);
+  }, [font]);
+
+  if (error) {
+    return <p className="text-red-600">Could not load glyphs: {error}</p>;
+  }
+
+  if (isLoading || !font) {
+    return <p className="text-gray-500">Loading glyphs…</p>;
+  }
+
+  return (
+    <div className="grid grid-cols-1 gap-6 lg:grid-cols-[minmax(0,3fr)_minmax(0,2fr)]">
+      <div className="space-y-4">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <div className="relative w-72">
+            <Search className="absolute left-2 top-2.5 w-4 h-4 text-gray-400" />
+            <Input
+              value={query}
+              onChange={(event) => setQuery(event.target.value)}
+              placeholder="Character, U+0041 or glyph name"
+              className="pl-8"
+            />
+          </div>
+          <span className="text-sm text-gray-500">
+            {matches.length === glyphs.length
+              ? `${glyphs.length.toLocaleString()} glyphs`
+              : `${matches.length.toLocaleString()} of ${glyphs.length.toLocaleString()} glyphs`}
+          </span>
+        </div>
+
+        {matches.length > 0 ? (
+          <GlyphGrid key={query} font={font} glyphs={matches} pathCache={pathCache} selected={selected} onSelect={setSelected} />
+        ) : (
+          <p className="text-gray-500">No glyphs match "{query.trim()}".</p>
+        )}
+      </div>
+
+      <div>
+        {selected !== null ? (
+          <GlyphDetail font={font} index={selected} />
+        ) : (
+          <p className="text-gray-500">Select a glyph to see its outline, points and metrics.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default GlyphInspector;
@@ -0,0 +1,174 @@
+import { useState } from "react";
+
+interface OutlineBounds {
+  xMin: number;
+  yMin: number;
+  xMax: number;
+  yMax: number;
+}
+
+interface OutlineSide {
+  pathData: string;
+  advanceWidth: number;
+  pointCount: number;
+  contourCount: number;
+  bounds: OutlineBounds | null;
+}
+
+interface OutlineChange {
+  name: string;
+  codepoint: number | null;
+  score: number;
+  primary: OutlineSide;
+  secondary: OutlineSide;
+  deltas: {
+    points: number;
+    contours: number;
+    advance: number;
+    bounds: OutlineBounds | null;
+    maxPointShift: number | null;
+  };
+}
+
+export interface OutlineComparison {
+  frame: { unitsPerEm: number; ascender: number; descender: number };
+  compared: number;
+  changedCount: number;
+  changes: OutlineChange[];
+}
+
+interface GlyphOutlineDiffProps {
+  outlines: OutlineComparison;
+  primaryName: string;
+  secondaryName: string;
+}
+
+const colors = {
+  primary: { stroke: "#2563eb", fill: "rgba(37, 99, 235, 0.12)", swatch: "bg-blue-600" },
+  secondary: { stroke: "#dc2626", fill: "rgba(220, 38, 38, 0.12)", swatch: "bg-red-600" },
+};
+
+const formatCodepoint = (codepoint: number) => `U+${codepoint.toString(16).toUpperCase().padStart(4, "0")}`;
+
+const formatDelta = (value: number) => (value > 0 ? `+${value}` : `${value}`);
+
+const GlyphOverlay = ({ change, frame }: { change: OutlineChange; frame: OutlineComparison["frame"] }) => {
+  // Both outlines are in the primary font's units, so one frame fits both: the wider advance, ascender to descender
+  const margin = frame.unitsPerEm * 0.1;
+  const boxes = [change.primary.bounds, change.secondary.bounds].filter((bounds): bounds is OutlineBounds => bounds !== null);
+  const left = Math.min(0, ...boxes.map((bounds) => bounds.xMin)) - margin;
+  const right = Math.max(change.primary.advanceWidth, change.secondary.advanceWidth, ...boxes.map((bounds) => bounds.xMax)) + margin;
+  const top = -Math.max(frame.ascender, ...boxes.map((bounds) => bounds.yMax)) - margin;
+  const bottom = -Math.min(frame.descender, ...boxes.map((bounds) => bounds.yMin)) + margin;
+  const lineWidth = frame.unitsPerEm / 400;
+
+  return (
+    <svg viewBox={`${left} ${top} ${right - left} ${bottom - top}`} className="w-full rounded-md border bg-white" style={{ maxHeight: 360 }}>
+      <line x1={left} x2={right} y1={0} y2={0} stroke="#9ca3af" strokeWidth={lineWidth} />
+      {(["primary", "secondary"] as const).map((side) => (
+        <g key={side}>
+          <line
+            x1={change[side].advanceWidth}
+            x2={change[side].advanceWidth}
+            y1={top}
+            y2={bottom}
+            stroke={colors[side].stroke}
+            strokeWidth={lineWidth}
+            strokeDasharray={`${lineWidth * 4} ${lineWidth * 4}`}
+          />
+          <path d={change[side].pathData} fill={colors[side].fill} stroke={colors[side].stroke} strokeWidth={lineWidth * 1.5} />
+        </g>
+      ))}
+    </svg>
+  );
+};
+
+const GlyphOutlineDiff = ({ outlines, primaryName, secondaryName }: GlyphOutlineDiffProps) => {
+  const [selected, setSelected] = useState(0);
+  const { changes, frame } = outlines;
+
+  if (changes.length === 0) {
+    return (
+      <p className="text-sm text-muted-foreground">
+        None of the {outlines.compared.toLocaleString()} matching glyphs changed outline, advance or bounding box.
+      </p>
+    );
+  }
+
+  const change = changes[Math.min(selected, changes.length - 1)];
+  const topScore = changes[0].score;
+  const { deltas } = change;
+
+  const stats = [
+    { label: "Points", value: `${change.primary.pointCount} → ${change.secondary.pointCount} (${formatDelta(deltas.points)})` },
+    { label: "Contours", value: `${change.primary.contourCount} → ${change.secondary.contourCount} (${formatDelta(deltas.contours)})` },
+    { label: "Advance width", value: `${change.primary.advanceWidth} → ${change.secondary.advanceWidth} (${formatDelta(deltas.advance)})` },
+    {
+      label: "Bounding box",
+      value: deltas.bounds
+        ? `xMin ${formatDelta(deltas.bounds.xMin)}, yMin ${formatDelta(deltas.bounds.yMin)}, xMax ${formatDelta(deltas.bounds.xMax)}, yMax ${formatDelta(deltas.bounds.yMax)}`
+        : "Empty in one version",
+    },
+    { label: "Largest point shift", value: deltas.maxPointShift ?? "Point structure changed" },
+  ];
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-muted-foreground">
+        {outlines.changedCount.toLocaleString()} of {outlines.compared.toLocaleString()} matching glyphs changed, ranked by how much.
+        {outlines.changedCount > changes.length && ` The ${changes.length} largest changes are listed.`} Values are in {primaryName}'s units (
+        {frame.unitsPerEm} per em).
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className="overflow-y-auto rounded-md border border-border" style={{ maxHeight: 480 }}>
+          {changes.map((entry, index) => (
+            <button
+              key={`${entry.name}-${index}`}
+              onClick={() => setSelected(index)}
+              className={`flex w-full items-center gap-3 border-b border-border px-3 py-2 text-left text-sm ${
+                change === entry ? "bg-primary/10" : "hover:bg-muted"
+              }`}
+            >
+              <span className="w-6 text-xs text-muted-foreground">{index + 1}</span>
+              <span className="flex-1 truncate">
+                <span className="font-medium">{entry.name}</span>
+                {entry.codepoint !== null && <span className="ml-2 text-xs text-muted-foreground">{formatCodepoint(entry.codepoint)}</span>}
+              </span>
+              <div className="h-2 w-20 rounded-full bg-muted">
+                <div className="h-2 rounded-full bg-primary" style={{ width: `${(entry.score / topScore) * 100}%` }} />
+              </div>
+            </button>
+          ))}
+        </div>
+
+        <div className="space-y-4">
+          <GlyphOverlay change={change} frame={frame} />
+
+          <div className="flex gap-4 text-xs text-muted-foreground">
+            <span className="flex items-center gap-1">
+              <span className={`inline-block h-2 w-2 rounded-full ${colors.primary.swatch}`} /> {primaryName}
+            </span>
+            <span className="flex items-center gap-1">
+              <span className={`inline-block h-2 w-2 rounded-full ${colors.secondary.swatch}`} /> {secondaryName}
+            </span>
+            <span className="flex items-center gap-1">
+              <span className="inline-block h-0 w-3 border-t border-dashed border-gray-400" /> Advance width
+            </span>
+          </div>
+
+          <dl className="grid grid-cols-2 gap-x-4 gap-y-2 text-sm">
+            {stats.map(({ label, value }) => (
+              <div key={label} className="contents">
+                <dt className="text-muted-foreground">{label}</dt>
+                <dd className="font-medium">{value}</dd>
+              </div>
+            ))}
+          </dl>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GlyphOutlineDiff;
@@ -0,0 +1,152 @@
+import { useState } from "react";
+
+interface GlyphFrame {
+  unitsPerEm: number;
+  ascender: number;
+  descender: number;
+}
+
+interface GlyphOutline {
+  pathData: string;
+  advanceWidth: number;
+}
+
+interface GlyphPreview {
+  codepoint: number;
+  primary: GlyphOutline | null;
+  secondary: GlyphOutline | null;
+}
+
+interface GlyphGroup {
+  count: number;
+  blocks: { name: string; count: number }[];
+  previews: GlyphPreview[];
+}
+
+export interface GlyphSetComparison {
+  frames: { primary: GlyphFrame; secondary: GlyphFrame };
+  totals: { primary: number; secondary: number };
+  shared: GlyphGroup;
+  onlyInPrimary: GlyphGroup;
+  onlyInSecondary: GlyphGroup;
+}
+
+interface GlyphSetDiffProps {
+  glyphSet: GlyphSetComparison;
+  primaryName: string;
+  secondaryName: string;
+}
+
+type GroupKey = "shared" | "onlyInPrimary" | "onlyInSecondary";
+
+// Blocks listed above the previews; the rest are summed into one chip
+const BLOCK_CHIP_LIMIT = 8;
+
+const formatCodepoint = (codepoint: number) => `U+${codepoint.toString(16).toUpperCase().padStart(4, "0")}`;
+
+const GlyphShape = ({ outline, frame, className }: { outline: GlyphOutline; frame: GlyphFrame; className: string }) => {
+  // Same framing as the glyph inspector: ascender to descender, centered on the advance
+  const frameHeight = frame.ascender - frame.descender;
+  return (
+    <svg
+      viewBox={`${(outline.advanceWidth - frameHeight) / 2} ${-frame.ascender} ${frameHeight} ${frameHeight}`}
+      className={`h-10 w-10 ${className}`}
+    >
+      <path d={outline.pathData} fill="currentColor" />
+    </svg>
+  );
+};
+
+const GlyphSetDiff = ({ glyphSet, primaryName, secondaryName }: GlyphSetDiffProps) => {
+  const [view, setView] = useState<GroupKey>(glyphSet.onlyInPrimary.count || glyphSet.onlyInSecondary.count ? "onlyInPrimary" : "shared");
+
+  const views: { value: GroupKey; label: string }[] = [
+    { value: "shared", label: "Shared" },
+    { value: "onlyInPrimary", label: `Only in ${primaryName}` },
+    { value: "onlyInSecondary", label: `Only in ${secondaryName}` },
+  ];
+
+  const group = glyphSet[view];
+  const extraBlocks = group.blocks.slice(BLOCK_CHIP_LIMIT);
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-muted-foreground">
+        {primaryName} maps {glyphSet.totals.primary.toLocaleString()} code points and {secondaryName} maps{" "}
+        {glyphSet.totals.secondary.toLocaleString()}; {glyphSet.shared.count.toLocaleString()} are in both.
+      </p>
+
+      <div className="flex flex-wrap gap-2">
+        {views.map(({ value, label }) => (
+          <button
+            key={value}
+            onClick={() => setView(value)}
+            className={`px-3 py-1 rounded-md text-sm ${
+              view === value ? "bg-primary text-primary-foreground" : "bg-muted text-muted-foreground"
+            }`}
+          >
+            {label} ({glyphSet[value].count.toLocaleString()})
+          </button>
+        ))}
+      </div>
+
+      {group.count === 0 ? (
+        <p className="text-sm text-muted-foreground">No code points in this group.</p>
+      ) : (
+        <>
+          <div className="flex flex-wrap gap-2 text-xs">
+            {group.blocks.slice(0, BLOCK_CHIP_LIMIT).map((block) => (
+              <span key={block.name} className="rounded-full bg-muted px-2 py-1 text-muted-foreground">
+                {block.name} · {block.count.toLocaleString()}
+              </span>
+            ))}
+            {extraBlocks.length > 0 && (
+              <span className="rounded-full bg-muted px-2 py-1 text-muted-foreground">
+                {extraBlocks.length} more blocks · {extraBlocks.reduce((sum, block) => sum + block.count, 0).toLocaleString()}
+              </span>
+            )}
+          </div>
+
+          {view === "shared" && (
+            <div className="flex gap-4 text-xs text-muted-foreground">
+              <span className="flex items-center gap-1">
+                <span className="inline-block h-2 w-2 rounded-full bg-foreground" /> {primaryName}
+              </span>
+              <span className="flex items-center gap-1">
+                <span className="inline-block h-2 w-2 rounded-full bg-primary" /> {secondaryName}
+              </span>
+            </div>
+          )}
+
+          <div className="grid grid-cols-[repeat(auto-fill,minmax(6rem,1fr))] gap-2">
+            {group.previews.map((preview) => (
+              <div
+                key={preview.codepoint}
+                title={formatCodepoint(preview.codepoint)}
+                className="flex flex-col items-center rounded-md border border-border bg-background p-2"
+              >
+                <div className="flex">
+                  {preview.primary && (
+                    <GlyphShape outline={preview.primary} frame={glyphSet.frames.primary} className="text-foreground" />
+                  )}
+                  {preview.secondary && (
+                    <GlyphShape outline={preview.secondary} frame={glyphSet.frames.secondary} className="text-primary" />
+                  )}
+                </div>
+                <span className="mt-1 text-[10px] text-muted-foreground">{formatCodepoint(preview.codepoint)}</span>
+              </div>
+            ))}
+          </div>
+
+          {group.count > group.previews.length && (
+            <p className="text-xs text-muted-foreground">
+              Showing {group.previews.length} of {group.count.toLocaleString()} code points.
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default GlyphSetDiff;
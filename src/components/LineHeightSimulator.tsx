@@ -0,0 +1,223 @@
+import { AlertCircle, AlertTriangle, CheckCircle2, Copy } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { LineMetricsModel, VerticalMetricsAnalysis } from "@/contexts/FontContext";
+
+interface LineHeightSimulatorProps {
+  verticalMetrics?: VerticalMetricsAnalysis | null;
+  fontFamily: string;
+  familyName: string;
+  fileName: string;
+  format: string;
+}
+
+const toEm = (value: number, unitsPerEm: number) => (value / unitsPerEm).toFixed(3);
+
+interface LineBoxDiagramProps {
+  model: LineMetricsModel;
+  analysis: VerticalMetricsAnalysis;
+  fontFamily: string;
+  top: number;
+  bottom: number;
+}
+
+// All diagrams share one vertical range so their baselines line up side by side
+const LineBoxDiagram = ({ model, analysis, fontFamily, top, bottom }: LineBoxDiagramProps) => {
+  const { unitsPerEm, extremes } = analysis;
+  const width = unitsPerEm * 1.6;
+  const lineWidth = unitsPerEm / 250;
+  const clips = model.id === "win";
+  const boxTop = clips ? model.ascent : model.ascent + model.lineGap / 2;
+  const boxBottom = clips ? -model.descent : -model.descent - model.lineGap / 2;
+  const text = extremes.text;
+  const sample = text ? `${text.yMaxChar}H${text.yMinChar}` : "Hg";
+
+  return (
+    <svg viewBox={`0 ${-top} ${width} ${top - bottom}`} className={`w-full ${model.active ? "" : "opacity-50"}`}>
+      {/* Line box, with the line gap shaded lighter than the ascent and descent */}
+      <rect x={0} y={-boxTop} width={width} height={boxTop - boxBottom} fill="#eff6ff" />
+      <rect x={0} y={-model.ascent} width={width} height={model.ascent + model.descent} fill="#dbeafe" />
+
+      {/* Text past the line box overflows it, or is clipped under GDI */}
+      {text && text.yMax > boxTop && (
+        <rect x={0} y={-text.yMax} width={width} height={text.yMax - boxTop} fill="#fecaca" />
+      )}
+      {text && text.yMin < boxBottom && (
+        <rect x={0} y={-boxBottom} width={width} height={boxBottom - text.yMin} fill="#fecaca" />
+      )}
+
+      <line x1={0} x2={width} y1={0} y2={0} stroke="#6b7280" strokeWidth={lineWidth} />
+      {[model.ascent, -model.descent].map((y, i) => (
+        <line key={i} x1={0} x2={width} y1={-y} y2={-y} stroke="#3b82f6" strokeWidth={lineWidth} />
+      ))}
+
+      <text
+        x={width / 2}
+        y={0}
+        fontSize={unitsPerEm}
+        textAnchor="middle"
+        fill="#1f2937"
+        style={{ fontFamily }}
+      >
+        {sample}
+      </text>
+    </svg>
+  );
+};
+
+const LineHeightSimulator = ({ verticalMetrics, fontFamily, familyName, fileName, format }: LineHeightSimulatorProps) => {
+  if (!verticalMetrics) {
+    return (
+      <p className="text-gray-500">
+        Vertical metrics are not available. The font needs hhea and OS/2 tables, or analyze it again to simulate line boxes.
+      </p>
+    );
+  }
+
+  const { models, unitsPerEm, extremes, consistency, suggested, css } = verticalMetrics;
+
+  const top = Math.max(...models.map((model) => model.ascent + model.lineGap / 2), extremes.text?.yMax ?? 0) + unitsPerEm * 0.05;
+  const bottom = Math.min(...models.map((model) => -model.descent - model.lineGap / 2), extremes.text?.yMin ?? 0) - unitsPerEm * 0.05;
+
+  const fontFace = [
+    "@font-face {",
+    `  font-family: "${familyName}";`,
+    `  src: url("${fileName}") format("${format}");`,
+    ...css.declarations.split("\n").map((line) => `  ${line}`),
+    "}",
+  ].join("\n");
+
+  const copyFontFace = async () => {
+    try {
+      await navigator.clipboard.writeText(fontFace);
+      toast.success("Copied the @font-face rule");
+    } catch {
+      toast.error("Could not copy to the clipboard");
+    }
+  };
+
+  return (
+    <div className="space-y-8">
+      <div className="flex items-center gap-3">
+        {consistency.consistent ? (
+          <CheckCircle2 className="w-8 h-8 text-green-500" />
+        ) : (
+          <AlertTriangle className="w-8 h-8 text-amber-500" />
+        )}
+        <div>
+          <div className="text-lg font-semibold text-gray-800">
+            {consistency.consistent ? "Lines render the same on every platform" : "Line boxes differ between platforms"}
+          </div>
+          <div className="text-sm text-gray-500">
+            USE_TYPO_METRICS is {verticalMetrics.useTypoMetrics ? "set" : "not set"}. Line height differs by {consistency.lineHeightSpread} em
+            and the baseline moves by {consistency.baselineShift} em between the models in use.
+          </div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 gap-6 md:grid-cols-3">
+        {models.map((model) => (
+          <div key={model.id} className="space-y-3">
+            <div>
+              <div className="font-semibold text-gray-800">
+                {model.name}
+                {!model.active && <span className="ml-2 text-xs font-normal text-gray-400">not in use</span>}
+              </div>
+              <div className="text-xs text-gray-500">{model.platforms}</div>
+            </div>
+            <div className="rounded-md border bg-white p-2">
+              <LineBoxDiagram model={model} analysis={verticalMetrics} fontFamily={fontFamily} top={top} bottom={bottom} />
+            </div>
+            <dl className="grid grid-cols-2 gap-x-4 gap-y-1 text-sm">
+              <dt className="text-gray-500">Ascent</dt>
+              <dd>{model.ascent}</dd>
+              <dt className="text-gray-500">Descent</dt>
+              <dd>{model.descent}</dd>
+              <dt className="text-gray-500">Line gap</dt>
+              <dd>{model.lineGap}</dd>
+              <dt className="text-gray-500">line-height: normal</dt>
+              <dd>{model.normalLineHeight}</dd>
+            </dl>
+            {model.risks.map((risk, i) => (
+              <p key={i} className={`flex gap-2 text-sm ${risk.severity === "error" ? "text-red-700" : "text-amber-700"}`}>
+                {risk.severity === "error" ? (
+                  <AlertCircle className="mt-0.5 w-4 h-4 shrink-0" />
+                ) : (
+                  <AlertTriangle className="mt-0.5 w-4 h-4 shrink-0" />
+                )}
+                {risk.message}
+              </p>
+            ))}
+          </div>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap gap-4 text-xs text-gray-500">
+        <span className="flex items-center gap-1">
+          <span className="inline-block h-3 w-3 rounded-sm bg-blue-100" /> Ascent to descent
+        </span>
+        <span className="flex items-center gap-1">
+          <span className="inline-block h-3 w-3 rounded-sm bg-blue-50 border" /> Line gap
+        </span>
+        <span className="flex items-center gap-1">
+          <span className="inline-block h-3 w-3 rounded-sm bg-red-200" /> Text outside the line box
+        </span>
+        {extremes.text && (
+          <span>
+            Tallest and deepest Latin characters: {extremes.text.yMaxChar} ({extremes.text.yMax}) and {extremes.text.yMinChar} (
+            {extremes.text.yMin}), in font units of {unitsPerEm} per em.
+          </span>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 gap-8 lg:grid-cols-2">
+        <div>
+          <h4 className="mb-3 font-semibold text-gray-700">Suggested values</h4>
+          {suggested.changes.length === 0 ? (
+            <p className="text-sm text-gray-500">The font's vertical metrics already match the suggested values.</p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Field</TableHead>
+                  <TableHead className="text-right">Current</TableHead>
+                  <TableHead className="text-right">Suggested</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {suggested.changes.map((change) => (
+                  <TableRow key={change.field}>
+                    <TableCell className="font-mono text-sm">{change.field}</TableCell>
+                    <TableCell className="text-right">{String(change.current)}</TableCell>
+                    <TableCell className="text-right font-medium">{String(change.suggested)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+          <p className="mt-2 text-xs text-gray-400">
+            hhea and typo share one set of values with no line gap ({toEm(suggested.ascent + suggested.descent, unitsPerEm)} em), sized to
+            hold accented Latin text; the win values cover every glyph so nothing is clipped on Windows.
+          </p>
+        </div>
+
+        <div>
+          <div className="mb-3 flex items-center justify-between">
+            <h4 className="font-semibold text-gray-700">CSS overrides</h4>
+            <Button variant="outline" size="sm" onClick={copyFontFace} className="flex items-center gap-2">
+              <Copy className="w-4 h-4" />
+              Copy
+            </Button>
+          </div>
+          <pre className="overflow-x-auto rounded-md bg-gray-900 p-4 text-sm text-gray-100">{fontFace}</pre>
+          <p className="mt-2 text-xs text-gray-400">
+            The overrides give every browser the suggested line box without editing the font file.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LineHeightSimulator;
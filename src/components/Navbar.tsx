@@ -1,6 +1,6 @@
 import { motion } from "framer-motion";
 import { Link } from "react-router-dom";
-import { FileType, Home } from "lucide-react";
+import { FileType, Home, Layers } from "lucide-react";
 
 const Navbar = () => {
   return (
@@ -38,6 +38,13 @@ const Navbar = () => {
         >
           <span>Compare Fonts</span>
         </Link>
+        <Link 
+          to="/batch" 
+          className="flex items-center space-x-1 text-sm font-medium text-foreground/80 hover:text-primary transition-colors"
+        >
+          <Layers className="w-4 h-4" />
+          <span>Batch Analysis</span>
+        </Link>
       </div>
     </motion.div>
   );
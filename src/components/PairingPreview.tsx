@@ -0,0 +1,321 @@
+import { useState } from "react";
+import type { CSSProperties } from "react";
+import { ArrowLeftRight, RotateCcw } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Slider } from "@/components/ui/slider";
+import { Textarea } from "@/components/ui/textarea";
+import { useFontFaceUrl } from "@/hooks/useFontFaceUrl";
+
+type FontRole = "primary" | "secondary";
+type TemplateId = "article" | "hero" | "dashboard" | "email";
+
+interface PairingPreviewProps {
+  primaryFile: File;
+  secondaryFile: File;
+  // Faces the comparison used, for collection files
+  primaryFaceIndex?: number;
+  secondaryFaceIndex?: number;
+  primaryName: string;
+  secondaryName: string;
+  headingFont: FontRole;
+}
+
+interface TypeSettings {
+  size: number;
+  lineHeight: number;
+}
+
+interface TemplateProps {
+  heading: string;
+  paragraphs: string[];
+  headingStyle: CSSProperties;
+  bodyStyle: CSSProperties;
+}
+
+const fontFamilies: Record<FontRole, string> = {
+  primary: "pairing-preview-primary",
+  secondary: "pairing-preview-secondary",
+};
+
+const templates: Array<[TemplateId, string]> = [
+  ["article", "Article"],
+  ["hero", "Landing page hero"],
+  ["dashboard", "Dashboard"],
+  ["email", "Email"],
+];
+
+const DEFAULT_HEADING = "The quiet craft of setting type for the screen";
+const DEFAULT_BODY =
+  "Good typography goes unnoticed. Readers follow the argument, not the letterforms, because the size, spacing and rhythm of the text make reading effortless.\n\n" +
+  "Pairing two typefaces adds a second voice. The heading font sets the tone and draws the eye; the body font has to stay comfortable over many lines.";
+const DEFAULT_HEADING_SETTINGS: TypeSettings = { size: 44, lineHeight: 1.15 };
+const DEFAULT_BODY_SETTINGS: TypeSettings = { size: 17, lineHeight: 1.6 };
+
+// Secondary text in the templates (subheads, labels, captions) follows the edited sizes
+const scaled = (style: CSSProperties, factor: number): CSSProperties => ({
+  ...style,
+  fontSize: Math.round((style.fontSize as number) * factor),
+});
+
+const ArticleTemplate = ({ heading, paragraphs, headingStyle, bodyStyle }: TemplateProps) => (
+  <article className="mx-auto max-w-2xl space-y-4 px-6 py-10">
+    <p className="uppercase tracking-widest text-gray-500" style={scaled(bodyStyle, 0.75)}>Essay · 6 min read</p>
+    <h1 style={headingStyle}>{heading}</h1>
+    <p className="text-gray-500" style={scaled(bodyStyle, 0.85)}>By Jordan Ellis · 12 March</p>
+    {paragraphs.slice(0, 1).map((paragraph, index) => (
+      <p key={index} style={bodyStyle}>{paragraph}</p>
+    ))}
+    <h2 className="pt-2" style={scaled(headingStyle, 0.55)}>Finding the second voice</h2>
+    {paragraphs.slice(1).map((paragraph, index) => (
+      <p key={index} style={bodyStyle}>{paragraph}</p>
+    ))}
+  </article>
+);
+
+const HeroTemplate = ({ heading, paragraphs, headingStyle, bodyStyle }: TemplateProps) => (
+  <section className="bg-gradient-to-b from-slate-50 to-white px-6 py-16 text-center">
+    <p className="mb-4 font-semibold text-blue-600" style={scaled(bodyStyle, 0.85)}>Introducing Typeset 2.0</p>
+    <h1 className="mx-auto max-w-3xl" style={scaled(headingStyle, 1.3)}>{heading}</h1>
+    <p className="mx-auto mt-6 max-w-xl text-gray-600" style={scaled(bodyStyle, 1.1)}>{paragraphs[0]}</p>
+    <div className="mt-8 flex justify-center gap-3">
+      <span className="rounded-md bg-blue-600 px-5 py-2.5 font-medium text-white" style={bodyStyle}>Get started</span>
+      <span className="rounded-md border border-gray-300 px-5 py-2.5 font-medium" style={bodyStyle}>See examples</span>
+    </div>
+  </section>
+);
+
+const DashboardTemplate = ({ heading, paragraphs, headingStyle, bodyStyle }: TemplateProps) => {
+  const stats = [
+    ["Active readers", "12,480", "+8.2%"],
+    ["Avg. time on page", "4m 12s", "+0.6%"],
+    ["Newsletter signups", "1,093", "−2.1%"],
+  ];
+  const rows = [
+    ["Setting type for the screen", "3,204", "5m 40s"],
+    ["A field guide to x-heights", "2,817", "4m 02s"],
+    ["Variable fonts in production", "1,946", "6m 18s"],
+  ];
+
+  return (
+    <div className="space-y-6 bg-slate-50 p-6">
+      <div>
+        <h1 style={scaled(headingStyle, 0.6)}>{heading}</h1>
+        <p className="mt-1 text-gray-500" style={scaled(bodyStyle, 0.9)}>{paragraphs[0]}</p>
+      </div>
+      <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
+        {stats.map(([label, value, change]) => (
+          <div key={label} className="rounded-lg border border-gray-200 bg-white p-4">
+            <p className="text-gray-500" style={scaled(bodyStyle, 0.8)}>{label}</p>
+            <p style={scaled(headingStyle, 0.7)}>{value}</p>
+            <p className={change.startsWith("+") ? "text-green-600" : "text-red-600"} style={scaled(bodyStyle, 0.8)}>{change} this week</p>
+          </div>
+        ))}
+      </div>
+      <div className="rounded-lg border border-gray-200 bg-white">
+        <h2 className="border-b border-gray-200 px-4 py-3" style={scaled(headingStyle, 0.4)}>Top articles</h2>
+        <table className="w-full" style={scaled(bodyStyle, 0.9)}>
+          <tbody>
+            {rows.map(([title, readers, time]) => (
+              <tr key={title} className="border-b border-gray-100 last:border-0">
+                <td className="px-4 py-2">{title}</td>
+                <td className="px-4 py-2 text-right tabular-nums">{readers}</td>
+                <td className="px-4 py-2 text-right tabular-nums text-gray-500">{time}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+const EmailTemplate = ({ heading, paragraphs, headingStyle, bodyStyle }: TemplateProps) => (
+  <div className="bg-slate-100 px-4 py-8">
+    <div className="mx-auto max-w-xl rounded-lg bg-white shadow-sm">
+      <div className="border-b border-gray-200 px-6 py-3 text-gray-500" style={scaled(bodyStyle, 0.8)}>
+        <p>From: The Typeset Weekly</p>
+        <p>Subject: {heading}</p>
+      </div>
+      <div className="space-y-4 px-6 py-8">
+        <h1 style={scaled(headingStyle, 0.75)}>{heading}</h1>
+        <p style={bodyStyle}>Hi there,</p>
+        {paragraphs.map((paragraph, index) => (
+          <p key={index} style={bodyStyle}>{paragraph}</p>
+        ))}
+        <span className="inline-block rounded-md bg-gray-900 px-5 py-2.5 text-white" style={bodyStyle}>Read the full issue</span>
+        <p className="pt-4 text-gray-500" style={scaled(bodyStyle, 0.8)}>You're receiving this because you subscribed to The Typeset Weekly.</p>
+      </div>
+    </div>
+  </div>
+);
+
+const templateComponents: Record<TemplateId, (props: TemplateProps) => JSX.Element> = {
+  article: ArticleTemplate,
+  hero: HeroTemplate,
+  dashboard: DashboardTemplate,
+  email: EmailTemplate,
+};
+
+const SettingSlider = ({ label, value, format, min, max, step, onChange }: {
+  label: string;
+  value: number;
+  format: (value: number) => string;
+  min: number;
+  max: number;
+  step: number;
+  onChange: (value: number) => void;
+}) => (
+  <div className="space-y-2">
+    <div className="flex items-baseline justify-between text-sm">
+      <span className="font-medium">{label}</span>
+      <span className="tabular-nums text-muted-foreground">{format(value)}</span>
+    </div>
+    <Slider value={[value]} min={min} max={max} step={step} onValueChange={([next]) => onChange(next)} />
+  </div>
+);
+
+const PairingPreview = ({
+  primaryFile,
+  secondaryFile,
+  primaryFaceIndex = 0,
+  secondaryFaceIndex = 0,
+  primaryName,
+  secondaryName,
+  headingFont,
+}: PairingPreviewProps) => {
+  const primary = useFontFaceUrl(primaryFile, primaryFaceIndex);
+  const secondary = useFontFaceUrl(secondaryFile, secondaryFaceIndex);
+  const [template, setTemplate] = useState<TemplateId>("article");
+  const [swapped, setSwapped] = useState(false);
+  const [heading, setHeading] = useState(DEFAULT_HEADING);
+  const [body, setBody] = useState(DEFAULT_BODY);
+  const [headingSettings, setHeadingSettings] = useState(DEFAULT_HEADING_SETTINGS);
+  const [bodySettings, setBodySettings] = useState(DEFAULT_BODY_SETTINGS);
+
+  const otherRole = (role: FontRole): FontRole => (role === "primary" ? "secondary" : "primary");
+  const headingRole = swapped ? otherRole(headingFont) : headingFont;
+  const bodyRole = otherRole(headingRole);
+  const names: Record<FontRole, string> = { primary: primaryName, secondary: secondaryName };
+
+  const headingStyle: CSSProperties = {
+    fontFamily: `"${fontFamilies[headingRole]}", sans-serif`,
+    fontSize: headingSettings.size,
+    lineHeight: headingSettings.lineHeight,
+  };
+  const bodyStyle: CSSProperties = {
+    fontFamily: `"${fontFamilies[bodyRole]}", sans-serif`,
+    fontSize: bodySettings.size,
+    lineHeight: bodySettings.lineHeight,
+  };
+
+  const paragraphs = body.split(/\n\s*\n/).map((paragraph) => paragraph.trim()).filter(Boolean);
+  const Template = templateComponents[template];
+  const loadError = primary.error || secondary.error;
+
+  const reset = () => {
+    setHeading(DEFAULT_HEADING);
+    setBody(DEFAULT_BODY);
+    setHeadingSettings(DEFAULT_HEADING_SETTINGS);
+    setBodySettings(DEFAULT_BODY_SETTINGS);
+  };
+
+  return (
+    <div className="space-y-6">
+      {(["primary", "secondary"] as const).map((role) => {
+        const url = role === "primary" ? primary.url : secondary.url;
+        return url && <style key={role}>{`@font-face { font-family: "${fontFamilies[role]}"; src: url(${url}); }`}</style>;
+      })}
+
+      {loadError && (
+        <p className="rounded-md bg-amber-50 p-3 text-sm text-amber-800">
+          One of the fonts couldn't be loaded for the preview, so it falls back to a system font: {loadError}
+        </p>
+      )}
+
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className="flex flex-wrap gap-2">
+          {templates.map(([id, label]) => (
+            <Button key={id} size="sm" variant={template === id ? "default" : "outline"} onClick={() => setTemplate(id)}>
+              {label}
+            </Button>
+          ))}
+        </div>
+        <Button size="sm" variant="outline" onClick={() => setSwapped(!swapped)}>
+          <ArrowLeftRight className="w-4 h-4 mr-2" />
+          Swap roles
+        </Button>
+      </div>
+
+      <p className="text-sm text-muted-foreground">
+        Headings in <span className="font-medium text-foreground">{names[headingRole]}</span>, body text in{" "}
+        <span className="font-medium text-foreground">{names[bodyRole]}</span>
+        {swapped ? ", the reverse of the recommendation." : ", as recommended."}
+      </p>
+
+      <div className="overflow-hidden rounded-lg border border-border bg-white text-gray-900">
+        <Template heading={heading} paragraphs={paragraphs} headingStyle={headingStyle} bodyStyle={bodyStyle} />
+      </div>
+
+      <div className="grid grid-cols-1 gap-6 md:grid-cols-2">
+        <div className="space-y-4">
+          <h4 className="font-medium">Heading · {names[headingRole]}</h4>
+          <Input value={heading} onChange={(event) => setHeading(event.target.value)} placeholder="Type a heading" />
+          <SettingSlider
+            label="Size"
+            value={headingSettings.size}
+            format={(value) => `${value}px`}
+            min={20}
+            max={96}
+            step={1}
+            onChange={(size) => setHeadingSettings({ ...headingSettings, size })}
+          />
+          <SettingSlider
+            label="Line height"
+            value={headingSettings.lineHeight}
+            format={(value) => value.toFixed(2)}
+            min={0.8}
+            max={1.8}
+            step={0.05}
+            onChange={(lineHeight) => setHeadingSettings({ ...headingSettings, lineHeight })}
+          />
+        </div>
+
+        <div className="space-y-4">
+          <h4 className="font-medium">Body text · {names[bodyRole]}</h4>
+          <Textarea
+            value={body}
+            onChange={(event) => setBody(event.target.value)}
+            placeholder="Type body text; separate paragraphs with a blank line"
+            rows={4}
+          />
+          <SettingSlider
+            label="Size"
+            value={bodySettings.size}
+            format={(value) => `${value}px`}
+            min={12}
+            max={28}
+            step={1}
+            onChange={(size) => setBodySettings({ ...bodySettings, size })}
+          />
+          <SettingSlider
+            label="Line height"
+            value={bodySettings.lineHeight}
+            format={(value) => value.toFixed(2)}
+            min={1}
+            max={2.2}
+            step={0.05}
+            onChange={(lineHeight) => setBodySettings({ ...bodySettings, lineHeight })}
+          />
+        </div>
+      </div>
+
+      <Button size="sm" variant="ghost" onClick={reset}>
+        <RotateCcw className="w-4 h-4 mr-2" />
+        Reset text and sizes
+      </Button>
+    </div>
+  );
+};
+
+export default PairingPreview;
@@ -0,0 +1,79 @@
+import { Accordion, AccordionContent, AccordionItem, AccordionTrigger } from "@/components/ui/accordion";
+import { FontMetrics } from "@/contexts/FontContext";
+
+interface PersonalityBreakdownProps {
+  personality?: FontMetrics["personality"];
+}
+
+const traitLabels = {
+  formality: "Formality",
+  approachability: "Approachability",
+  gentleness: "Gentleness",
+  sophistication: "Sophistication",
+  traditionality: "Traditionality",
+  playfulness: "Playfulness",
+};
+
+const PersonalityBreakdown = ({ personality }: PersonalityBreakdownProps) => {
+  if (!personality?.breakdown) {
+    return null;
+  }
+
+  return (
+    <Accordion type="single" collapsible className="mt-4">
+      <AccordionItem value="explanation" className="border-b-0">
+        <AccordionTrigger className="py-2 text-sm text-blue-600 hover:no-underline">
+          How these scores were calculated
+        </AccordionTrigger>
+        <AccordionContent>
+          <p className="mb-4 text-sm text-gray-500">
+            Each trait starts at 50. Measured features add or remove points. Style and terminal
+            points are scaled by how confident their classification is.
+          </p>
+
+          <div className="grid grid-cols-2 gap-4">
+            {Object.entries(traitLabels).map(([trait, label]) => {
+              const contributions = personality.breakdown[trait] || [];
+              const total = contributions.reduce((sum, item) => sum + item.points, 50);
+              const score = personality[trait as keyof typeof traitLabels];
+
+              return (
+                <div key={trait} className="rounded-md border p-3">
+                  <div className="mb-2 flex justify-between font-medium">
+                    <span>{label}</span>
+                    <span>{score}</span>
+                  </div>
+
+                  <ul className="space-y-1 text-sm">
+                    <li className="flex justify-between text-gray-400">
+                      <span>Base score</span>
+                      <span>50</span>
+                    </li>
+                    {contributions.map((item, index) => (
+                      <li key={index} className="flex justify-between gap-3">
+                        <span className="text-gray-600">
+                          {item.feature}: <span className="text-gray-400">{item.value}</span>
+                        </span>
+                        <span className={item.points > 0 ? "text-green-600" : "text-red-600"}>
+                          {item.points > 0 ? `+${item.points}` : item.points}
+                        </span>
+                      </li>
+                    ))}
+                    {total !== score && (
+                      <li className="flex justify-between text-gray-400">
+                        <span>Raw total, clamped to 0–100</span>
+                        <span>{total}</span>
+                      </li>
+                    )}
+                  </ul>
+                </div>
+              );
+            })}
+          </div>
+        </AccordionContent>
+      </AccordionItem>
+    </Accordion>
+  );
+};
+
+export default PersonalityBreakdown;
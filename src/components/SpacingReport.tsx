@@ -0,0 +1,215 @@
+import { useState } from "react";
+import { Input } from "@/components/ui/input";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { KerningPairCheck, SpacingAnalysis } from "@/contexts/FontContext";
+
+interface SpacingReportProps {
+  spacing?: SpacingAnalysis;
+  fontFamily: string;
+}
+
+type Highlight = "kerned" | "missing" | "none";
+
+const DEFAULT_SAMPLE = "AVATAR To Tyre LT Yoga r. f' WAVE Paper, Travel";
+
+const statusStyles: Record<KerningPairCheck["status"], { label: string; className: string }> = {
+  kerned: { label: "Kerned", className: "text-green-700" },
+  missing: { label: "Missing", className: "text-red-700" },
+  unknown: { label: "Not readable", className: "text-gray-500" },
+  unmapped: { label: "Not in font", className: "text-gray-400" },
+};
+
+// Each character is tinted by the pair it starts, so a kerned or missing pair shows as a two-letter band
+const pairClass = (value: number | undefined, missing: boolean, highlight: Highlight, selected: boolean) => {
+  if (selected) return "bg-blue-200";
+  if (highlight === "kerned" && value !== undefined) return value < 0 ? "bg-blue-100" : "bg-amber-100";
+  if (highlight === "missing" && missing) return "bg-red-100";
+  return "";
+};
+
+const SpacingReport = ({ spacing, fontFamily }: SpacingReportProps) => {
+  const [sample, setSample] = useState(DEFAULT_SAMPLE);
+  const [highlight, setHighlight] = useState<Highlight>("kerned");
+  const [selectedPair, setSelectedPair] = useState<string | null>(null);
+
+  if (!spacing) {
+    return <p className="text-gray-500">Spacing data is not available. Analyze the font again to read its kerning.</p>;
+  }
+
+  const { gpos, kernedPairs, unitsPerEm } = spacing;
+  const missing = new Set(spacing.missingPairs);
+  const kernedCommon = spacing.commonPairs.filter((pair) => pair.status === "kerned").length;
+  const checkedCommon = spacing.commonPairs.filter((pair) => pair.status !== "unmapped").length;
+  const characters = [...sample];
+
+  const formatUnits = (value: number) => `${value > 0 ? "+" : ""}${value} (${(value / unitsPerEm).toFixed(3)} em)`;
+
+  const stats = [
+    { label: "Kerning pairs", value: spacing.totalPairs.toLocaleString() },
+    { label: "Source", value: spacing.source ?? "None" },
+    { label: "Common pairs kerned", value: `${kernedCommon} of ${checkedCommon}` },
+    { label: "Sidebearing flags", value: spacing.monospaced ? "—" : spacing.inconsistencies },
+  ];
+
+  const highlights: { value: Highlight; label: string }[] = [
+    { value: "kerned", label: "Kerned pairs" },
+    { value: "missing", label: "Missing common pairs" },
+    { value: "none", label: "None" },
+  ];
+
+  return (
+    <div className="space-y-8">
+      <dl className="grid grid-cols-2 gap-4 md:grid-cols-4">
+        {stats.map(({ label, value }) => (
+          <div key={label} className="rounded-md border p-4">
+            <dt className="text-sm text-gray-500">{label}</dt>
+            <dd className="text-2xl font-semibold text-gray-800">{value}</dd>
+          </div>
+        ))}
+      </dl>
+
+      <div className="space-y-2 text-sm text-gray-600">
+        {spacing.source === "GPOS" && (
+          <p>
+            {gpos.glyphPairs.toLocaleString()} glyph-to-glyph pairs and {gpos.classPairs.toLocaleString()} class pairs covering{" "}
+            {gpos.classGlyphPairs.toLocaleString()} glyph combinations, in {gpos.lookupCount} GPOS lookup
+            {gpos.lookupCount === 1 ? "" : "s"}.
+            {spacing.kernTablePairs > 0 &&
+              ` The legacy kern table's ${spacing.kernTablePairs.toLocaleString()} pairs are ignored by shapers that read GPOS.`}
+          </p>
+        )}
+        {spacing.source === "kern" && (
+          <p>{spacing.kernTablePairs.toLocaleString()} glyph pairs from the legacy kern table; the font has no GPOS kerning.</p>
+        )}
+        {spacing.monospaced && <p>This is a monospaced font, so kerning and matching sidebearings aren't expected.</p>}
+        {!spacing.complete && (
+          <p className="rounded-md bg-amber-50 p-3 text-amber-800">
+            {gpos.unreadableLookups} kerning lookup{gpos.unreadableLookups === 1 ? "" : "s"} could not be read from the GPOS
+            table, so pairs without a value are not reported as missing.
+          </p>
+        )}
+      </div>
+
+      <div className="space-y-3">
+        <Input value={sample} onChange={(event) => setSample(event.target.value)} placeholder="Type sample text" />
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="text-sm text-gray-500">Highlight:</span>
+          {highlights.map(({ value, label }) => (
+            <button
+              key={value}
+              onClick={() => setHighlight(value)}
+              className={`px-3 py-1 rounded-md text-sm ${
+                highlight === value ? "bg-primary text-primary-foreground" : "bg-muted text-muted-foreground"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <p className="rounded-md border p-4 text-5xl leading-tight text-gray-900" style={{ fontFamily }}>
+          {characters.map((char, i) => {
+            const pair = char + (characters[i + 1] ?? "");
+            const value = kernedPairs[pair];
+            return (
+              <span
+                key={i}
+                className={pairClass(value, missing.has(pair), highlight, pair === selectedPair)}
+                title={value !== undefined ? `${pair}: ${formatUnits(value)}` : undefined}
+              >
+                {char}
+              </span>
+            );
+          })}
+        </p>
+        <div className="flex gap-4 text-xs text-gray-500">
+          <span className="flex items-center gap-1">
+            <span className="inline-block h-3 w-3 rounded-sm bg-blue-100" /> Tightened
+          </span>
+          <span className="flex items-center gap-1">
+            <span className="inline-block h-3 w-3 rounded-sm bg-amber-100" /> Loosened
+          </span>
+          <span className="flex items-center gap-1">
+            <span className="inline-block h-3 w-3 rounded-sm bg-red-100" /> Common pair without kerning
+          </span>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 gap-8 lg:grid-cols-2">
+        <div>
+          <h4 className="mb-3 font-semibold text-gray-700">Common problem pairs</h4>
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Pair</TableHead>
+                <TableHead>Status</TableHead>
+                <TableHead className="text-right">Adjustment</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {spacing.commonPairs.map((check) => (
+                <TableRow
+                  key={check.pair}
+                  onClick={() => setSelectedPair(selectedPair === check.pair ? null : check.pair)}
+                  className={`cursor-pointer ${selectedPair === check.pair ? "bg-blue-50" : ""}`}
+                >
+                  <TableCell className="text-2xl" style={{ fontFamily }}>
+                    {check.pair}
+                  </TableCell>
+                  <TableCell className={statusStyles[check.status].className}>
+                    {spacing.monospaced && check.status === "missing" ? "Not kerned" : statusStyles[check.status].label}
+                  </TableCell>
+                  <TableCell className="text-right tabular-nums">{check.value ? formatUnits(check.value) : "—"}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+          <p className="mt-2 text-xs text-gray-400">Click a pair to highlight it in the sample. Values are in font units.</p>
+        </div>
+
+        <div>
+          <h4 className="mb-3 font-semibold text-gray-700">Sidebearing consistency</h4>
+          {spacing.sidebearings.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              {spacing.monospaced ? "Not checked for monospaced fonts." : "The font lacks the lowercase glyphs these checks compare."}
+            </p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Glyph side</TableHead>
+                  <TableHead className="text-right">Sidebearing</TableHead>
+                  <TableHead className="text-right">Difference</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {spacing.sidebearings.flatMap((group) => [
+                  <TableRow key={group.name} className="hover:bg-transparent">
+                    <TableCell colSpan={3} className="pt-4 text-xs uppercase tracking-wide text-gray-400">
+                      {group.name} — compared with {group.reference.char} {group.reference.side}
+                    </TableCell>
+                  </TableRow>,
+                  ...group.glyphs.map((glyph) => (
+                    <TableRow key={`${group.name}-${glyph.char}-${glyph.side}`} className={glyph.consistent ? "" : "bg-amber-50"}>
+                      <TableCell>
+                        <span className="mr-2 text-xl" style={{ fontFamily }}>
+                          {glyph.char}
+                        </span>
+                        {glyph.side}
+                      </TableCell>
+                      <TableCell className="text-right tabular-nums">{glyph.value}</TableCell>
+                      <TableCell className={`text-right tabular-nums ${glyph.consistent ? "text-gray-500" : "text-amber-700"}`}>
+                        {glyph.deviation === 0 ? "—" : `${glyph.deviation > 0 ? "+" : ""}${glyph.deviation}`}
+                      </TableCell>
+                    </TableRow>
+                  )),
+                ])}
+              </TableBody>
+            </Table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SpacingReport;
@@ -0,0 +1,124 @@
+import { useState } from "react";
+import { AlertCircle, AlertTriangle, Info, ShieldCheck } from "lucide-react";
+import { ValidationReport as ValidationReportData, ValidationResult } from "@/contexts/FontContext";
+
+interface ValidationReportProps {
+  validation?: ValidationReportData;
+}
+
+type SeverityFilter = "all" | ValidationResult["severity"];
+
+const severityStyles = {
+  error: {
+    icon: AlertCircle,
+    label: "Error",
+    row: "bg-red-50 border-red-100",
+    text: "text-red-700",
+  },
+  warning: {
+    icon: AlertTriangle,
+    label: "Warning",
+    row: "bg-amber-50 border-amber-100",
+    text: "text-amber-700",
+  },
+  info: {
+    icon: Info,
+    label: "Info",
+    row: "bg-blue-50 border-blue-100",
+    text: "text-blue-700",
+  },
+};
+
+const ValidationReport = ({ validation }: ValidationReportProps) => {
+  const [filter, setFilter] = useState<SeverityFilter>("all");
+
+  if (!validation) {
+    return (
+      <p className="text-gray-500">
+        Validation results are not available. Analyze the font again to run the checks.
+      </p>
+    );
+  }
+
+  const { results, summary } = validation;
+  const visibleResults = filter === "all" ? results : results.filter((result) => result.severity === filter);
+
+  const filters: { value: SeverityFilter; label: string; count: number }[] = [
+    { value: "all", label: "All", count: results.length },
+    { value: "error", label: "Errors", count: summary.errors },
+    { value: "warning", label: "Warnings", count: summary.warnings },
+    { value: "info", label: "Info", count: summary.info },
+  ];
+
+  return (
+    <div className="space-y-6">
+      {/* Summary */}
+      <div className="flex items-center gap-3">
+        {summary.errors === 0 ? (
+          <ShieldCheck className="w-8 h-8 text-green-500" />
+        ) : (
+          <AlertCircle className="w-8 h-8 text-red-500" />
+        )}
+        <div>
+          <div className="text-lg font-semibold text-gray-800">
+            {summary.errors === 0 ? "No errors found" : `${summary.errors} error${summary.errors === 1 ? "" : "s"} found`}
+          </div>
+          <div className="text-sm text-gray-500">
+            {summary.warnings} warning{summary.warnings === 1 ? "" : "s"}, {summary.info} note{summary.info === 1 ? "" : "s"}
+          </div>
+        </div>
+      </div>
+
+      {/* Severity filter */}
+      <div className="flex flex-wrap gap-2">
+        {filters.map(({ value, label, count }) => (
+          <button
+            key={value}
+            onClick={() => setFilter(value)}
+            className={`px-3 py-1 rounded-md text-sm ${
+              filter === value ? "bg-primary text-primary-foreground" : "bg-muted text-muted-foreground"
+            }`}
+          >
+            {label} ({count})
+          </button>
+        ))}
+      </div>
+
+      {/* Findings */}
+      {visibleResults.length === 0 ? (
+        <p className="text-gray-500">No findings at this severity.</p>
+      ) : (
+        <ul className="space-y-2">
+          {visibleResults.map((result, index) => {
+            const style = severityStyles[result.severity];
+            const Icon = style.icon;
+            return (
+              <li key={`${result.id}-${index}`} className={`rounded-lg border p-3 flex gap-3 ${style.row}`}>
+                <Icon className={`w-5 h-5 flex-shrink-0 mt-0.5 ${style.text}`} />
+                <div className="min-w-0">
+                  <div className="flex items-center gap-2 mb-1">
+                    <span className={`text-xs font-semibold uppercase ${style.text}`}>{style.label}</span>
+                    <code className="text-xs text-gray-500">{result.id}</code>
+                    {result.family && <span className="text-xs text-gray-500">· {result.family}</span>}
+                  </div>
+                  <p className="text-sm text-gray-700 break-words">{result.message}</p>
+                  {result.files && result.files.length > 0 && (
+                    <div className="flex flex-wrap gap-1 mt-2">
+                      {result.files.map((file) => (
+                        <span key={file} className="px-2 py-0.5 rounded bg-white/70 border border-border text-xs text-gray-600">
+                          {file}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ValidationReport;
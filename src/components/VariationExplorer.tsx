@@ -0,0 +1,250 @@
+import { useState } from "react";
+import { Gauge, RotateCcw } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Slider } from "@/components/ui/slider";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { FontVariations, InstanceAnalysis, VariationAxis } from "@/contexts/FontContext";
+import { analyzeFontInstance } from "@/lib/fontAnalysis/fontValidator";
+
+interface VariationExplorerProps {
+  variations: FontVariations;
+  fontFamily: string;
+  fontFile: File | null;
+  faceIndex?: number;
+}
+
+const DEFAULT_SAMPLE = "Handgloves 0123456789";
+
+const defaultCoordinates = (axes: VariationAxis[]) =>
+  Object.fromEntries(axes.map((axis) => [axis.tag, axis.default]));
+
+// Whole units are fine for wide ranges like wght; narrow ones like slnt need finer steps
+const axisStep = (axis: VariationAxis) => (axis.max - axis.min >= 100 ? 1 : 0.1);
+
+const formatValue = (value: number) => String(Math.round(value * 10) / 10);
+
+const toVariationSettings = (axes: VariationAxis[], coordinates: Record<string, number>) =>
+  axes.map((axis) => `"${axis.tag}" ${formatValue(coordinates[axis.tag])}`).join(", ");
+
+const formatEm = (value: number | null) => (value === null ? "—" : `${value.toFixed(3)} em`);
+
+const InstanceStats = ({ analysis }: { analysis: InstanceAnalysis }) => {
+  const stats = [
+    { label: "Weight", value: analysis.weight },
+    { label: "Width", value: analysis.width },
+    { label: "x-height", value: formatEm(analysis.metrics.xHeight) },
+    { label: "Cap height", value: formatEm(analysis.metrics.capHeight) },
+    { label: "Ascender", value: formatEm(analysis.metrics.ascender) },
+    { label: "Descender", value: formatEm(analysis.metrics.descender) },
+    { label: "Contrast", value: analysis.metrics.contrast },
+  ];
+
+  return (
+    <dl className="grid grid-cols-2 gap-x-4 gap-y-2 text-sm md:grid-cols-4">
+      {stats.map(({ label, value }) => (
+        <div key={label}>
+          <dt className="text-gray-500">{label}</dt>
+          <dd className="font-medium">{value}</dd>
+        </div>
+      ))}
+    </dl>
+  );
+};
+
+const VariationExplorer = ({ variations, fontFamily, fontFile, faceIndex = 0 }: VariationExplorerProps) => {
+  const { axes, instances, statValues } = variations;
+  const [sample, setSample] = useState(DEFAULT_SAMPLE);
+  const [coordinates, setCoordinates] = useState<Record<string, number>>(() => defaultCoordinates(axes));
+  const [measurement, setMeasurement] = useState<InstanceAnalysis | null>(null);
+  const [isMeasuring, setIsMeasuring] = useState(false);
+  const [measureError, setMeasureError] = useState<string | null>(null);
+
+  // A measurement only describes the coordinates it was taken at
+  const updateCoordinates = (next: Record<string, number>) => {
+    setCoordinates(next);
+    setMeasurement(null);
+    setMeasureError(null);
+  };
+
+  const measure = async () => {
+    if (!fontFile) return;
+
+    setIsMeasuring(true);
+    setMeasureError(null);
+    try {
+      setMeasurement(await analyzeFontInstance(fontFile, coordinates, { faceIndex }));
+    } catch (error) {
+      setMeasureError(error.message);
+    } finally {
+      setIsMeasuring(false);
+    }
+  };
+
+  const variationSettings = toVariationSettings(axes, coordinates);
+
+  const statAxes = axes
+    .map((axis) => ({
+      axis,
+      values: statValues.filter((value) => value.axes.some((entry) => entry.tag === axis.tag)),
+    }))
+    .filter(({ values }) => values.length > 0);
+
+  return (
+    <div className="space-y-8">
+      {!variations.tablesReadable && (
+        <p className="rounded-md bg-amber-50 p-3 text-sm text-amber-800">
+          The avar, STAT and gvar tables could not be read. Axis ranges and named instances come from fvar; metrics
+          below are measured on the default outlines, so other settings can't be measured.
+        </p>
+      )}
+      {variations.tablesReadable && !variations.hasGvar && (
+        <p className="rounded-md bg-amber-50 p-3 text-sm text-amber-800">
+          This font has no gvar table, so outline metrics are measured on the default instance.
+        </p>
+      )}
+
+      <div className="grid grid-cols-1 gap-6 lg:grid-cols-[minmax(0,2fr)_minmax(0,3fr)]">
+        <div className="space-y-5">
+          {axes.map((axis) => (
+            <div key={axis.tag} className="space-y-2">
+              <div className="flex items-baseline justify-between text-sm">
+                <span className="font-medium">
+                  {axis.name} <code className="text-gray-400">{axis.tag}</code>
+                  {axis.hidden && <span className="ml-2 text-xs text-gray-400">hidden</span>}
+                </span>
+                <span className="tabular-nums text-gray-600">{formatValue(coordinates[axis.tag])}</span>
+              </div>
+              <Slider
+                value={[coordinates[axis.tag]]}
+                min={axis.min}
+                max={axis.max}
+                step={axisStep(axis)}
+                onValueChange={([value]) => updateCoordinates({ ...coordinates, [axis.tag]: value })}
+              />
+              <div className="flex justify-between text-xs text-gray-400">
+                <span>{formatValue(axis.min)}</span>
+                <span>default {formatValue(axis.default)}</span>
+                <span>{formatValue(axis.max)}</span>
+              </div>
+            </div>
+          ))}
+
+          {instances.length > 0 && (
+            <div className="flex flex-wrap gap-2">
+              {instances.map((instance) => (
+                <button
+                  key={instance.name}
+                  onClick={() => updateCoordinates({ ...coordinates, ...instance.coordinates })}
+                  className="px-3 py-1 rounded-md text-sm bg-muted text-muted-foreground hover:bg-primary hover:text-primary-foreground"
+                >
+                  {instance.name}
+                </button>
+              ))}
+            </div>
+          )}
+
+          <div className="flex gap-2">
+            <Button variant="outline" size="sm" onClick={() => updateCoordinates(defaultCoordinates(axes))} className="flex items-center gap-2">
+              <RotateCcw className="w-4 h-4" />
+              Default
+            </Button>
+            <Button size="sm" onClick={measure} disabled={!fontFile || isMeasuring || !variations.tablesReadable} className="flex items-center gap-2">
+              <Gauge className="w-4 h-4" />
+              {isMeasuring ? "Measuring…" : "Measure at these settings"}
+            </Button>
+          </div>
+        </div>
+
+        <div className="space-y-3">
+          <Input value={sample} onChange={(event) => setSample(event.target.value)} placeholder="Type sample text" />
+          <div className="rounded-md border p-4">
+            <code className="mb-2 block text-xs text-gray-400">font-variation-settings: {variationSettings}</code>
+            <p className="text-5xl leading-tight text-gray-900" style={{ fontFamily, fontVariationSettings: variationSettings }}>
+              {sample}
+            </p>
+          </div>
+
+          {measureError && <p className="text-sm text-red-600">{measureError}</p>}
+          {measurement && (
+            <div className="rounded-md border border-blue-200 bg-blue-50/40 p-4">
+              <InstanceStats analysis={measurement} />
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div>
+        <h4 className="mb-3 font-semibold text-gray-700">Default instance</h4>
+        <InstanceStats analysis={variations.defaultInstance} />
+      </div>
+
+      {instances.length > 0 && (
+        <div>
+          <h4 className="mb-3 font-semibold text-gray-700">Named instances</h4>
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Instance</TableHead>
+                <TableHead>Coordinates</TableHead>
+                <TableHead>Weight</TableHead>
+                <TableHead>Width</TableHead>
+                <TableHead className="text-right">x-height</TableHead>
+                <TableHead className="text-right">Cap height</TableHead>
+                <TableHead>Contrast</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {instances.map((instance) => (
+                <TableRow key={instance.name}>
+                  <TableCell
+                    className="font-medium"
+                    style={{ fontFamily, fontVariationSettings: toVariationSettings(axes, instance.analysis.coordinates) }}
+                  >
+                    {instance.name}
+                  </TableCell>
+                  <TableCell className="text-sm text-gray-500">
+                    {axes.map((axis) => `${axis.tag} ${formatValue(instance.analysis.coordinates[axis.tag])}`).join(", ")}
+                  </TableCell>
+                  <TableCell>{instance.analysis.weight}</TableCell>
+                  <TableCell>{instance.analysis.width}</TableCell>
+                  <TableCell className="text-right">{formatEm(instance.analysis.metrics.xHeight)}</TableCell>
+                  <TableCell className="text-right">{formatEm(instance.analysis.metrics.capHeight)}</TableCell>
+                  <TableCell>{instance.analysis.metrics.contrast}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </div>
+      )}
+
+      {statAxes.length > 0 && (
+        <div>
+          <h4 className="mb-3 font-semibold text-gray-700">STAT axis values</h4>
+          <div className="space-y-3">
+            {statAxes.map(({ axis, values }) => (
+              <div key={axis.tag} className="flex flex-wrap items-baseline gap-2 text-sm">
+                <span className="w-32 font-medium">{axis.name}</span>
+                {values.map((value, i) => {
+                  const entry = value.axes.find((item) => item.tag === axis.tag);
+                  const range = value.rangeMin !== undefined ? ` (${formatValue(value.rangeMin)}–${formatValue(value.rangeMax)})` : "";
+                  return (
+                    <span
+                      key={i}
+                      className={`rounded-md px-2 py-0.5 ${value.elidable ? "bg-muted text-muted-foreground" : "bg-blue-50 text-blue-800"}`}
+                      title={value.elidable ? "Elidable: omitted from composed style names" : undefined}
+                    >
+                      {value.name} <span className="text-gray-400">{formatValue(entry.value)}{range}</span>
+                    </span>
+                  );
+                })}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VariationExplorer;
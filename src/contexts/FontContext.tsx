@@ -1,4 +1,5 @@
-import { createContext, useState, ReactNode } from "react";
+import { createContext, useState, useEffect, ReactNode } from "react";
+import { listFontFacesInWorker } from "@/lib/fontAnalysis/analysisClient";
 
 interface FontPersonality {
   formality: number;
@@ -8,6 +9,39 @@ interface FontPersonality {
   traditionality: number;
   playfulness: number;
   emotionalDescription?: string;
+  // Points each measured feature added to a trait; the score is 50 plus these points
+  breakdown?: Record<string, PersonalityContribution[]>;
+}
+
+export interface PersonalityContribution {
+  feature: string;
+  value: string;
+  points: number;
+}
+
+export interface BlockCoverage {
+  name: string;
+  start: number | null;
+  end: number | null;
+  covered: number;
+  total: number | null;
+  percent: number | null;
+}
+
+export interface LanguageCoverage {
+  language: string;
+  script: string;
+  status: "supported" | "partial" | "unsupported";
+  percent: number;
+  missing: string[];
+  missingCount: number;
+  shortfalls: { label: string; covered: number; minimum: number }[];
+}
+
+export interface UnicodeCoverage {
+  totalCodepoints: number;
+  blocks: BlockCoverage[];
+  languages: LanguageCoverage[];
 }
 
 interface CharacterSet {
@@ -16,6 +50,185 @@ interface CharacterSet {
   symbols: string;
   punctuation: string;
   languages: string;
+  coverage?: UnicodeCoverage;
+}
+
+export interface ValidationResult {
+  id: string;
+  severity: "error" | "warning" | "info";
+  message: string;
+  // Set by the family checks, which compare several files
+  family?: string;
+  files?: string[];
+}
+
+export interface ValidationReport {
+  results: ValidationResult[];
+  summary: {
+    errors: number;
+    warnings: number;
+    info: number;
+  };
+}
+
+export interface StyleEvidence {
+  source: string;
+  signal: string;
+  supports: string;
+  weight: number;
+}
+
+export interface StyleAnalysis {
+  classification: string;
+  confidence: number;
+  evidence: StyleEvidence[];
+}
+
+// Where a vertical metric was taken from
+export type MetricSource = "measured" | "OS/2" | "hhea" | "unavailable";
+
+export interface MetricDiscrepancy {
+  metric: "xHeight" | "capHeight";
+  source: string;
+  declared: number;
+  measured: number;
+}
+
+export interface LayoutFeature {
+  tag: string;
+  name: string;
+  tables: ("GSUB" | "GPOS")[];
+  enabledByDefault: boolean;
+  scripts: { script: string; name: string; languages: string[] }[];
+  lookupCount: number;
+}
+
+export interface LayoutFeatures {
+  features: LayoutFeature[];
+  scripts: string[];
+  lookupCounts: { GSUB?: number; GPOS?: number };
+}
+
+export interface VariationAxis {
+  tag: string;
+  name: string;
+  min: number;
+  default: number;
+  max: number;
+  hidden: boolean;
+  ordering: number | null;
+}
+
+export interface InstanceAnalysis {
+  coordinates: Record<string, number>;
+  weight: string;
+  width: string;
+  metrics: {
+    xHeight: number | null;
+    capHeight: number | null;
+    ascender: number | null;
+    descender: number | null;
+    contrast: string;
+    contrastRatio: number | null;
+  };
+  outlinesVaried: boolean;
+}
+
+export interface StatAxisValue {
+  format: number;
+  name: string;
+  elidable: boolean;
+  axes: { tag: string; value: number }[];
+  rangeMin?: number;
+  rangeMax?: number;
+  linkedValue?: number;
+}
+
+export interface FontVariations {
+  axes: VariationAxis[];
+  instances: { name: string; coordinates: Record<string, number>; analysis: InstanceAnalysis }[];
+  statValues: StatAxisValue[];
+  hasAvar: boolean;
+  hasGvar: boolean;
+  tablesReadable: boolean;
+  defaultInstance: InstanceAnalysis;
+}
+
+export interface KerningPairCheck {
+  pair: string;
+  value: number;
+  status: "kerned" | "missing" | "unknown" | "unmapped";
+}
+
+export interface SidebearingGroup {
+  name: string;
+  reference: { char: string; side: "left" | "right" };
+  glyphs: { char: string; side: "left" | "right"; value: number; deviation: number; consistent: boolean }[];
+}
+
+export interface SpacingAnalysis {
+  unitsPerEm: number;
+  source: "GPOS" | "kern" | null;
+  kernTablePairs: number;
+  gpos: {
+    lookupCount: number;
+    glyphPairs: number;
+    classPairs: number;
+    classGlyphPairs: number;
+    unreadableLookups: number;
+  };
+  totalPairs: number;
+  monospaced: boolean;
+  commonPairs: KerningPairCheck[];
+  complete: boolean;
+  missingPairs: string[];
+  kernedPairs: Record<string, number>;
+  sidebearings: SidebearingGroup[];
+  inconsistencies: number;
+}
+
+export interface LineMetricsModel {
+  id: "hhea" | "typo" | "win";
+  name: string;
+  platforms: string;
+  active: boolean;
+  ascent: number;
+  descent: number;
+  lineGap: number;
+  lineHeight: number;
+  normalLineHeight: number;
+  baseline: number;
+  risks: { severity: "error" | "warning"; message: string }[];
+}
+
+export interface VerticalMetricsAnalysis {
+  unitsPerEm: number;
+  useTypoMetrics: boolean;
+  extremes: {
+    font: { yMax: number; yMin: number } | null;
+    text: { yMax: number; yMaxChar: string; yMin: number; yMinChar: string } | null;
+  };
+  models: LineMetricsModel[];
+  consistency: { lineHeightSpread: number; baselineShift: number; consistent: boolean };
+  suggested: {
+    ascent: number;
+    descent: number;
+    lineGap: number;
+    winAscent: number;
+    winDescent: number;
+    useTypoMetrics: boolean;
+    changes: { field: string; current: number | boolean; suggested: number | boolean }[];
+  };
+  css: { ascentOverride: string; descentOverride: string; lineGapOverride: string; declarations: string };
+}
+
+export interface LineMetrics {
+  unitsPerEm: number;
+  source: "hhea" | "OS/2";
+  ascent: number;
+  descent: number;
+  lineGap: number;
+  averageWidth: number | null;
 }
 
 export interface FontMetrics {
@@ -26,6 +239,12 @@ export interface FontMetrics {
   contrast: string;
   strokeTerminals: string;
   shape: string;
+  metricSources?: Record<"xHeight" | "capHeight" | "ascender" | "descender", MetricSource>;
+  overshoot?: { xHeight: number | null; capHeight: number | null };
+  metricDiscrepancies?: MetricDiscrepancy[];
+  contrastRatio?: number | null;
+  // 0-1 confidence in the outline-derived contrast and terminal classifications
+  metricConfidence?: { contrast: number; strokeTerminals: number };
   personality?: FontPersonality;
   recommendedUses?: string[];
   notRecommendedUses?: string[];
@@ -34,14 +253,70 @@ export interface FontMetrics {
   weight?: string;
   width?: string;
   style?: string;
+  styleAnalysis?: StyleAnalysis;
+  format?: string;
+  container?: string;
+  faceIndex?: number;
+  faceName?: string;
+  layoutFeatures?: LayoutFeatures;
+  variations?: FontVariations | null;
+  spacing?: SpacingAnalysis;
+  verticalMetrics?: VerticalMetricsAnalysis | null;
+  lineMetrics?: LineMetrics;
+  validation?: ValidationReport;
+  // The full analyzeFontFile result, kept for the structured report exports
+  analysis?: Record<string, unknown>;
 }
 
+export interface FamilyMember {
+  id: string;
+  fileName: string;
+  faceIndex: number;
+  faceCount: number;
+  name: string;
+  familyName: string;
+  subfamilyName: string;
+  weight: string;
+  weightClass: number | null;
+  width: string;
+  widthClass: number | null;
+  italic: boolean;
+  xHeight: number | null;
+  capHeight: number | null;
+  ascender: number | null;
+  descender: number | null;
+  unitsPerEm: number;
+  lineMetrics: Partial<Record<LineMetricsModel["id"], LineMetricsModel>>;
+  lineHeight: number | null;
+  codepoints: number | null;
+  validation: ValidationReport["summary"];
+  familyStyle?: Record<string, unknown>;
+}
+
+export interface CollectionFace {
+  index: number;
+  familyName: string;
+  subfamilyName: string;
+  fullName: string;
+  postScriptName: string;
+}
+
+// A face index, or "all" to analyze every face of a collection
+export type FaceSelection = number | "all";
+
 interface FontContextProps {
   fontFile: File | null;
   setFontFile: (file: File | null) => void;
   fontName: string;
   fontMetrics: FontMetrics | null;
   setFontMetrics: (metrics: FontMetrics | null) => void;
+  fontFaces: CollectionFace[];
+  faceSelection: FaceSelection;
+  setFaceSelection: (selection: FaceSelection) => void;
+  faceMetrics: FontMetrics[] | null;
+  setFaceMetrics: (metrics: FontMetrics[] | null) => void;
+  batchFiles: File[];
+  setBatchFiles: (files: File[]) => void;
 }
 
 export const FontContext = createContext<FontContextProps>({
@@ -50,6 +325,13 @@ export const FontContext = createContext<FontContextProps>({
   fontName: "",
   fontMetrics: null,
   setFontMetrics: () => {},
+  fontFaces: [],
+  faceSelection: 0,
+  setFaceSelection: () => {},
+  faceMetrics: null,
+  setFaceMetrics: () => {},
+  batchFiles: [],
+  setBatchFiles: () => {},
 });
 
 interface FontProviderProps {
@@ -59,6 +341,32 @@ interface FontProviderProps {
 export const FontProvider = ({ children }: FontProviderProps) => {
   const [fontFile, setFontFile] = useState<File | null>(null);
   const [fontMetrics, setFontMetrics] = useState<FontMetrics | null>(null);
+  const [fontFaces, setFontFaces] = useState<CollectionFace[]>([]);
+  const [faceSelection, setFaceSelection] = useState<FaceSelection>(0);
+  const [faceMetrics, setFaceMetrics] = useState<FontMetrics[] | null>(null);
+  // Files handed from the uploader to the batch page
+  const [batchFiles, setBatchFiles] = useState<File[]>([]);
+
+  // List the faces of collection files so one (or all) can be picked for analysis
+  useEffect(() => {
+    setFaceSelection(0);
+    setFaceMetrics(null);
+    setFontFaces([]);
+
+    if (!fontFile) return;
+
+    // Unwrapping WOFF2 can take a while, so it runs in a worker that a newer upload terminates
+    const controller = new AbortController();
+    listFontFacesInWorker(fontFile, { signal: controller.signal })
+      .then((faces) => setFontFaces(faces))
+      .catch(() => {
+        // Unreadable files are reported when they are analyzed
+      });
+
+    return () => {
+      controller.abort();
+    };
+  }, [fontFile]);
 
   // Extract font name from file if available
   const fontName = fontFile ? fontFile.name.split('.')[0] : "";
@@ -71,6 +379,13 @@ export const FontProvider = ({ children }: FontProviderProps) => {
         fontName,
         fontMetrics,
         setFontMetrics,
+        fontFaces,
+        faceSelection,
+        setFaceSelection,
+        faceMetrics,
+        setFaceMetrics,
+        batchFiles,
+        setBatchFiles,
       }}
     >
       {children}
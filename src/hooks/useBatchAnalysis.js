@@ -0,0 +1,146 @@
+import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { analyzeFontCollectionInWorker, isAbortError } from '@/lib/fontAnalysis/analysisClient';
+import { collectFontFiles, summarizeFamilyMember, findFamilyOutliers } from '@/lib/fontAnalysis/batchAnalysis';
+import { checkFamilyConsistency } from '@/lib/fontAnalysis/familyConsistency';
+import { toast } from 'sonner';
+
+/**
+ * Hook for analyzing many font files in a queue
+ * Files are analyzed one at a time in a Web Worker, and every face of a collection becomes its own row;
+ * leaving the page stops the worker along with the queue
+ * @returns {Object} - Queue functions, queue entries, progress, family rows, outliers and family check findings
+ */
+export function useBatchAnalysis() {
+  const [entries, setEntries] = useState([]);
+  const [activeId, setActiveId] = useState(null);
+  const controllerRef = useRef(null);
+
+  /**
+   * Add files to the queue, unpacking ZIP archives
+   * @param {Array<File>} files - Font files and ZIP archives
+   * @returns {Promise<number>} - How many font files were queued
+   */
+  const addFiles = useCallback(async (files) => {
+    const { fonts, skipped } = await collectFontFiles(Array.from(files));
+
+    if (skipped.length > 0) {
+      toast.info(`Skipped ${skipped.length} file${skipped.length === 1 ? '' : 's'} that aren't fonts`, {
+        description: skipped.slice(0, 5).join(', ') + (skipped.length > 5 ? ', …' : ''),
+      });
+    }
+    if (fonts.length === 0) {
+      toast.error("No font files found", {
+        description: "Add TTF, OTF, WOFF, WOFF2, TTC or OTC files, or a ZIP archive containing them",
+      });
+      return 0;
+    }
+
+    setEntries(current => {
+      // The same file added twice is only analyzed once
+      const known = new Set(current.map(entry => entry.id));
+      const added = [];
+      for (const file of fonts) {
+        const id = `${file.name}:${file.size}:${file.lastModified}`;
+        if (known.has(id)) continue;
+        known.add(id);
+        added.push({ id, file, status: 'queued', rows: [], error: null });
+      }
+      return [...current, ...added];
+    });
+    return fonts.length;
+  }, []);
+
+  // Take the next queued file whenever nothing is being analyzed
+  useEffect(() => {
+    if (activeId) return;
+
+    const next = entries.find(entry => entry.status === 'queued');
+    if (!next) return;
+
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setActiveId(next.id);
+    setEntries(current => current.map(entry => (entry.id === next.id ? { ...entry, status: 'analyzing' } : entry)));
+
+    analyzeEntry(next, controller.signal)
+      .then(rows => {
+        setEntries(current => current.map(entry => (entry.id === next.id ? { ...entry, status: 'done', rows } : entry)));
+      })
+      .catch(error => {
+        // A stopped file goes back with the cancelled ones, so resuming runs it again
+        const outcome = isAbortError(error)
+          ? { status: 'cancelled' }
+          : { status: 'failed', error: error.message || 'An unexpected error occurred' };
+        setEntries(current => current.map(entry => (entry.id === next.id ? { ...entry, ...outcome } : entry)));
+      })
+      .finally(() => {
+        if (controllerRef.current === controller) controllerRef.current = null;
+        setActiveId(null);
+      });
+  }, [entries, activeId]);
+
+  // Leaving the page stops the file being analyzed
+  useEffect(() => () => {
+    if (controllerRef.current) controllerRef.current.abort();
+  }, []);
+
+  /**
+   * Stop the queue, the file being analyzed included; every unfinished file is marked as cancelled
+   */
+  const cancel = useCallback(() => {
+    if (controllerRef.current) controllerRef.current.abort();
+    setEntries(current => current.map(entry => (entry.status === 'queued' ? { ...entry, status: 'cancelled' } : entry)));
+  }, []);
+
+  /**
+   * Queue the cancelled files again
+   */
+  const resume = useCallback(() => {
+    setEntries(current => current.map(entry => (entry.status === 'cancelled' ? { ...entry, status: 'queued' } : entry)));
+  }, []);
+
+  /**
+   * Remove every file that isn't being analyzed right now
+   */
+  const clear = useCallback(() => {
+    setEntries(current => current.filter(entry => entry.status === 'analyzing'));
+  }, []);
+
+  const progress = useMemo(() => {
+    const total = entries.filter(entry => entry.status !== 'cancelled').length;
+    const finished = entries.filter(entry => entry.status === 'done' || entry.status === 'failed').length;
+    return { finished, total, running: activeId !== null };
+  }, [entries, activeId]);
+
+  const rows = useMemo(() => entries.flatMap(entry => entry.rows), [entries]);
+  const outliers = useMemo(() => findFamilyOutliers(rows), [rows]);
+  const consistency = useMemo(() => checkFamilyConsistency(rows.map(row => ({
+    id: row.id,
+    label: row.faceCount > 1 ? `${row.fileName} (face ${row.faceIndex + 1})` : row.fileName,
+    style: row.familyStyle
+  }))), [rows]);
+
+  return {
+    addFiles,
+    cancel,
+    resume,
+    clear,
+    entries,
+    progress,
+    rows,
+    outliers,
+    consistency
+  };
+}
+
+/**
+ * Analyzes one queued file, every face of it when it is a collection
+ * @param {Object} entry - Queue entry holding the font file
+ * @param {AbortSignal} signal - Aborting it terminates the worker
+ * @returns {Promise<Array<Object>>} - Family table rows, with ids unique across the queue
+ */
+async function analyzeEntry(entry, signal) {
+  // One worker task covers single fonts and collections, so the file is only unwrapped off the main thread
+  const results = await analyzeFontCollectionInWorker(entry.file, { signal });
+  return results.map(result => ({ ...summarizeFamilyMember(result, entry.file), id: `${entry.id}#${result.faceIndex}` }));
+}
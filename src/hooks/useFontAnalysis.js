@@ -1,18 +1,35 @@
-import { useState, useContext } from 'react';
-import { analyzeFontFile } from '@/lib/fontAnalysis/fontValidator';
+import { useState, useContext, useEffect, useRef, useCallback } from 'react';
+import { analyzeFontFileInWorker, analyzeFontCollectionInWorker, isAbortError } from '@/lib/fontAnalysis/analysisClient';
 import { FontContext } from '@/contexts/FontContext';
 import { toast } from 'sonner';
 
 /**
  * Hook for analyzing font files
- * @returns {Object} - Font analysis functions and state
+ * The analysis runs in a Web Worker; uploading another file cancels it
+ * @returns {Object} - Font analysis functions and state, with progress as { label, completed, total } while analyzing
  */
 export function useFontAnalysis() {
   const [isAnalyzing, setIsAnalyzing] = useState(false);
-  const { fontFile, setFontMetrics } = useContext(FontContext);
+  const [progress, setProgress] = useState(null);
+  const controllerRef = useRef(null);
+  const { fontFile, setFontMetrics, faceSelection, setFaceMetrics } = useContext(FontContext);
+
+  /**
+   * Cancel the running analysis, if any
+   */
+  const cancelAnalysis = useCallback(() => {
+    if (controllerRef.current) {
+      controllerRef.current.abort();
+      controllerRef.current = null;
+    }
+  }, []);
+
+  // A new upload makes the running analysis pointless
+  useEffect(() => cancelAnalysis, [fontFile, cancelAnalysis]);
 
   /**
    * Analyze the current font file
+   * Collections are analyzed at the selected face, or at every face when "all" is selected
    * @returns {Promise<boolean>} - Whether the analysis was successful
    */
   const analyzeFontAsync = async () => {
@@ -23,32 +40,33 @@ export function useFontAnalysis() {
       return false;
     }
 
+    cancelAnalysis();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    const options = { signal: controller.signal, onProgress: setProgress };
+
     try {
       setIsAnalyzing(true);
+      setProgress(null);
       toast.info("Font analysis started", {
         description: "Analyzing font characteristics...",
       });
 
-      // Perform the font analysis
-      const analysisResults = await analyzeFontFile(fontFile);
-      
-      // Update the font metrics in the context
-      setFontMetrics({
-        xHeight: analysisResults.metrics.xHeight,
-        capHeight: analysisResults.metrics.capHeight,
-        ascender: analysisResults.metrics.ascender,
-        descender: analysisResults.metrics.descender,
-        contrast: analysisResults.metrics.contrast,
-        strokeTerminals: analysisResults.metrics.strokeTerminals,
-        shape: analysisResults.metrics.shape,
-        personality: analysisResults.personality,
-        recommendedUses: analysisResults.recommendations.recommendedUses,
-        notRecommendedUses: analysisResults.recommendations.notRecommendedUses,
-        fontPairings: analysisResults.recommendations.fontPairings,
-        characterSet: analysisResults.characterSet,
-        weight: analysisResults.weight,
-        width: analysisResults.width
-      });
+      if (faceSelection === 'all') {
+        // Analyze every face and show the first one
+        const collectionResults = await analyzeFontCollectionInWorker(fontFile, options);
+        const faceMetrics = collectionResults.map(toFontMetrics);
+        
+        setFaceMetrics(faceMetrics);
+        setFontMetrics(faceMetrics[0]);
+      } else {
+        // Perform the font analysis
+        const analysisResults = await analyzeFontFileInWorker(fontFile, { ...options, faceIndex: faceSelection });
+        
+        // Update the font metrics in the context
+        setFaceMetrics(null);
+        setFontMetrics(toFontMetrics(analysisResults));
+      }
 
       toast.success("Font analysis complete", {
         description: "Font metrics and recommendations are ready",
@@ -56,18 +74,71 @@ export function useFontAnalysis() {
       
       return true;
     } catch (error) {
+      if (isAbortError(error)) {
+        toast.info("Font analysis cancelled");
+        return false;
+      }
       console.error('Error analyzing font:', error);
       toast.error("Font analysis failed", {
         description: error.message || "An unexpected error occurred",
       });
       return false;
     } finally {
-      setIsAnalyzing(false);
+      // A newer analysis may have taken over while this one was being cancelled
+      if (controllerRef.current === controller || controllerRef.current === null) {
+        controllerRef.current = null;
+        setIsAnalyzing(false);
+        setProgress(null);
+      }
     }
   };
 
   return {
     analyzeFontAsync,
-    isAnalyzing
+    cancelAnalysis,
+    isAnalyzing,
+    progress
+  };
+}
+
+/**
+ * Maps an analysis result onto the FontMetrics shape kept in the context
+ * @param {Object} analysisResults - Result of analyzeFontFile
+ * @returns {Object} - Font metrics for the context
+ */
+function toFontMetrics(analysisResults) {
+  return {
+    xHeight: analysisResults.metrics.xHeight,
+    capHeight: analysisResults.metrics.capHeight,
+    ascender: analysisResults.metrics.ascender,
+    descender: analysisResults.metrics.descender,
+    contrast: analysisResults.metrics.contrast,
+    strokeTerminals: analysisResults.metrics.strokeTerminals,
+    shape: analysisResults.metrics.shape,
+    metricSources: analysisResults.metrics.sources,
+    overshoot: analysisResults.metrics.overshoot,
+    metricDiscrepancies: analysisResults.metrics.discrepancies,
+    lineMetrics: analysisResults.metrics.lineMetrics,
+    contrastRatio: analysisResults.metrics.contrastRatio,
+    metricConfidence: analysisResults.metrics.confidence,
+    personality: analysisResults.personality,
+    recommendedUses: analysisResults.recommendations.recommendedUses,
+    notRecommendedUses: analysisResults.recommendations.notRecommendedUses,
+    fontPairings: analysisResults.recommendations.fontPairings,
+    characterSet: analysisResults.characterSet,
+    weight: analysisResults.weight,
+    style: analysisResults.style,
+    styleAnalysis: analysisResults.styleAnalysis,
+    width: analysisResults.width,
+    format: analysisResults.format,
+    container: analysisResults.container,
+    faceIndex: analysisResults.faceIndex,
+    faceName: analysisResults.faceCount > 1 ? analysisResults.name : undefined,
+    layoutFeatures: analysisResults.layoutFeatures,
+    variations: analysisResults.variations,
+    spacing: analysisResults.spacing,
+    verticalMetrics: analysisResults.verticalMetrics,
+    validation: analysisResults.validation,
+    analysis: analysisResults
   };
-} 
\ No newline at end of file
+}
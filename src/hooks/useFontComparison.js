@@ -1,40 +1,58 @@
-import { useState } from 'react';
-import { compareFonts } from '@/lib/fontAnalysis/fontValidator';
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { compareFontsInWorker, compareFontSetInWorker, isAbortError } from '@/lib/fontAnalysis/analysisClient';
 import { toast } from 'sonner';
 
 /**
- * Hook for comparing font files
- * @returns {Object} - Font comparison functions and state
+ * Hook for comparing font files, either two in depth or a shortlist side by side
+ * The comparison runs in a Web Worker; starting another one cancels it
+ * @returns {Object} - Font comparison functions and state, with progress as { label, completed, total } while comparing
  */
 export function useFontComparison() {
   const [isComparing, setIsComparing] = useState(false);
   const [comparisonResults, setComparisonResults] = useState(null);
+  const [fontSetResults, setFontSetResults] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const controllerRef = useRef(null);
 
   /**
-   * Compare two font files
-   * @param {File} primaryFont - The primary font file
-   * @param {File} secondaryFont - The secondary font file to compare against
-   * @returns {Promise<boolean>} - Whether the comparison was successful
+   * Cancel the running comparison, if any
    */
-  const compareFontsAsync = async (primaryFont, secondaryFont) => {
-    if (!primaryFont || !secondaryFont) {
-      toast.error("Both font files are required", {
-        description: "Please ensure both primary and secondary fonts are uploaded",
-      });
-      return false;
+  const cancelComparison = useCallback(() => {
+    if (controllerRef.current) {
+      controllerRef.current.abort();
+      controllerRef.current = null;
     }
+  }, []);
+
+  // Leaving the page stops the comparison
+  useEffect(() => cancelComparison, [cancelComparison]);
+
+  /**
+   * Runs one comparison in a worker, replacing any comparison still running
+   * @param {Function} runInWorker - Starts the worker task with { signal, onProgress }
+   * @param {Function} setResults - Stores the task's results
+   * @returns {Promise<boolean>} - Whether the comparison was successful
+   */
+  const runComparison = async (runInWorker, setResults) => {
+    cancelComparison();
+    const controller = new AbortController();
+    controllerRef.current = controller;
 
     try {
       setIsComparing(true);
+      setProgress(null);
       toast.info("Font comparison started", {
         description: "Analyzing and comparing font characteristics...",
       });
 
       // Perform the font comparison
-      const results = await compareFonts(primaryFont, secondaryFont);
+      const results = await runInWorker({
+        signal: controller.signal,
+        onProgress: setProgress
+      });
       
       // Update the comparison results
-      setComparisonResults(results);
+      setResults(results);
 
       toast.success("Font comparison complete", {
         description: "Comparison results are ready to view",
@@ -42,27 +60,85 @@ export function useFontComparison() {
       
       return true;
     } catch (error) {
+      if (isAbortError(error)) {
+        toast.info("Font comparison cancelled");
+        return false;
+      }
       console.error('Error comparing fonts:', error);
       toast.error("Font comparison failed", {
         description: error.message || "An unexpected error occurred",
       });
       return false;
     } finally {
-      setIsComparing(false);
+      // A newer comparison may have taken over while this one was being cancelled
+      if (controllerRef.current === controller || controllerRef.current === null) {
+        controllerRef.current = null;
+        setIsComparing(false);
+        setProgress(null);
+      }
     }
   };
 
   /**
-   * Clear the current comparison results
+   * Compare two font files
+   * @param {File} primaryFont - The primary font file
+   * @param {File} secondaryFont - The secondary font file to compare against
+   * @param {Object} [options] - Sections to compare as { metrics, glyphs, personality, features, outlines }, and faceIndexes, as for compareFonts
+   * @returns {Promise<boolean>} - Whether the comparison was successful
    */
-  const clearComparisonResults = () => {
+  const compareFontsAsync = async (primaryFont, secondaryFont, options = {}) => {
+    if (!primaryFont || !secondaryFont) {
+      toast.error("Both font files are required", {
+        description: "Please ensure both primary and secondary fonts are uploaded",
+      });
+      return false;
+    }
+
+    setFontSetResults(null);
+    return runComparison(
+      workerOptions => compareFontsInWorker(primaryFont, secondaryFont, { ...options, ...workerOptions }),
+      setComparisonResults
+    );
+  };
+
+  /**
+   * Compare a shortlist of font files with each other
+   * @param {Array<File>} fontFiles - The candidate font files, at least two
+   * @param {Object} [options] - Comparison options as { faceIndexes }, as for compareFontSet
+   * @returns {Promise<boolean>} - Whether the comparison was successful
+   */
+  const compareFontSetAsync = async (fontFiles, options = {}) => {
+    if (!fontFiles || fontFiles.length < 2) {
+      toast.error("At least two font files are required", {
+        description: "Please upload the fonts you want to compare",
+      });
+      return false;
+    }
+
     setComparisonResults(null);
+    return runComparison(
+      workerOptions => compareFontSetInWorker(fontFiles, { ...options, ...workerOptions }),
+      setFontSetResults
+    );
   };
 
+  /**
+   * Clear the current comparison results, cancelling a comparison that is still running
+   */
+  const clearComparisonResults = useCallback(() => {
+    cancelComparison();
+    setComparisonResults(null);
+    setFontSetResults(null);
+  }, [cancelComparison]);
+
   return {
     compareFontsAsync,
+    compareFontSetAsync,
+    cancelComparison,
     clearComparisonResults,
     isComparing,
-    comparisonResults
+    progress,
+    comparisonResults,
+    fontSetResults
   };
 } 
\ No newline at end of file
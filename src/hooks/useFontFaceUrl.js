@@ -0,0 +1,48 @@
+import { useState, useEffect } from 'react';
+import { loadFaceBufferInWorker } from '@/lib/fontAnalysis/analysisClient';
+
+/**
+ * Hook for an object URL that serves one face of a font file to an @font-face rule
+ * The face is read with loadFaceBuffer in a worker, so WOFF2 and collection faces load in any browser
+ * that takes the uncompressed font; the URL is revoked when the file changes or on unmount
+ * @param {File|null} fontFile - The font file to serve
+ * @param {number} [faceIndex=0] - Face to serve when the file is a collection
+ * @returns {Object} - { url, error }
+ */
+export function useFontFaceUrl(fontFile, faceIndex = 0) {
+  const [url, setUrl] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!fontFile) {
+      setUrl(null);
+      return;
+    }
+
+    let cancelled = false;
+    let objectUrl = null;
+    const controller = new AbortController();
+    setError(null);
+
+    loadFaceBufferInWorker(fontFile, { faceIndex, signal: controller.signal })
+      .then(fontData => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(new Blob([fontData]));
+        setUrl(objectUrl);
+      })
+      .catch(loadError => {
+        if (!cancelled) {
+          setUrl(null);
+          setError(loadError.message);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+      controller.abort();
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [fontFile, faceIndex]);
+
+  return { url, error };
+}
@@ -0,0 +1,47 @@
+import { useState, useEffect } from 'react';
+import { loadFont } from '@/lib/fontAnalysis/fontValidator';
+
+/**
+ * Hook for loading a parsed opentype.js font, for views that need the glyph outlines
+ * The font is reloaded whenever the file or face changes
+ * @param {File|null} fontFile - The font file to parse
+ * @param {number} [faceIndex=0] - Face to parse when the file is a collection
+ * @returns {Object} - { font, isLoading, error }
+ */
+export function useParsedFont(fontFile, faceIndex = 0) {
+  const [font, setFont] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!fontFile) {
+      setFont(null);
+      return;
+    }
+
+    // Ignore a slow load that finishes after the file or face has changed again
+    let cancelled = false;
+    setIsLoading(true);
+    setError(null);
+
+    loadFont(fontFile, { faceIndex })
+      .then(parsed => {
+        if (!cancelled) setFont(parsed);
+      })
+      .catch(loadError => {
+        if (!cancelled) {
+          setFont(null);
+          setError(loadError.message);
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [fontFile, faceIndex]);
+
+  return { font, isLoading, error };
+}
@@ -0,0 +1,169 @@
+// Analysis client - Main-thread entry points that run the analysis in a Web Worker
+// Each call gets its own worker, so cancelling one analysis terminates it without touching the others
+import { analyzeFontFile, analyzeFontCollection, listFontFaces, loadFaceBuffer, compareFonts, compareFontSet } from './fontValidator';
+
+/**
+ * Analyzes a font file in a worker
+ * @param {File} fontFile - The font file to analyze
+ * @param {Object} [options] - Analysis options
+ * @param {number} [options.faceIndex=0] - Face to analyze when the file is a collection
+ * @param {Function} [options.onProgress] - Called as each analysis stage starts
+ * @param {AbortSignal} [options.signal] - Aborting it terminates the worker and rejects with an AbortError
+ * @returns {Promise<Object>} - Font properties and analysis results
+ */
+export function analyzeFontFileInWorker(fontFile, options = {}) {
+  return runTask('analyzeFontFile', [fontFile], options);
+}
+
+/**
+ * Analyzes every face of a font collection in a worker, or the only face of a single-font file
+ * @param {File} fontFile - The font file to analyze
+ * @param {Object} [options] - Analysis options, as for analyzeFontFileInWorker
+ * @returns {Promise<Array<Object>>} - Analysis results for each face, in collection order
+ */
+export function analyzeFontCollectionInWorker(fontFile, options = {}) {
+  return runTask('analyzeFontCollection', [fontFile], options);
+}
+
+/**
+ * Lists the faces inside a font file in a worker
+ * Finding them means unwrapping the container, which for WOFF2 decodes the whole font
+ * @param {File} fontFile - The font file
+ * @param {Object} [options] - signal, as for analyzeFontFileInWorker
+ * @returns {Promise<Array<Object>>} - Faces as listed by listFontFaces, empty for single-font files
+ */
+export function listFontFacesInWorker(fontFile, options = {}) {
+  return runTask('listFontFaces', [fontFile], options);
+}
+
+/**
+ * Reads the binary data of one face in a worker, for serving it to an @font-face rule
+ * @param {File} fontFile - The font file
+ * @param {Object} [options] - faceIndex and signal, as for analyzeFontFileInWorker
+ * @returns {Promise<ArrayBuffer>} - The face's font data, as loadFaceBuffer returns it
+ */
+export function loadFaceBufferInWorker(fontFile, options = {}) {
+  return runTask('loadFaceBuffer', [fontFile], options);
+}
+
+/**
+ * Compares two font files in a worker
+ * @param {File} primaryFontFile - The primary font file
+ * @param {File} secondaryFontFile - The secondary font file to compare against
+ * @param {Object} [options] - Comparison options, as for analyzeFontFileInWorker
+ * @returns {Promise<Object>} - Comparison results between the two fonts
+ */
+export function compareFontsInWorker(primaryFontFile, secondaryFontFile, options = {}) {
+  return runTask('compareFonts', [primaryFontFile, secondaryFontFile], options);
+}
+
+/**
+ * Compares a shortlist of font files in a worker
+ * @param {Array<File>} fontFiles - The candidate font files
+ * @param {Object} [options] - Comparison options, as for analyzeFontFileInWorker
+ * @returns {Promise<Object>} - Metrics, personality and pairwise compatibility of every candidate
+ */
+export function compareFontSetInWorker(fontFiles, options = {}) {
+  return runTask('compareFontSet', fontFiles, options);
+}
+
+/**
+ * Tells whether an error comes from an aborted analysis
+ * @param {Error} error - Error thrown by one of the worker calls
+ * @returns {boolean} - Whether the analysis was cancelled rather than failed
+ */
+export function isAbortError(error) {
+  return Boolean(error) && error.name === 'AbortError';
+}
+
+/**
+ * Posts a task to a new worker, transferring the files' data, and settles with its result
+ * @param {string} task - Name of the analysis function to run
+ * @param {Array<File>} fontFiles - Files the task reads
+ * @param {Object} options - Task options plus signal and onProgress
+ * @returns {Promise<*>} - The task's result
+ */
+async function runTask(task, fontFiles, options) {
+  const { signal, onProgress, ...taskOptions } = options;
+
+  // Without worker support (older browsers, tests) the analysis runs here instead
+  if (typeof Worker === 'undefined') {
+    return runInline(task, fontFiles, { ...taskOptions, onProgress });
+  }
+
+  throwIfAborted(signal);
+  const files = await Promise.all(fontFiles.map(async fontFile => ({
+    buffer: await fontFile.arrayBuffer(),
+    name: fontFile.name,
+    type: fontFile.type,
+    lastModified: fontFile.lastModified
+  })));
+  throwIfAborted(signal);
+
+  const worker = new Worker(new URL('./analysisWorker.js', import.meta.url), { type: 'module' });
+
+  return new Promise((resolve, reject) => {
+    const finish = () => {
+      worker.terminate();
+      if (signal) signal.removeEventListener('abort', abort);
+    };
+    const abort = () => {
+      finish();
+      reject(createAbortError());
+    };
+
+    if (signal) signal.addEventListener('abort', abort, { once: true });
+
+    worker.onmessage = event => {
+      const message = event.data;
+      if (message.type === 'progress') {
+        if (onProgress) onProgress(message.progress);
+        return;
+      }
+
+      finish();
+      if (message.type === 'result') {
+        resolve(message.result);
+      } else {
+        reject(new Error(message.message));
+      }
+    };
+
+    worker.onerror = event => {
+      finish();
+      reject(new Error(event.message || 'The analysis worker could not be started'));
+    };
+
+    // Transfer rather than copy the font data; the main thread doesn't need it again
+    worker.postMessage({ task, files, options: taskOptions }, files.map(file => file.buffer));
+  });
+}
+
+function runInline(task, fontFiles, options) {
+  switch (task) {
+    case 'analyzeFontFile':
+      return analyzeFontFile(fontFiles[0], options);
+    case 'analyzeFontCollection':
+      return analyzeFontCollection(fontFiles[0], options);
+    case 'listFontFaces':
+      return listFontFaces(fontFiles[0]);
+    case 'loadFaceBuffer':
+      return loadFaceBuffer(fontFiles[0], options);
+    case 'compareFonts':
+      return compareFonts(fontFiles[0], fontFiles[1], options);
+    case 'compareFontSet':
+      return compareFontSet(fontFiles, options);
+    default:
+      throw new Error(`Unknown analysis task '${task}'`);
+  }
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw createAbortError();
+  }
+}
+
+function createAbortError() {
+  return new DOMException('The analysis was cancelled', 'AbortError');
+}
@@ -0,0 +1,26 @@
+// Analysis worker - Runs the font analysis off the main thread so large fonts don't freeze the page
+// Receives the font data as transferred ArrayBuffers and posts a message as each analysis stage starts
+import { analyzeFontFile, analyzeFontCollection, listFontFaces, loadFaceBuffer, compareFonts, compareFontSet } from './fontValidator';
+
+const TASKS = {
+  analyzeFontFile: ([fontFile], options) => analyzeFontFile(fontFile, options),
+  analyzeFontCollection: ([fontFile], options) => analyzeFontCollection(fontFile, options),
+  listFontFaces: ([fontFile]) => listFontFaces(fontFile),
+  loadFaceBuffer: ([fontFile], options) => loadFaceBuffer(fontFile, options),
+  compareFonts: ([primaryFontFile, secondaryFontFile], options) => compareFonts(primaryFontFile, secondaryFontFile, options),
+  compareFontSet: (fontFiles, options) => compareFontSet(fontFiles, options)
+};
+
+self.onmessage = async event => {
+  const { task, files, options } = event.data;
+  const onProgress = progress => self.postMessage({ type: 'progress', progress });
+
+  try {
+    // The analysis reads File objects, so rebuild them around the transferred buffers
+    const fontFiles = files.map(file => new File([file.buffer], file.name, { type: file.type, lastModified: file.lastModified }));
+    const result = await TASKS[task](fontFiles, { ...options, onProgress });
+    self.postMessage({ type: 'result', result });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message || 'An unexpected error occurred' });
+  }
+};
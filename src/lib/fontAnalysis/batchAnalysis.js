@@ -0,0 +1,227 @@
+// Batch analysis - Unpacks dropped files and ZIP archives into font files, summarizes each analyzed
+// face as a family table row and flags the styles that stand out from the rest of their family
+
+import JSZip from 'jszip';
+import { median, mostCommon } from './outlineGeometry';
+
+export const FONT_EXTENSIONS = ['.ttf', '.otf', '.woff', '.woff2', '.ttc', '.otc'];
+
+// Measured heights that differ from the family median by more than this (in em) are flagged;
+// weight alone moves them by around 0.01 em
+const METRIC_TOLERANCE = 0.025;
+
+const MEASURED_METRICS = [
+  ['xHeight', 'x-height'],
+  ['capHeight', 'Cap height'],
+  ['ascender', 'Ascender'],
+  ['descender', 'Descender']
+];
+
+// Line spacing values that should be identical in every style, so text doesn't jump when the style changes
+const LINE_METRIC_FIELDS = [
+  ['hhea', 'ascent', 'hhea ascender'],
+  ['hhea', 'descent', 'hhea descender'],
+  ['hhea', 'lineGap', 'hhea line gap'],
+  ['typo', 'ascent', 'typo ascender'],
+  ['typo', 'descent', 'typo descender'],
+  ['typo', 'lineGap', 'typo line gap'],
+  ['win', 'ascent', 'win ascent'],
+  ['win', 'descent', 'win descent']
+];
+
+/**
+ * Tells whether a file name has a font extension
+ * @param {string} name - File name or path
+ * @returns {boolean} - Whether the name ends in a supported font extension
+ */
+export function isFontFileName(name) {
+  const extension = '.' + name.split('.').pop().toLowerCase();
+  return FONT_EXTENSIONS.includes(extension);
+}
+
+/**
+ * Collects the font files from a list of dropped or picked files, unpacking ZIP archives
+ * @param {Array<File>} files - Files to collect from
+ * @returns {Promise<Object>} - { fonts: File[], skipped: string[] } where skipped names the files that aren't fonts
+ */
+export async function collectFontFiles(files) {
+  const fonts = [];
+  const skipped = [];
+
+  for (const file of files) {
+    if (isFontFileName(file.name)) {
+      fonts.push(file);
+    } else if (file.name.toLowerCase().endsWith('.zip')) {
+      const archive = await readFontArchive(file);
+      fonts.push(...archive.fonts);
+      skipped.push(...archive.skipped);
+    } else {
+      skipped.push(file.name);
+    }
+  }
+
+  return { fonts, skipped };
+}
+
+/**
+ * Extracts the font files from a ZIP archive, at any folder depth
+ * @param {File} file - The archive
+ * @returns {Promise<Object>} - { fonts: File[], skipped: string[] }
+ */
+async function readFontArchive(file) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(file);
+  } catch (error) {
+    console.error('Error reading font archive:', error);
+    return { fonts: [], skipped: [file.name] };
+  }
+
+  const fonts = [];
+  const skipped = [];
+
+  for (const entry of Object.values(zip.files)) {
+    if (entry.dir) continue;
+
+    // macOS resource forks and hidden files come along in many archives
+    const fileName = entry.name.split('/').pop();
+    if (entry.name.startsWith('__MACOSX/') || fileName.startsWith('.')) continue;
+
+    if (!isFontFileName(fileName)) {
+      skipped.push(`${file.name}/${entry.name}`);
+      continue;
+    }
+
+    const blob = await entry.async('blob');
+    fonts.push(new File([blob], fileName, { lastModified: entry.date.getTime() }));
+  }
+
+  return { fonts, skipped };
+}
+
+/**
+ * Reduces an analysis result to the values the family table compares
+ * @param {Object} result - Result of analyzeFontFile
+ * @param {File} file - The file the face came from
+ * @returns {Object} - Family table row
+ */
+export function summarizeFamilyMember(result, file) {
+  const models = Object.fromEntries((result.verticalMetrics?.models || []).map(model => [model.id, model]));
+
+  return {
+    id: `${file.name}#${result.faceIndex}`,
+    fileName: file.name,
+    faceIndex: result.faceIndex,
+    faceCount: result.faceCount,
+    name: result.name,
+    familyName: result.familyName,
+    subfamilyName: result.subfamilyName,
+    weight: result.weight,
+    weightClass: parseClassNumber(result.weight),
+    width: result.width,
+    widthClass: parseClassNumber(result.width),
+    italic: result.italic,
+    xHeight: result.metrics.values.xHeight,
+    capHeight: result.metrics.values.capHeight,
+    ascender: result.metrics.values.ascender,
+    descender: result.metrics.values.descender,
+    unitsPerEm: result.metrics.lineMetrics.unitsPerEm,
+    lineMetrics: models,
+    lineHeight: models.hhea ? models.hhea.normalLineHeight : null,
+    codepoints: result.characterSet.coverage ? result.characterSet.coverage.totalCodepoints : null,
+    validation: result.validation.summary,
+    familyStyle: result.familyStyle
+  };
+}
+
+/**
+ * Finds the values where a style differs from the rest of its family
+ * Rows are compared only with rows of the same family name, so several families can be audited at once
+ * @param {Array<Object>} rows - Rows from summarizeFamilyMember
+ * @returns {Object} - Outlier notes keyed by row id, then by column: { [rowId]: { [column]: message } }
+ */
+export function findFamilyOutliers(rows) {
+  const outliers = {};
+  const flag = (row, column, message) => {
+    outliers[row.id] = outliers[row.id] || {};
+    outliers[row.id][column] = message;
+  };
+
+  const families = new Map();
+  for (const row of rows) {
+    if (!families.has(row.familyName)) families.set(row.familyName, []);
+    families.get(row.familyName).push(row);
+  }
+
+  // A family of one has nothing to be compared with
+  for (const family of families.values()) {
+    if (family.length > 1) flagFamilyOutliers(family, flag);
+  }
+
+  return outliers;
+}
+
+/**
+ * Flags one family's outliers: line metrics and units per em should match exactly, measured heights
+ * should stay close to the family median, and no style should cover fewer characters than most of the family
+ */
+function flagFamilyOutliers(rows, flag) {
+  for (const [key, label] of MEASURED_METRICS) {
+    const values = rows.map(row => row[key]).filter(value => value !== null);
+    if (values.length < 2) continue;
+
+    const familyMedian = median(values);
+    for (const row of rows) {
+      if (row[key] === null) continue;
+      const difference = row[key] - familyMedian;
+      if (Math.abs(difference) > METRIC_TOLERANCE) {
+        flag(row, key, `${label} is ${Math.abs(difference).toFixed(3)} em ${difference > 0 ? 'above' : 'below'} the family median of ${familyMedian.toFixed(3)} em`);
+      }
+    }
+  }
+
+  const unitsPerEm = mostCommon(rows.map(row => row.unitsPerEm));
+  for (const row of rows) {
+    if (row.unitsPerEm !== unitsPerEm) {
+      flag(row, 'unitsPerEm', `Uses ${row.unitsPerEm} units per em; the rest of the family uses ${unitsPerEm}`);
+    }
+  }
+
+  const lineMetricsKey = row => LINE_METRIC_FIELDS.map(([model, field]) => row.lineMetrics[model]?.[field]).join('/');
+  const commonLineMetrics = rows.find(row => lineMetricsKey(row) === mostCommon(rows.map(lineMetricsKey)));
+  for (const row of rows) {
+    const differences = LINE_METRIC_FIELDS
+      .filter(([model, field]) => row.lineMetrics[model]?.[field] !== commonLineMetrics.lineMetrics[model]?.[field])
+      .map(([model, field, label]) => `${label} ${row.lineMetrics[model]?.[field]} (family: ${commonLineMetrics.lineMetrics[model]?.[field]})`);
+    if (differences.length > 0) {
+      flag(row, 'lineHeight', `Line spacing differs from the rest of the family: ${differences.join(', ')}`);
+    }
+  }
+
+  const codepoints = mostCommon(rows.map(row => row.codepoints).filter(value => value !== null));
+  for (const row of rows) {
+    if (row.codepoints !== null && row.codepoints < codepoints) {
+      flag(row, 'codepoints', `Covers ${codepoints - row.codepoints} fewer code points than most of the family (${codepoints})`);
+    }
+  }
+
+  // Two files claiming the same slot in the family usually means a naming or OS/2 mistake
+  const slots = new Map();
+  for (const row of rows) {
+    const slot = `${row.weightClass}/${row.widthClass}/${row.italic}`;
+    if (!slots.has(slot)) slots.set(slot, []);
+    slots.get(slot).push(row);
+  }
+  for (const group of slots.values()) {
+    if (group.length < 2) continue;
+    for (const row of group) {
+      const others = group.filter(other => other !== row).map(other => other.fileName).join(', ');
+      flag(row, 'weight', `Same weight, width and slope as ${others}`);
+    }
+  }
+}
+
+function parseClassNumber(description) {
+  const match = description.match(/\((\d+)\)/);
+  return match ? Number(match[1]) : null;
+}
@@ -0,0 +1,96 @@
+// Fallback metrics - Builds @font-face rules that resize a local fallback font to match a web
+// font's widths and line box, so swapping fonts in doesn't shift the layout
+
+// How often each lowercase letter and the space occur in English text; widths are averaged with these
+const CHARACTER_FREQUENCIES = {
+  a: 0.0668, b: 0.0122, c: 0.0228, d: 0.0348, e: 0.1039, f: 0.0182, g: 0.0165, h: 0.0499, i: 0.057,
+  j: 0.0013, k: 0.0063, l: 0.0329, m: 0.0197, n: 0.0552, o: 0.0614, p: 0.0158, q: 0.0008, r: 0.049,
+  s: 0.0518, t: 0.0741, u: 0.0226, v: 0.008, w: 0.0193, x: 0.0012, y: 0.0162, z: 0.0006, ' ': 0.1818
+};
+
+// Below this share of the weighted characters the average says too little about running text
+const MINIMUM_COVERAGE = 0.5;
+
+/**
+ * Metric profiles of common local fallback fonts, in font units
+ * ascent, descent and lineGap are the hhea values; averageWidth is the frequency-weighted
+ * average advance computed the same way as averageCharacterWidth
+ */
+export const FALLBACK_FONTS = [
+  { id: 'arial', name: 'Arial', generic: 'sans-serif', unitsPerEm: 2048, ascent: 1854, descent: -434, lineGap: 67, averageWidth: 904 },
+  { id: 'helvetica', name: 'Helvetica', generic: 'sans-serif', unitsPerEm: 2048, ascent: 1577, descent: -471, lineGap: 0, averageWidth: 903 },
+  { id: 'times-new-roman', name: 'Times New Roman', generic: 'serif', unitsPerEm: 2048, ascent: 1825, descent: -443, lineGap: 87, averageWidth: 819 },
+  { id: 'georgia', name: 'Georgia', generic: 'serif', unitsPerEm: 2048, ascent: 1878, descent: -449, lineGap: 0, averageWidth: 913 }
+];
+
+/**
+ * Measures the average advance width of running English text
+ * @param {Object} font - The parsed font object
+ * @returns {number|null} - Width in font units, or null when too few of the letters are mapped
+ */
+export function averageCharacterWidth(font) {
+  let width = 0;
+  let coverage = 0;
+
+  for (const [char, frequency] of Object.entries(CHARACTER_FREQUENCIES)) {
+    const glyphIndex = font.charToGlyphIndex(char);
+    if (!glyphIndex) continue;
+
+    width += font.glyphs.get(glyphIndex).advanceWidth * frequency;
+    coverage += frequency;
+  }
+
+  // Missing letters are left out and the rest reweighted
+  return coverage >= MINIMUM_COVERAGE ? width / coverage : null;
+}
+
+/**
+ * Computes the overrides that make a fallback font occupy the same space as the web font
+ * size-adjust scales the fallback to the web font's average width; the vertical overrides are
+ * then divided by it, since browsers apply them to the adjusted size
+ * @param {Object} lineMetrics - The web font's lineMetrics from calculateFontMetrics
+ * @param {string} fallbackId - id of one of FALLBACK_FONTS
+ * @param {string} familyName - Name of the web font, used to name the fallback face
+ * @returns {Object|null} - { fallback, familyName, sizeAdjust, ascentOverride, descentOverride, lineGapOverride,
+ *   css, fontFamily }, or null when the web font's average width is unknown
+ */
+export function buildFallbackFontFace(lineMetrics, fallbackId, familyName) {
+  const fallback = FALLBACK_FONTS.find(font => font.id === fallbackId);
+  if (!fallback) {
+    throw new Error(`Unknown fallback font: ${fallbackId}`);
+  }
+  if (!lineMetrics || lineMetrics.averageWidth === null) {
+    return null;
+  }
+
+  const { unitsPerEm } = lineMetrics;
+  const sizeAdjust = (lineMetrics.averageWidth / unitsPerEm) / (fallback.averageWidth / fallback.unitsPerEm);
+  const percent = value => `${(Math.round(value * 10000) / 100)}%`;
+
+  const overrides = {
+    sizeAdjust: percent(sizeAdjust),
+    ascentOverride: percent(lineMetrics.ascent / unitsPerEm / sizeAdjust),
+    descentOverride: percent(Math.abs(lineMetrics.descent) / unitsPerEm / sizeAdjust),
+    lineGapOverride: percent(lineMetrics.lineGap / unitsPerEm / sizeAdjust)
+  };
+
+  const fallbackFamily = `${familyName} Fallback`;
+  const css = [
+    '@font-face {',
+    `  font-family: "${fallbackFamily}";`,
+    `  src: local("${fallback.name}");`,
+    `  size-adjust: ${overrides.sizeAdjust};`,
+    `  ascent-override: ${overrides.ascentOverride};`,
+    `  descent-override: ${overrides.descentOverride};`,
+    `  line-gap-override: ${overrides.lineGapOverride};`,
+    '}'
+  ].join('\n');
+
+  return {
+    fallback,
+    familyName: fallbackFamily,
+    ...overrides,
+    css,
+    fontFamily: `"${familyName}", "${fallbackFamily}", ${fallback.generic}`
+  };
+}
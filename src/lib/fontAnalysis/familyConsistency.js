@@ -0,0 +1,403 @@
+// Family consistency - Cross-font checks for the styles of one family: naming and style linking,
+// shared vertical metrics, weight class order, glyph sets, cmap coverage and version strings
+// Each finding carries a check ID, a severity (error/warning/info), a message and the files involved
+import { getMappedCodepoints } from './unicodeCoverage';
+import { mostCommon } from './outlineGeometry';
+import { formatCodepoints } from './validationChecks';
+
+// fsSelection bits (OS/2 table)
+const FS_SELECTION_ITALIC = 0x0001;
+const FS_SELECTION_BOLD = 0x0020;
+const FS_SELECTION_REGULAR = 0x0040;
+const FS_SELECTION_USE_TYPO_METRICS = 0x0080;
+
+// macStyle bits (head table)
+const MAC_STYLE_BOLD = 0x0001;
+const MAC_STYLE_ITALIC = 0x0002;
+
+// The only subfamily names (name ID 2) that style linking understands
+const STYLE_LINKING_NAMES = ['Regular', 'Italic', 'Bold', 'Bold Italic'];
+
+// Weight words in style names, compound words first so 'ExtraBold' isn't read as 'Bold'
+const WEIGHT_NAMES = [
+  [/extra\s*-?black|ultra\s*-?black/, 950],
+  [/extra\s*-?light|ultra\s*-?light/, 200],
+  [/semi\s*-?bold|demi\s*-?bold/, 600],
+  [/extra\s*-?bold|ultra\s*-?bold/, 800],
+  [/thin|hairline/, 100],
+  [/light/, 300],
+  [/medium/, 500],
+  [/bold/, 700],
+  [/black|heavy/, 900],
+  [/regular|normal|book|roman/, 400]
+];
+
+const VERTICAL_METRIC_FIELDS = [
+  ['unitsPerEm', 'Units per em'],
+  ['hheaAscender', 'hhea ascender'],
+  ['hheaDescender', 'hhea descender'],
+  ['hheaLineGap', 'hhea line gap'],
+  ['typoAscender', 'typo ascender'],
+  ['typoDescender', 'typo descender'],
+  ['typoLineGap', 'typo line gap'],
+  ['winAscent', 'win ascent'],
+  ['winDescent', 'win descent'],
+  ['useTypoMetrics', 'USE_TYPO_METRICS']
+];
+
+/**
+ * Reads the values the family checks compare: naming, style bits, vertical metrics, glyph set and cmap
+ * @param {Object} font - The parsed font object
+ * @returns {Object} - Family style description stored with the analysis result
+ */
+export function describeFamilyStyle(font) {
+  const { os2, head, hhea } = font.tables;
+  const name = key => (font.names[key] ? font.names[key].en || Object.values(font.names[key])[0] : null);
+
+  return {
+    names: {
+      family: name('fontFamily'),
+      subfamily: name('fontSubfamily'),
+      typographicFamily: name('preferredFamily'),
+      typographicSubfamily: name('preferredSubfamily'),
+      version: name('version')
+    },
+    fsSelection: os2 ? {
+      italic: Boolean(os2.fsSelection & FS_SELECTION_ITALIC),
+      bold: Boolean(os2.fsSelection & FS_SELECTION_BOLD),
+      regular: Boolean(os2.fsSelection & FS_SELECTION_REGULAR)
+    } : null,
+    macStyle: head ? {
+      bold: Boolean(head.macStyle & MAC_STYLE_BOLD),
+      italic: Boolean(head.macStyle & MAC_STYLE_ITALIC)
+    } : null,
+    weightClass: os2 ? os2.usWeightClass : null,
+    widthClass: os2 ? os2.usWidthClass : null,
+    fontRevision: head ? Number(head.fontRevision.toFixed(3)) : null,
+    verticalMetrics: {
+      unitsPerEm: font.unitsPerEm,
+      hheaAscender: hhea ? hhea.ascender : null,
+      hheaDescender: hhea ? hhea.descender : null,
+      hheaLineGap: hhea ? hhea.lineGap : null,
+      typoAscender: os2 ? os2.sTypoAscender : null,
+      typoDescender: os2 ? os2.sTypoDescender : null,
+      typoLineGap: os2 ? os2.sTypoLineGap : null,
+      winAscent: os2 ? os2.usWinAscent : null,
+      winDescent: os2 ? os2.usWinDescent : null,
+      useTypoMetrics: os2 ? Boolean(os2.fsSelection & FS_SELECTION_USE_TYPO_METRICS) : null
+    },
+    glyphCount: font.numGlyphs,
+    glyphNames: readGlyphNames(font),
+    codepoints: getMappedCodepoints(font)
+  };
+}
+
+/**
+ * Runs the family checks on a set of analyzed faces
+ * Faces are grouped by family name, ignoring case, spaces and hyphens, so several families can be checked at once
+ * and a misspelled family name still lands next to the rest of its family
+ * @param {Array<Object>} members - Faces as { id, label, style } where style comes from describeFamilyStyle
+ * @returns {Object} - { results, summary } where results are { id, severity, family, message, files }
+ */
+export function checkFamilyConsistency(members) {
+  const results = [];
+
+  const families = new Map();
+  for (const member of members.filter(candidate => candidate.style)) {
+    const key = normalizeName(familyNameOf(member));
+    if (!families.has(key)) families.set(key, []);
+    families.get(key).push(member);
+  }
+
+  const reportFor = family => (id, severity, message, files) => {
+    results.push({ id, severity, family: mostCommon(family.map(familyNameOf)), message, files });
+  };
+
+  checkSplitFamilies(families, reportFor);
+
+  for (const family of families.values()) {
+    const report = reportFor(family);
+
+    const checks = [
+      () => checkFamilyNames(family, report),
+      () => checkStyleLinking(family, report),
+      () => checkVerticalMetrics(family, report),
+      () => checkWeightOrder(family, report),
+      () => checkCodepoints(family, report),
+      () => checkGlyphSets(family, report),
+      () => checkVersions(family, report)
+    ];
+
+    // One check tripping over a face with missing tables shouldn't hide the others
+    for (const check of checks) {
+      try {
+        check();
+      } catch (error) {
+        report('family.internal', 'warning', `A check could not complete: ${error.message}`, []);
+      }
+    }
+  }
+
+  const order = { error: 0, warning: 1, info: 2 };
+  results.sort((a, b) => order[a.severity] - order[b.severity]);
+
+  return {
+    results,
+    summary: {
+      errors: results.filter(result => result.severity === 'error').length,
+      warnings: results.filter(result => result.severity === 'warning').length,
+      info: results.filter(result => result.severity === 'info').length
+    }
+  };
+}
+
+/**
+ * Checks every style spells the family name the same way
+ */
+function checkFamilyNames(family, report) {
+  const spellings = groupBy(family, familyNameOf);
+  if (spellings.size > 1) {
+    report('family.name-mismatch', 'error', `The family name is spelled differently across styles: ${describeGroups(spellings, value => `'${value}'`)}.`, labelsOf(family));
+  }
+}
+
+/**
+ * Finds families whose name is another family's name plus a style, which usually means name IDs 16/17 are missing
+ * and the style shows up as a family of its own
+ */
+function checkSplitFamilies(families, reportFor) {
+  const names = [...families.values()].map(family => ({ family, name: mostCommon(family.map(familyNameOf)) }));
+
+  for (const { family, name } of names) {
+    const parent = names.find(other => other.family !== family && name.startsWith(`${other.name} `));
+    if (!parent) continue;
+
+    const style = name.slice(parent.name.length + 1);
+    if (weightFromStyleName(style) === null && !/italic|oblique|condensed|expanded|narrow|wide/i.test(style)) continue;
+
+    reportFor(family)('family.typographic-names', 'warning', `'${name}' looks like a style of '${parent.name}'. Set name ID 16 to '${parent.name}' and name ID 17 to '${style}' so it's listed with the rest of the family.`, labelsOf(family));
+  }
+}
+
+/**
+ * Checks style linking: name ID 2 must be one of the four linkable styles, each name ID 1 group may hold each
+ * style once, and the fsSelection and macStyle bits must agree with name ID 2
+ */
+function checkStyleLinking(family, report) {
+  for (const member of family) {
+    const { subfamily } = member.style.names;
+    if (!subfamily) continue;
+
+    if (!STYLE_LINKING_NAMES.includes(subfamily)) {
+      report('family.style-name', 'error', `Name ID 2 of ${member.label} is '${subfamily}'; it must be Regular, Italic, Bold or Bold Italic. Put the full style name in name ID 17 and add it to name ID 1 instead.`, [member.label]);
+      continue;
+    }
+
+    const bold = subfamily.startsWith('Bold');
+    const italic = subfamily.endsWith('Italic');
+    const mismatches = [];
+    const { fsSelection, macStyle } = member.style;
+    if (fsSelection) {
+      if (fsSelection.bold !== bold) mismatches.push(`fsSelection BOLD is ${fsSelection.bold ? 'set' : 'clear'}`);
+      if (fsSelection.italic !== italic) mismatches.push(`fsSelection ITALIC is ${fsSelection.italic ? 'set' : 'clear'}`);
+      if (fsSelection.regular !== (!bold && !italic)) mismatches.push(`fsSelection REGULAR is ${fsSelection.regular ? 'set' : 'clear'}`);
+    }
+    if (macStyle) {
+      if (macStyle.bold !== bold) mismatches.push(`macStyle bold is ${macStyle.bold ? 'set' : 'clear'}`);
+      if (macStyle.italic !== italic) mismatches.push(`macStyle italic is ${macStyle.italic ? 'set' : 'clear'}`);
+    }
+    if (mismatches.length > 0) {
+      report('family.style-bits', 'error', `${member.label} is named '${subfamily}', but ${mismatches.join(', ')}.`, [member.label]);
+    }
+  }
+
+  const links = groupBy(family.filter(member => member.style.names.subfamily), member => `${member.style.names.family} / ${member.style.names.subfamily}`);
+  for (const [link, group] of links) {
+    if (group.length > 1) {
+      report('family.style-link-duplicate', 'error', `${formatLabels(group)} share name IDs 1/2 '${link}', so applications can only show one of them.`, labelsOf(group));
+    }
+  }
+
+  // Without name ID 17 the style name is name ID 2, which the name ID 1/2 check above already covers
+  const styles = groupBy(family.filter(member => member.style.names.typographicSubfamily), styleNameOf);
+  for (const [style, group] of styles) {
+    if (group.length > 1) {
+      report('family.style-duplicate', 'error', `${formatLabels(group)} all use the style name '${style}'.`, labelsOf(group));
+    }
+  }
+}
+
+/**
+ * Checks the vertical metrics match in every style, so line spacing doesn't change with the style
+ */
+function checkVerticalMetrics(family, report) {
+  for (const [field, label] of VERTICAL_METRIC_FIELDS) {
+    const values = groupBy(family, member => member.style.verticalMetrics[field]);
+    if (values.size < 2) continue;
+
+    const common = mostCommon(family.map(member => member.style.verticalMetrics[field]));
+    const differing = family.filter(member => member.style.verticalMetrics[field] !== common);
+    report('family.vertical-metrics', 'warning', `${label} differs between styles: ${describeGroups(values)}.`, labelsOf(differing));
+  }
+}
+
+/**
+ * Checks usWeightClass rises with the weight named in the style, within each width and slope
+ */
+function checkWeightOrder(family, report) {
+  const named = family
+    .map(member => ({ member, rank: weightFromStyleName(styleNameOf(member)) }))
+    .filter(entry => entry.rank !== null && entry.member.style.weightClass !== null);
+
+  const slots = groupBy(named, ({ member }) => `${member.style.widthClass}/${isItalicStyle(member)}`);
+  for (const slot of slots.values()) {
+    slot.sort((a, b) => a.rank - b.rank);
+    for (let i = 1; i < slot.length; i++) {
+      const lighter = slot[i - 1];
+      const heavier = slot[i];
+      if (heavier.rank === lighter.rank) continue;
+
+      if (heavier.member.style.weightClass <= lighter.member.style.weightClass) {
+        report(
+          'family.weight-order',
+          'error',
+          `'${styleNameOf(heavier.member)}' (${heavier.member.label}) has usWeightClass ${heavier.member.style.weightClass}, which isn't above ${lighter.member.style.weightClass} in the lighter '${styleNameOf(lighter.member)}' (${lighter.member.label}).`,
+          [lighter.member.label, heavier.member.label]
+        );
+      }
+    }
+  }
+}
+
+/**
+ * Checks each style maps the code points the other styles map
+ */
+function checkCodepoints(family, report) {
+  if (family.length < 2) return;
+
+  const sets = family.map(member => new Set(member.style.codepoints));
+  family.forEach((member, index) => {
+    const missing = new Map();
+    family.forEach((other, otherIndex) => {
+      if (otherIndex === index) return;
+      for (const codepoint of other.style.codepoints) {
+        if (sets[index].has(codepoint)) continue;
+        if (!missing.has(codepoint)) missing.set(codepoint, []);
+        missing.get(codepoint).push(other);
+      }
+    });
+    if (missing.size === 0) return;
+
+    const codepoints = [...missing.keys()].sort((a, b) => a - b);
+    const sources = family.filter(other => codepoints.some(codepoint => missing.get(codepoint).includes(other)));
+    report('family.cmap', 'warning', `${member.label} doesn't map ${codepoints.length} code point${codepoints.length === 1 ? '' : 's'} found in ${formatLabels(sources)}: ${formatCodepoints(codepoints)}.`, [member.label, ...labelsOf(sources)]);
+  });
+}
+
+/**
+ * Checks the styles share one glyph set, by glyph name when every style has names, by glyph count otherwise
+ */
+function checkGlyphSets(family, report) {
+  if (family.length < 2) return;
+
+  if (family.some(member => !member.style.glyphNames)) {
+    const counts = groupBy(family, member => member.style.glyphCount);
+    if (counts.size > 1) {
+      report('family.glyph-count', 'info', `Glyph counts differ between styles: ${describeGroups(counts)}. Some styles have no glyph names, so the glyph sets can't be compared by name.`, labelsOf(family));
+    }
+    return;
+  }
+
+  const union = new Set(family.flatMap(member => member.style.glyphNames));
+  for (const member of family) {
+    const own = new Set(member.style.glyphNames);
+    const missing = [...union].filter(glyphName => !own.has(glyphName));
+    if (missing.length === 0) continue;
+
+    const sources = family.filter(other => other !== member && other.style.glyphNames.some(glyphName => missing.includes(glyphName)));
+    const listed = missing.slice(0, 6).join(', ') + (missing.length > 6 ? ', …' : '');
+    report('family.glyph-set', 'warning', `${member.label} lacks ${missing.length} glyph${missing.length === 1 ? '' : 's'} found in ${formatLabels(sources)}: ${listed}.`, [member.label, ...labelsOf(sources)]);
+  }
+}
+
+/**
+ * Checks the version string (name ID 5) and head fontRevision match in every style
+ */
+function checkVersions(family, report) {
+  const versions = groupBy(family, member => member.style.names.version);
+  if (versions.size > 1) {
+    report('family.version', 'warning', `Version strings differ between styles: ${describeGroups(versions, value => `'${value}'`)}.`, labelsOf(family));
+  }
+
+  const revisions = groupBy(family, member => member.style.fontRevision);
+  if (revisions.size > 1) {
+    report('family.font-revision', 'warning', `head fontRevision differs between styles: ${describeGroups(revisions)}.`, labelsOf(family));
+  }
+}
+
+/**
+ * Reads the glyph names from the CFF charset or the post table
+ * @param {Object} font - The parsed font object
+ * @returns {Array<string>|null} - Names in glyph ID order, or null when the font has none (post format 3)
+ */
+function readGlyphNames(font) {
+  if (font.cffEncoding && font.cffEncoding.charset) {
+    return font.cffEncoding.charset.slice(0, font.numGlyphs);
+  }
+  if (font.glyphNames && font.glyphNames.names.length > 0) {
+    return font.glyphNames.names.slice(0, font.numGlyphs);
+  }
+  return null;
+}
+
+function weightFromStyleName(styleName) {
+  const name = styleName.toLowerCase();
+  const match = WEIGHT_NAMES.find(([pattern]) => pattern.test(name));
+  if (match) return match[1];
+
+  // 'Italic' on its own is the regular weight
+  return /^(italic|oblique)$/.test(name.trim()) ? 400 : null;
+}
+
+function isItalicStyle(member) {
+  const { fsSelection, macStyle } = member.style;
+  return Boolean((fsSelection && fsSelection.italic) || (macStyle && macStyle.italic) || /italic|oblique/i.test(styleNameOf(member)));
+}
+
+function familyNameOf(member) {
+  return member.style.names.typographicFamily || member.style.names.family || '';
+}
+
+function styleNameOf(member) {
+  return member.style.names.typographicSubfamily || member.style.names.subfamily || '';
+}
+
+function normalizeName(name) {
+  return name.toLowerCase().replace(/[\s_-]+/g, '');
+}
+
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return groups;
+}
+
+// "1000 in a.ttf, b.ttf; 2048 in c.ttf", most common value first
+function describeGroups(groups, formatValue = value => String(value)) {
+  return [...groups.entries()]
+    .sort((a, b) => b[1].length - a[1].length)
+    .map(([value, group]) => `${value === null || value === undefined ? 'missing' : formatValue(value)} in ${formatLabels(group)}`)
+    .join('; ');
+}
+
+function labelsOf(members) {
+  return members.map(member => member.label);
+}
+
+function formatLabels(members) {
+  return labelsOf(members).join(', ');
+}
@@ -0,0 +1,96 @@
+// Font collections - Reads TrueType/OpenType Collections (.ttc/.otc) and extracts their faces
+import { TTC_SIGNATURE, readTableDirectory, readNameTable, buildSfnt } from './sfnt';
+
+/**
+ * Checks whether a buffer holds a TrueType/OpenType Collection
+ * @param {ArrayBuffer} arrayBuffer - SFNT-level font data
+ * @returns {boolean} - Whether the buffer starts with the 'ttcf' signature
+ */
+export function isFontCollection(arrayBuffer) {
+  return arrayBuffer.byteLength >= 4 && new DataView(arrayBuffer).getUint32(0) === TTC_SIGNATURE;
+}
+
+/**
+ * Reads a collection's header and the table directory of each face
+ * @param {ArrayBuffer} arrayBuffer - The TTC/OTC binary
+ * @returns {Object} - { buffer, faces } where faces hold each face's table directory
+ */
+export function readFontCollection(arrayBuffer) {
+  if (!isFontCollection(arrayBuffer)) {
+    throw new Error('Not a font collection');
+  }
+
+  const view = new DataView(arrayBuffer);
+  const numFonts = view.getUint32(8);
+
+  if (numFonts === 0 || 12 + numFonts * 4 > arrayBuffer.byteLength) {
+    throw new Error('Font collection header is truncated or empty');
+  }
+
+  const faces = [];
+  for (let i = 0; i < numFonts; i++) {
+    const directoryOffset = view.getUint32(12 + i * 4);
+    const { flavor, tables } = readTableDirectory(view, directoryOffset);
+    faces.push({ index: i, directoryOffset, flavor, tables });
+  }
+
+  return { buffer: arrayBuffer, faces };
+}
+
+/**
+ * Lists the faces in a collection by name
+ * @param {Object} collection - A collection from readFontCollection
+ * @returns {Array<Object>} - Faces as { index, familyName, subfamilyName, fullName, postScriptName }
+ */
+export function listCollectionFaces(collection) {
+  return collection.faces.map(face => {
+    const nameRecord = face.tables.find(table => table.tag === 'name');
+    const names = nameRecord ? readNameTable(getTableData(collection, nameRecord)) : {};
+
+    // Prefer typographic family/subfamily (IDs 16/17) over the legacy RIBBI names (IDs 1/2)
+    const familyName = names[16] || names[1] || `Face ${face.index + 1}`;
+    const subfamilyName = names[17] || names[2] || 'Regular';
+
+    return {
+      index: face.index,
+      familyName,
+      subfamilyName,
+      fullName: names[4] || `${familyName} ${subfamilyName}`,
+      postScriptName: names[6] || ''
+    };
+  });
+}
+
+/**
+ * Extracts one face of a collection as a standalone SFNT font
+ * The face's tables, shared ones included, are copied into the new font; opentype.js then parses it on its own
+ * @param {Object} collection - A collection from readFontCollection
+ * @param {number} faceIndex - Index of the face to extract
+ * @returns {ArrayBuffer} - An SFNT binary that opentype.js can parse
+ */
+export function extractCollectionFace(collection, faceIndex) {
+  const face = collection.faces[faceIndex];
+  if (!face) {
+    throw new Error(`Font collection has no face ${faceIndex} (it contains ${collection.faces.length})`);
+  }
+
+  const tables = face.tables.map(record => ({
+    tag: record.tag,
+    data: getTableData(collection, record)
+  }));
+
+  return buildSfnt(face.flavor, tables);
+}
+
+/**
+ * Returns a view of a table's bytes in the collection buffer, without copying them
+ * @param {Object} collection - A collection from readFontCollection
+ * @param {Object} record - Table record from a face's table directory
+ * @returns {Uint8Array} - The table data
+ */
+function getTableData(collection, record) {
+  if (record.offset + record.length > collection.buffer.byteLength) {
+    throw new Error(`Table '${record.tag}' extends past the end of the collection`);
+  }
+  return new Uint8Array(collection.buffer, record.offset, record.length);
+}
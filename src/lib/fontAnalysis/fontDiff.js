@@ -0,0 +1,409 @@
+// Font diff - Compares two fonts' glyph sets, outlines and OpenType layout features for the comparison view
+import { getMappedCodepoints, countBlocks } from './unicodeCoverage';
+import { getGlyphPathData, getOutlinePoints } from './glyphInspector';
+
+// Glyphs rendered per group; the counts and block breakdown still cover every code point
+const PREVIEW_LIMIT = 48;
+
+// Changed glyphs returned with outlines for the overlay; the change count still covers every glyph
+const OUTLINE_CHANGE_LIMIT = 200;
+
+// How much one added or removed point weighs in a glyph's change score, in thousandths of an em
+const POINT_CHANGE_WEIGHT = 5;
+
+/**
+ * Splits two fonts' cmaps into shared code points and those only one font maps
+ * @param {Object} primaryFont - The parsed primary font
+ * @param {Object} secondaryFont - The parsed secondary font
+ * @returns {Object} - { frames: { primary, secondary }, totals: { primary, secondary }, shared, onlyInPrimary,
+ *   onlyInSecondary }; each group is { count, blocks, previews } with previews as
+ *   { codepoint, primary, secondary } and each side { pathData, advanceWidth } or null
+ */
+export function diffGlyphSets(primaryFont, secondaryFont) {
+  const primaryCodepoints = getMappedCodepoints(primaryFont);
+  const secondaryCodepoints = getMappedCodepoints(secondaryFont);
+  const inPrimary = new Set(primaryCodepoints);
+  const inSecondary = new Set(secondaryCodepoints);
+
+  const shared = primaryCodepoints.filter(codepoint => inSecondary.has(codepoint));
+  const onlyInPrimary = primaryCodepoints.filter(codepoint => !inSecondary.has(codepoint));
+  const onlyInSecondary = secondaryCodepoints.filter(codepoint => !inPrimary.has(codepoint));
+
+  return {
+    frames: {
+      primary: describeFrame(primaryFont),
+      secondary: describeFrame(secondaryFont)
+    },
+    totals: {
+      primary: primaryCodepoints.length,
+      secondary: secondaryCodepoints.length
+    },
+    shared: describeGroup(shared, primaryFont, secondaryFont),
+    onlyInPrimary: describeGroup(onlyInPrimary, primaryFont, null),
+    onlyInSecondary: describeGroup(onlyInSecondary, null, secondaryFont)
+  };
+}
+
+/**
+ * Matches glyphs between two versions of a font and measures how each one's outline changed
+ * Glyphs are matched by code point, then unencoded glyphs by name. The secondary font is scaled
+ * to the primary's em, so every delta is in primary font units
+ * @param {Object} primaryFont - The parsed primary font
+ * @param {Object} secondaryFont - The parsed secondary font
+ * @returns {Object} - { frame, compared, changedCount, changes }; changes are ranked by score, most changed first, as
+ *   { name, codepoint, score, primary, secondary, deltas }, each side { pathData, advanceWidth, pointCount, contourCount, bounds }
+ *   and deltas { points, contours, advance, bounds, maxPointShift }; maxPointShift is null when the contours' points don't correspond
+ */
+export function diffGlyphOutlines(primaryFont, secondaryFont) {
+  const scale = primaryFont.unitsPerEm / secondaryFont.unitsPerEm;
+  const pairs = matchGlyphs(primaryFont, secondaryFont);
+
+  const changes = [];
+  for (const pair of pairs) {
+    const primary = measureOutline(primaryFont.glyphs.get(pair.primaryIndex), 1);
+    const secondary = measureOutline(secondaryFont.glyphs.get(pair.secondaryIndex), scale);
+    const deltas = measureOutlineChange(primary, secondary);
+
+    const score = scoreOutlineChange(deltas, primaryFont.unitsPerEm);
+    if (score > 0) {
+      changes.push({ ...pair, score, primary, secondary, deltas });
+    }
+  }
+
+  changes.sort((a, b) => b.score - a.score);
+  const ranked = changes.slice(0, OUTLINE_CHANGE_LIMIT);
+
+  return {
+    frame: describeFrame(primaryFont),
+    compared: pairs.length,
+    changedCount: changes.length,
+    changes: ranked.map(change => ({
+      name: change.name,
+      codepoint: change.codepoint,
+      score: change.score,
+      primary: {
+        ...describeOutline(change.primary),
+        pathData: getGlyphPathData(primaryFont, change.primaryIndex)
+      },
+      secondary: {
+        ...describeOutline(change.secondary),
+        pathData: getGlyphPathData(secondaryFont, change.secondaryIndex, primaryFont.unitsPerEm)
+      },
+      deltas: change.deltas
+    }))
+  };
+}
+
+/**
+ * Splits two fonts' layout features into shared tags and those only one font has
+ * Shared features also note where the scripts they're registered for differ
+ * @param {Object} primaryFeatures - analyzeLayoutFeatures result for the primary font
+ * @param {Object} secondaryFeatures - analyzeLayoutFeatures result for the secondary font
+ * @returns {Object} - { shared, onlyInPrimary, onlyInSecondary, scripts }; shared features are
+ *   { tag, name, primaryScripts, secondaryScripts, scriptsDiffer }, the others { tag, name, tables };
+ *   scripts is { shared, onlyInPrimary, onlyInSecondary } of script tags
+ */
+export function diffLayoutFeatures(primaryFeatures, secondaryFeatures) {
+  const primaryByTag = new Map(primaryFeatures.features.map(feature => [feature.tag, feature]));
+  const secondaryByTag = new Map(secondaryFeatures.features.map(feature => [feature.tag, feature]));
+  const summarize = feature => ({ tag: feature.tag, name: feature.name, tables: feature.tables });
+
+  const shared = [];
+  const onlyInPrimary = [];
+  for (const feature of primaryFeatures.features) {
+    const other = secondaryByTag.get(feature.tag);
+    if (!other) {
+      onlyInPrimary.push(summarize(feature));
+      continue;
+    }
+
+    const primaryScripts = feature.scripts.map(script => script.script);
+    const secondaryScripts = other.scripts.map(script => script.script);
+    shared.push({
+      tag: feature.tag,
+      name: feature.name,
+      primaryScripts,
+      secondaryScripts,
+      scriptsDiffer: !sameMembers(primaryScripts, secondaryScripts)
+    });
+  }
+
+  const onlyInSecondary = secondaryFeatures.features
+    .filter(feature => !primaryByTag.has(feature.tag))
+    .map(summarize);
+
+  const primaryScripts = new Set(primaryFeatures.scripts);
+  const secondaryScripts = new Set(secondaryFeatures.scripts);
+
+  return {
+    shared,
+    onlyInPrimary,
+    onlyInSecondary,
+    scripts: {
+      shared: primaryFeatures.scripts.filter(script => secondaryScripts.has(script)),
+      onlyInPrimary: primaryFeatures.scripts.filter(script => !secondaryScripts.has(script)),
+      onlyInSecondary: secondaryFeatures.scripts.filter(script => !primaryScripts.has(script))
+    }
+  };
+}
+
+/**
+ * Describes one group of code points: how many, which blocks, and previews of the first drawable glyphs
+ * @param {Array<number>} codepoints - Sorted code points in the group
+ * @param {Object|null} primaryFont - The primary font, or null when the group isn't in it
+ * @param {Object|null} secondaryFont - The secondary font, or null when the group isn't in it
+ * @returns {Object} - { count, blocks, previews }
+ */
+function describeGroup(codepoints, primaryFont, secondaryFont) {
+  const previews = [];
+
+  for (const codepoint of codepoints) {
+    if (previews.length >= PREVIEW_LIMIT) break;
+
+    const primary = primaryFont ? describeGlyph(primaryFont, codepoint) : null;
+    const secondary = secondaryFont ? describeGlyph(secondaryFont, codepoint) : null;
+
+    // Spaces and other blank glyphs have nothing to show
+    if ((primary && primary.pathData) || (secondary && secondary.pathData)) {
+      previews.push({ codepoint, primary, secondary });
+    }
+  }
+
+  return {
+    count: codepoints.length,
+    blocks: countBlocks(codepoints).map(block => ({ name: block.name, count: block.covered })),
+    previews
+  };
+}
+
+/**
+ * Pairs up the glyphs two fonts have in common
+ * @param {Object} primaryFont - The parsed primary font
+ * @param {Object} secondaryFont - The parsed secondary font
+ * @returns {Array<Object>} - Pairs as { name, codepoint, primaryIndex, secondaryIndex }; codepoint is null for pairs matched by name
+ */
+function matchGlyphs(primaryFont, secondaryFont) {
+  const pairs = [];
+  const matchedPrimary = new Set();
+  const matchedSecondary = new Set();
+  const secondaryMap = secondaryFont.tables.cmap ? secondaryFont.tables.cmap.glyphIndexMap : {};
+
+  for (const codepoint of getMappedCodepoints(primaryFont)) {
+    const primaryIndex = primaryFont.tables.cmap.glyphIndexMap[codepoint];
+    const secondaryIndex = secondaryMap[codepoint];
+
+    // A glyph mapped from several code points is compared once
+    if (!secondaryIndex || matchedPrimary.has(primaryIndex) || matchedSecondary.has(secondaryIndex)) continue;
+
+    matchedPrimary.add(primaryIndex);
+    matchedSecondary.add(secondaryIndex);
+    pairs.push({ name: glyphName(primaryFont, primaryIndex), codepoint, primaryIndex, secondaryIndex });
+  }
+
+  // Alternates, ligatures and other unencoded glyphs can only be matched by name
+  const secondaryByName = new Map();
+  for (let index = 0; index < secondaryFont.numGlyphs; index++) {
+    const name = secondaryFont.glyphs.get(index).name;
+    if (name && !matchedSecondary.has(index) && !secondaryByName.has(name)) {
+      secondaryByName.set(name, index);
+    }
+  }
+
+  for (let index = 0; index < primaryFont.numGlyphs; index++) {
+    const name = primaryFont.glyphs.get(index).name;
+    if (!name || matchedPrimary.has(index) || !secondaryByName.has(name)) continue;
+
+    pairs.push({ name, codepoint: null, primaryIndex: index, secondaryIndex: secondaryByName.get(name) });
+  }
+
+  return pairs;
+}
+
+/**
+ * Reads the outline figures the change metric compares
+ * @param {Object} glyph - The opentype.js glyph
+ * @param {number} scale - Factor to the primary font's units
+ * @returns {Object} - { advanceWidth, points, contourCount, bounds }; bounds is null for blank glyphs
+ */
+function measureOutline(glyph, scale) {
+  const points = getOutlinePoints(glyph).map(point => ({
+    x: point.x * scale,
+    y: point.y * scale,
+    onCurve: point.onCurve,
+    contour: point.contour
+  }));
+
+  let bounds = null;
+  if (glyph.path.commands.length > 0) {
+    const box = glyph.getBoundingBox();
+    bounds = { xMin: box.x1 * scale, yMin: box.y1 * scale, xMax: box.x2 * scale, yMax: box.y2 * scale };
+  }
+
+  return {
+    advanceWidth: (glyph.advanceWidth || 0) * scale,
+    points,
+    contourCount: glyph.path.commands.filter(command => command.type === 'M').length,
+    bounds
+  };
+}
+
+/**
+ * Measures the difference between two outlines, secondary minus primary
+ * @param {Object} primary - measureOutline result for the primary glyph
+ * @param {Object} secondary - measureOutline result for the secondary glyph
+ * @returns {Object} - { points, contours, advance, bounds, maxPointShift }
+ */
+function measureOutlineChange(primary, secondary) {
+  let bounds = null;
+  if (primary.bounds && secondary.bounds) {
+    bounds = {};
+    for (const key of ['xMin', 'yMin', 'xMax', 'yMax']) {
+      bounds[key] = round(secondary.bounds[key] - primary.bounds[key]);
+    }
+  }
+
+  // With the same point structure, how far the furthest-moving point travelled
+  const shift = measureMaxPointShift(primary.points, secondary.points);
+  const maxPointShift = shift === null ? null : round(shift);
+
+  return {
+    points: secondary.points.length - primary.points.length,
+    contours: secondary.contourCount - primary.contourCount,
+    advance: round(secondary.advanceWidth - primary.advanceWidth),
+    bounds,
+    maxPointShift
+  };
+}
+
+/**
+ * Finds the largest distance any point moved between two outlines with the same point structure
+ * Points are paired within each contour, from whichever start point lines the contours up best,
+ * so a version that only moves a contour's start point doesn't read as every point moving
+ * @param {Array<Object>} primaryPoints - measureOutline points of the primary glyph
+ * @param {Array<Object>} secondaryPoints - measureOutline points of the secondary glyph
+ * @returns {number|null} - The shift in primary font units, or null when the contours' points don't correspond
+ */
+function measureMaxPointShift(primaryPoints, secondaryPoints) {
+  const primaryContours = groupContours(primaryPoints);
+  const secondaryContours = groupContours(secondaryPoints);
+  if (primaryContours.length !== secondaryContours.length) return null;
+
+  let maxShift = 0;
+  for (let i = 0; i < primaryContours.length; i++) {
+    const shift = measureContourShift(primaryContours[i], secondaryContours[i]);
+    if (shift === null) return null;
+    maxShift = Math.max(maxShift, shift);
+  }
+  return maxShift;
+}
+
+/**
+ * Pairs two contours' points at every rotation, plain index order included, whose on- and off-curve
+ * points line up, and keeps the one with the least total movement
+ * Redrawn contours that happen to keep their point count rarely line up at all, and pairing them would
+ * report shifts as large as the glyph
+ * @param {Array<Object>} contour - The primary contour's points
+ * @param {Array<Object>} other - The secondary contour's points
+ * @returns {number|null} - The largest point shift at the best rotation, or null when no rotation lines up
+ */
+function measureContourShift(contour, other) {
+  if (contour.length !== other.length) return null;
+
+  const count = contour.length;
+  let bestTotal = Infinity;
+  let bestShift = null;
+
+  for (let rotation = 0; rotation < count; rotation++) {
+    let linesUp = true;
+    for (let j = 0; j < count && linesUp; j++) {
+      linesUp = other[(rotation + j) % count].onCurve === contour[j].onCurve;
+    }
+    if (!linesUp) continue;
+
+    let total = 0;
+    let shift = 0;
+    for (let j = 0; j < count; j++) {
+      const match = other[(rotation + j) % count];
+      const distance = Math.hypot(match.x - contour[j].x, match.y - contour[j].y);
+      total += distance;
+      shift = Math.max(shift, distance);
+    }
+    if (total < bestTotal) {
+      bestTotal = total;
+      bestShift = shift;
+    }
+  }
+  return bestShift;
+}
+
+/**
+ * Folds a glyph's deltas into one score for ranking, in thousandths of an em
+ * Sums the advance change, the largest bounding box edge change and the largest point shift,
+ * plus a fixed weight per added or removed point; a glyph that only gained or lost its outline scores one em
+ * @param {Object} deltas - measureOutlineChange result
+ * @param {number} unitsPerEm - The primary font's em size
+ * @returns {number} - Zero for an unchanged glyph
+ */
+function scoreOutlineChange(deltas, unitsPerEm) {
+  const boundsChange = deltas.bounds
+    ? Math.max(...Object.values(deltas.bounds).map(Math.abs))
+    : 0;
+  const outlineAppeared = deltas.bounds === null && deltas.points !== 0 ? unitsPerEm : 0;
+  const units = Math.abs(deltas.advance) + boundsChange + (deltas.maxPointShift || 0) + outlineAppeared;
+
+  return round((units / unitsPerEm) * 1000 + Math.abs(deltas.points) * POINT_CHANGE_WEIGHT);
+}
+
+function describeOutline(outline) {
+  const bounds = outline.bounds && Object.fromEntries(Object.entries(outline.bounds).map(([key, value]) => [key, round(value)]));
+  return {
+    advanceWidth: round(outline.advanceWidth),
+    pointCount: outline.points.length,
+    contourCount: outline.contourCount,
+    bounds
+  };
+}
+
+// Points read from path commands end a closed contour on a copy of its start, which would break the rotation
+function groupContours(points) {
+  const contours = [];
+  for (const point of points) {
+    if (!contours[point.contour]) contours[point.contour] = [];
+    contours[point.contour].push(point);
+  }
+  return contours.filter(Boolean).map(contour => {
+    const first = contour[0];
+    const last = contour[contour.length - 1];
+    return contour.length > 1 && first.x === last.x && first.y === last.y ? contour.slice(0, -1) : contour;
+  });
+}
+
+function glyphName(font, index) {
+  return font.glyphs.get(index).name || `glyph${index}`;
+}
+
+// Scaled values are kept to one decimal place; the changes that matter are far larger than rounding
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function describeGlyph(font, codepoint) {
+  const index = font.tables.cmap.glyphIndexMap[codepoint];
+  return {
+    pathData: getGlyphPathData(font, index),
+    advanceWidth: font.glyphs.get(index).advanceWidth || 0
+  };
+}
+
+// The vertical extent previews are framed in, so glyphs keep their relative sizes
+function describeFrame(font) {
+  return {
+    unitsPerEm: font.unitsPerEm,
+    ascender: font.ascender,
+    descender: font.descender
+  };
+}
+
+function sameMembers(a, b) {
+  return a.length === b.length && a.every(item => b.includes(item));
+}
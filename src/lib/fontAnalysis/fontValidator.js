@@ -1,65 +1,448 @@
 // Font Validator - Core font analysis functionality
 // Adapted from the Python implementation in Fontfeel repository
 import * as opentype from 'opentype.js';
+import { isWoff2, decodeWoff2 } from './woff2';
+import { isWoff, decodeWoff } from './woff';
+import { isFontCollection, readFontCollection, listCollectionFaces, extractCollectionFace } from './fontCollection';
+import { runValidationChecks } from './validationChecks';
+import { measureReferenceMetrics, findMetricDiscrepancies } from './glyphMetrics';
+import { analyzeStrokeContrast, classifyTerminals } from './strokeAnalysis';
+import { classifyFontStyle } from './styleClassifier';
+import { scorePersonality } from './personalityModel';
+import { analyzeUnicodeCoverage } from './unicodeCoverage';
+import { analyzeLayoutFeatures } from './layoutFeatures';
+import { analyzeSpacing } from './spacingAnalysis';
+import { analyzeVerticalMetrics } from './verticalMetrics';
+import { describeFamilyStyle } from './familyConsistency';
+import { diffGlyphSets, diffGlyphOutlines, diffLayoutFeatures } from './fontDiff';
+import { scoreCompatibility } from './pairingScore';
+import { averageCharacterWidth } from './fallbackMetrics';
+import { readVariationTables } from './variationTables';
+import { describeVariations, instantiateFont } from './variableFont';
+
+// PANOSE digits are often left at defaults, so values read from them are only weak evidence
+const PANOSE_CONFIDENCE = 0.25;
+
+// fsSelection bit telling renderers to space lines with the OS/2 typo metrics
+const FS_SELECTION_USE_TYPO_METRICS = 0x0080;
+
+// fsSelection and macStyle bits marking an italic face
+const FS_SELECTION_ITALIC = 0x0001;
+const MAC_STYLE_ITALIC = 0x0002;
+
+// Stages of analyzeFontFace in the order they run, reported through the onProgress option
+export const ANALYSIS_STAGES = {
+  parse: 'Parsing font tables',
+  style: 'Classifying the style',
+  metrics: 'Measuring metrics',
+  verticalMetrics: 'Simulating line boxes',
+  personality: 'Scoring personality',
+  characterSet: 'Checking character coverage',
+  layoutFeatures: 'Reading layout features',
+  variations: 'Measuring variation instances',
+  spacing: 'Measuring spacing',
+  validation: 'Running validation checks'
+};
+
+const FACE_STAGE_COUNT = Object.keys(ANALYSIS_STAGES).length;
+
+// Face stages every comparison needs: the compatibility score and pairing recommendations read the
+// style, metrics and personality; the glyph and feature sections add characterSet and layoutFeatures
+const COMPARISON_FACE_STAGES = ['parse', 'style', 'metrics', 'personality'];
+
+// Stages compareFonts runs after analyzing both fonts, when their sections are selected
+const COMPARISON_STAGES = {
+  glyphSet: 'Comparing glyph sets',
+  outlines: 'Comparing glyph outlines'
+};
 
 /**
  * Analyzes a font file and extracts its properties
- * @param {File} fontFile - The font file to analyze
+ * @param {File|ArrayBuffer|ArrayBufferView} fontFile - The font file, or its raw data (such as a Node Buffer)
+ * @param {Object} [options] - Analysis options
+ * @param {number} [options.faceIndex=0] - Face to analyze when the file is a collection
+ * @param {string} [options.fileName] - File name to report for raw data
+ * @param {number} [options.lastModified] - Modification time (ms since epoch) to report for raw data
+ * @param {Function} [options.onProgress] - Called as each stage starts with { stage, label, completed, total, faceIndex }
  * @returns {Promise<Object>} - Font properties and analysis results
  */
-export async function analyzeFontFile(fontFile) {
+export async function analyzeFontFile(fontFile, options = {}) {
   try {
     // Read the font file as an ArrayBuffer
-    const arrayBuffer = await readFileAsArrayBuffer(fontFile);
-    
-    // Parse the font using opentype.js
-    const font = opentype.parse(arrayBuffer);
-    
-    // Extract basic font information
-    const fontInfo = {
-      name: font.names.fullName ? font.names.fullName.en : fontFile.name.split('.')[0],
-      size: fontFile.size,
-      type: fontFile.type,
-      lastModified: new Date(fontFile.lastModified).toLocaleString(),
-      format: determineFontFormat(font),
-      version: font.names.version ? font.names.version.en : 'Unknown',
-      copyright: font.names.copyright ? font.names.copyright.en : 'Unknown',
-      manufacturer: font.names.manufacturer ? font.names.manufacturer.en : 'Unknown',
-    };
+    const { arrayBuffer, fileInfo } = await readFontSource(fontFile, options);
     
-    // Analyze font style (serif, sans-serif, etc.)
-    const fontStyle = determineFontStyle(font);
+    // Unwrap the container and locate the faces inside it
+    const fontData = loadFontData(arrayBuffer);
     
-    // Analyze font metrics
-    const fontMetrics = calculateFontMetrics(font);
-    
-    // Analyze font personality
-    const fontPersonality = analyzeFontPersonality(fontStyle, fontMetrics);
+    const reportStage = createStageReporter(options.onProgress, FACE_STAGE_COUNT);
+    return analyzeFontFace(fontData, options.faceIndex || 0, fileInfo, reportStage);
+  } catch (error) {
+    throw new Error(`Failed to analyze font: ${error.message}`);
+  }
+}
+
+/**
+ * Analyzes every face of a font collection, or the only face of a single-font file
+ * The file is read, decoded from WOFF or WOFF2 and split into faces once; each face is then parsed on its own
+ * @param {File|ArrayBuffer|ArrayBufferView} fontFile - The font file, or its raw data
+ * @param {Object} [options] - Analysis options; fileName and lastModified describe raw data, as for analyzeFontFile
+ * @param {Function} [options.onProgress] - Called as each stage of each face starts, as for analyzeFontFile
+ * @returns {Promise<Array<Object>>} - Analysis results for each face, in collection order
+ */
+export async function analyzeFontCollection(fontFile, options = {}) {
+  try {
+    const { arrayBuffer, fileInfo } = await readFontSource(fontFile, options);
+    const fontData = loadFontData(arrayBuffer);
+    const faceIndexes = fontData.collection ? fontData.faces.map(face => face.index) : [0];
     
-    // Generate recommendations
-    const recommendations = generateRecommendations(fontStyle, fontMetrics, fontPersonality);
+    const reportStage = createStageReporter(options.onProgress, faceIndexes.length * FACE_STAGE_COUNT);
+    return faceIndexes.map(faceIndex => analyzeFontFace(fontData, faceIndex, fileInfo, reportStage));
+  } catch (error) {
+    throw new Error(`Failed to analyze font collection: ${error.message}`);
+  }
+}
+
+/**
+ * Lists the faces inside a font file
+ * @param {File|ArrayBuffer|ArrayBufferView} fontFile - The font file, or its raw data
+ * @returns {Promise<Array<Object>>} - Faces as { index, familyName, subfamilyName, fullName, postScriptName }, empty for single-font files
+ */
+export async function listFontFaces(fontFile) {
+  const { arrayBuffer } = await readFontSource(fontFile);
+  return loadFontData(arrayBuffer).faces;
+}
+
+/**
+ * Loads and parses one face of a font file for direct inspection
+ * @param {File|ArrayBuffer|ArrayBufferView} fontFile - The font file, or its raw data
+ * @param {Object} [options] - Load options
+ * @param {number} [options.faceIndex=0] - Face to parse when the file is a collection
+ * @returns {Promise<Object>} - The parsed opentype.js font
+ */
+export async function loadFont(fontFile, options = {}) {
+  try {
+    const { arrayBuffer } = await readFontSource(fontFile);
+    return parseFace(loadFontData(arrayBuffer), options.faceIndex || 0);
+  } catch (error) {
+    throw new Error(`Failed to load font: ${error.message}`);
+  }
+}
+
+/**
+ * Reads the binary data of one face, for embedding it elsewhere
+ * WOFF and WOFF2 are decoded and collection faces are rebuilt as standalone fonts; plain SFNT is returned as-is
+ * @param {File|ArrayBuffer|ArrayBufferView} fontFile - The font file, or its raw data
+ * @param {Object} [options] - Load options
+ * @param {number} [options.faceIndex=0] - Face to read when the file is a collection
+ * @returns {Promise<ArrayBuffer>} - The face's font data
+ */
+export async function loadFaceBuffer(fontFile, options = {}) {
+  try {
+    const { arrayBuffer } = await readFontSource(fontFile);
+    const fontData = loadFontData(arrayBuffer);
+
+    return fontData.collection
+      ? extractCollectionFace(fontData.collection, options.faceIndex || 0)
+      : fontData.sfntBuffer;
+  } catch (error) {
+    throw new Error(`Failed to load font data: ${error.message}`);
+  }
+}
+
+/**
+ * Measures weight, width and metrics of a variable font at the given axis coordinates
+ * @param {File|ArrayBuffer|ArrayBufferView} fontFile - The font file, or its raw data
+ * @param {Object} coordinates - User-space coordinates by axis tag; missing axes stay at their default
+ * @param {Object} [options] - Load options
+ * @param {number} [options.faceIndex=0] - Face to use when the file is a collection
+ * @returns {Promise<Object>} - Instance analysis as { coordinates, weight, width, metrics, outlinesVaried }
+ */
+export async function analyzeFontInstance(fontFile, coordinates, options = {}) {
+  try {
+    const { arrayBuffer } = await readFontSource(fontFile);
+    const fontData = loadFontData(arrayBuffer);
+    const faceIndex = options.faceIndex || 0;
+    const font = parseFace(fontData, faceIndex);
     
-    // Extract character set information
-    const characterSet = analyzeCharacterSet(font);
+    if (!font.tables.fvar) {
+      throw new Error('The font has no variation axes');
+    }
     
-    // Extract font weight and width
-    const fontWeight = determineFontWeight(font);
-    const fontWidth = determineFontWidth(font);
+    const tables = readVariationTables(describeTableSource(fontData, faceIndex));
+    return analyzeInstance(font, tables, coordinates);
+  } catch (error) {
+    throw new Error(`Failed to analyze font instance: ${error.message}`);
+  }
+}
+
+/**
+ * Identifies the container, unwraps WOFF and WOFF2 and reads the collection directory if there is one
+ * @param {ArrayBuffer} arrayBuffer - The raw font file contents
+ * @returns {Object} - { container, sfntBuffer, collection, faces }
+ */
+function loadFontData(arrayBuffer) {
+  const container = determineFontContainer(arrayBuffer);
+  
+  // opentype.js can't read WOFF2, and the raw-table checks can't read compressed WOFF tables,
+  // so both are decoded to SFNT (or TTC) first
+  let sfntBuffer = arrayBuffer;
+  if (container === 'WOFF2') {
+    sfntBuffer = decodeWoff2(arrayBuffer);
+  } else if (container === 'WOFF') {
+    sfntBuffer = decodeWoff(arrayBuffer);
+  }
+  
+  if (isFontCollection(sfntBuffer)) {
+    const collection = readFontCollection(sfntBuffer);
+    return { container, sfntBuffer, collection, faces: listCollectionFaces(collection) };
+  }
+  
+  return { container, sfntBuffer, collection: null, faces: [] };
+}
+
+/**
+ * Parses one face of loaded font data with opentype.js
+ * @param {Object} fontData - Loaded font data from loadFontData
+ * @param {number} faceIndex - Face to parse (ignored for single-font files)
+ * @returns {Object} - The parsed opentype.js font
+ */
+function parseFace(fontData, faceIndex) {
+  const faceBuffer = fontData.collection
+    ? extractCollectionFace(fontData.collection, faceIndex)
+    : fontData.sfntBuffer;
+  
+  return opentype.parse(faceBuffer);
+}
+
+/**
+ * Builds the callback analyzeFontFace announces its stages through
+ * @param {Function} [onProgress] - Progress listener from the caller's options
+ * @param {number} total - Number of stages the whole call runs
+ * @returns {Function} - Takes a stage key from ANALYSIS_STAGES and the face index
+ */
+function createStageReporter(onProgress, total) {
+  let completed = 0;
+  
+  return (stage, faceIndex) => {
+    if (onProgress) {
+      onProgress({ stage, label: ANALYSIS_STAGES[stage], completed, total, faceIndex });
+    }
+    completed++;
+  };
+}
+
+/**
+ * Runs the analysis pipeline on one face of loaded font data
+ * @param {Object} fontData - Loaded font data from loadFontData
+ * @param {number} faceIndex - Face to analyze (ignored for single-font files)
+ * @param {Object} fileInfo - Details of the original file from readFontSource
+ * @param {Function} [reportStage] - Stage callback from createStageReporter
+ * @param {Object} [options] - Pipeline options
+ * @param {Array<string>} [options.stages] - ANALYSIS_STAGES keys to run, all by default; results of the others are null
+ * @param {Object} [options.font] - The face already parsed, which skips the parse stage
+ * @returns {Object} - Font properties and analysis results
+ */
+function analyzeFontFace(fontData, faceIndex, fileInfo, reportStage = () => {}, options = {}) {
+  const { stages = Object.keys(ANALYSIS_STAGES) } = options;
+  const run = (key, analyze) => {
+    if (!stages.includes(key)) return null;
+    reportStage(key, faceIndex);
+    return analyze();
+  };
+  
+  const font = options.font || run('parse', () => parseFace(fontData, faceIndex));
+  
+  // Extract basic font information
+  const fontInfo = {
+    name: font.names.fullName ? font.names.fullName.en : fileInfo.name.split('.')[0],
+    familyName: (font.names.preferredFamily || font.names.fontFamily || {}).en || fileInfo.name.split('.')[0],
+    subfamilyName: (font.names.preferredSubfamily || font.names.fontSubfamily || {}).en || 'Regular',
+    italic: isItalicFace(font),
+    size: fileInfo.size,
+    type: fileInfo.type,
+    lastModified: fileInfo.lastModified !== null ? new Date(fileInfo.lastModified).toLocaleString() : 'Unknown',
+    format: determineFontFormat(font),
+    container: fontData.container,
+    faceIndex: fontData.collection ? faceIndex : 0,
+    faceCount: fontData.collection ? fontData.faces.length : 1,
+    version: font.names.version ? font.names.version.en : 'Unknown',
+    copyright: font.names.copyright ? font.names.copyright.en : 'Unknown',
+    manufacturer: font.names.manufacturer ? font.names.manufacturer.en : 'Unknown',
+  };
+  
+  // Classify font style (serif, sans-serif, etc.) from the outlines
+  const styleAnalysis = run('style', () => classifyFontStyle(font));
+  const fontStyle = styleAnalysis ? styleAnalysis.classification : null;
+  
+  // Analyze font metrics
+  const fontMetrics = run('metrics', () => calculateFontMetrics(font));
+  
+  // Simulate the line box on each platform from the hhea, typo and win metrics
+  const verticalMetrics = run('verticalMetrics', () => analyzeVerticalMetrics(font));
+  
+  // Analyze font personality, which builds on the style and metrics
+  const fontPersonality = run('personality', () => analyzeFontPersonality(font, styleAnalysis, fontMetrics));
+  
+  // Generate recommendations
+  const recommendations = fontPersonality ? generateRecommendations(fontStyle, fontMetrics, fontPersonality) : null;
+  
+  // Extract character set information
+  const characterSet = run('characterSet', () => analyzeCharacterSet(font));
+  
+  // Extract font weight and width
+  const fontWeight = determineFontWeight(font);
+  const fontWidth = determineFontWidth(font);
+  
+  // List the OpenType layout features from GSUB and GPOS
+  const layoutFeatures = run('layoutFeatures', () => analyzeLayoutFeatures(font));
+  
+  // Describe the variation axes and measure each named instance
+  const tableSource = describeTableSource(fontData, faceIndex);
+  const variations = run('variations', () => analyzeVariations(font, tableSource));
+  
+  // Measure kerning coverage and sidebearing consistency
+  const spacing = run('spacing', () => analyzeSpacing(font, tableSource));
+  
+  // Run the validation check suite against the raw tables
+  const validation = run('validation', () => runValidationChecks(font, tableSource));
+  
+  // Keep the naming, style bits and glyph set the family checks compare across styles
+  const familyStyle = describeFamilyStyle(font);
+  
+  return {
+    ...fontInfo,
+    style: fontStyle,
+    styleAnalysis,
+    metrics: fontMetrics,
+    verticalMetrics,
+    personality: fontPersonality,
+    recommendations: recommendations,
+    characterSet: characterSet,
+    weight: fontWeight,
+    width: fontWidth,
+    layoutFeatures,
+    variations,
+    spacing,
+    validation,
+    familyStyle
+  };
+}
+
+/**
+ * Describes a variable font's axes and instances, measuring the default and each named instance
+ * @param {Object} font - The parsed font object
+ * @param {Object} tableSource - Where the face's raw tables can be read from
+ * @returns {Object|null} - Variation details, or null for static fonts
+ */
+function analyzeVariations(font, tableSource) {
+  if (!font.tables.fvar) {
+    return null;
+  }
+  
+  let tables;
+  try {
+    tables = readVariationTables(tableSource);
+  } catch (error) {
+    // Malformed variation tables shouldn't stop the rest of the analysis
+    console.error('Error reading variation tables:', error);
+    tables = { available: false, hiddenAxes: [], avar: null, stat: null, gvar: null };
+  }
+  
+  const variations = describeVariations(font, tables);
+  if (!variations) {
+    return null;
+  }
+  
+  return {
+    ...variations,
+    defaultInstance: analyzeInstance(font, tables, {}),
+    instances: variations.instances.map(instance => ({
+      ...instance,
+      analysis: analyzeInstance(font, tables, instance.coordinates)
+    }))
+  };
+}
+
+/**
+ * Measures weight, width and metrics at one point in the design space
+ * @param {Object} font - The parsed variable font
+ * @param {Object} tables - Raw variation tables from readVariationTables
+ * @param {Object} coordinates - User-space coordinates by axis tag
+ * @returns {Object} - { coordinates, weight, width, metrics, outlinesVaried }; without gvar the
+ *   outlines stay at the default and only the weight and width classes follow the coordinates
+ */
+function analyzeInstance(font, tables, coordinates) {
+  const instance = instantiateFont(font, tables, coordinates);
+  const metrics = calculateFontMetrics(instance);
+  
+  return {
+    coordinates: Object.fromEntries(font.tables.fvar.axes.map(axis => [axis.tag, coordinates[axis.tag] ?? axis.defaultValue])),
+    weight: determineFontWeight(instance),
+    width: determineFontWidth(instance),
+    metrics: {
+      ...metrics.values,
+      contrast: metrics.contrast,
+      contrastRatio: metrics.contrastRatio
+    },
+    outlinesVaried: Boolean(tables.gvar)
+  };
+}
+
+/**
+ * Describes where the validation checks can read a face's raw tables from
+ * @param {Object} fontData - Loaded font data from loadFontData
+ * @param {number} faceIndex - Face being analyzed
+ * @returns {Object} - Table source for runValidationChecks
+ */
+function describeTableSource(fontData, faceIndex) {
+  const { container, sfntBuffer, collection } = fontData;
+  
+  return {
+    view: new DataView(sfntBuffer),
+    directoryOffset: collection ? collection.faces[faceIndex].directoryOffset : 0,
+    // WOFF keeps the original checksums; WOFF2 doesn't store them, so the decoder had to compute new ones
+    checksumsStored: container !== 'WOFF2',
+    standalone: !collection
+  };
+}
+
+/**
+ * Reads a font file or raw font data into an ArrayBuffer, with the file details the analysis reports
+ * Browser files go through FileReader; ArrayBuffers and views such as Node Buffers are used directly,
+ * so the analysis also runs outside the browser
+ * @param {File|Blob|ArrayBuffer|ArrayBufferView} fontFile - The font file or its raw data
+ * @param {Object} [options] - Details for raw data, which carries no name or date
+ * @param {string} [options.fileName='font'] - File name to report
+ * @param {number} [options.lastModified] - Modification time (ms since epoch) to report
+ * @returns {Promise<Object>} - { arrayBuffer, fileInfo } where fileInfo is { name, size, type, lastModified }
+ */
+async function readFontSource(fontFile, options = {}) {
+  if (fontFile instanceof ArrayBuffer || ArrayBuffer.isView(fontFile)) {
+    // A view may cover part of a larger buffer (Node pools small Buffers), so copy out just its bytes
+    const arrayBuffer = fontFile instanceof ArrayBuffer
+      ? fontFile
+      : fontFile.buffer.slice(fontFile.byteOffset, fontFile.byteOffset + fontFile.byteLength);
     
     return {
-      ...fontInfo,
-      style: fontStyle,
-      metrics: fontMetrics,
-      personality: fontPersonality,
-      recommendations: recommendations,
-      characterSet: characterSet,
-      weight: fontWeight,
-      width: fontWidth
+      arrayBuffer,
+      fileInfo: {
+        name: options.fileName || 'font',
+        size: arrayBuffer.byteLength,
+        type: '',
+        lastModified: options.lastModified !== undefined ? options.lastModified : null
+      }
     };
-  } catch (error) {
-    console.error('Error analyzing font:', error);
-    throw new Error(`Failed to analyze font: ${error.message}`);
   }
+  
+  return {
+    arrayBuffer: await readFileAsArrayBuffer(fontFile),
+    fileInfo: {
+      name: fontFile.name,
+      size: fontFile.size,
+      type: fontFile.type,
+      lastModified: fontFile.lastModified
+    }
+  };
 }
 
 /**
@@ -76,6 +459,38 @@ function readFileAsArrayBuffer(file) {
   });
 }
 
+/**
+ * Determines the container the font data is wrapped in
+ * @param {ArrayBuffer} arrayBuffer - The raw font file contents
+ * @returns {string} - The container type (WOFF2, WOFF, Collection, SFNT)
+ */
+function determineFontContainer(arrayBuffer) {
+  if (isWoff2(arrayBuffer)) {
+    return 'WOFF2';
+  }
+  
+  if (isFontCollection(arrayBuffer)) {
+    return 'Collection';
+  }
+  
+  if (arrayBuffer.byteLength < 4) {
+    throw new Error('File is too small to be a font');
+  }
+  
+  if (isWoff(arrayBuffer)) {
+    return 'WOFF';
+  }
+  
+  const signature = new DataView(arrayBuffer).getUint32(0);
+  
+  // 0x00010000 and 'true' (TrueType), 'OTTO' (CFF)
+  if (signature === 0x00010000 || signature === 0x74727565 || signature === 0x4F54544F) {
+    return 'SFNT';
+  }
+  
+  throw new Error('Unrecognized font container');
+}
+
 /**
  * Determines the font format
  * @param {Object} font - The parsed font object
@@ -91,185 +506,156 @@ function determineFontFormat(font) {
   }
 }
 
-/**
- * Determines the font style (serif, sans-serif, script, decorative)
- * @param {Object} font - The parsed font object
- * @returns {string} - The font style
- */
-function determineFontStyle(font) {
-  // Check font name for style indicators
-  const fontFamily = font.names.fontFamily ? font.names.fontFamily.en.toLowerCase() : '';
-  const fullName = font.names.fullName ? font.names.fullName.en.toLowerCase() : '';
-  const postScriptName = font.names.postScriptName ? font.names.postScriptName.en.toLowerCase() : '';
-  
-  // Combine all name fields for better detection
-  const combinedName = `${fontFamily} ${fullName} ${postScriptName}`;
-  
-  // Check for explicit style indicators in the name
-  if (combinedName.includes('sans') && !combinedName.includes('serif')) {
-    return 'sans-serif';
-  } else if (combinedName.includes('serif') && !combinedName.includes('sans')) {
-    return 'serif';
-  } else if (
-    combinedName.includes('script') || 
-    combinedName.includes('handwriting') || 
-    combinedName.includes('cursive') || 
-    combinedName.includes('brush') ||
-    combinedName.includes('calligraph')
-  ) {
-    return 'script';
-  } else if (
-    combinedName.includes('deco') || 
-    combinedName.includes('display') || 
-    combinedName.includes('ornament') || 
-    combinedName.includes('fancy') ||
-    combinedName.includes('comic') ||
-    combinedName.includes('grunge')
-  ) {
-    return 'decorative';
-  }
-  
-  // Check OS/2 table if available
-  if (font.tables.os2) {
-    // Check panose classification if available
-    if (font.tables.os2.panose) {
-      const panose = font.tables.os2.panose;
-      
-      // Family Type (index 0)
-      // 2 = Latin Text, 3 = Script, 4 = Decorative, 5 = Pictorial
-      if (panose[0] === 3) {
-        return 'script';
-      } else if (panose[0] === 4 || panose[0] === 5) {
-        return 'decorative';
-      } else if (panose[0] === 2) {
-        // Serif Style (index 1)
-        // 11 or 0 = normal sans serif, 2-10 = various serif styles
-        if (panose[1] === 11 || panose[1] === 0) {
-          return 'sans-serif';
-        } else if (panose[1] >= 2 && panose[1] <= 10) {
-          return 'serif';
-        }
-      }
-    }
-    
-    // Check if monospaced
-    if (font.tables.os2.panose && font.tables.os2.panose[3] === 9) {
-      return 'monospace';
-    }
-    
-    // Check IBM font class
-    const ibmFontClass = font.tables.os2.sFamilyClass;
-    if (ibmFontClass) {
-      const classID = (ibmFontClass >> 8) & 0xFF;
-      
-      if (classID === 2 || classID === 3 || classID === 4 || classID === 5) {
-        return 'serif';
-      } else if (classID === 8) {
-        return 'sans-serif';
-      } else if (classID === 9 || classID === 10) {
-        return 'script';
-      } else if (classID === 12) {
-        return 'decorative';
-      }
-    }
-  }
-  
-  // Check post table for monospace
-  if (font.tables.post && font.tables.post.isFixedPitch) {
-    return 'monospace';
-  }
-  
-  // Default to sans-serif if we can't determine
-  return 'sans-serif';
-}
-
 /**
  * Calculates font metrics
+ * Heights are measured from reference glyph outlines where possible, falling back to the
+ * declared OS/2 and hhea values; each metric records which of these it came from
  * @param {Object} font - The parsed font object
  * @returns {Object} - Font metrics
  */
 function calculateFontMetrics(font) {
   // Get font units
   const unitsPerEm = font.unitsPerEm;
-  
-  // Get key metrics from OS/2 table if available
-  let xHeight = 0.5;
-  let capHeight = 0.7;
-  let ascender = 0.8;
-  let descender = 0.2;
-  
-  if (font.tables.os2) {
-    // Try to get xHeight from OS/2 table
-    if (font.tables.os2.sxHeight) {
-      xHeight = font.tables.os2.sxHeight / unitsPerEm;
-    }
-    
-    // Try to get capHeight from OS/2 table
-    if (font.tables.os2.sCapHeight) {
-      capHeight = font.tables.os2.sCapHeight / unitsPerEm;
-    }
-    
-    // Get ascender and descender
-    if (font.tables.os2.sTypoAscender) {
-      ascender = font.tables.os2.sTypoAscender / unitsPerEm;
-    }
-    
-    if (font.tables.os2.sTypoDescender) {
+  const os2 = font.tables.os2;
+  const hhea = font.tables.hhea;
+  
+  // Measure the reference glyphs (x, H, d, p, o, O)
+  const measured = measureReferenceMetrics(font);
+  
+  // Candidate sources for each metric, in order of preference
+  const candidates = {
+    xHeight: [
+      ['measured', measured.xHeight],
+      ['OS/2', os2 && os2.sxHeight]
+    ],
+    capHeight: [
+      ['measured', measured.capHeight],
+      ['OS/2', os2 && os2.sCapHeight]
+    ],
+    ascender: [
+      ['measured', measured.ascender],
+      ['OS/2', os2 && os2.sTypoAscender],
+      ['hhea', hhea && hhea.ascender]
+    ],
+    descender: [
       // Descender is typically negative in the font, but we want a positive value
-      descender = Math.abs(font.tables.os2.sTypoDescender) / unitsPerEm;
-    }
-  }
-  
-  // If metrics are not available in OS/2 table, try to measure them from glyphs
-  if (xHeight === 0) {
-    const xGlyph = font.charToGlyph('x');
-    if (xGlyph && xGlyph.advanceWidth) {
-      xHeight = xGlyph.yMax / unitsPerEm;
-    }
-  }
+      ['measured', measured.descender],
+      ['OS/2', os2 && os2.sTypoDescender && Math.abs(os2.sTypoDescender)],
+      ['hhea', hhea && hhea.descender && Math.abs(hhea.descender)]
+    ]
+  };
   
-  if (capHeight === 0) {
-    const HGlyph = font.charToGlyph('H');
-    if (HGlyph && HGlyph.advanceWidth) {
-      capHeight = HGlyph.yMax / unitsPerEm;
-    }
-  }
+  const values = {};
+  const sources = {};
   
-  // If still not available, use hhea table
-  if (ascender === 0 && font.tables.hhea) {
-    ascender = font.tables.hhea.ascender / unitsPerEm;
+  for (const [metric, options] of Object.entries(candidates)) {
+    const found = options.find(([, value]) => typeof value === 'number' && value > 0);
+    values[metric] = found ? found[1] / unitsPerEm : null;
+    sources[metric] = found ? found[0] : 'unavailable';
   }
   
-  if (descender === 0 && font.tables.hhea) {
-    descender = Math.abs(font.tables.hhea.descender) / unitsPerEm;
-  }
+  // Flag declared heights that the outlines contradict
+  const discrepancies = findMetricDiscrepancies(font, measured).map(discrepancy => ({
+    metric: discrepancy.metric,
+    source: discrepancy.source,
+    declared: roundEm(discrepancy.declared / unitsPerEm),
+    measured: roundEm(discrepancy.measured / unitsPerEm)
+  }));
   
   // Estimate contrast (thickness variation)
   const contrast = estimateContrast(font);
   
-  // Determine stroke terminals
-  const strokeTerminals = determineStrokeTerminals(font);
+  // Determine stroke terminals, sizing the search by the measured stem width
+  const strokeTerminals = determineStrokeTerminals(font, contrast.stemWidth);
   
   // Determine overall shape
-  const shape = determineShape(xHeight, capHeight, ascender, descender);
+  const shape = determineShape(values.xHeight, values.capHeight, values.ascender, values.descender);
+  
+  // The line box browsers build and the average width of running text, for sizing fallback fonts
+  const useTypoMetrics = os2 && (os2.fsSelection & FS_SELECTION_USE_TYPO_METRICS) !== 0;
+  const averageWidth = averageCharacterWidth(font);
+  const lineMetrics = {
+    unitsPerEm,
+    ...(useTypoMetrics
+      ? { source: 'OS/2', ascent: os2.sTypoAscender, descent: os2.sTypoDescender, lineGap: os2.sTypoLineGap }
+      : { source: 'hhea', ascent: hhea.ascender, descent: hhea.descender, lineGap: hhea.lineGap }),
+    averageWidth: averageWidth === null ? null : Math.round(averageWidth * 100) / 100
+  };
   
   return {
-    xHeight: `${xHeight.toFixed(2)} em`,
-    capHeight: `${capHeight.toFixed(2)} em`,
-    ascender: `${ascender.toFixed(2)} em`,
-    descender: `${descender.toFixed(2)} em`,
-    contrast,
-    strokeTerminals,
-    shape
+    xHeight: formatEm(values.xHeight),
+    capHeight: formatEm(values.capHeight),
+    ascender: formatEm(values.ascender),
+    descender: formatEm(values.descender),
+    contrast: contrast.description,
+    contrastRatio: contrast.ratio,
+    strokeTerminals: strokeTerminals.description,
+    confidence: {
+      contrast: contrast.confidence,
+      strokeTerminals: strokeTerminals.confidence
+    },
+    shape,
+    values: Object.fromEntries(Object.entries(values).map(([metric, value]) => [metric, value === null ? null : roundEm(value)])),
+    sources,
+    overshoot: {
+      xHeight: measured.xOvershoot === null ? null : roundEm(measured.xOvershoot / unitsPerEm),
+      capHeight: measured.capOvershoot === null ? null : roundEm(measured.capOvershoot / unitsPerEm)
+    },
+    discrepancies,
+    lineMetrics
   };
 }
 
+/**
+ * Formats an em-relative metric for display
+ * @param {number|null} value - Metric in ems
+ * @returns {string} - e.g. "0.52 em", or "Unknown" when the metric is unavailable
+ */
+function formatEm(value) {
+  return value === null ? 'Unknown' : `${value.toFixed(2)} em`;
+}
+
+/**
+ * Rounds an em-relative value to three decimals
+ * @param {number} value - Value in ems
+ * @returns {number} - Rounded value
+ */
+function roundEm(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
 /**
  * Estimates the contrast of a font
+ * Measured from the outlines when possible; PANOSE stroke variation is a low-confidence fallback
  * @param {Object} font - The parsed font object
- * @returns {string} - Contrast description
+ * @returns {Object} - { description, ratio, confidence, stemWidth }
  */
 function estimateContrast(font) {
+  const measured = analyzeStrokeContrast(font);
+  
+  if (measured) {
+    const { ratio } = measured;
+    let level;
+    if (ratio < 1.1) {
+      level = 'No Variation';
+    } else if (ratio < 1.5) {
+      level = 'Low';
+    } else if (ratio < 2.5) {
+      level = 'Medium';
+    } else if (ratio < 4) {
+      level = 'High';
+    } else {
+      level = 'Very High';
+    }
+    
+    return {
+      description: `${level} (${ratio.toFixed(1)})`,
+      ratio,
+      confidence: measured.confidence,
+      stemWidth: measured.stemWidth
+    };
+  }
+  
   // Try to get contrast from OS/2 table panose values
   if (font.tables.os2 && font.tables.os2.panose) {
     const strokeVariation = font.tables.os2.panose[7];
@@ -278,24 +664,32 @@ function estimateContrast(font) {
     // 1 = No Variation, 2 = Gradual/Diagonal, 3 = Gradual/Transitional, 4 = Gradual/Vertical
     // 5 = Gradual/Horizontal, 6 = Abrupt/Vertical, 7 = Abrupt/Horizontal, 8 = Instant/Vertical
     if (strokeVariation === 1) {
-      return 'No Variation (1.0)';
+      return { description: 'No Variation (1.0)', ratio: null, confidence: PANOSE_CONFIDENCE, stemWidth: null };
     } else if (strokeVariation >= 2 && strokeVariation <= 5) {
-      return 'Medium (3.5)';
+      return { description: 'Medium (3.5)', ratio: null, confidence: PANOSE_CONFIDENCE, stemWidth: null };
     } else if (strokeVariation >= 6) {
-      return 'High (7.0)';
+      return { description: 'High (7.0)', ratio: null, confidence: PANOSE_CONFIDENCE, stemWidth: null };
     }
   }
   
-  // Default to medium contrast if we can't determine
-  return 'Medium (3.5)';
+  // Neither the outlines nor PANOSE say anything
+  return { description: 'Unknown', ratio: null, confidence: 0, stemWidth: null };
 }
 
 /**
  * Determines the stroke terminals of a font
+ * Classified from the outline curvature at stroke ends; PANOSE is a low-confidence fallback
  * @param {Object} font - The parsed font object
- * @returns {string} - Description of stroke terminals
+ * @param {number|null} stemWidth - Measured stem width in font units, if known
+ * @returns {Object} - { description, confidence }
  */
-function determineStrokeTerminals(font) {
+function determineStrokeTerminals(font, stemWidth) {
+  const classified = classifyTerminals(font, stemWidth);
+  
+  if (classified) {
+    return { description: classified.terminal, confidence: classified.confidence };
+  }
+  
   // Try to get stroke terminals from OS/2 table panose values
   if (font.tables.os2 && font.tables.os2.panose) {
     const strokeTerminals = font.tables.os2.panose[8];
@@ -303,32 +697,40 @@ function determineStrokeTerminals(font) {
     // Stroke Terminals (index 8)
     // 1 = None, 2 = Gradual/Rounded, 3 = Gradual/Flared, 4 = Gradual/Pointed
     // 5 = Abrupt/Square, 6 = Abrupt/Rounded, 7 = Abrupt/Flared, 8 = Abrupt/Pointed
-    if (strokeTerminals === 1) {
-      return 'None';
-    } else if (strokeTerminals === 2 || strokeTerminals === 6) {
-      return 'Rounded';
-    } else if (strokeTerminals === 3 || strokeTerminals === 7) {
-      return 'Flared';
-    } else if (strokeTerminals === 4 || strokeTerminals === 8) {
-      return 'Pointed';
-    } else if (strokeTerminals === 5) {
-      return 'Square';
+    const panoseTerminals = {
+      1: 'None',
+      2: 'Rounded',
+      3: 'Flared',
+      4: 'Pointed',
+      5: 'Square',
+      6: 'Rounded',
+      7: 'Flared',
+      8: 'Pointed'
+    };
+    
+    if (panoseTerminals[strokeTerminals]) {
+      return { description: panoseTerminals[strokeTerminals], confidence: PANOSE_CONFIDENCE };
     }
   }
   
-  // Default to rounded if we can't determine
-  return 'Rounded';
+  // Neither the outlines nor PANOSE say anything
+  return { description: 'Unknown', confidence: 0 };
 }
 
 /**
  * Determines the overall shape of a font
- * @param {number} xHeight - x-height
- * @param {number} capHeight - Cap height
- * @param {number} ascender - Ascender height
- * @param {number} descender - Descender depth
+ * @param {number|null} xHeight - x-height
+ * @param {number|null} capHeight - Cap height
+ * @param {number|null} ascender - Ascender height
+ * @param {number|null} descender - Descender depth
  * @returns {string} - Description of font shape
  */
 function determineShape(xHeight, capHeight, ascender, descender) {
+  // Proportions are relative to the cap height, so without it there is nothing to compare
+  if (!xHeight || !capHeight) {
+    return 'Proportions unknown, reference glyphs missing';
+  }
+  
   // Calculate x-height to cap-height ratio
   const xToCapRatio = xHeight / capHeight;
   
@@ -354,142 +756,32 @@ function determineShape(xHeight, capHeight, ascender, descender) {
 
 /**
  * Analyzes the personality traits of a font
- * @param {string} fontStyle - Font style
+ * Scores come from the feature-weighted model in personalityModel.js, with a per-trait breakdown
+ * @param {Object} font - The parsed font object
+ * @param {Object} styleAnalysis - Style classification result
  * @param {Object} fontMetrics - Font metrics
- * @returns {Object} - Personality traits
+ * @returns {Object} - Personality traits, their breakdown and a description
  */
-function analyzeFontPersonality(fontStyle, fontMetrics) {
-  // This is a simplified implementation based on font style and metrics
-  let formality = 50;
-  let approachability = 50;
-  let gentleness = 50;
-  let sophistication = 50;
-  let traditionality = 50;
-  let playfulness = 50;
-  
-  // Adjust based on font style
-  if (fontStyle === 'serif') {
-    formality += 25;
-    sophistication += 20;
-    traditionality += 25;
-    playfulness -= 10;
-  } else if (fontStyle === 'sans-serif') {
-    approachability += 15;
-    gentleness += 10;
-    traditionality -= 10;
-  } else if (fontStyle === 'script') {
-    formality += 10;
-    gentleness += 25;
-    sophistication += 15;
-    playfulness += 20;
-  } else if (fontStyle === 'decorative') {
-    formality -= 15;
-    playfulness += 30;
-    traditionality -= 20;
-  } else if (fontStyle === 'monospace') {
-    formality += 15;
-    approachability -= 10;
-    traditionality += 5;
-    playfulness -= 15;
-  }
-  
-  // Adjust based on x-height
-  const xHeight = parseFloat(fontMetrics.xHeight);
-  if (!isNaN(xHeight)) {
-    if (xHeight > 0.6) {
-      approachability += 10;
-      formality -= 5;
-    } else if (xHeight < 0.4) {
-      sophistication += 10;
-      formality += 5;
-    }
-  }
-  
-  // Adjust based on contrast
-  if (fontMetrics.contrast.includes('High')) {
-    sophistication += 15;
-    traditionality += 10;
-    approachability -= 5;
-  } else if (fontMetrics.contrast.includes('No')) {
-    approachability += 10;
-    traditionality -= 10;
-  } else if (fontMetrics.contrast.includes('Medium')) {
-    sophistication += 5;
-    approachability += 5;
-  }
-  
-  // Adjust based on stroke terminals
-  if (fontMetrics.strokeTerminals === 'Rounded') {
-    gentleness += 15;
-    approachability += 10;
-    playfulness += 5;
-  } else if (fontMetrics.strokeTerminals === 'Pointed') {
-    sophistication += 10;
-    gentleness -= 10;
-    formality += 5;
-  } else if (fontMetrics.strokeTerminals === 'Square') {
-    formality += 10;
-    gentleness -= 5;
-    traditionality += 5;
-  } else if (fontMetrics.strokeTerminals === 'Flared') {
-    sophistication += 15;
-    playfulness += 5;
-    traditionality += 5;
-  }
-  
-  // Adjust based on overall shape description
-  if (fontMetrics.shape.includes('large x-height')) {
-    approachability += 10;
-    traditionality -= 5;
-    playfulness += 5;
-  } else if (fontMetrics.shape.includes('small x-height')) {
-    sophistication += 10;
-    traditionality += 5;
-    playfulness -= 5;
-  } else if (fontMetrics.shape.includes('tall ascenders')) {
-    sophistication += 5;
-    formality += 5;
-    gentleness += 5;
-  } else if (fontMetrics.shape.includes('deep descenders')) {
-    sophistication += 5;
-    playfulness += 5;
-  }
-  
-  // Add variance based on font metrics to ensure different fonts get different personality values
-  // Create a hash from font metrics measurements
-  const metricsSum = xHeight * 100 + 
-                     parseFloat(fontMetrics.capHeight) * 200 + 
-                     parseFloat(fontMetrics.ascender) * 300 + 
-                     parseFloat(fontMetrics.descender) * 400;
-  
-  // Use the hash to add small variations to each personality trait
-  const hash = Math.abs(Math.round(metricsSum * 1000)) % 100;
-  
-  formality += (hash % 10) - 5;       // -5 to +4
-  approachability += ((hash + 3) % 10) - 5;
-  gentleness += ((hash + 7) % 10) - 5;
-  sophistication += ((hash + 13) % 10) - 5;
-  traditionality += ((hash + 19) % 10) - 5;
-  playfulness += ((hash + 23) % 10) - 5;
-  
-  // Ensure values are within 0-100 range
-  const clamp = (value) => Math.max(0, Math.min(100, Math.round(value)));
-  
-  const personalityTraits = {
-    formality: clamp(formality),
-    approachability: clamp(approachability),
-    gentleness: clamp(gentleness),
-    sophistication: clamp(sophistication),
-    traditionality: clamp(traditionality),
-    playfulness: clamp(playfulness)
-  };
+function analyzeFontPersonality(font, styleAnalysis, fontMetrics) {
+  const { xHeight, capHeight } = fontMetrics.values;
+  const os2 = font.tables.os2;
+  
+  const { traits, breakdown } = scorePersonality({
+    style: styleAnalysis,
+    terminals: { value: fontMetrics.strokeTerminals, confidence: fontMetrics.confidence.strokeTerminals },
+    xHeightRatio: xHeight && capHeight ? xHeight / capHeight : null,
+    contrastRatio: fontMetrics.contrastRatio,
+    weightClass: os2 ? os2.usWeightClass : null,
+    widthClass: os2 ? os2.usWidthClass : null
+  });
   
   // Generate emotional description based on personality traits
-  const emotionalDescription = generateCustomEmotionalDescription(personalityTraits, fontStyle, fontMetrics);
+  const emotionalDescription = generateCustomEmotionalDescription(traits, styleAnalysis.classification, fontMetrics);
   
   return {
-    ...personalityTraits,
-    emotionalDescription
+    ...traits,
+    emotionalDescription,
+    breakdown
   };
 }
 
@@ -600,8 +892,10 @@ function generateCustomEmotionalDescription(personality, fontStyle, fontMetrics)
   // Construct the final description
   let description = styleDesc;
   
-  // Add either contrast or terminal description, but not both (avoid wordiness)
-  if (Math.random() > 0.5 && contrastDesc) {
+  // Add either contrast or terminal description, but not both (avoid wordiness);
+  // describe whichever was measured with more confidence
+  const { confidence } = fontMetrics;
+  if (contrastDesc && (!terminalDesc || confidence.contrast >= confidence.strokeTerminals)) {
     description += contrastDesc;
   } else if (terminalDesc) {
     description += terminalDesc;
@@ -899,52 +1193,55 @@ function generateRecommendations(fontStyle, fontMetrics, fontPersonality) {
   }
   
   // Add variety based on metrics to ensure different fonts get different recommendations
-  // Create a fingerprint from the font metrics
-  const metricsFingerprint = (
-    parseFloat(fontMetrics.xHeight) * 100 + 
-    parseFloat(fontMetrics.capHeight) * 200 + 
-    parseFloat(fontMetrics.ascender) * 300 + 
-    parseFloat(fontMetrics.descender) * 400
-  );
-  
-  // Use the fingerprint to select additional recommendations
-  const uniqueRecommendations = [
-    "Editorial design", "Branding and identity", "User experience design",
-    "Product packaging", "Signage systems", "Data visualization",
-    "Email templates", "Social media graphics", "Presentation slides",
-    "App interfaces", "Video subtitles", "Book covers",
-    "Event materials", "Restaurant menus", "Marketing collateral",
-    "Annual reports", "Digital advertisements", "Print brochures"
-  ];
-  
-  const uniqueNonRecommendations = [
-    "Emergency signage", "Medical instructions", "Financial disclaimers",
-    "Legal contracts", "Academic papers", "Technical manuals",
-    "Educational flashcards", "Children's books", "Comic strips",
-    "Navigation systems", "Code editors", "Stock tickers",
-    "Data tables", "Mathematical formulas", "Bibliography listings"
-  ];
-  
-  // Select 1-2 additional unique recommendations based on the fingerprint
-  const fpIndex1 = Math.abs(Math.round(metricsFingerprint * 100)) % uniqueRecommendations.length;
-  const fpIndex2 = Math.abs(Math.round(metricsFingerprint * 200)) % uniqueRecommendations.length;
-  
-  if (fpIndex1 !== fpIndex2) {
-    recommendedUses.push(uniqueRecommendations[fpIndex1]);
-    recommendedUses.push(uniqueRecommendations[fpIndex2]);
-  } else {
-    recommendedUses.push(uniqueRecommendations[fpIndex1]);
-  }
-  
-  // Select 1-2 additional unique non-recommendations based on the fingerprint
-  const fpNonIndex1 = Math.abs(Math.round(metricsFingerprint * 300)) % uniqueNonRecommendations.length;
-  const fpNonIndex2 = Math.abs(Math.round(metricsFingerprint * 400)) % uniqueNonRecommendations.length;
-  
-  if (fpNonIndex1 !== fpNonIndex2) {
-    notRecommendedUses.push(uniqueNonRecommendations[fpNonIndex1]);
-    notRecommendedUses.push(uniqueNonRecommendations[fpNonIndex2]);
-  } else {
-    notRecommendedUses.push(uniqueNonRecommendations[fpNonIndex1]);
+  // Create a fingerprint from the font metrics; without all four there is nothing stable to pick from
+  const metricValues = fontMetrics.values;
+  if (Object.values(metricValues).every(value => value !== null)) {
+    const metricsFingerprint = (
+      metricValues.xHeight * 100 + 
+      metricValues.capHeight * 200 + 
+      metricValues.ascender * 300 + 
+      metricValues.descender * 400
+    );
+    
+    // Use the fingerprint to select additional recommendations
+    const uniqueRecommendations = [
+      "Editorial design", "Branding and identity", "User experience design",
+      "Product packaging", "Signage systems", "Data visualization",
+      "Email templates", "Social media graphics", "Presentation slides",
+      "App interfaces", "Video subtitles", "Book covers",
+      "Event materials", "Restaurant menus", "Marketing collateral",
+      "Annual reports", "Digital advertisements", "Print brochures"
+    ];
+    
+    const uniqueNonRecommendations = [
+      "Emergency signage", "Medical instructions", "Financial disclaimers",
+      "Legal contracts", "Academic papers", "Technical manuals",
+      "Educational flashcards", "Children's books", "Comic strips",
+      "Navigation systems", "Code editors", "Stock tickers",
+      "Data tables", "Mathematical formulas", "Bibliography listings"
+    ];
+    
+    // Select 1-2 additional unique recommendations based on the fingerprint
+    const fpIndex1 = Math.abs(Math.round(metricsFingerprint * 100)) % uniqueRecommendations.length;
+    const fpIndex2 = Math.abs(Math.round(metricsFingerprint * 200)) % uniqueRecommendations.length;
+    
+    if (fpIndex1 !== fpIndex2) {
+      recommendedUses.push(uniqueRecommendations[fpIndex1]);
+      recommendedUses.push(uniqueRecommendations[fpIndex2]);
+    } else {
+      recommendedUses.push(uniqueRecommendations[fpIndex1]);
+    }
+    
+    // Select 1-2 additional unique non-recommendations based on the fingerprint
+    const fpNonIndex1 = Math.abs(Math.round(metricsFingerprint * 300)) % uniqueNonRecommendations.length;
+    const fpNonIndex2 = Math.abs(Math.round(metricsFingerprint * 400)) % uniqueNonRecommendations.length;
+    
+    if (fpNonIndex1 !== fpNonIndex2) {
+      notRecommendedUses.push(uniqueNonRecommendations[fpNonIndex1]);
+      notRecommendedUses.push(uniqueNonRecommendations[fpNonIndex2]);
+    } else {
+      notRecommendedUses.push(uniqueNonRecommendations[fpNonIndex1]);
+    }
   }
   
   // Remove duplicates and limit the number of recommendations to avoid overwhelming the UI
@@ -962,7 +1259,7 @@ function generateRecommendations(fontStyle, fontMetrics, fontPersonality) {
 /**
  * Analyzes the character set of a font
  * @param {Object} font - The parsed font object
- * @returns {Object} - Character set information
+ * @returns {Object} - Character set summaries, plus per-block and per-language coverage
  */
 function analyzeCharacterSet(font) {
   // Initialize character set info
@@ -984,11 +1281,19 @@ function analyzeCharacterSet(font) {
     let symbolsCount = 0;
     let punctuationCount = 0;
     
+    // Walk the whole cmap for block and language coverage
+    const coverage = analyzeUnicodeCoverage(font);
+    characterSetInfo.coverage = coverage;
+    
     // Check for specific character ranges
-    const hasBasicLatin = hasCharacterRange(font, 0x0020, 0x007F);
-    const hasLatinSupplement = hasCharacterRange(font, 0x00A0, 0x00FF);
-    const hasLatinExtendedA = hasCharacterRange(font, 0x0100, 0x017F);
-    const hasLatinExtendedB = hasCharacterRange(font, 0x0180, 0x024F);
+    const blockPercent = (name) => {
+      const block = coverage.blocks.find(entry => entry.name === name);
+      return block ? block.percent : 0;
+    };
+    const hasBasicLatin = blockPercent('Basic Latin') >= 90;
+    const hasLatinSupplement = blockPercent('Latin-1 Supplement') >= 90;
+    const hasLatinExtendedA = blockPercent('Latin Extended-A') >= 90;
+    const hasLatinExtendedB = blockPercent('Latin Extended-B') >= 50;
     
     // Check for numerals
     const hasProportionalNumerals = hasSpecificCharacters(font, ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9']);
@@ -1033,13 +1338,15 @@ function analyzeCharacterSet(font) {
       characterSetInfo.punctuation = 'Basic';
     }
     
-    // Determine language support
-    if (hasBasicLatin && hasLatinSupplement && hasLatinExtendedA) {
-      characterSetInfo.languages = 'Latin-based (Western European)';
-    } else if (hasBasicLatin && hasLatinSupplement) {
-      characterSetInfo.languages = 'Latin-based (limited)';
-    } else if (hasBasicLatin) {
-      characterSetInfo.languages = 'English only';
+    // Summarize language support from the orthography checks
+    const supported = coverage.languages.filter(language => language.status === 'supported');
+    if (supported.length === 1) {
+      characterSetInfo.languages = `${supported[0].language} only`;
+    } else if (supported.length > 1) {
+      const scripts = [...new Set(supported.map(language => language.script))];
+      characterSetInfo.languages = `${supported.length} languages (${scripts.join(', ')})`;
+    } else {
+      characterSetInfo.languages = 'No language fully supported';
     }
     
     return characterSetInfo;
@@ -1049,32 +1356,6 @@ function analyzeCharacterSet(font) {
   }
 }
 
-/**
- * Checks if a font has characters in a specific range
- * @param {Object} font - The parsed font object
- * @param {number} startCode - Start of Unicode range
- * @param {number} endCode - End of Unicode range
- * @returns {boolean} - Whether the font has characters in the range
- */
-function hasCharacterRange(font, startCode, endCode) {
-  let count = 0;
-  const threshold = Math.floor((endCode - startCode + 1) * 0.7); // 70% coverage threshold
-  
-  for (let code = startCode; code <= endCode; code++) {
-    const char = String.fromCodePoint(code);
-    try {
-      const glyph = font.charToGlyph(char);
-      if (glyph && glyph.name !== '.notdef') {
-        count++;
-      }
-    } catch (e) {
-      // Skip errors for unsupported characters
-    }
-  }
-  
-  return count >= threshold;
-}
-
 /**
  * Checks if a font has specific characters
  * @param {Object} font - The parsed font object
@@ -1130,25 +1411,22 @@ function checkForTabularNumerals(font) {
 
 /**
  * Determines the font weight
+ * Variable fonts with a wght axis report the default weight followed by the axis range
  * @param {Object} font - The parsed font object
  * @returns {string} - Font weight description
  */
 function determineFontWeight(font) {
   try {
     if (font.tables.os2 && font.tables.os2.usWeightClass) {
-      const weightClass = font.tables.os2.usWeightClass;
+      const description = describeWeightClass(font.tables.os2.usWeightClass);
       
-      // Map weight class to description
-      if (weightClass <= 100) return 'Thin (100)';
-      if (weightClass <= 200) return 'Extra Light (200)';
-      if (weightClass <= 300) return 'Light (300)';
-      if (weightClass <= 400) return 'Regular (400)';
-      if (weightClass <= 500) return 'Medium (500)';
-      if (weightClass <= 600) return 'Semi Bold (600)';
-      if (weightClass <= 700) return 'Bold (700)';
-      if (weightClass <= 800) return 'Extra Bold (800)';
-      if (weightClass <= 900) return 'Black (900)';
-      return `Heavy (${weightClass})`;
+      // Keep the default's "(400)" first; the report parses the first parenthesized number
+      const weightAxis = findVariationAxis(font, 'wght');
+      if (weightAxis) {
+        return `${description}, variable from ${weightAxis.minValue} to ${weightAxis.maxValue}`;
+      }
+      
+      return description;
     }
     
     // Check font name for weight indicators if OS/2 table is not available
@@ -1176,6 +1454,21 @@ function determineFontWeight(font) {
   }
 }
 
+/**
+ * Tells whether a face is italic or oblique from its style bits and slant
+ * @param {Object} font - The parsed font object
+ * @returns {boolean} - Whether the face is italic
+ */
+function isItalicFace(font) {
+  const { os2, head, post } = font.tables;
+  
+  return Boolean(
+    (os2 && os2.fsSelection & FS_SELECTION_ITALIC) ||
+    (head && head.macStyle & MAC_STYLE_ITALIC) ||
+    (post && post.italicAngle !== 0)
+  );
+}
+
 /**
  * Determines the font width
  * @param {Object} font - The parsed font object
@@ -1184,19 +1477,14 @@ function determineFontWeight(font) {
 function determineFontWidth(font) {
   try {
     if (font.tables.os2 && font.tables.os2.usWidthClass) {
-      const widthClass = font.tables.os2.usWidthClass;
+      const description = describeWidthClass(font.tables.os2.usWidthClass);
+      
+      const widthAxis = findVariationAxis(font, 'wdth');
+      if (widthAxis) {
+        return `${description}, variable from ${widthAxis.minValue}% to ${widthAxis.maxValue}%`;
+      }
       
-      // Map width class to description (1-9 scale)
-      if (widthClass === 1) return 'Ultra Condensed (1)';
-      if (widthClass === 2) return 'Extra Condensed (2)';
-      if (widthClass === 3) return 'Condensed (3)';
-      if (widthClass === 4) return 'Semi Condensed (4)';
-      if (widthClass === 5) return 'Normal (5)';
-      if (widthClass === 6) return 'Semi Expanded (6)';
-      if (widthClass === 7) return 'Expanded (7)';
-      if (widthClass === 8) return 'Extra Expanded (8)';
-      if (widthClass === 9) return 'Ultra Expanded (9)';
-      return `Custom (${widthClass})`;
+      return description;
     }
     
     // Check font name for width indicators if OS/2 table is not available
@@ -1223,20 +1511,111 @@ function determineFontWidth(font) {
   }
 }
 
+/**
+ * Maps an OS/2 usWeightClass to a description
+ * @param {number} weightClass - The weight class (1-1000)
+ * @returns {string} - Weight description
+ */
+function describeWeightClass(weightClass) {
+  if (weightClass <= 100) return 'Thin (100)';
+  if (weightClass <= 200) return 'Extra Light (200)';
+  if (weightClass <= 300) return 'Light (300)';
+  if (weightClass <= 400) return 'Regular (400)';
+  if (weightClass <= 500) return 'Medium (500)';
+  if (weightClass <= 600) return 'Semi Bold (600)';
+  if (weightClass <= 700) return 'Bold (700)';
+  if (weightClass <= 800) return 'Extra Bold (800)';
+  if (weightClass <= 900) return 'Black (900)';
+  return `Heavy (${weightClass})`;
+}
+
+/**
+ * Maps an OS/2 usWidthClass to a description
+ * @param {number} widthClass - The width class (1-9)
+ * @returns {string} - Width description
+ */
+function describeWidthClass(widthClass) {
+  if (widthClass === 1) return 'Ultra Condensed (1)';
+  if (widthClass === 2) return 'Extra Condensed (2)';
+  if (widthClass === 3) return 'Condensed (3)';
+  if (widthClass === 4) return 'Semi Condensed (4)';
+  if (widthClass === 5) return 'Normal (5)';
+  if (widthClass === 6) return 'Semi Expanded (6)';
+  if (widthClass === 7) return 'Expanded (7)';
+  if (widthClass === 8) return 'Extra Expanded (8)';
+  if (widthClass === 9) return 'Ultra Expanded (9)';
+  return `Custom (${widthClass})`;
+}
+
+/**
+ * Finds a variation axis by tag
+ * @param {Object} font - The parsed font object
+ * @param {string} tag - Axis tag, such as 'wght'
+ * @returns {Object|null} - The fvar axis, or null for static fonts and missing axes
+ */
+function findVariationAxis(font, tag) {
+  const fvar = font.tables.fvar;
+  return (fvar && fvar.axes.find(axis => axis.tag === tag)) || null;
+}
+
 /**
  * Compares two font files and returns a detailed comparison of their properties
- * @param {File} primaryFontFile - The primary font file
- * @param {File} secondaryFontFile - The secondary font file to compare against
- * @returns {Promise<Object>} - Comparison results between the two fonts
+ * @param {File|ArrayBuffer|ArrayBufferView} primaryFontFile - The primary font file, or its raw data
+ * @param {File|ArrayBuffer|ArrayBufferView} secondaryFontFile - The secondary font file to compare against
+ * @param {Object} [options] - Comparison options
+ * @param {boolean} [options.metrics=true] - Compare metrics, weight and width
+ * @param {boolean} [options.glyphs=true] - Compare character sets and diff the glyph sets, with glyph previews
+ * @param {boolean} [options.personality=true] - Compare personality traits
+ * @param {boolean} [options.features=true] - Diff the OpenType layout features
+ * @param {boolean} [options.outlines=false] - Diff the outlines of matching glyphs, for reviewing two versions of a font
+ * @param {Function} [options.onProgress] - Called as each analysis stage starts, counting both fonts' stages
+ * @param {Array<string>} [options.fileNames] - File names to report for raw data, as [primary, secondary]
+ * @param {Array<number>} [options.faceIndexes] - Face to compare when a file is a collection, as [primary, secondary]; default 0
+ * @returns {Promise<Object>} - Comparison results between the two fonts; sections that weren't
+ *   selected are null, and sections records which were
  */
-export async function compareFonts(primaryFontFile, secondaryFontFile) {
+export async function compareFonts(primaryFontFile, secondaryFontFile, options = {}) {
   try {
-    // Analyze both fonts
-    const primaryFont = await analyzeFontFile(primaryFontFile);
-    const secondaryFont = await analyzeFontFile(secondaryFontFile);
+    // Analyze both fonts, reporting their stages as one run
+    const { onProgress, fileNames = [], faceIndexes = [] } = options;
+    const sections = {
+      metrics: options.metrics !== false,
+      glyphs: options.glyphs !== false,
+      personality: options.personality !== false,
+      features: options.features !== false,
+      outlines: options.outlines === true
+    };
+    
+    // Only the stages the selected sections and the compatibility score read are run
+    const stages = [
+      ...COMPARISON_FACE_STAGES,
+      sections.glyphs && 'characterSet',
+      sections.features && 'layoutFeatures'
+    ].filter(Boolean);
+    const glyphStages = [sections.glyphs && 'glyphSet', sections.outlines && 'outlines'].filter(Boolean);
+    const total = stages.length * 2 + glyphStages.length;
+    const forwardProgress = (offset, font) => progress => {
+      if (onProgress) {
+        onProgress({ ...progress, completed: progress.completed + offset, total, font });
+      }
+    };
+    const primary = await analyzeComparedFont(primaryFontFile, {
+      fileName: fileNames[0],
+      faceIndex: faceIndexes[0],
+      stages,
+      onProgress: forwardProgress(0, 'primary')
+    });
+    const secondary = await analyzeComparedFont(secondaryFontFile, {
+      fileName: fileNames[1],
+      faceIndex: faceIndexes[1],
+      stages,
+      onProgress: forwardProgress(stages.length, 'secondary')
+    });
+    const primaryFont = primary.analysis;
+    const secondaryFont = secondary.analysis;
     
     // Compare metrics
-    const metricsComparison = {
+    const metricsComparison = sections.metrics ? {
       xHeight: {
         primary: primaryFont.metrics.xHeight,
         secondary: secondaryFont.metrics.xHeight,
@@ -1272,10 +1651,10 @@ export async function compareFonts(primaryFontFile, secondaryFontFile) {
         secondary: secondaryFont.metrics.shape,
         difference: null // Qualitative comparison
       }
-    };
+    } : null;
     
     // Compare personality traits
-    const personalityComparison = {
+    const personalityComparison = sections.personality ? {
       formality: {
         primary: primaryFont.personality.formality,
         secondary: secondaryFont.personality.formality,
@@ -1306,19 +1685,42 @@ export async function compareFonts(primaryFontFile, secondaryFontFile) {
         secondary: secondaryFont.personality.playfulness,
         difference: primaryFont.personality.playfulness - secondaryFont.personality.playfulness
       }
-    };
+    } : null;
     
     // Compare character sets
-    const characterSetComparison = {
+    const characterSetComparison = sections.glyphs ? {
       latin: compareCharacterSets(primaryFont.characterSet.latin, secondaryFont.characterSet.latin),
       numerals: compareCharacterSets(primaryFont.characterSet.numerals, secondaryFont.characterSet.numerals),
       symbols: compareCharacterSets(primaryFont.characterSet.symbols, secondaryFont.characterSet.symbols),
       punctuation: compareCharacterSets(primaryFont.characterSet.punctuation, secondaryFont.characterSet.punctuation),
       languages: compareCharacterSets(primaryFont.characterSet.languages, secondaryFont.characterSet.languages)
+    } : null;
+    
+    // Split the cmaps into shared and missing code points, and measure how matching glyphs' outlines changed,
+    // from the fonts parsed for the analysis
+    const reportGlyphStage = stage => {
+      if (onProgress) {
+        onProgress({ stage, label: COMPARISON_STAGES[stage], completed: stages.length * 2 + glyphStages.indexOf(stage), total });
+      }
     };
+    let glyphSetComparison = null;
+    let outlineComparison = null;
+    if (sections.glyphs) {
+      reportGlyphStage('glyphSet');
+      glyphSetComparison = diffGlyphSets(primary.font, secondary.font);
+    }
+    if (sections.outlines) {
+      reportGlyphStage('outlines');
+      outlineComparison = diffGlyphOutlines(primary.font, secondary.font);
+    }
+    
+    // Compare the GSUB and GPOS features
+    const featuresComparison = sections.features
+      ? diffLayoutFeatures(primaryFont.layoutFeatures, secondaryFont.layoutFeatures)
+      : null;
     
     // Compare general properties
-    const generalComparison = {
+    const generalComparison = sections.metrics ? {
       weight: {
         primary: primaryFont.weight,
         secondary: secondaryFont.weight,
@@ -1329,10 +1731,10 @@ export async function compareFonts(primaryFontFile, secondaryFontFile) {
         secondary: secondaryFont.width,
         difference: null // Qualitative comparison
       }
-    };
+    } : null;
     
-    // Generate compatibility score (0-100)
-    const compatibilityScore = calculateCompatibilityScore(primaryFont, secondaryFont);
+    // Score the pairing on typographic criteria, keeping each criterion's evidence
+    const compatibility = scoreCompatibility(primaryFont, secondaryFont);
     
     // Generate pairing recommendations
     const pairingRecommendations = generatePairingRecommendations(primaryFont, secondaryFont);
@@ -1340,25 +1742,125 @@ export async function compareFonts(primaryFontFile, secondaryFontFile) {
     return {
       primaryFont: {
         name: primaryFont.name,
-        format: primaryFont.format
+        format: primaryFont.format,
+        faceIndex: primaryFont.faceIndex
       },
       secondaryFont: {
         name: secondaryFont.name,
-        format: secondaryFont.format
+        format: secondaryFont.format,
+        faceIndex: secondaryFont.faceIndex
       },
       metrics: metricsComparison,
       personality: personalityComparison,
       characterSet: characterSetComparison,
+      glyphSet: glyphSetComparison,
+      outlines: outlineComparison,
+      features: featuresComparison,
       general: generalComparison,
-      compatibilityScore,
+      sections,
+      compatibilityScore: compatibility.score,
+      compatibility,
       pairingRecommendations
     };
   } catch (error) {
-    console.error('Error comparing fonts:', error);
     throw new Error(`Font comparison failed: ${error.message}`);
   }
 }
 
+/**
+ * Compares a shortlist of fonts at once: their metrics and personality side by side, and a compatibility score for every pair
+ * @param {Array<File|ArrayBuffer|ArrayBufferView>} fontFiles - The candidate font files, or their raw data
+ * @param {Object} [options] - Comparison options
+ * @param {Function} [options.onProgress] - Called as each analysis stage starts, counting every font's stages; events carry fontIndex
+ * @param {Array<string>} [options.fileNames] - File names to report for raw data, in the same order as fontFiles
+ * @param {Array<number>} [options.faceIndexes] - Face to compare when a file is a collection, in the same order as fontFiles; default 0
+ * @returns {Promise<Object>} - { fonts, metrics, personality, compatibility }; metrics and personality map each
+ *   measure to one value per font, and compatibility is a symmetric matrix of scores with null on the diagonal
+ */
+export async function compareFontSet(fontFiles, options = {}) {
+  if (fontFiles.length < 2) {
+    throw new Error('At least two fonts are needed for a comparison');
+  }
+  
+  try {
+    const { onProgress, fileNames = [], faceIndexes = [] } = options;
+    const stages = COMPARISON_FACE_STAGES;
+    const total = stages.length * fontFiles.length;
+    
+    // Analyze one font at a time, so a long shortlist doesn't hold every parsed font in memory at once
+    const analyses = [];
+    for (const [fontIndex, fontFile] of fontFiles.entries()) {
+      const forwardProgress = progress => {
+        if (onProgress) {
+          onProgress({ ...progress, completed: progress.completed + stages.length * fontIndex, total, fontIndex });
+        }
+      };
+      const { analysis } = await analyzeComparedFont(fontFile, {
+        fileName: fileNames[fontIndex],
+        faceIndex: faceIndexes[fontIndex],
+        stages,
+        onProgress: forwardProgress
+      });
+      analyses.push(analysis);
+    }
+    
+    const valuesOf = read => analyses.map(read);
+    const compatibility = analyses.map(() => analyses.map(() => null));
+    for (let i = 0; i < analyses.length; i++) {
+      for (let j = i + 1; j < analyses.length; j++) {
+        compatibility[i][j] = compatibility[j][i] = scoreCompatibility(analyses[i], analyses[j]).score;
+      }
+    }
+    
+    return {
+      fonts: analyses.map(font => ({
+        name: font.name,
+        familyName: font.familyName,
+        format: font.format,
+        faceIndex: font.faceIndex,
+        style: font.style
+      })),
+      metrics: {
+        xHeight: valuesOf(font => font.metrics.xHeight),
+        capHeight: valuesOf(font => font.metrics.capHeight),
+        ascender: valuesOf(font => font.metrics.ascender),
+        descender: valuesOf(font => font.metrics.descender),
+        contrast: valuesOf(font => font.metrics.contrast),
+        strokeTerminals: valuesOf(font => font.metrics.strokeTerminals),
+        weight: valuesOf(font => font.weight),
+        width: valuesOf(font => font.width)
+      },
+      personality: Object.fromEntries(
+        ['formality', 'approachability', 'gentleness', 'sophistication', 'traditionality', 'playfulness']
+          .map(trait => [trait, valuesOf(font => font.personality[trait])])
+      ),
+      compatibility
+    };
+  } catch (error) {
+    throw new Error(`Font comparison failed: ${error.message}`);
+  }
+}
+
+/**
+ * Reads one font for a comparison and runs the analysis stages it needs
+ * The file is decoded and parsed once; the parsed font is kept for the glyph and outline diffs
+ * @param {File|ArrayBuffer|ArrayBufferView} fontFile - The font file, or its raw data
+ * @param {Object} options - { fileName, faceIndex, stages, onProgress }, as for analyzeFontFile plus the ANALYSIS_STAGES keys to run
+ * @returns {Promise<Object>} - { analysis, font }
+ */
+async function analyzeComparedFont(fontFile, options) {
+  const { arrayBuffer, fileInfo } = await readFontSource(fontFile, { fileName: options.fileName });
+  const fontData = loadFontData(arrayBuffer);
+  const faceIndex = options.faceIndex || 0;
+  const reportStage = createStageReporter(options.onProgress, options.stages.length);
+  
+  reportStage('parse', faceIndex);
+  const font = parseFace(fontData, faceIndex);
+  const stages = options.stages.filter(stage => stage !== 'parse');
+  
+  return { analysis: analyzeFontFace(fontData, faceIndex, fileInfo, reportStage, { stages, font }), font };
+}
+
 /**
  * Calculate the difference between two metric values
  * @param {string} value1 - First metric value
@@ -1394,74 +1896,33 @@ function compareCharacterSets(set1, set2) {
   };
 }
 
-/**
- * Calculate compatibility score between two fonts
- * @param {Object} font1 - First font analysis results
- * @param {Object} font2 - Second font analysis results
- * @returns {number} - Compatibility score (0-100)
- */
-function calculateCompatibilityScore(font1, font2) {
-  // Start with a base score
-  let score = 50;
-  
-  // Add points for complementary styles (serif with sans-serif, etc.)
-  if (font1.format !== font2.format) {
-    score += 10;
-  }
-  
-  // Add points for contrasting weights
-  if (font1.weight !== font2.weight) {
-    score += 10;
-  }
-  
-  // Add points for similar x-heights (better alignment)
-  const xHeight1 = parseFloat(font1.metrics.xHeight);
-  const xHeight2 = parseFloat(font2.metrics.xHeight);
-  if (!isNaN(xHeight1) && !isNaN(xHeight2)) {
-    const xHeightDiff = Math.abs(xHeight1 - xHeight2) / Math.max(xHeight1, xHeight2);
-    if (xHeightDiff < 0.1) {
-      score += 15;
-    } else if (xHeightDiff < 0.2) {
-      score += 10;
-    } else if (xHeightDiff < 0.3) {
-      score += 5;
-    }
-  }
-  
-  // Add points for complementary personality traits
-  const formalityDiff = Math.abs(font1.personality.formality - font2.personality.formality);
-  if (formalityDiff > 30) {
-    score += 10;
-  }
-  
-  // Ensure score is within 0-100 range
-  return Math.max(0, Math.min(100, score));
-}
-
 /**
  * Generate pairing recommendations based on font comparison
  * @param {Object} font1 - First font analysis results
  * @param {Object} font2 - Second font analysis results
- * @returns {Object} - Pairing recommendations
+ * @returns {Object} - Pairing recommendations, with headingFont naming the font suggested for headings as 'primary' or 'secondary'
  */
 function generatePairingRecommendations(font1, font2) {
   const recommendations = {
     headingsBody: null,
+    headingFont: null,
     contrastPairing: null,
     hierarchyPairing: null
   };
   
-  // Determine which font is better for headings vs body text
-  if (font1.weight === 'Bold' || font1.weight === 'Heavy' || font1.weight === 'Black') {
-    recommendations.headingsBody = `${font1.name} for headings, ${font2.name} for body text`;
-  } else if (font2.weight === 'Bold' || font2.weight === 'Heavy' || font2.weight === 'Black') {
-    recommendations.headingsBody = `${font2.name} for headings, ${font1.name} for body text`;
-  } else if (font1.personality.formality > font2.personality.formality) {
-    recommendations.headingsBody = `${font1.name} for headings, ${font2.name} for body text`;
+  // Determine which font is better for headings vs body text: a bold font, otherwise the more formal one
+  const isBold = font => (font.familyStyle.weightClass || 400) >= 600;
+  if (isBold(font1)) {
+    recommendations.headingFont = 'primary';
+  } else if (isBold(font2)) {
+    recommendations.headingFont = 'secondary';
   } else {
-    recommendations.headingsBody = `${font2.name} for headings, ${font1.name} for body text`;
+    recommendations.headingFont = font1.personality.formality > font2.personality.formality ? 'primary' : 'secondary';
   }
   
+  const [heading, body] = recommendations.headingFont === 'primary' ? [font1, font2] : [font2, font1];
+  recommendations.headingsBody = `${heading.name} for headings, ${body.name} for body text`;
+  
   // Determine contrast pairing
   if (font1.metrics.contrast !== font2.metrics.contrast) {
     recommendations.contrastPairing = `Good contrast between ${font1.name} and ${font2.name} creates visual interest`;
@@ -0,0 +1,143 @@
+// Glyph inspector - Lists, searches and describes individual glyphs for the character map view
+
+/**
+ * Lists every glyph in the font in glyph ID order
+ * @param {Object} font - The parsed font object
+ * @returns {Array<Object>} - Glyphs as { index, name, unicodes }
+ */
+export function listGlyphs(font) {
+  const glyphs = [];
+
+  for (let index = 0; index < font.numGlyphs; index++) {
+    const glyph = font.glyphs.get(index);
+    glyphs.push({
+      index,
+      name: glyph.name || `glyph${index}`,
+      unicodes: glyph.unicodes || []
+    });
+  }
+
+  return glyphs;
+}
+
+/**
+ * Filters listed glyphs by character, code point or glyph name
+ * "A" matches the glyph mapped to A (or named exactly "A"); "U+0041" and "0x41" match by
+ * code point; longer queries match glyph names containing them, ignoring case
+ * @param {Array<Object>} glyphs - Glyphs from listGlyphs
+ * @param {string} query - Search text
+ * @returns {Array<Object>} - Matching glyphs
+ */
+export function searchGlyphs(glyphs, query) {
+  const text = query.trim();
+  if (!text) {
+    return glyphs;
+  }
+
+  const codepoint = parseCodepoint(text);
+  if (codepoint !== null) {
+    return glyphs.filter(glyph => glyph.unicodes.includes(codepoint) || glyph.name === text);
+  }
+
+  const name = text.toLowerCase();
+  return glyphs.filter(glyph => glyph.name.toLowerCase().includes(name));
+}
+
+/**
+ * Reads a search query as a code point, if it looks like one
+ * @param {string} text - Trimmed search text
+ * @returns {number|null} - The code point, or null
+ */
+function parseCodepoint(text) {
+  const hex = text.match(/^(?:U\+|0x)([0-9a-f]{1,6})$/i);
+  if (hex) {
+    return parseInt(hex[1], 16);
+  }
+
+  // A single character, counting astral characters as one
+  const chars = [...text];
+  return chars.length === 1 ? chars[0].codePointAt(0) : null;
+}
+
+/**
+ * Builds SVG path data for a glyph in font units, with y pointing down from the baseline
+ * @param {Object} font - The parsed font object
+ * @param {number} index - Glyph ID
+ * @param {number} [unitsPerEm] - Em size to scale to, for drawing glyphs from fonts with different em sizes together
+ * @returns {string} - SVG path data, empty for blank glyphs
+ */
+export function getGlyphPathData(font, index, unitsPerEm = font.unitsPerEm) {
+  const glyph = font.glyphs.get(index);
+  return glyph.getPath(0, 0, unitsPerEm).toPathData(1);
+}
+
+/**
+ * Describes one glyph's outline and metrics for the detail panel
+ * @param {Object} font - The parsed font object
+ * @param {number} index - Glyph ID
+ * @returns {Object} - { index, name, unicodes, advanceWidth, leftSideBearing, rightSideBearing,
+ *   bounds, contourCount, points, pathData }; bounds and side bearings are null for blank glyphs
+ */
+export function inspectGlyph(font, index) {
+  const glyph = font.glyphs.get(index);
+  const commands = glyph.path.commands;
+  const points = getOutlinePoints(glyph);
+
+  let bounds = null;
+  if (commands.length > 0) {
+    const box = glyph.getBoundingBox();
+    bounds = { xMin: box.x1, yMin: box.y1, xMax: box.x2, yMax: box.y2 };
+  }
+
+  return {
+    index,
+    name: glyph.name || `glyph${index}`,
+    unicodes: glyph.unicodes || [],
+    advanceWidth: glyph.advanceWidth,
+    leftSideBearing: bounds ? bounds.xMin : null,
+    rightSideBearing: bounds ? glyph.advanceWidth - bounds.xMax : null,
+    bounds,
+    contourCount: commands.filter(command => command.type === 'M').length,
+    points,
+    pathData: getGlyphPathData(font, index)
+  };
+}
+
+/**
+ * Collects a glyph's outline points in font units
+ * TrueType glyphs keep their stored points, composites included; CFF glyphs
+ * report curve endpoints as on-curve and Bézier handles as off-curve
+ * @param {Object} glyph - The opentype.js glyph
+ * @returns {Array<Object>} - Points as { x, y, onCurve, contour }
+ */
+export function getOutlinePoints(glyph) {
+  // opentype.js only fills in a TrueType glyph's stored points when its path is first built
+  const { commands } = glyph.path;
+
+  if (glyph.points) {
+    let contour = 0;
+    return glyph.points.map(point => {
+      const result = { x: point.x, y: point.y, onCurve: point.onCurve, contour };
+      if (point.lastPointOfContour) contour++;
+      return result;
+    });
+  }
+
+  const points = [];
+  let contour = -1;
+
+  for (const command of commands) {
+    if (command.type === 'M') contour++;
+    if (command.type === 'C') {
+      points.push({ x: command.x1, y: command.y1, onCurve: false, contour });
+      points.push({ x: command.x2, y: command.y2, onCurve: false, contour });
+    } else if (command.type === 'Q') {
+      points.push({ x: command.x1, y: command.y1, onCurve: false, contour });
+    }
+    if (command.type !== 'Z') {
+      points.push({ x: command.x, y: command.y, onCurve: true, contour });
+    }
+  }
+
+  return points;
+}
@@ -0,0 +1,91 @@
+// Glyph metrics - Measures vertical metrics from the outlines of reference glyphs
+// and compares them against the values the font declares in its OS/2 table
+
+// Reference glyph for each measured metric
+export const REFERENCE_GLYPHS = {
+  xHeight: 'x',
+  capHeight: 'H',
+  ascender: 'd',
+  descender: 'p',
+  roundXHeight: 'o',
+  roundCapHeight: 'O'
+};
+
+/**
+ * Returns the outline bounding box of the glyph mapped to a character
+ * @param {Object} font - The parsed font object
+ * @param {string} char - The character to look up
+ * @returns {Object|null} - { xMin, yMin, xMax, yMax } in font units, or null if unmapped or empty
+ */
+export function measureGlyphBounds(font, char) {
+  const glyphIndex = font.charToGlyphIndex(char);
+  if (!glyphIndex) {
+    return null;
+  }
+
+  const glyph = font.glyphs.get(glyphIndex);
+  if (!glyph || !glyph.path || glyph.path.commands.length === 0) {
+    return null;
+  }
+
+  const box = glyph.getBoundingBox();
+  return { xMin: box.x1, yMin: box.y1, xMax: box.x2, yMax: box.y2 };
+}
+
+/**
+ * Measures vertical metrics from the reference glyphs (x, H, d, p, o, O)
+ * @param {Object} font - The parsed font object
+ * @returns {Object} - Metrics in font units; null where the reference glyph is missing
+ */
+export function measureReferenceMetrics(font) {
+  const bounds = {};
+  for (const [metric, char] of Object.entries(REFERENCE_GLYPHS)) {
+    bounds[metric] = measureGlyphBounds(font, char);
+  }
+
+  return {
+    xHeight: bounds.xHeight ? bounds.xHeight.yMax : null,
+    capHeight: bounds.capHeight ? bounds.capHeight.yMax : null,
+    ascender: bounds.ascender ? bounds.ascender.yMax : null,
+    // Descender depth is reported as a positive distance below the baseline
+    descender: bounds.descender ? -bounds.descender.yMin : null,
+    // Round letters overshoot the flat heights; the overshoot is how far they go past
+    xOvershoot: bounds.xHeight && bounds.roundXHeight ? bounds.roundXHeight.yMax - bounds.xHeight.yMax : null,
+    capOvershoot: bounds.capHeight && bounds.roundCapHeight ? bounds.roundCapHeight.yMax - bounds.capHeight.yMax : null
+  };
+}
+
+/**
+ * Finds declared OS/2 heights that disagree with the measured outlines
+ * @param {Object} font - The parsed font object
+ * @param {Object} measured - Measured metrics from measureReferenceMetrics
+ * @returns {Array<Object>} - Discrepancies as { metric, source, declared, measured } in font units
+ */
+export function findMetricDiscrepancies(font, measured) {
+  const os2 = font.tables.os2;
+  if (!os2) {
+    return [];
+  }
+
+  // Allow one percent of the em for rounding and hinting adjustments
+  const tolerance = Math.max(2, font.unitsPerEm * 0.01);
+  const discrepancies = [];
+
+  const declaredHeights = [
+    ['xHeight', 'OS/2', os2.sxHeight],
+    ['capHeight', 'OS/2', os2.sCapHeight]
+  ];
+
+  for (const [metric, source, declared] of declaredHeights) {
+    // sxHeight/sCapHeight only exist from OS/2 version 2, and 0 means "not set"
+    if (!declared || measured[metric] === null) {
+      continue;
+    }
+
+    if (Math.abs(declared - measured[metric]) > tolerance) {
+      discrepancies.push({ metric, source, declared, measured: measured[metric] });
+    }
+  }
+
+  return discrepancies;
+}
@@ -0,0 +1,211 @@
+// Layout features - Lists the OpenType features in GSUB and GPOS with the scripts and languages they apply to
+
+// Registered names for common feature tags; ssXX and cvXX are named by pattern
+const FEATURE_NAMES = {
+  aalt: 'Access All Alternates',
+  abvm: 'Above-base Mark Positioning',
+  abvs: 'Above-base Substitutions',
+  afrc: 'Alternative Fractions',
+  akhn: 'Akhand',
+  blwf: 'Below-base Forms',
+  blwm: 'Below-base Mark Positioning',
+  blws: 'Below-base Substitutions',
+  c2pc: 'Petite Capitals From Capitals',
+  c2sc: 'Small Capitals From Capitals',
+  calt: 'Contextual Alternates',
+  case: 'Case-Sensitive Forms',
+  ccmp: 'Glyph Composition / Decomposition',
+  clig: 'Contextual Ligatures',
+  cpsp: 'Capital Spacing',
+  cswh: 'Contextual Swash',
+  curs: 'Cursive Positioning',
+  dlig: 'Discretionary Ligatures',
+  dnom: 'Denominators',
+  fina: 'Terminal Forms',
+  frac: 'Fractions',
+  half: 'Half Forms',
+  hist: 'Historical Forms',
+  hlig: 'Historical Ligatures',
+  init: 'Initial Forms',
+  isol: 'Isolated Forms',
+  jp78: 'JIS78 Forms',
+  jp83: 'JIS83 Forms',
+  jp90: 'JIS90 Forms',
+  jp04: 'JIS2004 Forms',
+  kern: 'Kerning',
+  liga: 'Standard Ligatures',
+  lnum: 'Lining Figures',
+  locl: 'Localized Forms',
+  mark: 'Mark Positioning',
+  medi: 'Medial Forms',
+  mkmk: 'Mark to Mark Positioning',
+  nukt: 'Nukta Forms',
+  numr: 'Numerators',
+  onum: 'Oldstyle Figures',
+  ordn: 'Ordinals',
+  ornm: 'Ornaments',
+  palt: 'Proportional Alternate Widths',
+  pcap: 'Petite Capitals',
+  pnum: 'Proportional Figures',
+  pres: 'Pre-base Substitutions',
+  pstf: 'Post-base Forms',
+  psts: 'Post-base Substitutions',
+  rclt: 'Required Contextual Alternates',
+  rkrf: 'Rakar Forms',
+  rlig: 'Required Ligatures',
+  rphf: 'Reph Form',
+  salt: 'Stylistic Alternates',
+  sinf: 'Scientific Inferiors',
+  size: 'Optical Size',
+  smcp: 'Small Capitals',
+  subs: 'Subscript',
+  sups: 'Superscript',
+  swsh: 'Swash',
+  titl: 'Titling',
+  tnum: 'Tabular Figures',
+  unic: 'Unicase',
+  vert: 'Vertical Alternates',
+  vkrn: 'Vertical Kerning',
+  vrt2: 'Vertical Alternates and Rotation',
+  zero: 'Slashed Zero'
+};
+
+// Features that shaping engines apply unless text turns them off
+const DEFAULT_ON_FEATURES = new Set([
+  'abvm', 'abvs', 'akhn', 'blwf', 'blwm', 'blws', 'calt', 'ccmp', 'clig', 'curs', 'fina', 'half',
+  'init', 'isol', 'kern', 'liga', 'locl', 'mark', 'medi', 'mkmk', 'nukt', 'pres', 'pstf', 'psts',
+  'rclt', 'rkrf', 'rlig', 'rphf'
+]);
+
+const SCRIPT_NAMES = {
+  DFLT: 'Default',
+  arab: 'Arabic',
+  armn: 'Armenian',
+  beng: 'Bengali',
+  bng2: 'Bengali',
+  cyrl: 'Cyrillic',
+  deva: 'Devanagari',
+  dev2: 'Devanagari',
+  geor: 'Georgian',
+  grek: 'Greek',
+  hang: 'Hangul',
+  hani: 'CJK Ideographic',
+  hebr: 'Hebrew',
+  kana: 'Kana',
+  latn: 'Latin',
+  thai: 'Thai'
+};
+
+/**
+ * Analyzes the OpenType layout features a font provides
+ * @param {Object} font - The parsed font object
+ * @returns {Object} - { features, scripts, lookupCounts }; features are sorted by tag as
+ *   { tag, name, tables, enabledByDefault, scripts: [{ script, name, languages }], lookupCount }
+ */
+export function analyzeLayoutFeatures(font) {
+  const features = new Map();
+  const scripts = new Set();
+  const lookupCounts = {};
+
+  for (const [key, table] of [['gsub', 'GSUB'], ['gpos', 'GPOS']]) {
+    const layout = font.tables[key];
+    if (!layout) continue;
+
+    lookupCounts[table] = layout.lookups ? layout.lookups.length : 0;
+    collectFeatures(layout, table, features, scripts);
+  }
+
+  return {
+    features: [...features.values()]
+      .map(feature => ({
+        tag: feature.tag,
+        name: describeFeatureTag(feature.tag),
+        tables: [...feature.tables],
+        enabledByDefault: DEFAULT_ON_FEATURES.has(feature.tag),
+        scripts: [...feature.scripts.entries()].map(([script, languages]) => ({
+          script,
+          name: SCRIPT_NAMES[script] || script,
+          languages: [...languages]
+        })),
+        lookupCount: feature.lookups.size
+      }))
+      .sort((a, b) => a.tag.localeCompare(b.tag)),
+    scripts: [...scripts],
+    lookupCounts
+  };
+}
+
+/**
+ * Walks one layout table's script list and merges its features into the running map
+ * A feature tag can appear in several FeatureRecords (one per language system), so
+ * scripts, languages and lookups are merged per tag; lookups are counted per table
+ * @param {Object} layout - Parsed GSUB or GPOS table
+ * @param {string} table - 'GSUB' or 'GPOS'
+ * @param {Map<string, Object>} features - Features by tag, updated in place
+ * @param {Set<string>} scripts - Script tags seen, updated in place
+ */
+function collectFeatures(layout, table, features, scripts) {
+  const featureList = layout.features || [];
+
+  for (const scriptRecord of layout.scripts || []) {
+    const scriptTag = scriptRecord.tag.trim();
+    scripts.add(scriptTag);
+
+    const languageSystems = [];
+    if (scriptRecord.script.defaultLangSys) {
+      languageSystems.push(['dflt', scriptRecord.script.defaultLangSys]);
+    }
+    for (const record of scriptRecord.script.langSysRecords || []) {
+      languageSystems.push([record.tag.trim(), record.langSys]);
+    }
+
+    for (const [languageTag, langSys] of languageSystems) {
+      const indexes = [...langSys.featureIndexes];
+      if (langSys.reqFeatureIndex !== undefined && langSys.reqFeatureIndex !== 0xFFFF) {
+        indexes.push(langSys.reqFeatureIndex);
+      }
+
+      for (const featureIndex of indexes) {
+        const record = featureList[featureIndex];
+        if (!record) continue;
+
+        const feature = getFeatureEntry(features, record.tag);
+        feature.tables.add(table);
+        if (!feature.scripts.has(scriptTag)) feature.scripts.set(scriptTag, new Set());
+        feature.scripts.get(scriptTag).add(languageTag);
+        for (const lookupIndex of record.feature.lookupListIndexes) {
+          feature.lookups.add(`${table}:${lookupIndex}`);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Returns the running entry for a feature tag, creating it on first use
+ */
+function getFeatureEntry(features, tag) {
+  if (!features.has(tag)) {
+    features.set(tag, { tag, tables: new Set(), scripts: new Map(), lookups: new Set() });
+  }
+  return features.get(tag);
+}
+
+/**
+ * Gives the human-readable name of a feature tag
+ * @param {string} tag - Four-character feature tag
+ * @returns {string} - The registered name, or the tag itself when unknown
+ */
+function describeFeatureTag(tag) {
+  if (FEATURE_NAMES[tag]) {
+    return FEATURE_NAMES[tag];
+  }
+
+  const numbered = tag.match(/^(ss|cv)(\d\d)$/);
+  if (numbered) {
+    const number = Number(numbered[2]);
+    return numbered[1] === 'ss' ? `Stylistic Set ${number}` : `Character Variant ${number}`;
+  }
+
+  return tag;
+}
@@ -0,0 +1,116 @@
+// Orthographies - Characters each language needs for everyday text
+// `letters` are lowercase; uppercase forms are required too unless the script is caseless.
+// `extra` lists required characters without a simple case pair (punctuation, İ, etc.).
+// `ranges` require a minimum number of covered code points in a range, for scripts whose
+// everyday repertoire is too large to list (CJK ideographs, Hangul syllables).
+
+const LATIN = 'abcdefghijklmnopqrstuvwxyz';
+const RUSSIAN = 'абвгдеёжзийклмнопрстуфхцчшщъыьэюя';
+const ARABIC = 'ءآأؤإئابةتثجحخدذرزسشصضطظعغفقكلمنهوىي';
+
+export const ORTHOGRAPHIES = [
+  // Latin
+  { language: 'English', script: 'Latin', letters: LATIN },
+  { language: 'French', script: 'Latin', letters: LATIN + 'àâæçéèêëîïôœùûüÿ', extra: '«»' },
+  { language: 'German', script: 'Latin', letters: LATIN + 'äöüß', extra: '„“' },
+  { language: 'Spanish', script: 'Latin', letters: LATIN + 'áéíñóúü', extra: '¡¿' },
+  { language: 'Portuguese', script: 'Latin', letters: LATIN + 'áâãàçéêíóôõú' },
+  { language: 'Italian', script: 'Latin', letters: LATIN + 'àèéìòù' },
+  { language: 'Dutch', script: 'Latin', letters: LATIN + 'éëï' },
+  { language: 'Catalan', script: 'Latin', letters: LATIN + 'àçèéíïòóúü', extra: '·' },
+  { language: 'Swedish', script: 'Latin', letters: LATIN + 'åäö' },
+  { language: 'Norwegian', script: 'Latin', letters: LATIN + 'æøå' },
+  { language: 'Danish', script: 'Latin', letters: LATIN + 'æøå' },
+  { language: 'Finnish', script: 'Latin', letters: LATIN + 'äöå' },
+  { language: 'Icelandic', script: 'Latin', letters: LATIN + 'áðéíóúýþæö' },
+  { language: 'Irish', script: 'Latin', letters: LATIN + 'áéíóú' },
+  { language: 'Welsh', script: 'Latin', letters: LATIN + 'âêîôûŵŷ' },
+  { language: 'Polish', script: 'Latin', letters: LATIN + 'ąćęłńóśźż' },
+  { language: 'Czech', script: 'Latin', letters: LATIN + 'áčďéěíňóřšťúůýž' },
+  { language: 'Slovak', script: 'Latin', letters: LATIN + 'áäčďéíĺľňóôŕšťúýž' },
+  { language: 'Hungarian', script: 'Latin', letters: LATIN + 'áéíóöőúüű' },
+  { language: 'Romanian', script: 'Latin', letters: LATIN + 'ăâîșț' },
+  { language: 'Croatian', script: 'Latin', letters: LATIN + 'čćđšž' },
+  { language: 'Slovenian', script: 'Latin', letters: LATIN + 'čšž' },
+  { language: 'Albanian', script: 'Latin', letters: LATIN + 'çë' },
+  { language: 'Maltese', script: 'Latin', letters: LATIN + 'ċġħż' },
+  { language: 'Lithuanian', script: 'Latin', letters: LATIN + 'ąčęėįšųūž' },
+  { language: 'Latvian', script: 'Latin', letters: LATIN + 'āčēģīķļņšūž' },
+  { language: 'Estonian', script: 'Latin', letters: LATIN + 'äöõüšž' },
+  { language: 'Turkish', script: 'Latin', letters: LATIN + 'çğıöşü', extra: 'İ' },
+  { language: 'Azerbaijani', script: 'Latin', letters: LATIN + 'çəğıöşü', extra: 'İ' },
+  {
+    language: 'Vietnamese',
+    script: 'Latin',
+    letters: LATIN + 'àáảãạăằắẳẵặâầấẩẫậđèéẻẽẹêềếểễệìíỉĩịòóỏõọôồốổỗộơờớởỡợùúủũụưừứửữựỳýỷỹỵ'
+  },
+
+  // Greek, Cyrillic, Armenian, Georgian
+  { language: 'Greek', script: 'Greek', letters: 'αβγδεζηθικλμνξοπρστυφχψωάέήίόύώϊϋς' },
+  { language: 'Russian', script: 'Cyrillic', letters: RUSSIAN },
+  { language: 'Ukrainian', script: 'Cyrillic', letters: 'абвгґдеєжзиіїйклмнопрстуфхцчшщьюя' },
+  { language: 'Belarusian', script: 'Cyrillic', letters: 'абвгдеёжзійклмнопрстуўфхцчшыьэюя' },
+  { language: 'Bulgarian', script: 'Cyrillic', letters: 'абвгдежзийклмнопрстуфхцчшщъьюя' },
+  { language: 'Serbian', script: 'Cyrillic', letters: 'абвгдђежзијклљмнњопрстћуфхцчџш' },
+  { language: 'Macedonian', script: 'Cyrillic', letters: 'абвгдѓежзѕијклљмнњопрстќуфхцчџш' },
+  { language: 'Kazakh', script: 'Cyrillic', letters: RUSSIAN + 'әғқңөұүһі' },
+  { language: 'Armenian', script: 'Armenian', letters: 'աբգդեզէըթժիլխծկհձղճմյնշոչպջռսվտրցւփքօֆ' },
+  // Georgian is written in caseless Mkhedruli; Mtavruli capitals are optional
+  { language: 'Georgian', script: 'Georgian', letters: 'აბგდევზთიკლმნოპჟრსტუფქღყშჩცძწჭხჯჰ', caseless: true },
+
+  // Right-to-left
+  { language: 'Hebrew', script: 'Hebrew', letters: 'אבגדהוזחטיכךלמםנןסעפףצץקרשת', caseless: true },
+  { language: 'Arabic', script: 'Arabic', letters: ARABIC, extra: '،؛؟', caseless: true },
+  { language: 'Persian', script: 'Arabic', letters: 'ءآأئابپتثجچحخدذرزژسشصضطظعغفقکگلمنوهی', extra: '،؛؟', caseless: true },
+  { language: 'Urdu', script: 'Arabic', letters: 'ءآأئابپتٹثجچحخدڈذرڑزژسشصضطظعغفقکگلمنںوہھیے', extra: '،؛؟', caseless: true },
+
+  // South and Southeast Asia
+  {
+    language: 'Hindi',
+    script: 'Devanagari',
+    letters: 'अआइईउऊऋएऐओऔकखगघङचछजझञटठडढणतथदधनपफबभमयरलवशषसहािीुूृेैोौ्ंःँ',
+    extra: '।',
+    caseless: true
+  },
+  {
+    language: 'Marathi',
+    script: 'Devanagari',
+    letters: 'अआइईउऊऋएऐओऔकखगघङचछजझञटठडढणतथदधनपफबभमयरलवशषसहळािीुूृेैोौ्ंः',
+    extra: '।',
+    caseless: true
+  },
+  {
+    language: 'Thai',
+    script: 'Thai',
+    letters: 'กขฃคฅฆงจฉชซฌญฎฏฐฑฒณดตถทธนบปผฝพฟภมยรลวศษสหฬอฮะัาำิีึืุูเแโใไๅ็่้๊๋์',
+    caseless: true
+  },
+
+  // East Asia
+  {
+    language: 'Japanese',
+    script: 'CJK',
+    ranges: [
+      { label: 'Hiragana', start: 0x3041, end: 0x3096, minimum: 86 },
+      { label: 'Katakana', start: 0x30A1, end: 0x30FA, minimum: 90 },
+      // The Jōyō kanji list has 2,136 characters
+      { label: 'CJK ideographs', start: 0x4E00, end: 0x9FFF, minimum: 2136 }
+    ]
+  },
+  {
+    language: 'Chinese',
+    script: 'CJK',
+    ranges: [
+      // GB 2312 covers 6,763 hanzi for everyday Simplified Chinese
+      { label: 'CJK ideographs', start: 0x4E00, end: 0x9FFF, minimum: 6763 }
+    ]
+  },
+  {
+    language: 'Korean',
+    script: 'Hangul',
+    ranges: [
+      // KS X 1001 defines the 2,350 most common precomposed syllables
+      { label: 'Hangul syllables', start: 0xAC00, end: 0xD7A3, minimum: 2350 }
+    ]
+  }
+];
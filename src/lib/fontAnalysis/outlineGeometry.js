@@ -0,0 +1,199 @@
+// Outline geometry - Flattens glyph paths into polygons and casts scanlines through them
+// Shared by the stroke analysis and the style classifier
+
+// Line segments per curve when flattening
+const QUADRATIC_STEPS = 8;
+const CUBIC_STEPS = 12;
+
+/**
+ * Returns the flattened contours of the glyph mapped to a character
+ * @param {Object} font - The parsed font object
+ * @param {string} char - The character to look up
+ * @returns {Object|null} - { contours, bounds, advanceWidth }, or null if unmapped or empty
+ */
+export function getGlyphOutline(font, char) {
+  const glyphIndex = font.charToGlyphIndex(char);
+  if (!glyphIndex) {
+    return null;
+  }
+
+  const glyph = font.glyphs.get(glyphIndex);
+  if (!glyph || !glyph.path || glyph.path.commands.length === 0) {
+    return null;
+  }
+
+  const contours = flattenPath(glyph.path.commands);
+  if (contours.length === 0) {
+    return null;
+  }
+
+  const box = glyph.getBoundingBox();
+  return {
+    contours,
+    bounds: { xMin: box.x1, yMin: box.y1, xMax: box.x2, yMax: box.y2 },
+    advanceWidth: glyph.advanceWidth
+  };
+}
+
+/**
+ * Flattens path commands into closed polygons, subdividing curves into line segments
+ * @param {Array<Object>} commands - opentype.js path commands (M, L, Q, C, Z)
+ * @returns {Array<Array<Object>>} - Contours as arrays of { x, y } points
+ */
+export function flattenPath(commands) {
+  const contours = [];
+  let current = null;
+  let x = 0;
+  let y = 0;
+
+  for (const command of commands) {
+    switch (command.type) {
+      case 'M':
+        current = [{ x: command.x, y: command.y }];
+        contours.push(current);
+        break;
+      case 'L':
+        current.push({ x: command.x, y: command.y });
+        break;
+      case 'Q':
+        for (let i = 1; i <= QUADRATIC_STEPS; i++) {
+          const t = i / QUADRATIC_STEPS;
+          const u = 1 - t;
+          current.push({
+            x: u * u * x + 2 * u * t * command.x1 + t * t * command.x,
+            y: u * u * y + 2 * u * t * command.y1 + t * t * command.y
+          });
+        }
+        break;
+      case 'C':
+        for (let i = 1; i <= CUBIC_STEPS; i++) {
+          const t = i / CUBIC_STEPS;
+          const u = 1 - t;
+          current.push({
+            x: u * u * u * x + 3 * u * u * t * command.x1 + 3 * u * t * t * command.x2 + t * t * t * command.x,
+            y: u * u * u * y + 3 * u * u * t * command.y1 + 3 * u * t * t * command.y2 + t * t * t * command.y
+          });
+        }
+        break;
+      default:
+        // 'Z' closes the contour; polygons are implicitly closed
+        break;
+    }
+
+    if (command.type !== 'Z') {
+      x = command.x;
+      y = command.y;
+    }
+  }
+
+  // Drop a closing point that duplicates the start, and degenerate contours
+  return contours
+    .map(points => {
+      const first = points[0];
+      const last = points[points.length - 1];
+      return points.length > 1 && first.x === last.x && first.y === last.y ? points.slice(0, -1) : points;
+    })
+    .filter(points => points.length >= 3);
+}
+
+/**
+ * Casts a horizontal or vertical scanline through the outline and returns the filled runs
+ * Runs follow the nonzero winding rule, so overlapping contours are merged
+ * @param {Array<Array<Object>>} contours - Flattened contours
+ * @param {string} axis - 'horizontal' (scan along x at a fixed y) or 'vertical' (along y at a fixed x)
+ * @param {number} position - The fixed y (horizontal) or x (vertical) coordinate
+ * @returns {Array<Object>} - Filled runs as { start, end, width }, ordered along the scanline
+ */
+export function scanRuns(contours, axis, position) {
+  const horizontal = axis === 'horizontal';
+  const crossings = [];
+
+  for (const points of contours) {
+    for (let i = 0; i < points.length; i++) {
+      const a = points[i];
+      const b = points[(i + 1) % points.length];
+      const a1 = horizontal ? a.y : a.x;
+      const b1 = horizontal ? b.y : b.x;
+
+      // Half-open test so a crossing through a shared vertex is counted once
+      if ((a1 <= position && b1 > position) || (b1 <= position && a1 > position)) {
+        const a2 = horizontal ? a.x : a.y;
+        const b2 = horizontal ? b.x : b.y;
+        crossings.push({
+          at: a2 + (position - a1) * (b2 - a2) / (b1 - a1),
+          direction: b1 > a1 ? 1 : -1
+        });
+      }
+    }
+  }
+
+  crossings.sort((a, b) => a.at - b.at);
+
+  const runs = [];
+  let winding = 0;
+  let start = 0;
+
+  for (const crossing of crossings) {
+    const wasInside = winding !== 0;
+    winding += crossing.direction;
+
+    if (!wasInside && winding !== 0) {
+      start = crossing.at;
+    } else if (wasInside && winding === 0) {
+      runs.push({ start, end: crossing.at, width: crossing.at - start });
+    }
+  }
+
+  return runs;
+}
+
+/**
+ * Calculates the signed area of a contour (positive when counter-clockwise in y-up coordinates)
+ * @param {Array<Object>} points - Contour points
+ * @returns {number} - Signed area in square font units
+ */
+export function contourArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    area += a.x * b.y - b.x * a.y;
+  }
+  return area / 2;
+}
+
+/**
+ * Returns the median of a list of numbers
+ * @param {Array<number>} values - Numbers to summarize
+ * @returns {number|null} - The median, or null for an empty list
+ */
+export function median(values) {
+  if (values.length === 0) {
+    return null;
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Returns the value that occurs most often in a list; ties go to the value seen first
+ * @param {Array<*>} values - Values to summarize
+ * @returns {*} - The most common value, or null for an empty list
+ */
+export function mostCommon(values) {
+  const counts = new Map();
+  for (const value of values) {
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  let best = null;
+  let bestCount = 0;
+  for (const [value, count] of counts) {
+    if (count > bestCount) {
+      best = value;
+      bestCount = count;
+    }
+  }
+  return best;
+}
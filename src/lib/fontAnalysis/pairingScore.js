@@ -0,0 +1,275 @@
+// Pairing score - Scores how well two fonts pair on typographic criteria, keeping the evidence for each
+//
+// Every criterion scores 0-100 from measurements of both fonts and carries a weight; the overall
+// score is the weighted mean. A criterion that can't be measured for one of the fonts is reported
+// without a score and left out, and the remaining weights are rescaled.
+
+// Share of the overall score each criterion carries
+const CRITERIA_WEIGHTS = {
+  xHeight: 25,
+  classification: 20,
+  weight: 15,
+  width: 15,
+  proportions: 10,
+  coverage: 15
+};
+
+// How style classifications pair: contrasting text styles pair best, two display styles compete
+const CLASSIFICATION_PAIRS = [
+  { styles: ['serif', 'sans-serif'], score: 100, reason: 'A serif with a sans-serif is the classic contrasting pair' },
+  { styles: ['monospace', 'serif'], score: 75, reason: 'A monospace works as an accent beside a serif, for code or data' },
+  { styles: ['monospace', 'sans-serif'], score: 75, reason: 'A monospace works as an accent beside a sans-serif, for code or data' },
+  { styles: ['script', 'serif'], score: 80, reason: 'A script can carry display text over a serif for reading' },
+  { styles: ['script', 'sans-serif'], score: 80, reason: 'A script can carry display text over a sans-serif for reading' },
+  { styles: ['decorative', 'serif'], score: 80, reason: 'A decorative face can carry display text over a serif for reading' },
+  { styles: ['decorative', 'sans-serif'], score: 80, reason: 'A decorative face can carry display text over a sans-serif for reading' }
+];
+const SAME_CLASSIFICATION_SCORE = 45;
+const DISPLAY_CLASHES_SCORE = 20;
+const OTHER_CLASSIFICATION_SCORE = 50;
+const DISPLAY_STYLES = ['script', 'decorative'];
+
+// Weight contrast by difference in weight class: a clear step gives hierarchy, a near miss looks like a mistake
+const WEIGHT_STEP_SCORES = { 0: 60, 100: 30, 200: 90 };
+const WEIGHT_STEP_MAX_SCORE = 100;
+
+// Width class differences used when running-text widths couldn't be measured
+const WIDTH_CLASS_SCORES = [100, 75, 40];
+const WIDTH_CLASS_MAX_SCORE = 10;
+
+/**
+ * Scores how well two analyzed fonts pair
+ * @param {Object} font1 - First font analysis results
+ * @param {Object} font2 - Second font analysis results
+ * @returns {Object} - { score, criteria }; criteria are { id, label, score, weight, value, explanation } in
+ *   display order, with score and weight null for criteria that couldn't be measured
+ */
+export function scoreCompatibility(font1, font2) {
+  const criteria = [
+    scoreXHeight(font1, font2),
+    scoreClassification(font1, font2),
+    scoreWeightContrast(font1, font2),
+    scoreWidth(font1, font2),
+    scoreProportions(font1, font2),
+    scoreCoverage(font1, font2)
+  ].map(criterion => ({ ...criterion, weight: criterion.score === null ? null : CRITERIA_WEIGHTS[criterion.id] }));
+
+  const scored = criteria.filter(criterion => criterion.score !== null);
+  const totalWeight = scored.reduce((sum, criterion) => sum + criterion.weight, 0);
+  const score = totalWeight > 0
+    ? Math.round(scored.reduce((sum, criterion) => sum + criterion.score * criterion.weight, 0) / totalWeight)
+    : 0;
+
+  return { score, criteria };
+}
+
+/**
+ * Compares x-heights with both fonts set at the same cap height
+ * Mixed on a line or stacked as heading and body, lowercase of different heights looks mismatched
+ */
+function scoreXHeight(font1, font2) {
+  const criterion = { id: 'xHeight', label: 'x-height at matched cap height' };
+  const ratio1 = ratio(font1.metrics.values.xHeight, font1.metrics.values.capHeight);
+  const ratio2 = ratio(font2.metrics.values.xHeight, font2.metrics.values.capHeight);
+  if (ratio1 === null || ratio2 === null) {
+    return unmeasured(criterion, 'x-height or cap height');
+  }
+
+  const difference = Math.abs(ratio1 - ratio2) / Math.max(ratio1, ratio2);
+  return {
+    ...criterion,
+    score: scaleBetween(difference, 0.03, 0.2),
+    value: `${ratio1.toFixed(2)} vs ${ratio2.toFixed(2)} of cap height (${percent(difference)} apart)`,
+    explanation: difference <= 0.05
+      ? 'Lowercase letters line up when both fonts are set to the same cap height'
+      : `Set to the same cap height, one font's lowercase is ${percent(difference)} taller; size the fonts to match x-heights rather than point sizes`
+  };
+}
+
+/**
+ * Compares style classifications: serif with sans-serif contrasts well, two similar styles compete
+ */
+function scoreClassification(font1, font2) {
+  const criterion = { id: 'classification', label: 'Classification contrast' };
+  const style1 = font1.style;
+  const style2 = font2.style;
+  const confidence = Math.min(font1.styleAnalysis.confidence, font2.styleAnalysis.confidence);
+
+  // The classifier falls back to sans-serif with zero confidence when it finds no evidence at all
+  if (confidence === 0) {
+    return unmeasured(criterion, 'style classification');
+  }
+
+  const value = `${style1} and ${style2} (${percent(confidence)} confidence)`;
+
+  if (style1 === style2) {
+    const score = DISPLAY_STYLES.includes(style1) ? DISPLAY_CLASHES_SCORE : SAME_CLASSIFICATION_SCORE;
+    return {
+      ...criterion,
+      score,
+      value,
+      explanation: `Both fonts are ${style1}; two similar styles rarely contrast enough, so pair them only if one is much heavier or larger`
+    };
+  }
+
+  if (DISPLAY_STYLES.includes(style1) && DISPLAY_STYLES.includes(style2)) {
+    return { ...criterion, score: DISPLAY_CLASHES_SCORE, value, explanation: 'Two display styles compete for attention and leave nothing for reading' };
+  }
+
+  const pair = CLASSIFICATION_PAIRS.find(entry => entry.styles.includes(style1) && entry.styles.includes(style2));
+  return {
+    ...criterion,
+    score: pair ? pair.score : OTHER_CLASSIFICATION_SCORE,
+    value,
+    explanation: pair ? pair.reason : 'These styles neither contrast clearly nor match'
+  };
+}
+
+/**
+ * Compares weight classes: a difference of two or more steps builds hierarchy, a single step looks accidental
+ */
+function scoreWeightContrast(font1, font2) {
+  const criterion = { id: 'weight', label: 'Weight contrast' };
+  const weight1 = font1.familyStyle.weightClass;
+  const weight2 = font2.familyStyle.weightClass;
+  if (!weight1 || !weight2) {
+    return unmeasured(criterion, 'weight class');
+  }
+
+  const step = Math.round(Math.abs(weight1 - weight2) / 100) * 100;
+  const score = step in WEIGHT_STEP_SCORES ? WEIGHT_STEP_SCORES[step] : WEIGHT_STEP_MAX_SCORE;
+
+  let explanation;
+  if (step === 0) {
+    explanation = 'Same weight; hierarchy has to come from size, style or color';
+  } else if (step === 100) {
+    explanation = 'One weight step apart reads as a near miss rather than a deliberate contrast';
+  } else {
+    explanation = `${step / 100} weight steps apart gives headings and body text clear hierarchy`;
+  }
+
+  return { ...criterion, score, value: `${weight1} vs ${weight2}`, explanation };
+}
+
+/**
+ * Compares how wide running text sets once both fonts are sized to the same x-height
+ * Falls back to the declared width classes when the text width can't be measured
+ */
+function scoreWidth(font1, font2) {
+  const criterion = { id: 'width', label: 'Width compatibility' };
+  const width1 = textWidthPerXHeight(font1);
+  const width2 = textWidthPerXHeight(font2);
+
+  if (width1 !== null && width2 !== null) {
+    const difference = Math.abs(width1 - width2) / Math.max(width1, width2);
+    return {
+      ...criterion,
+      score: scaleBetween(difference, 0.05, 0.35),
+      value: `Average character ${width1.toFixed(2)} vs ${width2.toFixed(2)} x-heights wide (${percent(difference)} apart)`,
+      explanation: difference <= 0.1
+        ? 'At matched x-heights both fonts set text to a similar width, so line lengths and rhythm carry over'
+        : `At matched x-heights one font sets text ${percent(difference)} wider, which changes line lengths and texture between the two`
+    };
+  }
+
+  const class1 = font1.familyStyle.widthClass;
+  const class2 = font2.familyStyle.widthClass;
+  if (!class1 || !class2) {
+    return unmeasured(criterion, 'text width or width class');
+  }
+
+  const difference = Math.abs(class1 - class2);
+  return {
+    ...criterion,
+    score: difference < WIDTH_CLASS_SCORES.length ? WIDTH_CLASS_SCORES[difference] : WIDTH_CLASS_MAX_SCORE,
+    value: `Width class ${class1} vs ${class2}`,
+    explanation: difference === 0 ? 'Both fonts declare the same width' : `The declared widths are ${difference} class${difference === 1 ? '' : 'es'} apart`
+  };
+}
+
+/**
+ * Compares ascender and descender length relative to the x-height, which sets the texture of a text block
+ */
+function scoreProportions(font1, font2) {
+  const criterion = { id: 'proportions', label: 'Proportions' };
+  const extenders = font => {
+    const { xHeight, ascender, descender } = font.metrics.values;
+    const ascent = ratio(ascender, xHeight);
+    const descent = ratio(descender, xHeight);
+    return ascent === null || descent === null ? null : { ascent, descent };
+  };
+
+  const proportions1 = extenders(font1);
+  const proportions2 = extenders(font2);
+  if (!proportions1 || !proportions2) {
+    return unmeasured(criterion, 'ascender, descender or x-height');
+  }
+
+  const difference = (
+    Math.abs(proportions1.ascent - proportions2.ascent) / Math.max(proportions1.ascent, proportions2.ascent) +
+    Math.abs(proportions1.descent - proportions2.descent) / Math.max(proportions1.descent, proportions2.descent)
+  ) / 2;
+
+  return {
+    ...criterion,
+    score: scaleBetween(difference, 0.05, 0.4),
+    value: `Ascender ${proportions1.ascent.toFixed(2)} vs ${proportions2.ascent.toFixed(2)}, descender ${proportions1.descent.toFixed(2)} vs ${proportions2.descent.toFixed(2)} x-heights`,
+    explanation: difference <= 0.1
+      ? 'Ascenders and descenders are in similar proportion to the x-height, so the text blocks have a similar texture'
+      : 'The fonts differ in how far ascenders and descenders reach beyond the x-height, so text blocks look different in color and spacing'
+  };
+}
+
+/**
+ * Checks that both fonts can set the same text: how much of the smaller character set the other font covers
+ */
+function scoreCoverage(font1, font2) {
+  const criterion = { id: 'coverage', label: 'Shared character coverage' };
+  const codepoints1 = font1.familyStyle.codepoints;
+  const codepoints2 = new Set(font2.familyStyle.codepoints);
+  const smaller = Math.min(codepoints1.length, codepoints2.size);
+  if (smaller === 0) {
+    return unmeasured(criterion, 'character map');
+  }
+
+  const shared = codepoints1.filter(codepoint => codepoints2.has(codepoint)).length;
+  const coverage = shared / smaller;
+
+  return {
+    ...criterion,
+    score: Math.round(coverage * 100),
+    value: `${shared.toLocaleString()} of ${smaller.toLocaleString()} code points in the smaller set`,
+    explanation: coverage >= 0.98
+      ? 'Either font can set any text the other can'
+      : `${(smaller - shared).toLocaleString()} characters of the smaller set are missing from the other font and would fall back to a system font`
+  };
+}
+
+/**
+ * Average width of running text in x-heights, so fonts are compared as if sized to the same x-height
+ */
+function textWidthPerXHeight(font) {
+  const { averageWidth, unitsPerEm } = font.metrics.lineMetrics;
+  const xHeight = font.metrics.values.xHeight;
+  if (!averageWidth || !xHeight) {
+    return null;
+  }
+  return averageWidth / unitsPerEm / xHeight;
+}
+
+function unmeasured(criterion, missing) {
+  return { ...criterion, score: null, value: null, explanation: `Not scored: the ${missing} couldn't be measured for both fonts` };
+}
+
+// Full marks up to `best`, falling linearly to zero at `worst`
+function scaleBetween(difference, best, worst) {
+  return Math.round(100 * Math.max(0, Math.min(1, (worst - difference) / (worst - best))));
+}
+
+function ratio(value, base) {
+  return value && base ? value / base : null;
+}
+
+function percent(fraction) {
+  return `${Math.round(fraction * 100)}%`;
+}
@@ -0,0 +1,563 @@
+// PDF report - Lays an analysis result out as a multi-page PDF drawn from the data, with vector
+// charts and the analyzed font embedded for the specimen and proportion drawings
+
+import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
+import fontkit from '@pdf-lib/fontkit';
+
+const PAGE_SIZE = [595.28, 841.89]; // A4 in points
+const MARGIN = 48;
+const CONTENT_WIDTH = PAGE_SIZE[0] - MARGIN * 2;
+const FOOTER_HEIGHT = 24;
+
+const WOFF_SIGNATURE = 0x774F4646; // 'wOFF'
+const CFF_FLAVOR = 0x4F54544F; // 'OTTO'
+
+const COLORS = {
+  text: rgb(0.12, 0.16, 0.22),
+  muted: rgb(0.42, 0.45, 0.5),
+  rule: rgb(0.9, 0.91, 0.92),
+  shade: rgb(0.98, 0.98, 0.99),
+  accent: rgb(0.23, 0.51, 0.96),
+  accentLight: rgb(0.86, 0.92, 1),
+  error: rgb(0.86, 0.15, 0.15),
+  warning: rgb(0.85, 0.47, 0.02),
+  info: rgb(0.23, 0.51, 0.96)
+};
+
+const SPECIMEN_SIZES = [72, 48, 36, 24, 18, 14, 12, 10, 8];
+const CHARACTER_LINES = ['ABCDEFGHIJKLMNOPQRSTUVWXYZ', 'abcdefghijklmnopqrstuvwxyz', '0123456789', '.,:;!?&@#%*+-=/()[]{}\'"'];
+const PANGRAM = 'The quick brown fox jumps over the lazy dog';
+const PARAGRAPH =
+  'Typography exists to honor content. Like oratory, music, dance, calligraphy, or anything else that can lend its grace ' +
+  'to language, typography is an art that can be deliberately misused. It is a craft by which the meanings of a text can ' +
+  'be clarified, honored and shared, or knowingly disguised.';
+
+/**
+ * Builds the PDF report for one analyzed face
+ * @param {Object} result - Result of analyzeFontFile
+ * @param {ArrayBuffer|null} fontData - The face's font data from loadFaceBuffer; without it the specimen is left out
+ * @param {Object} [options] - { generatedAt: Date }
+ * @returns {Promise<Uint8Array>} - The PDF file
+ */
+export async function buildPdfReport(result, fontData, options = {}) {
+  const { generatedAt = new Date() } = options;
+
+  const pdf = await PDFDocument.create();
+  pdf.registerFontkit(fontkit);
+  pdf.setTitle(`${result.name} – Font analysis report`);
+  pdf.setCreator('Font Validator');
+  pdf.setCreationDate(generatedAt);
+
+  const fonts = {
+    regular: await pdf.embedFont(StandardFonts.Helvetica),
+    bold: await pdf.embedFont(StandardFonts.HelveticaBold),
+    mono: await pdf.embedFont(StandardFonts.Courier),
+    specimen: await embedSpecimenFont(pdf, fontData)
+  };
+
+  const layout = createLayout(pdf, fonts);
+  drawSummary(layout, result, generatedAt);
+  drawSpecimen(layout, result);
+  drawMetrics(layout, result);
+  drawCoverage(layout, result);
+  drawValidation(layout, result);
+  layout.drawFooters(result.name);
+
+  return pdf.save();
+}
+
+/**
+ * Embeds the analyzed font, subset to the characters the report uses
+ * CFF fonts are embedded whole, since pdf-lib's CFF subsets don't load in most PDF viewers
+ * @returns {Promise<Object|null>} - The embedded font, or null when there is no data or fontkit can't read it
+ */
+async function embedSpecimenFont(pdf, fontData) {
+  if (!fontData) return null;
+
+  const view = new DataView(fontData);
+  const signature = view.getUint32(0);
+  const flavor = signature === WOFF_SIGNATURE ? view.getUint32(4) : signature;
+
+  try {
+    return await pdf.embedFont(new Uint8Array(fontData), { subset: flavor !== CFF_FLAVOR });
+  } catch (error) {
+    console.warn('Could not embed the font in the PDF report:', error);
+    return null;
+  }
+}
+
+function drawSummary(layout, result, generatedAt) {
+  const { fonts } = layout;
+  layout.newPage();
+
+  layout.text(result.name, { font: fonts.bold, size: 24 });
+  layout.text(`Font analysis report, generated ${generatedAt.toLocaleString()}`, { color: COLORS.muted, after: 16 });
+
+  layout.fields([
+    ['Format', `${result.format} (${result.container})`],
+    ['Size', `${result.size.toLocaleString('en-US')} bytes`],
+    ['Face', result.faceCount > 1 ? `${result.faceIndex + 1} of ${result.faceCount}` : 'Single face'],
+    ['Version', result.version],
+    ['Manufacturer', result.manufacturer],
+    ['Copyright', result.copyright],
+    ['Style', result.style],
+    ['Weight', result.weight],
+    ['Width', result.width]
+  ]);
+
+  if (result.validation) {
+    const { errors, warnings, info } = result.validation.summary;
+    layout.heading('Validation summary');
+    layout.tiles([
+      { label: 'Errors', value: errors, color: COLORS.error },
+      { label: 'Warnings', value: warnings, color: COLORS.warning },
+      { label: 'Notes', value: info, color: COLORS.info }
+    ]);
+  }
+
+  if (result.personality) {
+    const traits = ['formality', 'approachability', 'gentleness', 'sophistication', 'traditionality', 'playfulness'];
+    layout.heading('Personality');
+    layout.bars(traits.map(trait => ({
+      label: trait.charAt(0).toUpperCase() + trait.slice(1),
+      value: result.personality[trait],
+      max: 100,
+      display: String(Math.round(result.personality[trait]))
+    })));
+    if (result.personality.emotionalDescription) {
+      layout.text(result.personality.emotionalDescription, { after: 8 });
+    }
+  }
+
+  if (result.recommendations) {
+    layout.heading('Recommendations');
+    layout.fields([
+      ['Recommended uses', result.recommendations.recommendedUses.join(', ')],
+      ['Not recommended for', result.recommendations.notRecommendedUses.join(', ')],
+      ['Pairings', result.recommendations.fontPairings.join(', ')]
+    ]);
+  }
+}
+
+function drawSpecimen(layout, result) {
+  const { fonts } = layout;
+  const specimen = fonts.specimen;
+  layout.newPage();
+  layout.heading('Specimen');
+
+  if (!specimen) {
+    layout.text('The font could not be embedded in this PDF, so the specimen is left out.', { color: COLORS.muted });
+    return;
+  }
+
+  if (result.variations) {
+    layout.text('Variable fonts are shown at the default position of every axis.', { color: COLORS.muted, after: 8 });
+  }
+
+  layout.text(result.name, { font: specimen, size: 40, after: 12 });
+  for (const line of CHARACTER_LINES) {
+    layout.text(line, { font: specimen, size: 24 });
+  }
+
+  layout.heading('Waterfall');
+  for (const size of SPECIMEN_SIZES) {
+    // Keep each size label on the same page as its sample
+    layout.ensureSpace(size * 1.3 + 16);
+    layout.text(`${size} pt`, { size: 7, color: COLORS.muted });
+    layout.line(PANGRAM, { font: specimen, size, after: 6 });
+  }
+
+  layout.heading('Running text');
+  for (const size of [12, 10]) {
+    layout.ensureSpace(size * 1.5 * 3 + 12);
+    layout.text(`${size} pt`, { size: 7, color: COLORS.muted });
+    layout.text(PARAGRAPH, { font: specimen, size, lineHeight: size * 1.5, after: 12 });
+  }
+}
+
+function drawMetrics(layout, result) {
+  const { metrics, verticalMetrics } = result;
+  layout.newPage();
+  layout.heading('Metrics');
+
+  layout.fields([
+    ['x-height', `${metrics.xHeight} (${metrics.sources.xHeight})`],
+    ['Cap height', `${metrics.capHeight} (${metrics.sources.capHeight})`],
+    ['Ascender', `${metrics.ascender} (${metrics.sources.ascender})`],
+    ['Descender', `${metrics.descender} (${metrics.sources.descender})`],
+    ['Contrast', metrics.contrast],
+    ['Stroke terminals', metrics.strokeTerminals],
+    ['Shape', metrics.shape]
+  ]);
+
+  layout.heading('Proportions');
+  layout.proportions(metrics.values);
+
+  if (metrics.discrepancies.length > 0) {
+    layout.heading('Declared values that disagree with the outlines');
+    layout.table(
+      ['Metric', 'Source', 'Declared (em)', 'Measured (em)'],
+      metrics.discrepancies.map(item => [item.metric, item.source, item.declared, item.measured]),
+      [0.25, 0.25, 0.25, 0.25]
+    );
+  }
+
+  if (verticalMetrics) {
+    layout.heading('Vertical metrics');
+    layout.text(
+      `USE_TYPO_METRICS is ${verticalMetrics.useTypoMetrics ? 'set' : 'not set'}. Line height differs by ` +
+      `${verticalMetrics.consistency.lineHeightSpread} em and the baseline moves by ` +
+      `${verticalMetrics.consistency.baselineShift} em between the models in use.`,
+      { after: 8 }
+    );
+    layout.table(
+      ['Model', 'In use', 'Ascent', 'Descent', 'Line gap', 'Normal', 'Risks'],
+      verticalMetrics.models.map(model => [
+        model.name, model.active ? 'Yes' : 'No', model.ascent, model.descent, model.lineGap, model.normalLineHeight,
+        model.risks.map(risk => risk.message).join(' ') || '-'
+      ]),
+      [0.12, 0.08, 0.09, 0.09, 0.09, 0.09, 0.44]
+    );
+
+    if (verticalMetrics.suggested.changes.length > 0) {
+      layout.heading('Suggested values');
+      layout.table(
+        ['Field', 'Current', 'Suggested'],
+        verticalMetrics.suggested.changes.map(change => [change.field, String(change.current), String(change.suggested)]),
+        [0.5, 0.25, 0.25]
+      );
+    }
+
+    layout.ensureSpace(60);
+    layout.text('CSS overrides', { font: layout.fonts.bold, after: 4 });
+    for (const declaration of verticalMetrics.css.declarations.split('\n')) {
+      layout.text(declaration, { font: layout.fonts.mono, size: 9 });
+    }
+  }
+}
+
+function drawCoverage(layout, result) {
+  const { characterSet } = result;
+  layout.newPage();
+  layout.heading('Character coverage');
+
+  layout.fields([
+    ['Latin', characterSet.latin],
+    ['Numerals', characterSet.numerals],
+    ['Symbols', characterSet.symbols],
+    ['Punctuation', characterSet.punctuation],
+    ['Languages', characterSet.languages]
+  ]);
+
+  const coverage = characterSet.coverage;
+  if (!coverage) return;
+
+  layout.heading(`Unicode blocks (${coverage.totalCodepoints.toLocaleString('en-US')} code points)`);
+  layout.table(
+    ['Block', 'Range', 'Covered', 'Coverage'],
+    coverage.blocks.map(block => [
+      block.name,
+      block.start === null ? '-' : `${formatCodepoint(block.start)}-${formatCodepoint(block.end)}`,
+      block.total === null ? String(block.covered) : `${block.covered} / ${block.total}`,
+      { bar: block.percent }
+    ]),
+    [0.38, 0.22, 0.15, 0.25]
+  );
+
+  if (coverage.languages.length > 0) {
+    layout.heading('Languages');
+    layout.table(
+      ['Language', 'Script', 'Status', 'Missing'],
+      coverage.languages.map(language => [
+        language.language,
+        language.script,
+        `${language.status} (${language.percent}%)`,
+        describeMissing(language)
+      ]),
+      [0.22, 0.16, 0.2, 0.42]
+    );
+  }
+}
+
+function drawValidation(layout, result) {
+  const { validation } = result;
+  layout.newPage();
+  layout.heading('Validation findings');
+
+  if (!validation || validation.results.length === 0) {
+    layout.text('No findings.', { color: COLORS.muted });
+    return;
+  }
+
+  const { errors, warnings, info } = validation.summary;
+  layout.text(`${errors} errors, ${warnings} warnings and ${info} notes.`, { after: 8 });
+
+  const order = { error: 0, warning: 1, info: 2 };
+  const findings = [...validation.results].sort((a, b) => order[a.severity] - order[b.severity]);
+  layout.table(
+    ['Severity', 'Check', 'Message'],
+    findings.map(item => [{ text: item.severity, color: COLORS[item.severity] }, item.id, item.message]),
+    [0.13, 0.25, 0.62]
+  );
+}
+
+// Missing characters are listed by code point, since the report's own fonts can't draw most of them
+function describeMissing(language) {
+  if (language.missingCount === 0) return '-';
+
+  const listed = language.missing.slice(0, 6).map(char => formatCodepoint(char.codePointAt(0))).join(' ');
+  return language.missingCount > 6 ? `${listed} and ${language.missingCount - 6} more` : listed;
+}
+
+function formatCodepoint(codepoint) {
+  return `U+${codepoint.toString(16).toUpperCase().padStart(4, '0')}`;
+}
+
+/**
+ * Creates a cursor that flows text, tables and charts down the page and starts new pages as needed
+ * @param {Object} pdf - The PDFDocument being built
+ * @param {Object} fonts - Embedded fonts as { regular, bold, mono, specimen }
+ * @returns {Object} - Drawing functions sharing the cursor
+ */
+function createLayout(pdf, fonts) {
+  const characterSets = new Map();
+  let page = null;
+  let y = 0;
+
+  // Helvetica and Courier only cover WinAnsi, so other characters become '?'; the specimen font
+  // simply skips characters it doesn't map
+  const encode = (value, font) => {
+    if (!characterSets.has(font)) characterSets.set(font, new Set(font.getCharacterSet()));
+    const supported = characterSets.get(font);
+    const replacement = font === fonts.specimen ? '' : '?';
+
+    return Array.from(String(value).replace(/\s+/g, ' '))
+      .map(char => (supported.has(char.codePointAt(0)) ? char : replacement))
+      .join('');
+  };
+
+  const wrap = (value, font, size, width) => {
+    const lines = [];
+    let current = '';
+
+    for (const word of encode(value, font).split(' ')) {
+      const candidate = current ? `${current} ${word}` : word;
+      if (font.widthOfTextAtSize(candidate, size) <= width || !current) {
+        current = candidate;
+      } else {
+        lines.push(current);
+        current = word;
+      }
+    }
+    lines.push(current);
+    return lines;
+  };
+
+  const newPage = () => {
+    page = pdf.addPage(PAGE_SIZE);
+    y = PAGE_SIZE[1] - MARGIN;
+  };
+
+  const ensureSpace = height => {
+    if (!page || y - height < MARGIN + FOOTER_HEIGHT) newPage();
+  };
+
+  const text = (value, options = {}) => {
+    const { font = fonts.regular, size = 10, color = COLORS.text, lineHeight = size * 1.35, after = 2 } = options;
+
+    for (const line of wrap(value, font, size, CONTENT_WIDTH)) {
+      ensureSpace(lineHeight);
+      y -= lineHeight;
+      page.drawText(line, { x: MARGIN, y: y + (lineHeight - size) / 2 + size * 0.2, size, font, color });
+    }
+    y -= after;
+  };
+
+  // A single line that is cut at the margin rather than wrapped
+  const line = (value, options = {}) => {
+    const { font = fonts.regular, size = 10, color = COLORS.text, after = 2 } = options;
+    let content = encode(value, font);
+    while (content && font.widthOfTextAtSize(content, size) > CONTENT_WIDTH) {
+      content = content.slice(0, -1);
+    }
+
+    const height = font.heightAtSize(size);
+    const ascent = font.heightAtSize(size, { descender: false });
+    ensureSpace(height);
+    y -= ascent;
+    page.drawText(content, { x: MARGIN, y, size, font, color });
+    y -= height - ascent + after;
+  };
+
+  const heading = value => {
+    ensureSpace(48);
+    y -= 14;
+    text(value, { font: fonts.bold, size: 14, after: 4 });
+    page.drawLine({ start: { x: MARGIN, y }, end: { x: MARGIN + CONTENT_WIDTH, y }, thickness: 0.5, color: COLORS.rule });
+    y -= 10;
+  };
+
+  const fields = rows => {
+    const labelWidth = 120;
+    for (const [label, value] of rows) {
+      const lines = wrap(value ?? '-', fonts.regular, 10, CONTENT_WIDTH - labelWidth);
+      ensureSpace(lines.length * 14);
+      page.drawText(encode(label, fonts.regular), { x: MARGIN, y: y - 11, size: 10, font: fonts.regular, color: COLORS.muted });
+      lines.forEach((content, i) => {
+        page.drawText(content, { x: MARGIN + labelWidth, y: y - 11 - i * 14, size: 10, font: fonts.regular, color: COLORS.text });
+      });
+      y -= lines.length * 14 + 2;
+    }
+    y -= 6;
+  };
+
+  // Cells are strings, numbers, { text, color } or { bar: percent } for a coverage bar
+  const table = (headers, rows, fractions) => {
+    const size = 8.5;
+    const lineHeight = 11;
+    const padding = 4;
+    const widths = fractions.map(fraction => fraction * CONTENT_WIDTH);
+
+    const drawRow = (cells, { font, shade }) => {
+      const wrapped = cells.map((cell, i) => (
+        cell !== null && typeof cell === 'object' && 'bar' in cell
+          ? []
+          : wrap(typeof cell === 'object' && cell !== null ? cell.text : cell ?? '-', font, size, widths[i] - padding * 2)
+      ));
+      const height = Math.max(1, ...wrapped.map(lines => lines.length)) * lineHeight + padding * 2;
+
+      if (shade) {
+        page.drawRectangle({ x: MARGIN, y: y - height, width: CONTENT_WIDTH, height, color: COLORS.shade });
+      }
+
+      let x = MARGIN;
+      cells.forEach((cell, i) => {
+        if (cell !== null && typeof cell === 'object' && 'bar' in cell) {
+          drawBar(x + padding, y - padding - lineHeight + 2, widths[i] - padding * 2, cell.bar);
+        } else {
+          const color = (cell !== null && typeof cell === 'object' && cell.color) || COLORS.text;
+          wrapped[i].forEach((content, lineIndex) => {
+            page.drawText(content, { x: x + padding, y: y - padding - (lineIndex + 1) * lineHeight + 3, size, font, color });
+          });
+        }
+        x += widths[i];
+      });
+
+      y -= height;
+      page.drawLine({ start: { x: MARGIN, y }, end: { x: MARGIN + CONTENT_WIDTH, y }, thickness: 0.5, color: COLORS.rule });
+      return height;
+    };
+
+    const measureRow = cells => Math.max(1, ...cells.map((cell, i) => (
+      cell !== null && typeof cell === 'object' && 'bar' in cell
+        ? 1
+        : wrap(typeof cell === 'object' && cell !== null ? cell.text : cell ?? '-', fonts.regular, size, widths[i] - padding * 2).length
+    ))) * lineHeight + padding * 2;
+
+    const drawHeader = () => drawRow(headers, { font: fonts.bold, shade: true });
+
+    ensureSpace(measureRow(headers) + measureRow(rows[0] || headers));
+    drawHeader();
+    for (const row of rows) {
+      const height = measureRow(row);
+      if (y - height < MARGIN + FOOTER_HEIGHT) {
+        newPage();
+        drawHeader();
+      }
+      drawRow(row, { font: fonts.regular, shade: false });
+    }
+    y -= 10;
+  };
+
+  const drawBar = (x, barY, width, percent) => {
+    const labelWidth = 30;
+    const trackWidth = width - labelWidth;
+    page.drawRectangle({ x, y: barY, width: trackWidth, height: 6, color: COLORS.rule });
+    if (percent !== null) {
+      page.drawRectangle({ x, y: barY, width: trackWidth * Math.min(percent, 100) / 100, height: 6, color: COLORS.accent });
+    }
+    page.drawText(percent === null ? '-' : `${percent}%`, {
+      x: x + trackWidth + 4, y: barY, size: 7.5, font: fonts.regular, color: COLORS.muted
+    });
+  };
+
+  const bars = items => {
+    const labelWidth = 120;
+    const valueWidth = 30;
+    for (const item of items) {
+      ensureSpace(18);
+      const trackWidth = CONTENT_WIDTH - labelWidth - valueWidth;
+      page.drawText(encode(item.label, fonts.regular), { x: MARGIN, y: y - 11, size: 10, font: fonts.regular, color: COLORS.text });
+      page.drawRectangle({ x: MARGIN + labelWidth, y: y - 12, width: trackWidth, height: 10, color: COLORS.accentLight });
+      page.drawRectangle({
+        x: MARGIN + labelWidth, y: y - 12, width: trackWidth * Math.max(0, Math.min(item.value / item.max, 1)), height: 10,
+        color: COLORS.accent
+      });
+      page.drawText(item.display, { x: MARGIN + labelWidth + trackWidth + 6, y: y - 11, size: 9, font: fonts.regular, color: COLORS.muted });
+      y -= 18;
+    }
+    y -= 6;
+  };
+
+  const tiles = items => {
+    const gap = 12;
+    const width = (CONTENT_WIDTH - gap * (items.length - 1)) / items.length;
+    const height = 54;
+    ensureSpace(height + 10);
+    items.forEach((item, i) => {
+      const x = MARGIN + i * (width + gap);
+      page.drawRectangle({ x, y: y - height, width, height, borderColor: COLORS.rule, borderWidth: 1, color: COLORS.shade });
+      page.drawRectangle({ x, y: y - height, width: 3, height, color: item.color });
+      page.drawText(String(item.value), { x: x + 14, y: y - 30, size: 20, font: fonts.bold, color: item.color });
+      page.drawText(item.label, { x: x + 14, y: y - 45, size: 9, font: fonts.regular, color: COLORS.muted });
+    });
+    y -= height + 10;
+  };
+
+  // Draws reference letters at a large size with a line at each measured height, all in em
+  const proportions = values => {
+    const size = 120;
+    const descender = values.descender ?? 0.25;
+    const ascender = Math.max(values.ascender ?? 0.75, values.capHeight ?? 0);
+    const height = (ascender + descender) * size + 20;
+    ensureSpace(height);
+
+    const baseline = y - 10 - ascender * size;
+    const left = MARGIN + 90;
+    const right = MARGIN + CONTENT_WIDTH;
+    const guides = [
+      ['Ascender', values.ascender],
+      ['Cap height', values.capHeight],
+      ['x-height', values.xHeight],
+      ['Baseline', 0],
+      ['Descender', values.descender === null ? null : -values.descender]
+    ];
+
+    if (fonts.specimen) {
+      page.drawText(encode('Hxdp', fonts.specimen), { x: left + 20, y: baseline, size, font: fonts.specimen, color: COLORS.accentLight });
+    }
+    // Guides run top to bottom, so a label that would overlap the one above is pushed down
+    let labelY = Infinity;
+    for (const [label, value] of guides) {
+      if (value === null || value === undefined) continue;
+      const guideY = baseline + value * size;
+      labelY = Math.min(guideY - 3, labelY - 10);
+      page.drawLine({ start: { x: left, y: guideY }, end: { x: right, y: guideY }, thickness: 0.75, color: COLORS.accent });
+      page.drawText(`${label} ${Math.abs(value).toFixed(2)}`, { x: MARGIN, y: labelY, size: 8, font: fonts.regular, color: COLORS.muted });
+    }
+    y -= height + 6;
+  };
+
+  const drawFooters = name => {
+    const pages = pdf.getPages();
+    pages.forEach((footerPage, i) => {
+      const label = `Page ${i + 1} of ${pages.length}`;
+      footerPage.drawText(encode(name, fonts.regular), { x: MARGIN, y: MARGIN - 16, size: 8, font: fonts.regular, color: COLORS.muted });
+      footerPage.drawText(label, {
+        x: MARGIN + CONTENT_WIDTH - fonts.regular.widthOfTextAtSize(label, 8), y: MARGIN - 16, size: 8, font: fonts.regular, color: COLORS.muted
+      });
+    });
+  };
+
+  return { fonts, newPage, ensureSpace, text, line, heading, fields, table, bars, tiles, proportions, drawFooters };
+}
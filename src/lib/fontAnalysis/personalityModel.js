@@ -0,0 +1,125 @@
+// Personality model - Feature-weighted scoring of font personality traits
+//
+// Every trait starts at BASE_SCORE and each measured feature adds or removes points:
+// - Categorical features (style, stroke terminals) add fixed points per category, scaled by the
+//   confidence of the classification that produced the category.
+// - Continuous features add points per step away from a typical value, capped at a few steps
+//   so no single measurement dominates.
+// Each contribution is recorded so a score can be explained as "50 + the points listed".
+
+export const TRAITS = ['formality', 'approachability', 'gentleness', 'sophistication', 'traditionality', 'playfulness'];
+
+const BASE_SCORE = 50;
+
+// Points per style classification
+const STYLE_POINTS = {
+  serif: { formality: 25, sophistication: 20, traditionality: 25, playfulness: -10 },
+  'sans-serif': { approachability: 15, gentleness: 10, traditionality: -10 },
+  script: { formality: 10, gentleness: 25, sophistication: 15, playfulness: 20 },
+  decorative: { formality: -15, playfulness: 30, traditionality: -20 },
+  monospace: { formality: 15, approachability: -10, traditionality: 5, playfulness: -15 }
+};
+
+// Points per stroke terminal class
+const TERMINAL_POINTS = {
+  Rounded: { gentleness: 15, approachability: 10, playfulness: 5 },
+  Pointed: { sophistication: 10, gentleness: -10, formality: 5 },
+  Square: { formality: 10, gentleness: -5, traditionality: 5 },
+  Flared: { sophistication: 15, playfulness: 5, traditionality: 5 }
+};
+
+// Continuous features: points per `step` away from `typical`, for at most `maxSteps` steps
+const CONTINUOUS_FEATURES = [
+  {
+    key: 'xHeightRatio',
+    label: 'x-height to cap height',
+    typical: 0.68,
+    step: 0.04,
+    maxSteps: 3,
+    points: { approachability: 4, sophistication: -3, traditionality: -3 },
+    format: value => value.toFixed(2)
+  },
+  {
+    // Measured on a log scale: each step is a contrast ratio about 1.4 times larger
+    key: 'contrastRatio',
+    label: 'Stroke contrast',
+    typical: 1.4,
+    step: 0.5,
+    maxSteps: 3,
+    transform: Math.log2,
+    points: { sophistication: 5, traditionality: 4, approachability: -3 },
+    format: value => `${value.toFixed(2)}:1`
+  },
+  {
+    key: 'weightClass',
+    label: 'Weight class',
+    typical: 400,
+    step: 100,
+    maxSteps: 5,
+    points: { gentleness: -4, sophistication: -2, playfulness: 1 },
+    format: value => String(value)
+  },
+  {
+    key: 'widthClass',
+    label: 'Width class',
+    typical: 5,
+    step: 1,
+    maxSteps: 4,
+    points: { approachability: 3, formality: -3 },
+    format: value => String(value)
+  }
+];
+
+/**
+ * Scores the personality traits of a font from its measured features
+ * @param {Object} features - Measured features
+ * @param {Object} features.style - { classification, confidence } from the style classifier
+ * @param {Object} features.terminals - { value, confidence } from the terminal classifier
+ * @param {number|null} features.xHeightRatio - x-height divided by cap height
+ * @param {number|null} features.contrastRatio - Thick/thin stroke ratio
+ * @param {number|null} features.weightClass - OS/2 usWeightClass
+ * @param {number|null} features.widthClass - OS/2 usWidthClass
+ * @returns {Object} - { traits, breakdown } where breakdown lists { feature, value, points } per trait
+ */
+export function scorePersonality(features) {
+  const breakdown = Object.fromEntries(TRAITS.map(trait => [trait, []]));
+
+  const addPoints = (feature, value, points, scale = 1) => {
+    for (const [trait, base] of Object.entries(points)) {
+      const awarded = Math.round(base * scale);
+      if (awarded !== 0) {
+        breakdown[trait].push({ feature, value, points: awarded });
+      }
+    }
+  };
+
+  const { style, terminals } = features;
+  if (style && STYLE_POINTS[style.classification]) {
+    addPoints('Style', `${style.classification} (${Math.round(style.confidence * 100)}% confidence)`, STYLE_POINTS[style.classification], style.confidence);
+  }
+
+  if (terminals && TERMINAL_POINTS[terminals.value]) {
+    addPoints('Stroke terminals', `${terminals.value} (${Math.round(terminals.confidence * 100)}% confidence)`, TERMINAL_POINTS[terminals.value], terminals.confidence);
+  }
+
+  for (const feature of CONTINUOUS_FEATURES) {
+    const value = features[feature.key];
+    if (typeof value !== 'number' || !isFinite(value) || value <= 0) {
+      continue;
+    }
+
+    const transform = feature.transform || (x => x);
+    const steps = (transform(value) - transform(feature.typical)) / feature.step;
+    const capped = Math.max(-feature.maxSteps, Math.min(feature.maxSteps, steps));
+
+    addPoints(feature.label, `${feature.format(value)} (typical ${feature.format(feature.typical)})`, feature.points, capped);
+  }
+
+  // Scores are the base plus the listed points, kept within 0-100
+  const traits = Object.fromEntries(TRAITS.map(trait => {
+    const total = breakdown[trait].reduce((sum, item) => sum + item.points, BASE_SCORE);
+    return [trait, Math.max(0, Math.min(100, total))];
+  }));
+
+  return { traits, breakdown };
+}
@@ -0,0 +1,436 @@
+// Report export - Turns an analyzeFontFile result into a versioned JSON report, and renders that
+// report as Markdown or a self-contained HTML page
+
+// Bump on any change that could break a parser: a removed or renamed key, or a changed value type.
+// Adding keys does not change the version.
+export const REPORT_SCHEMA_VERSION = 1;
+
+const SECTION_KEYS = [
+  'metrics', 'verticalMetrics', 'personality', 'recommendations', 'characterSet', 'layoutFeatures',
+  'variations', 'spacing', 'validation'
+];
+
+/**
+ * JSON Schema for the top level of the report; section contents are described loosely
+ * so new analysis fields can be added without a version bump
+ */
+export const REPORT_JSON_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  title: 'Font Validator report',
+  type: 'object',
+  required: ['schema', 'schemaVersion', 'generatedAt', 'font', 'classification', ...SECTION_KEYS],
+  properties: {
+    schema: { const: 'font-validator-report' },
+    schemaVersion: { const: REPORT_SCHEMA_VERSION },
+    generatedAt: { type: 'string', format: 'date-time' },
+    font: {
+      type: 'object',
+      required: ['name', 'fileName', 'size', 'format', 'container', 'faceIndex', 'faceCount', 'version'],
+      properties: {
+        name: { type: 'string' },
+        fileName: { type: ['string', 'null'] },
+        size: { type: 'integer' },
+        type: { type: 'string' },
+        lastModified: { type: ['string', 'null'] },
+        format: { type: 'string' },
+        container: { type: 'string' },
+        faceIndex: { type: 'integer' },
+        faceCount: { type: 'integer' },
+        version: { type: 'string' },
+        copyright: { type: 'string' },
+        manufacturer: { type: 'string' }
+      }
+    },
+    classification: {
+      type: 'object',
+      required: ['style', 'weight', 'width', 'styleAnalysis'],
+      properties: {
+        style: { type: 'string' },
+        weight: { type: 'string' },
+        width: { type: 'string' },
+        styleAnalysis: { type: 'object' }
+      }
+    },
+    ...Object.fromEntries(SECTION_KEYS.map(key => [key, { type: ['object', 'null'] }]))
+  }
+};
+
+/**
+ * Builds the JSON report for one analyzed face
+ * Keys always appear in the same order, and sections the analysis didn't produce are null
+ * @param {Object} result - Result of analyzeFontFile
+ * @param {Object} options - { file: the analyzed File, generatedAt: Date }
+ * @returns {Object} - The report, matching REPORT_JSON_SCHEMA
+ */
+export function buildReport(result, options = {}) {
+  const { file = null, generatedAt = new Date() } = options;
+
+  return {
+    schema: 'font-validator-report',
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    generatedAt: generatedAt.toISOString(),
+    font: {
+      name: result.name,
+      fileName: file ? file.name : null,
+      size: result.size,
+      type: result.type,
+      // The analysis formats this for display, so the report takes it from the file when it can
+      lastModified: file ? new Date(file.lastModified).toISOString() : null,
+      format: result.format,
+      container: result.container,
+      faceIndex: result.faceIndex,
+      faceCount: result.faceCount,
+      version: result.version,
+      copyright: result.copyright,
+      manufacturer: result.manufacturer
+    },
+    classification: {
+      style: result.style,
+      weight: result.weight,
+      width: result.width,
+      styleAnalysis: result.styleAnalysis
+    },
+    ...Object.fromEntries(SECTION_KEYS.map(key => [key, result[key] ?? null]))
+  };
+}
+
+/**
+ * Serializes a report as JSON
+ * @param {Object} report - Report from buildReport
+ * @returns {string} - Indented JSON
+ */
+export function toJsonReport(report) {
+  return JSON.stringify(report, null, 2);
+}
+
+/**
+ * Renders a report as Markdown
+ * @param {Object} report - Report from buildReport
+ * @returns {string} - Markdown document
+ */
+export function toMarkdownReport(report) {
+  const lines = [`# ${report.font.name}`, '', `Font Validator report, generated ${report.generatedAt}.`, ''];
+
+  for (const section of describeSections(report)) {
+    lines.push(`## ${section.title}`, '');
+    for (const block of section.blocks) {
+      if (block.heading) lines.push(`### ${block.heading}`, '');
+      lines.push(...renderMarkdownBlock(block), '');
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Renders a report as a standalone HTML page with inline styles
+ * @param {Object} report - Report from buildReport
+ * @returns {string} - HTML document
+ */
+export function toHtmlReport(report) {
+  const body = describeSections(report).map(section => [
+    `<section>`,
+    `<h2>${escapeHtml(section.title)}</h2>`,
+    ...section.blocks.map(block => (block.heading ? `<h3>${escapeHtml(block.heading)}</h3>` : '') + renderHtmlBlock(block)),
+    `</section>`
+  ].join('\n')).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(report.font.name)} – Font Validator report</title>
+<style>
+  body { font-family: system-ui, -apple-system, "Segoe UI", sans-serif; color: #1f2937; max-width: 960px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+  h1 { margin-bottom: 0; }
+  h2 { border-bottom: 1px solid #e5e7eb; padding-bottom: 0.25rem; margin-top: 2rem; }
+  h3 { font-size: 1rem; margin-bottom: 0.5rem; }
+  table { border-collapse: collapse; width: 100%; margin: 0.5rem 0 1rem; font-size: 0.875rem; }
+  th, td { border: 1px solid #e5e7eb; padding: 0.375rem 0.5rem; text-align: left; vertical-align: top; }
+  th { background: #f9fafb; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.25rem 1rem; font-size: 0.875rem; }
+  dt { color: #6b7280; }
+  dd { margin: 0; }
+  pre { background: #111827; color: #f3f4f6; padding: 1rem; border-radius: 0.375rem; overflow-x: auto; }
+  .meta { color: #6b7280; font-size: 0.875rem; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(report.font.name)}</h1>
+<p class="meta">Font Validator report, generated ${escapeHtml(report.generatedAt)}.</p>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * Lays the report out as titled sections of fields, tables, lists, text and code blocks,
+ * which the Markdown and HTML renderers both draw from
+ */
+function describeSections(report) {
+  const { font, classification, metrics, verticalMetrics, characterSet, layoutFeatures, spacing, variations,
+    validation, personality, recommendations } = report;
+  const sections = [];
+
+  sections.push({
+    title: 'Font',
+    blocks: [{
+      type: 'fields',
+      rows: [
+        ['File', font.fileName ?? '—'],
+        ['Format', `${font.format} (${font.container})`],
+        ['Size', `${font.size.toLocaleString('en-US')} bytes`],
+        ['Face', font.faceCount > 1 ? `${font.faceIndex + 1} of ${font.faceCount}` : 'Single face'],
+        ['Version', font.version],
+        ['Manufacturer', font.manufacturer],
+        ['Copyright', font.copyright]
+      ]
+    }]
+  });
+
+  sections.push({
+    title: 'Classification',
+    blocks: [
+      { type: 'fields', rows: [['Style', classification.style], ['Weight', classification.weight], ['Width', classification.width]] },
+      {
+        type: 'table',
+        heading: 'Evidence',
+        headers: ['Source', 'Signal', 'Supports'],
+        rows: (classification.styleAnalysis?.evidence || []).map(item => [item.source, item.signal, item.supports])
+      }
+    ]
+  });
+
+  if (metrics) {
+    sections.push({
+      title: 'Metrics',
+      blocks: [
+        {
+          type: 'fields',
+          rows: [
+            ['x-height', `${metrics.xHeight} (${metrics.sources?.xHeight ?? '—'})`],
+            ['Cap height', `${metrics.capHeight} (${metrics.sources?.capHeight ?? '—'})`],
+            ['Ascender', `${metrics.ascender} (${metrics.sources?.ascender ?? '—'})`],
+            ['Descender', `${metrics.descender} (${metrics.sources?.descender ?? '—'})`],
+            ['Contrast', metrics.contrast],
+            ['Stroke terminals', metrics.strokeTerminals],
+            ['Shape', metrics.shape]
+          ]
+        },
+        ...(metrics.discrepancies?.length ? [{
+          type: 'table',
+          heading: 'Declared values that disagree with the outlines',
+          headers: ['Metric', 'Source', 'Declared (em)', 'Measured (em)'],
+          rows: metrics.discrepancies.map(item => [item.metric, item.source, item.declared, item.measured])
+        }] : [])
+      ]
+    });
+  }
+
+  if (verticalMetrics) {
+    sections.push({
+      title: 'Vertical metrics',
+      blocks: [
+        {
+          type: 'text',
+          text: `USE_TYPO_METRICS is ${verticalMetrics.useTypoMetrics ? 'set' : 'not set'}. ` +
+            `Line height differs by ${verticalMetrics.consistency.lineHeightSpread} em and the baseline moves by ` +
+            `${verticalMetrics.consistency.baselineShift} em between the models in use.`
+        },
+        {
+          type: 'table',
+          headers: ['Model', 'In use', 'Ascent', 'Descent', 'Line gap', 'line-height: normal', 'Risks'],
+          rows: verticalMetrics.models.map(model => [
+            model.name, model.active ? 'Yes' : 'No', model.ascent, model.descent, model.lineGap, model.normalLineHeight,
+            model.risks.map(risk => risk.message).join(' ') || '—'
+          ])
+        },
+        ...(verticalMetrics.suggested.changes.length ? [{
+          type: 'table',
+          heading: 'Suggested values',
+          headers: ['Field', 'Current', 'Suggested'],
+          rows: verticalMetrics.suggested.changes.map(change => [change.field, String(change.current), String(change.suggested)])
+        }] : []),
+        { type: 'code', heading: 'CSS overrides', text: verticalMetrics.css.declarations }
+      ]
+    });
+  }
+
+  if (validation) {
+    sections.push({
+      title: 'Validation',
+      blocks: [
+        {
+          type: 'text',
+          text: `${validation.summary.errors} errors, ${validation.summary.warnings} warnings, ${validation.summary.info} notes.`
+        },
+        ...(validation.results.length ? [{
+          type: 'table',
+          headers: ['Severity', 'Check', 'Message'],
+          rows: validation.results.map(item => [item.severity, item.id, item.message])
+        }] : [])
+      ]
+    });
+  }
+
+  if (characterSet) {
+    sections.push({
+      title: 'Character set',
+      blocks: [
+        {
+          type: 'fields',
+          rows: [
+            ['Latin', characterSet.latin],
+            ['Numerals', characterSet.numerals],
+            ['Symbols', characterSet.symbols],
+            ['Punctuation', characterSet.punctuation],
+            ['Languages', characterSet.languages]
+          ]
+        },
+        ...(characterSet.coverage ? [{
+          type: 'table',
+          heading: `Unicode blocks (${characterSet.coverage.totalCodepoints} code points)`,
+          headers: ['Block', 'Covered', 'Total', 'Percent'],
+          rows: characterSet.coverage.blocks.map(block => [block.name, block.covered, block.total ?? '—', block.percent === null ? '—' : `${block.percent}%`])
+        }] : [])
+      ]
+    });
+  }
+
+  if (layoutFeatures) {
+    sections.push({
+      title: 'Layout features',
+      blocks: [{
+        type: 'table',
+        headers: ['Tag', 'Name', 'Tables', 'Scripts', 'Lookups'],
+        rows: layoutFeatures.features.map(feature => [
+          feature.tag, feature.name, feature.tables.join(', '), feature.scripts.map(script => script.script).join(', '), feature.lookupCount
+        ])
+      }]
+    });
+  }
+
+  if (spacing) {
+    sections.push({
+      title: 'Spacing',
+      blocks: [
+        {
+          type: 'fields',
+          rows: [
+            ['Kerning source', spacing.source ?? 'None'],
+            ['Kerning pairs', spacing.totalPairs],
+            ['Missing common pairs', spacing.missingPairs.join(' ') || 'None'],
+            ['Sidebearing inconsistencies', spacing.inconsistencies]
+          ]
+        },
+        ...(spacing.sidebearings.length ? [{
+          type: 'table',
+          heading: 'Sidebearings',
+          headers: ['Group', 'Glyph', 'Side', 'Value', 'Difference', 'Consistent'],
+          rows: spacing.sidebearings.flatMap(group => group.glyphs.map(glyph => [
+            group.name, glyph.char, glyph.side, glyph.value, glyph.deviation, glyph.consistent ? 'Yes' : 'No'
+          ]))
+        }] : [])
+      ]
+    });
+  }
+
+  if (variations) {
+    sections.push({
+      title: 'Variations',
+      blocks: [
+        {
+          type: 'table',
+          heading: 'Axes',
+          headers: ['Tag', 'Name', 'Min', 'Default', 'Max', 'Hidden'],
+          rows: variations.axes.map(axis => [axis.tag, axis.name, axis.min, axis.default, axis.max, axis.hidden ? 'Yes' : 'No'])
+        },
+        ...(variations.instances.length ? [{
+          type: 'table',
+          heading: 'Named instances',
+          headers: ['Instance', 'Coordinates', 'Weight', 'Width'],
+          rows: variations.instances.map(instance => [
+            instance.name,
+            Object.entries(instance.coordinates).map(([tag, value]) => `${tag} ${value}`).join(', '),
+            instance.analysis.weight,
+            instance.analysis.width
+          ])
+        }] : [])
+      ]
+    });
+  }
+
+  if (personality) {
+    const traits = ['formality', 'approachability', 'gentleness', 'sophistication', 'traditionality', 'playfulness'];
+    sections.push({
+      title: 'Personality',
+      blocks: [
+        { type: 'text', text: personality.emotionalDescription },
+        { type: 'table', headers: ['Trait', 'Score'], rows: traits.map(trait => [trait, personality[trait]]) }
+      ]
+    });
+  }
+
+  if (recommendations) {
+    sections.push({
+      title: 'Recommendations',
+      blocks: [
+        { type: 'list', heading: 'Recommended uses', items: recommendations.recommendedUses },
+        { type: 'list', heading: 'Not recommended for', items: recommendations.notRecommendedUses },
+        { type: 'list', heading: 'Pairings', items: recommendations.fontPairings }
+      ]
+    });
+  }
+
+  return sections;
+}
+
+function renderMarkdownBlock(block) {
+  switch (block.type) {
+    case 'fields':
+      return block.rows.map(([label, value]) => `- **${label}:** ${value}`);
+    case 'table':
+      return [
+        `| ${block.headers.map(escapeMarkdownCell).join(' | ')} |`,
+        `| ${block.headers.map(() => '---').join(' | ')} |`,
+        ...block.rows.map(row => `| ${row.map(escapeMarkdownCell).join(' | ')} |`)
+      ];
+    case 'list':
+      return block.items.map(item => `- ${item}`);
+    case 'code':
+      return ['```css', block.text, '```'];
+    default:
+      return [block.text];
+  }
+}
+
+function renderHtmlBlock(block) {
+  switch (block.type) {
+    case 'fields':
+      return `<dl>${block.rows.map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`).join('')}</dl>`;
+    case 'table':
+      return `<table><thead><tr>${block.headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead><tbody>` +
+        block.rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('') +
+        '</tbody></table>';
+    case 'list':
+      return `<ul>${block.items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+    case 'code':
+      return `<pre><code>${escapeHtml(block.text)}</code></pre>`;
+    default:
+      return `<p>${escapeHtml(block.text)}</p>`;
+  }
+}
+
+function escapeMarkdownCell(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
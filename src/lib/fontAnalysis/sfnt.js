@@ -0,0 +1,306 @@
+// SFNT helpers - Low-level reading and writing of TrueType/OpenType table directories
+// Shared by the WOFF2 decoder, the collection reader and the validation checks
+
+export const TTC_SIGNATURE = 0x74746366; // 'ttcf'
+
+/**
+ * Reads the table directory of one SFNT font
+ * @param {DataView} view - View over the whole file
+ * @param {number} offset - Offset of the font's offset table (0 for a standalone font)
+ * @returns {Object} - { flavor, tables } where tables are { tag, checksum, offset, length } records
+ */
+export function readTableDirectory(view, offset = 0) {
+  if (offset + 12 > view.byteLength) {
+    throw new Error('Font table directory is truncated');
+  }
+
+  const flavor = view.getUint32(offset);
+  const numTables = view.getUint16(offset + 4);
+
+  if (offset + 12 + numTables * 16 > view.byteLength) {
+    throw new Error('Font table directory is truncated');
+  }
+
+  const tables = [];
+  for (let i = 0; i < numTables; i++) {
+    const record = offset + 12 + i * 16;
+    tables.push({
+      tag: readTag(view, record),
+      checksum: view.getUint32(record + 4),
+      offset: view.getUint32(record + 8),
+      length: view.getUint32(record + 12)
+    });
+  }
+
+  return { flavor, tables };
+}
+
+/**
+ * Assembles tables into a standalone SFNT binary with a fresh directory and checksums
+ * @param {number} flavor - The sfntVersion to write
+ * @param {Array<Object>} tables - Tables as { tag, data } pairs
+ * @returns {ArrayBuffer} - The SFNT binary
+ */
+export function buildSfnt(flavor, tables) {
+  const sorted = sortTables(tables);
+  const directorySize = 12 + sorted.length * 16;
+
+  let totalSize = directorySize;
+  for (const table of sorted) {
+    totalSize += pad4(table.data.length);
+  }
+
+  const buffer = new ArrayBuffer(totalSize);
+  const view = new DataView(buffer);
+
+  let offset = directorySize;
+  const offsets = sorted.map(table => {
+    const tableOffset = offset;
+    offset += pad4(table.data.length);
+    return tableOffset;
+  });
+
+  writeTableData(view, sorted, offsets);
+  writeTableDirectory(view, 0, flavor, sorted, offsets);
+  writeChecksumAdjustment(view, 0, sorted, offsets);
+
+  return buffer;
+}
+
+/**
+ * Assembles several fonts into a TrueType/OpenType Collection binary
+ * Tables are compared by identity, so a table object shared between fonts is stored once
+ * @param {Array<Object>} fonts - Fonts as { flavor, tables } where tables are { tag, data } pairs
+ * @returns {ArrayBuffer} - The TTC binary
+ */
+export function buildCollection(fonts) {
+  const headerSize = 12 + fonts.length * 4;
+  const sortedFonts = fonts.map(font => ({ flavor: font.flavor, tables: sortTables(font.tables) }));
+
+  let offset = headerSize;
+  const directoryOffsets = sortedFonts.map(font => {
+    const directoryOffset = offset;
+    offset += 12 + font.tables.length * 16;
+    return directoryOffset;
+  });
+
+  // Lay out each distinct table once
+  const tableOffsets = new Map();
+  for (const font of sortedFonts) {
+    for (const table of font.tables) {
+      if (!tableOffsets.has(table)) {
+        tableOffsets.set(table, offset);
+        offset += pad4(table.data.length);
+      }
+    }
+  }
+
+  const buffer = new ArrayBuffer(offset);
+  const view = new DataView(buffer);
+
+  view.setUint32(0, TTC_SIGNATURE);
+  view.setUint32(4, 0x00010000);
+  view.setUint32(8, fonts.length);
+  directoryOffsets.forEach((directoryOffset, index) => view.setUint32(12 + index * 4, directoryOffset));
+
+  const uniqueTables = [...tableOffsets.keys()];
+  writeTableData(view, uniqueTables, uniqueTables.map(table => tableOffsets.get(table)));
+
+  const adjustedHeads = new Set();
+  sortedFonts.forEach((font, index) => {
+    const offsets = font.tables.map(table => tableOffsets.get(table));
+    writeTableDirectory(view, directoryOffsets[index], font.flavor, font.tables, offsets);
+
+    // A shared head table can only carry one adjustment; the first font using it wins
+    const head = font.tables.find(table => table.tag === 'head');
+    if (head && !adjustedHeads.has(head)) {
+      adjustedHeads.add(head);
+      writeChecksumAdjustment(view, directoryOffsets[index], font.tables, offsets);
+    }
+  });
+
+  return buffer;
+}
+
+/**
+ * Calculates an SFNT checksum (sum of big-endian uint32 words, zero-padded)
+ * @param {DataView} view - View over the font data
+ * @param {number} offset - Start of the data
+ * @param {number} length - Length in bytes
+ * @returns {number} - The unsigned 32-bit checksum
+ */
+export function calculateChecksum(view, offset, length) {
+  let sum = 0;
+  const end = offset + pad4(length);
+
+  for (let i = offset; i < end; i += 4) {
+    // Bytes past the end of the data count as zero padding
+    let word;
+    if (i + 4 <= offset + length) {
+      word = view.getUint32(i);
+    } else {
+      word = 0;
+      for (let j = 0; j < 4; j++) {
+        word = word * 256 + (i + j < offset + length ? view.getUint8(i + j) : 0);
+      }
+    }
+    sum = (sum + word) >>> 0;
+  }
+
+  return sum;
+}
+
+/**
+ * Reads the strings of a name table, preferring Windows English then Macintosh Roman records
+ * @param {Uint8Array} data - Raw name table data
+ * @returns {Object} - Strings keyed by nameID
+ */
+export function readNameTable(data) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const count = view.getUint16(2);
+  const storageOffset = view.getUint16(4);
+  const names = {};
+  const priorities = {};
+
+  for (let i = 0; i < count; i++) {
+    const record = 6 + i * 12;
+    if (record + 12 > data.byteLength) {
+      break;
+    }
+
+    const platformID = view.getUint16(record);
+    const encodingID = view.getUint16(record + 2);
+    const languageID = view.getUint16(record + 4);
+    const nameID = view.getUint16(record + 6);
+    const length = view.getUint16(record + 8);
+    const start = storageOffset + view.getUint16(record + 10);
+
+    if (start + length > data.byteLength) {
+      continue;
+    }
+
+    let priority = 0;
+    let value = null;
+
+    if (platformID === 3 && (encodingID === 1 || encodingID === 10)) {
+      priority = languageID === 0x0409 ? 3 : 1;
+      value = '';
+      for (let j = 0; j + 1 < length; j += 2) {
+        value += String.fromCharCode(view.getUint16(start + j));
+      }
+    } else if (platformID === 1 && encodingID === 0) {
+      priority = languageID === 0 ? 2 : 0;
+      value = String.fromCharCode(...data.subarray(start, start + length));
+    }
+
+    if (value !== null && (priorities[nameID] === undefined || priority > priorities[nameID])) {
+      names[nameID] = value;
+      priorities[nameID] = priority;
+    }
+  }
+
+  return names;
+}
+
+/**
+ * Rounds a length up to the next multiple of four
+ * @param {number} length - Length in bytes
+ * @returns {number} - Padded length
+ */
+export function pad4(length) {
+  return (length + 3) & ~3;
+}
+
+/**
+ * Reads a four-character table tag
+ * @param {DataView} view - View over the font data
+ * @param {number} offset - Offset of the tag
+ * @returns {string} - The tag
+ */
+export function readTag(view, offset) {
+  return String.fromCharCode(
+    view.getUint8(offset),
+    view.getUint8(offset + 1),
+    view.getUint8(offset + 2),
+    view.getUint8(offset + 3)
+  );
+}
+
+/**
+ * Sorts tables by tag, as required for the table directory
+ * @param {Array<Object>} tables - Tables as { tag, data } pairs
+ * @returns {Array<Object>} - A sorted copy
+ */
+function sortTables(tables) {
+  return [...tables].sort((a, b) => (a.tag < b.tag ? -1 : a.tag > b.tag ? 1 : 0));
+}
+
+/**
+ * Copies table data into the output and clears head.checkSumAdjustment
+ * @param {DataView} view - View over the output buffer
+ * @param {Array<Object>} tables - Tables as { tag, data } pairs
+ * @param {Array<number>} offsets - Output offset of each table
+ */
+function writeTableData(view, tables, offsets) {
+  const bytes = new Uint8Array(view.buffer);
+
+  tables.forEach((table, index) => {
+    bytes.set(table.data, offsets[index]);
+
+    // checkSumAdjustment must be zero while checksums are computed
+    if (table.tag === 'head') {
+      view.setUint32(offsets[index] + 8, 0);
+    }
+  });
+}
+
+/**
+ * Writes an offset table and its table records
+ * @param {DataView} view - View over the output buffer
+ * @param {number} directoryOffset - Where the offset table starts
+ * @param {number} flavor - The sfntVersion to write
+ * @param {Array<Object>} tables - Tables as { tag, data } pairs, sorted by tag
+ * @param {Array<number>} offsets - Output offset of each table
+ */
+function writeTableDirectory(view, directoryOffset, flavor, tables, offsets) {
+  const numTables = tables.length;
+  const entrySelector = Math.floor(Math.log2(numTables));
+  const searchRange = Math.pow(2, entrySelector) * 16;
+
+  view.setUint32(directoryOffset, flavor);
+  view.setUint16(directoryOffset + 4, numTables);
+  view.setUint16(directoryOffset + 6, searchRange);
+  view.setUint16(directoryOffset + 8, entrySelector);
+  view.setUint16(directoryOffset + 10, numTables * 16 - searchRange);
+
+  tables.forEach((table, index) => {
+    const record = directoryOffset + 12 + index * 16;
+    for (let i = 0; i < 4; i++) {
+      view.setUint8(record + i, table.tag.charCodeAt(i));
+    }
+    view.setUint32(record + 4, calculateChecksum(view, offsets[index], table.data.length));
+    view.setUint32(record + 8, offsets[index]);
+    view.setUint32(record + 12, table.data.length);
+  });
+}
+
+/**
+ * Sets head.checkSumAdjustment so the font's whole-file checksum equals 0xB1B0AFBA
+ * @param {DataView} view - View over the output buffer
+ * @param {number} directoryOffset - Where the font's offset table starts
+ * @param {Array<Object>} tables - Tables as { tag, data } pairs, sorted by tag
+ * @param {Array<number>} offsets - Output offset of each table
+ */
+function writeChecksumAdjustment(view, directoryOffset, tables, offsets) {
+  const headIndex = tables.findIndex(table => table.tag === 'head');
+  if (headIndex < 0) {
+    return;
+  }
+
+  let fontChecksum = calculateChecksum(view, directoryOffset, 12 + tables.length * 16);
+  tables.forEach((table, index) => {
+    fontChecksum = (fontChecksum + calculateChecksum(view, offsets[index], table.data.length)) >>> 0;
+  });
+
+  view.setUint32(offsets[headIndex] + 8, (0xB1B0AFBA - fontChecksum) >>> 0);
+}
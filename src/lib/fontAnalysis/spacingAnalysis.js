@@ -0,0 +1,461 @@
+// Spacing analysis - Reads kerning from the kern table and GPOS pair adjustments and checks
+// that related glyphs share their sidebearings
+import { readTableDirectory } from './sfnt';
+import { measureGlyphBounds } from './glyphMetrics';
+
+const PAIR_ADJUSTMENT = 2;
+const EXTENSION_POSITIONING = 9;
+
+// ValueRecord fields in ValueFormat bit order; the four device table offsets are skipped
+const VALUE_FIELDS = ['xPlacement', 'yPlacement', 'xAdvance', 'yAdvance'];
+const VALUE_DEVICE_FLAGS = [0x0010, 0x0020, 0x0040, 0x0080];
+
+// Combinations that look gappy or collide without kerning
+const COMMON_PAIRS = [
+  'AV', 'AW', 'AY', 'AT', 'Av', 'Ay', 'LT', 'LV', 'LY', 'PA', 'TA', 'Ta', 'Te', 'To', 'Tr', 'Ty',
+  'VA', 'Va', 'Vo', 'WA', 'Wa', 'YA', 'Yo', 'r.', 'r,', 'y.', 'f\'', 'f’', 'F.', 'P.'
+];
+
+// Kerned pairs are recorded among these characters so samples can highlight them without the font
+const SAMPLE_CHARACTERS = [
+  ...Array.from({ length: 95 }, (_, i) => String.fromCharCode(0x20 + i)),
+  '‘', '’', '“', '”', '–', '—'
+];
+
+// Glyph sides drawn the same way should be spaced alike; each side is compared with the group's first
+const SIDEBEARING_GROUPS = [
+  { name: 'Straight stems', sides: [['n', 'left'], ['m', 'left'], ['h', 'left'], ['b', 'left'], ['p', 'left'], ['d', 'right'], ['q', 'right']] },
+  { name: 'Arches', sides: [['n', 'right'], ['m', 'right'], ['h', 'right']] },
+  { name: 'Round bowls', sides: [['o', 'left'], ['o', 'right'], ['d', 'left'], ['q', 'left'], ['b', 'right'], ['p', 'right']] }
+];
+
+// Sidebearings within this fraction of the em of the reference count as matching
+const SIDEBEARING_TOLERANCE = 0.01;
+
+/**
+ * Analyzes a font's kerning and sidebearing consistency
+ * @param {Object} font - The parsed font object
+ * @param {Object} source - Table source, as passed to runValidationChecks
+ * @returns {Object} - { unitsPerEm, source, kernTablePairs, gpos, totalPairs, monospaced, commonPairs, complete, missingPairs,
+ *   kernedPairs, sidebearings, inconsistencies }; values are in font units
+ */
+export function analyzeSpacing(font, source) {
+  const gpos = readGposKerning(font, source);
+  const kernTablePairs = Object.keys(font.kerningPairs || {}).length;
+
+  // Shapers ignore the kern table once GPOS has kerning of its own
+  const usesGpos = gpos.lookups.length > 0;
+  const kerningSource = usesGpos ? 'GPOS' : kernTablePairs > 0 ? 'kern' : null;
+  const kerning = (left, right) => usesGpos
+    ? gpos.lookups.reduce((sum, subtables) => sum + lookupPairValue(subtables, left, right), 0)
+    : font.kerningPairs[`${left},${right}`] || 0;
+
+  const monospaced = Boolean(font.tables.post && font.tables.post.isFixedPitch);
+
+  // Pairs in unreadable lookups may be kerned, so none can be called missing
+  const complete = gpos.unreadableLookups === 0;
+  const commonPairs = COMMON_PAIRS.map(pair => {
+    const [left, right] = [...pair].map(char => font.charToGlyphIndex(char));
+    if (!left || !right) {
+      return { pair, value: 0, status: 'unmapped' };
+    }
+    const value = kerning(left, right);
+    return { pair, value, status: value !== 0 ? 'kerned' : complete ? 'missing' : 'unknown' };
+  });
+
+  // Monospaced fonts squeeze or pad glyphs to one width, so their sidebearings aren't expected to match
+  const sidebearings = monospaced ? [] : SIDEBEARING_GROUPS
+    .map(group => checkSidebearingGroup(font, group))
+    .filter(Boolean);
+
+  return {
+    unitsPerEm: font.unitsPerEm,
+    source: kerningSource,
+    kernTablePairs,
+    gpos: {
+      lookupCount: gpos.lookups.length,
+      glyphPairs: gpos.counts.glyphPairs,
+      classPairs: gpos.counts.classPairs,
+      classGlyphPairs: gpos.counts.classGlyphPairs,
+      unreadableLookups: gpos.unreadableLookups
+    },
+    totalPairs: usesGpos ? gpos.counts.glyphPairs + gpos.counts.classGlyphPairs : kernTablePairs,
+    monospaced,
+    commonPairs,
+    complete,
+    // Monospaced fonts aren't kerned, so nothing is missing from them
+    missingPairs: monospaced ? [] : commonPairs.filter(pair => pair.status === 'missing').map(pair => pair.pair),
+    kernedPairs: kerningSource ? listKernedPairs(font, kerning) : {},
+    sidebearings,
+    inconsistencies: sidebearings.reduce((count, group) => count + group.glyphs.filter(glyph => !glyph.consistent).length, 0)
+  };
+}
+
+/**
+ * Collects the pair adjustment subtables of the lookups the kern feature uses
+ * opentype.js skips extension lookups, so their subtables are read from the raw GPOS table
+ * @param {Object} font - The parsed font object
+ * @param {Object} source - Table source for the face
+ * @returns {Object} - { lookups: subtable lists in lookup order, counts, unreadableLookups }
+ */
+function readGposKerning(font, source) {
+  const layout = font.tables.gpos;
+  const result = { lookups: [], counts: { glyphPairs: 0, classPairs: 0, classGlyphPairs: 0 }, unreadableLookups: 0 };
+  if (!layout || !layout.lookups) {
+    return result;
+  }
+
+  const lookupIndexes = new Set();
+  for (const record of layout.features || []) {
+    if (record.tag === 'kern') {
+      record.feature.lookupListIndexes.forEach(index => lookupIndexes.add(index));
+    }
+  }
+
+  let raw;
+  for (const index of [...lookupIndexes].sort((a, b) => a - b)) {
+    const lookup = layout.lookups[index];
+    if (!lookup) continue;
+
+    let subtables = [];
+    if (lookup.lookupType === PAIR_ADJUSTMENT) {
+      subtables = lookup.subtables;
+    } else if (lookup.lookupType === EXTENSION_POSITIONING) {
+      if (raw === undefined) raw = locateGpos(source);
+      if (!raw) {
+        result.unreadableLookups++;
+        continue;
+      }
+      subtables = readExtensionPairSubtables(raw.view, raw.offset, index);
+    }
+
+    subtables = subtables.filter(subtable => subtable && (subtable.posFormat === 1 || subtable.posFormat === 2));
+    if (subtables.length === 0) continue;
+
+    result.lookups.push(subtables);
+    subtables.forEach(subtable => countPairs(subtable, result.counts));
+  }
+
+  return result;
+}
+
+/**
+ * Finds the raw GPOS table of a face
+ * @returns {Object|null} - { view, offset }, or null when GPOS is absent
+ */
+function locateGpos(source) {
+  const { tables } = readTableDirectory(source.view, source.directoryOffset);
+  const gpos = tables.find(table => table.tag === 'GPOS');
+  return gpos ? { view: source.view, offset: gpos.offset } : null;
+}
+
+/**
+ * Reads the pair adjustment subtables behind one extension lookup
+ * @param {DataView} view - View over the font data
+ * @param {number} gposOffset - Offset of the GPOS table
+ * @param {number} lookupIndex - Index into the lookup list
+ * @returns {Array<Object>} - Subtables in the shape opentype.js gives type 2 lookups
+ */
+function readExtensionPairSubtables(view, gposOffset, lookupIndex) {
+  const lookupList = gposOffset + view.getUint16(gposOffset + 8);
+  const lookup = lookupList + view.getUint16(lookupList + 2 + lookupIndex * 2);
+  const subtableCount = view.getUint16(lookup + 4);
+  const subtables = [];
+
+  for (let i = 0; i < subtableCount; i++) {
+    const extension = lookup + view.getUint16(lookup + 6 + i * 2);
+    if (view.getUint16(extension + 2) !== PAIR_ADJUSTMENT) continue;
+    subtables.push(readPairSubtable(view, extension + view.getUint32(extension + 4)));
+  }
+
+  return subtables;
+}
+
+/**
+ * Parses a PairPos subtable (format 1 or 2)
+ */
+function readPairSubtable(view, offset) {
+  const posFormat = view.getUint16(offset);
+  const coverage = readCoverage(view, offset + view.getUint16(offset + 2));
+  const valueFormat1 = view.getUint16(offset + 4);
+  const valueFormat2 = view.getUint16(offset + 6);
+  const recordSize = valueRecordSize(valueFormat1) + valueRecordSize(valueFormat2);
+
+  if (posFormat === 1) {
+    const pairSetCount = view.getUint16(offset + 8);
+    const pairSets = [];
+    for (let i = 0; i < pairSetCount; i++) {
+      const pairSet = offset + view.getUint16(offset + 10 + i * 2);
+      const pairCount = view.getUint16(pairSet);
+      const pairs = [];
+      for (let j = 0; j < pairCount; j++) {
+        const record = pairSet + 2 + j * (2 + recordSize);
+        pairs.push({
+          secondGlyph: view.getUint16(record),
+          value1: readValueRecord(view, record + 2, valueFormat1)
+        });
+      }
+      pairSets.push(pairs);
+    }
+    return { posFormat, coverage, pairSets };
+  }
+
+  if (posFormat === 2) {
+    const classDef1 = readClassDef(view, offset + view.getUint16(offset + 8));
+    const classDef2 = readClassDef(view, offset + view.getUint16(offset + 10));
+    const class1Count = view.getUint16(offset + 12);
+    const class2Count = view.getUint16(offset + 14);
+    const classRecords = [];
+    for (let i = 0; i < class1Count; i++) {
+      const row = [];
+      for (let j = 0; j < class2Count; j++) {
+        row.push({ value1: readValueRecord(view, offset + 16 + (i * class2Count + j) * recordSize, valueFormat1) });
+      }
+      classRecords.push(row);
+    }
+    return { posFormat, coverage, classDef1, classDef2, classRecords };
+  }
+
+  return null;
+}
+
+function readValueRecord(view, offset, format) {
+  const record = {};
+  let position = offset;
+  VALUE_FIELDS.forEach((field, bit) => {
+    if (format & (1 << bit)) {
+      record[field] = view.getInt16(position);
+      position += 2;
+    }
+  });
+  return record;
+}
+
+function valueRecordSize(format) {
+  let fields = 0;
+  for (let bit = 0; bit < VALUE_FIELDS.length; bit++) {
+    if (format & (1 << bit)) fields++;
+  }
+  return (fields + VALUE_DEVICE_FLAGS.filter(flag => format & flag).length) * 2;
+}
+
+function readCoverage(view, offset) {
+  const format = view.getUint16(offset);
+  const count = view.getUint16(offset + 2);
+
+  if (format === 1) {
+    return { format, glyphs: Array.from({ length: count }, (_, i) => view.getUint16(offset + 4 + i * 2)) };
+  }
+  return {
+    format,
+    ranges: Array.from({ length: count }, (_, i) => ({
+      start: view.getUint16(offset + 4 + i * 6),
+      end: view.getUint16(offset + 6 + i * 6),
+      index: view.getUint16(offset + 8 + i * 6)
+    }))
+  };
+}
+
+function readClassDef(view, offset) {
+  const format = view.getUint16(offset);
+
+  if (format === 1) {
+    const count = view.getUint16(offset + 4);
+    return {
+      format,
+      startGlyph: view.getUint16(offset + 2),
+      classes: Array.from({ length: count }, (_, i) => view.getUint16(offset + 6 + i * 2))
+    };
+  }
+  const count = view.getUint16(offset + 2);
+  return {
+    format,
+    ranges: Array.from({ length: count }, (_, i) => ({
+      start: view.getUint16(offset + 4 + i * 6),
+      end: view.getUint16(offset + 6 + i * 6),
+      classId: view.getUint16(offset + 8 + i * 6)
+    }))
+  };
+}
+
+/**
+ * Adds a subtable's pairs to the running counts
+ * Class pairs are also expanded to the glyph combinations they cover; class 0 of the second
+ * class definition means "every other glyph" and is left out of that expansion
+ */
+function countPairs(subtable, counts) {
+  if (subtable.posFormat === 1) {
+    for (const pairSet of subtable.pairSets) {
+      counts.glyphPairs += pairSet.filter(pair => pairValue(pair)).length;
+    }
+    return;
+  }
+
+  const firstGlyphsPerClass = new Map();
+  for (const glyph of coveredGlyphs(subtable.coverage)) {
+    const glyphClass = classOf(subtable.classDef1, glyph);
+    firstGlyphsPerClass.set(glyphClass, (firstGlyphsPerClass.get(glyphClass) || 0) + 1);
+  }
+  const secondGlyphsPerClass = classSizes(subtable.classDef2);
+
+  subtable.classRecords.forEach((row, class1) => {
+    row.forEach((record, class2) => {
+      if (!pairValue(record)) return;
+      counts.classPairs++;
+      counts.classGlyphPairs += (firstGlyphsPerClass.get(class1) || 0) * (secondGlyphsPerClass.get(class2) || 0);
+    });
+  });
+}
+
+function pairValue(record) {
+  return (record.value1 && record.value1.xAdvance) || 0;
+}
+
+/**
+ * Looks up the adjustment one lookup applies to a glyph pair
+ * The first subtable that covers the left glyph decides, as in a shaper
+ */
+function lookupPairValue(subtables, left, right) {
+  for (const subtable of subtables) {
+    const coverageIndex = findCoverageIndex(subtable.coverage, left);
+    if (coverageIndex < 0) continue;
+
+    if (subtable.posFormat === 1) {
+      const pair = (subtable.pairSets[coverageIndex] || []).find(record => record.secondGlyph === right);
+      if (pair) return pairValue(pair);
+      continue;
+    }
+
+    const row = subtable.classRecords[classOf(subtable.classDef1, left)];
+    const record = row && row[classOf(subtable.classDef2, right)];
+    return record ? pairValue(record) : 0;
+  }
+  return 0;
+}
+
+function findCoverageIndex(coverage, glyph) {
+  if (coverage.format === 1) {
+    return coverage.glyphs.indexOf(glyph);
+  }
+  const range = coverage.ranges.find(item => glyph >= item.start && glyph <= item.end);
+  return range ? range.index + glyph - range.start : -1;
+}
+
+function coveredGlyphs(coverage) {
+  if (coverage.format === 1) {
+    return coverage.glyphs;
+  }
+  return coverage.ranges.flatMap(range => Array.from({ length: range.end - range.start + 1 }, (_, i) => range.start + i));
+}
+
+function classOf(classDef, glyph) {
+  if (classDef.format === 1) {
+    const offset = glyph - classDef.startGlyph;
+    return offset >= 0 && offset < classDef.classes.length ? classDef.classes[offset] : 0;
+  }
+  const range = classDef.ranges.find(item => glyph >= item.start && glyph <= item.end);
+  return range ? range.classId : 0;
+}
+
+function classSizes(classDef) {
+  const sizes = new Map();
+  const add = (glyphClass, count) => sizes.set(glyphClass, (sizes.get(glyphClass) || 0) + count);
+
+  if (classDef.format === 1) {
+    classDef.classes.forEach(glyphClass => add(glyphClass, 1));
+  } else {
+    classDef.ranges.forEach(range => add(range.classId, range.end - range.start + 1));
+  }
+  sizes.delete(0);
+  return sizes;
+}
+
+/**
+ * Records the kerning between every pair of sample characters the font maps
+ * @returns {Object} - Nonzero values keyed by the two-character string
+ */
+function listKernedPairs(font, kerning) {
+  const mapped = SAMPLE_CHARACTERS
+    .map(char => [char, font.charToGlyphIndex(char)])
+    .filter(([, glyph]) => glyph);
+
+  const pairs = {};
+  for (const [leftChar, left] of mapped) {
+    for (const [rightChar, right] of mapped) {
+      const value = kerning(left, right);
+      if (value !== 0) pairs[leftChar + rightChar] = value;
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Compares the sidebearings of a group of related glyph sides with the first one
+ * @returns {Object|null} - { name, reference, glyphs: [{ char, side, value, deviation, consistent }] },
+ *   or null when the reference glyph or every other glyph is missing
+ */
+function checkSidebearingGroup(font, group) {
+  const [referenceChar, referenceSide] = group.sides[0];
+  const measured = group.sides
+    .map(([char, side]) => ({ char, side, value: measureSidebearing(font, char, side) }))
+    .filter(entry => entry.value !== null);
+
+  if (measured.length < 2 || measured[0].char !== referenceChar || measured[0].side !== referenceSide) {
+    return null;
+  }
+
+  const reference = measured[0].value;
+  const tolerance = font.unitsPerEm * SIDEBEARING_TOLERANCE;
+
+  return {
+    name: group.name,
+    reference: { char: referenceChar, side: referenceSide },
+    glyphs: measured.map(entry => ({
+      ...entry,
+      deviation: entry.value - reference,
+      consistent: Math.abs(entry.value - reference) <= tolerance
+    }))
+  };
+}
+
+/**
+ * Measures one sidebearing of the glyph mapped to a character
+ * Italic outlines are slanted back upright about half the x-height first, which is where font
+ * editors measure italic sidebearings
+ * @returns {number|null} - The sidebearing in font units, or null for unmapped or empty glyphs
+ */
+function measureSidebearing(font, char, side) {
+  const glyphIndex = font.charToGlyphIndex(char);
+  if (!glyphIndex) {
+    return null;
+  }
+
+  const glyph = font.glyphs.get(glyphIndex);
+  if (!glyph.path || glyph.path.commands.length === 0) {
+    return null;
+  }
+
+  const italicAngle = font.tables.post ? font.tables.post.italicAngle : 0;
+  let xMin;
+  let xMax;
+  if (italicAngle) {
+    // Points are bounded by their curves' control points, which is close enough for stems and bowls
+    const slant = Math.tan(italicAngle * Math.PI / 180);
+    const xBounds = measureGlyphBounds(font, 'x');
+    const center = (xBounds ? xBounds.yMax : font.unitsPerEm / 2) / 2;
+    const xs = [];
+    for (const command of glyph.path.commands) {
+      for (const [x, y] of [[command.x, command.y], [command.x1, command.y1], [command.x2, command.y2]]) {
+        if (x !== undefined) xs.push(x + (y - center) * slant);
+      }
+    }
+    xMin = Math.min(...xs);
+    xMax = Math.max(...xs);
+  } else {
+    const box = glyph.getBoundingBox();
+    xMin = box.x1;
+    xMax = box.x2;
+  }
+
+  return Math.round(side === 'left' ? xMin : glyph.advanceWidth - xMax);
+}
@@ -0,0 +1,335 @@
+// Stroke analysis - Measures stroke contrast and classifies stroke terminals from glyph outlines
+import { getGlyphOutline, scanRuns, contourArea, median } from './outlineGeometry';
+
+// Where to cast scanlines through each contrast glyph, as fractions of its bounding box
+// Rows (horizontal scanlines) cut across vertical stems; columns cut across horizontal strokes
+const CONTRAST_SAMPLES = {
+  o: { rows: [0.5], columns: [0.5] },
+  n: { rows: [0.3, 0.5], columns: [0.5] },
+  H: { rows: [0.25, 0.75], columns: [0.5] },
+  e: { rows: [0.3], columns: [0.5] }
+};
+
+// Glyphs whose open strokes end in a terminal
+const TERMINAL_GLYPHS = ['c', 'a', 'r', 'e', 's', 'f', 't', 'y'];
+
+// A stroke end turns the outline through roughly 180 degrees within about two stroke widths
+const TERMINAL_TURN = 150;
+const CORNER_TURN = 50;
+const CORNER_ARC = 0.2;
+const POINT_TURN = 120;
+const FLARE_RATIO = 1.25;
+
+/**
+ * Measures the thick/thin stroke ratio by casting scanlines through o, n, H and e
+ * @param {Object} font - The parsed font object
+ * @returns {Object|null} - { ratio, confidence, stemWidth, samples }, or null if no glyph could be measured
+ */
+export function analyzeStrokeContrast(font) {
+  const samples = [];
+  const stems = [];
+
+  for (const [char, sampling] of Object.entries(CONTRAST_SAMPLES)) {
+    const outline = getGlyphOutline(font, char);
+    if (!outline) {
+      continue;
+    }
+
+    const { contours, bounds } = outline;
+    const width = bounds.xMax - bounds.xMin;
+    const height = bounds.yMax - bounds.yMin;
+
+    // Runs longer than this follow a stroke lengthwise instead of cutting across it
+    const verticalStrokes = sampling.rows
+      .flatMap(fraction => scanRuns(contours, 'horizontal', bounds.yMin + height * fraction))
+      .map(run => run.width)
+      .filter(size => size > 0 && size <= width * 0.45);
+    const horizontalStrokes = sampling.columns
+      .flatMap(fraction => scanRuns(contours, 'vertical', bounds.xMin + width * fraction))
+      .map(run => run.width)
+      .filter(size => size > 0 && size <= height * 0.45);
+
+    if (verticalStrokes.length === 0 || horizontalStrokes.length === 0) {
+      continue;
+    }
+
+    const vertical = median(verticalStrokes);
+    const horizontal = median(horizontalStrokes);
+    stems.push(...verticalStrokes);
+
+    // Contrast is the same whether the stress is vertical or (rarely) horizontal
+    samples.push({
+      char,
+      vertical: Math.round(vertical),
+      horizontal: Math.round(horizontal),
+      ratio: Math.max(vertical, horizontal) / Math.min(vertical, horizontal)
+    });
+  }
+
+  if (samples.length === 0) {
+    return null;
+  }
+
+  const ratios = samples.map(sample => sample.ratio);
+  const ratio = median(ratios);
+
+  // Confidence grows with the number of glyphs measured and how closely they agree
+  const coverage = samples.length / Object.keys(CONTRAST_SAMPLES).length;
+  const consistency = samples.length > 1 ? 1 - Math.min(1, standardDeviation(ratios) / ratio) : 0.5;
+
+  return {
+    ratio: Math.round(ratio * 100) / 100,
+    confidence: Math.round(coverage * consistency * 100) / 100,
+    stemWidth: median(stems),
+    samples: samples.map(sample => ({ ...sample, ratio: Math.round(sample.ratio * 100) / 100 }))
+  };
+}
+
+/**
+ * Classifies stroke terminals from the curvature of the outline where open strokes end
+ * @param {Object} font - The parsed font object
+ * @param {number} stemWidth - Typical stem width in font units, used to size the search window
+ * @returns {Object|null} - { terminal, confidence, counts }, or null if no terminal was found
+ */
+export function classifyTerminals(font, stemWidth) {
+  const counts = { Square: 0, Rounded: 0, Pointed: 0, Flared: 0 };
+  const window = 2 * (stemWidth || font.unitsPerEm * 0.1);
+
+  for (const char of TERMINAL_GLYPHS) {
+    const outline = getGlyphOutline(font, char);
+    if (!outline) {
+      continue;
+    }
+
+    for (const terminal of findTerminals(outline, window, stemWidth)) {
+      counts[terminal]++;
+    }
+  }
+
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  if (total === 0) {
+    return null;
+  }
+
+  const [terminal, votes] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+
+  // Confidence is the winning share of the votes, discounted when few terminals were found
+  return {
+    terminal,
+    confidence: Math.round((votes / total) * Math.min(1, total / 6) * 100) / 100,
+    counts
+  };
+}
+
+/**
+ * Finds and classifies the stroke ends in one glyph outline
+ * @param {Object} outline - Outline from getGlyphOutline
+ * @param {number} window - Longest stretch of outline a terminal may span
+ * @param {number} stemWidth - Typical stem width in font units
+ * @returns {Array<string>} - Terminal classes found in the glyph
+ */
+function findTerminals(outline, window, stemWidth) {
+  const { contours, bounds } = outline;
+  const height = bounds.yMax - bounds.yMin;
+
+  // The fill lies on the same side of every edge, so the largest contour's winding tells which way is convex
+  const orientation = Math.sign(contours.reduce((largest, points) => {
+    const area = contourArea(points);
+    return Math.abs(area) > Math.abs(largest) ? area : largest;
+  }, 0));
+
+  const terminals = [];
+
+  for (const contour of contours) {
+    const points = dedupePoints(contour);
+    const count = points.length;
+    if (count < 3) {
+      continue;
+    }
+
+    const turns = points.map((point, i) => orientation * turnAngle(points[(i - 1 + count) % count], point, points[(i + 1) % count]));
+    const lengths = points.map((point, i) => distance(point, points[(i + 1) % count]));
+    const used = new Array(count).fill(false);
+
+    for (let i = 0; i < count; i++) {
+      if (used[i] || turns[i] <= 0) {
+        continue;
+      }
+
+      // Grow a region from vertex i until it has turned far enough or run out of window
+      let turn = 0;
+      let arc = 0;
+      let end = -1;
+      for (let k = 0; k < count && arc <= window; k++) {
+        const index = (i + k) % count;
+        if (used[index]) {
+          break;
+        }
+        turn += turns[index];
+        if (turn >= TERMINAL_TURN) {
+          end = i + k;
+          break;
+        }
+        arc += lengths[index];
+      }
+
+      if (end < 0) {
+        continue;
+      }
+
+      const region = [];
+      for (let k = i; k <= end; k++) {
+        used[k % count] = true;
+        region.push(k % count);
+      }
+
+      // Serifs and stem ends sit on the baseline and the top line; terminals sit between them
+      const centerY = (points[i].y + points[end % count].y) / 2;
+      const relativeY = (centerY - bounds.yMin) / height;
+      if (relativeY < 0.08 || relativeY > 0.92) {
+        continue;
+      }
+
+      terminals.push(classifyTerminalRegion(points, lengths, turns, region, stemWidth || window / 2));
+    }
+  }
+
+  return terminals;
+}
+
+/**
+ * Classifies one stroke end from how its turning is distributed
+ * @param {Array<Object>} points - Contour points
+ * @param {Array<number>} lengths - Length of the edge leaving each point
+ * @param {Array<number>} turns - Convex turn at each point, in degrees
+ * @param {Array<number>} region - Indices of the points forming the stroke end
+ * @param {number} stemWidth - Typical stem width in font units
+ * @returns {string} - 'Pointed', 'Flared', 'Square' or 'Rounded'
+ */
+function classifyTerminalRegion(points, lengths, turns, region, stemWidth) {
+  const total = region.reduce((sum, index) => sum + turns[index], 0);
+  const corners = groupCorners(lengths, turns, region, stemWidth * CORNER_ARC);
+  const sharpest = Math.max(...corners);
+
+  // A stroke that tapers to a point turns almost all the way at a single corner
+  if (sharpest >= POINT_TURN) {
+    return 'Pointed';
+  }
+
+  // A flared stroke is wider at its end than a little way back along it
+  const first = region[0];
+  const last = region[region.length - 1];
+  const endWidth = distance(points[first], points[last]);
+  const before = walkAlong(points, lengths, first, -1.5 * stemWidth);
+  const after = walkAlong(points, lengths, last, 1.5 * stemWidth);
+  if (endWidth > FLARE_RATIO * distance(before, after)) {
+    return 'Flared';
+  }
+
+  // Abrupt ends turn at two or more corners; rounded ends turn smoothly
+  const sharpCorners = corners.filter(turn => turn >= CORNER_TURN);
+  const cornerTurn = sharpCorners.reduce((sum, turn) => sum + turn, 0);
+  return sharpCorners.length >= 2 && cornerTurn >= 0.6 * total ? 'Square' : 'Rounded';
+}
+
+/**
+ * Groups the turning in a region into corners no longer than a given arc
+ * Flattened curves spread a softened corner over several vertices, so single-vertex angles understate it
+ * @param {Array<number>} lengths - Length of the edge leaving each point
+ * @param {Array<number>} turns - Convex turn at each point, in degrees
+ * @param {Array<number>} region - Indices of the points forming the stroke end
+ * @param {number} maxArc - Longest stretch of outline that still counts as one corner
+ * @returns {Array<number>} - Total turn of each corner, in degrees
+ */
+function groupCorners(lengths, turns, region, maxArc) {
+  const corners = [];
+  let k = 0;
+
+  while (k < region.length) {
+    let turn = turns[region[k]];
+    let arc = 0;
+    let next = k + 1;
+
+    while (next < region.length && arc + lengths[region[next - 1]] <= maxArc) {
+      arc += lengths[region[next - 1]];
+      turn += turns[region[next]];
+      next++;
+    }
+
+    corners.push(turn);
+    k = next;
+  }
+
+  return corners;
+}
+
+/**
+ * Walks along a closed contour by a given arc length
+ * @param {Array<Object>} points - Contour points
+ * @param {Array<number>} lengths - Length of the edge leaving each point
+ * @param {number} start - Index to start from
+ * @param {number} arc - Distance to walk; negative walks backwards
+ * @returns {Object} - The point reached
+ */
+function walkAlong(points, lengths, start, arc) {
+  const count = points.length;
+  const step = arc < 0 ? -1 : 1;
+  let remaining = Math.abs(arc);
+  let index = start;
+
+  for (let k = 0; k < count; k++) {
+    const edge = step > 0 ? index : (index - 1 + count) % count;
+    if (lengths[edge] >= remaining) {
+      break;
+    }
+    remaining -= lengths[edge];
+    index = (index + step + count) % count;
+  }
+
+  return points[index];
+}
+
+/**
+ * Removes consecutive points closer than one font unit, which would give meaningless turn angles
+ * @param {Array<Object>} points - Contour points
+ * @returns {Array<Object>} - Points without near-duplicates
+ */
+function dedupePoints(points) {
+  const result = [];
+  for (const point of points) {
+    if (result.length === 0 || distance(result[result.length - 1], point) >= 1) {
+      result.push(point);
+    }
+  }
+  if (result.length > 1 && distance(result[0], result[result.length - 1]) < 1) {
+    result.pop();
+  }
+  return result;
+}
+
+/**
+ * Calculates the signed turn at a vertex, in degrees (positive for a left turn)
+ */
+function turnAngle(previous, point, next) {
+  const incoming = Math.atan2(point.y - previous.y, point.x - previous.x);
+  const outgoing = Math.atan2(next.y - point.y, next.x - point.x);
+  let angle = (outgoing - incoming) * 180 / Math.PI;
+  if (angle > 180) angle -= 360;
+  if (angle < -180) angle += 360;
+  return angle;
+}
+
+/**
+ * Calculates the distance between two points
+ */
+function distance(a, b) {
+  return Math.hypot(b.x - a.x, b.y - a.y);
+}
+
+/**
+ * Calculates the population standard deviation of a list of numbers
+ */
+function standardDeviation(values) {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+}
@@ -0,0 +1,292 @@
+// Style classifier - Classifies a font as serif, sans-serif, monospace, script or decorative
+// Outline geometry decides; names, PANOSE and sFamilyClass only break ties
+import { getGlyphOutline, scanRuns, median } from './outlineGeometry';
+
+// Evidence weights: one geometric finding outweighs any single tie-breaker, but not two agreeing ones
+const GEOMETRY_WEIGHT = 2;
+const HINT_WEIGHT = 0.75;
+
+// Glyphs with straight stems standing on the baseline, where serifs (or their absence) show
+const STEM_GLYPHS = ['I', 'H', 'l', 'i', 'n', 'h'];
+
+// Lowercase letters whose strokes join their neighbours in a connected script
+const CONNECTING_GLYPHS = ['a', 'c', 'd', 'e', 'i', 'm', 'n', 'u'];
+
+const WIDTH_SAMPLE = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+
+const STYLES = ['serif', 'sans-serif', 'monospace', 'script', 'decorative'];
+
+/**
+ * Classifies the style of a font
+ * @param {Object} font - The parsed font object
+ * @returns {Object} - { classification, confidence, evidence } where evidence lists
+ *   { source, signal, supports, weight } entries
+ */
+export function classifyFontStyle(font) {
+  const evidence = [];
+  const add = (source, signal, supports, weight) => evidence.push({ source, signal, supports, weight });
+
+  collectWidthEvidence(font, add);
+  collectSerifEvidence(font, add);
+  collectScriptEvidence(font, add);
+  collectNameHints(font, add);
+  collectTableHints(font, add);
+
+  const scores = Object.fromEntries(STYLES.map(style => [style, 0]));
+  for (const item of evidence) {
+    scores[item.supports] += item.weight;
+  }
+
+  const total = Object.values(scores).reduce((sum, score) => sum + score, 0);
+  if (total === 0) {
+    return {
+      classification: 'sans-serif',
+      confidence: 0,
+      evidence: [{ source: 'default', signal: 'No outline, name or table evidence; assuming sans-serif', supports: 'sans-serif', weight: 0 }]
+    };
+  }
+
+  const [classification, score] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+
+  // Full confidence needs a full geometric finding; with little or none the result leans on metadata, so cap it
+  const geometricWeight = evidence
+    .filter(item => item.source === 'outline' || item.source === 'metrics')
+    .reduce((sum, item) => sum + item.weight, 0);
+  const confidence = (score / total) * Math.min(1, Math.max(0.5, geometricWeight / GEOMETRY_WEIGHT));
+
+  return {
+    classification,
+    confidence: Math.round(confidence * 100) / 100,
+    evidence: evidence.sort((a, b) => b.weight - a.weight)
+  };
+}
+
+/**
+ * Monospace fonts give (nearly) every letter and digit the same advance width
+ */
+function collectWidthEvidence(font, add) {
+  const widths = [];
+  for (const char of WIDTH_SAMPLE) {
+    const glyphIndex = font.charToGlyphIndex(char);
+    if (glyphIndex) {
+      widths.push(font.glyphs.get(glyphIndex).advanceWidth);
+    }
+  }
+
+  if (widths.length < 20) {
+    return;
+  }
+
+  const counts = new Map();
+  for (const width of widths) {
+    counts.set(width, (counts.get(width) || 0) + 1);
+  }
+  const share = Math.max(...counts.values()) / widths.length;
+
+  if (share >= 0.9) {
+    const sampled = widths.length / WIDTH_SAMPLE.length;
+    add('metrics', `${Math.round(share * 100)}% of letters and digits share one advance width`, 'monospace', GEOMETRY_WEIGHT * 1.5 * sampled);
+  }
+}
+
+/**
+ * Serifs make a stem's foot much wider than the stem itself
+ * Italics are sheared upright by post.italicAngle first, so slanted stems cross the scanlines as they would standing
+ */
+function collectSerifEvidence(font, add) {
+  const footHeight = Math.max(2, font.unitsPerEm * 0.008);
+  const italicAngle = font.tables.post ? font.tables.post.italicAngle : 0;
+  const ratios = [];
+
+  for (const char of STEM_GLYPHS) {
+    const outline = getGlyphOutline(font, char);
+    if (!outline) {
+      continue;
+    }
+
+    const { bounds } = outline;
+    const contours = italicAngle ? unslantContours(outline.contours, italicAngle) : outline.contours;
+    const stems = scanRuns(contours, 'horizontal', bounds.yMin + (bounds.yMax - bounds.yMin) * 0.4);
+    const feet = scanRuns(contours, 'horizontal', bounds.yMin + footHeight);
+    if (stems.length === 0 || feet.length === 0) {
+      continue;
+    }
+
+    // Compare the narrowest stem with the foot it stands on
+    const stem = stems.reduce((narrowest, run) => (run.width < narrowest.width ? run : narrowest));
+    const center = (stem.start + stem.end) / 2;
+    const foot = feet.find(run => run.start <= center && run.end >= center);
+    if (foot && stem.width > 0) {
+      ratios.push(foot.width / stem.width);
+    }
+  }
+
+  if (ratios.length === 0) {
+    return;
+  }
+
+  const ratio = median(ratios);
+  const signal = `Stem feet are ${ratio.toFixed(2)}× the stem width across ${ratios.length} glyph${ratios.length === 1 ? '' : 's'}`;
+
+  // A stem or two is weaker evidence than the whole sample
+  const weight = GEOMETRY_WEIGHT * (ratios.length / STEM_GLYPHS.length);
+
+  if (ratio >= 1.5) {
+    add('outline', signal, 'serif', weight);
+  } else if (ratio <= 1.25) {
+    add('outline', signal, 'sans-serif', weight);
+  } else {
+    // Flared or wedge-shaped feet sit between the two
+    add('outline', signal, 'serif', weight / 4);
+    add('outline', signal, 'sans-serif', weight / 4);
+  }
+}
+
+/**
+ * Shears contours so stems slanted at the italic angle stand upright
+ * @param {Array<Array<Object>>} contours - Flattened contours
+ * @param {number} italicAngle - post.italicAngle in degrees, negative for right-leaning italics
+ * @returns {Array<Array<Object>>} - Sheared copies of the contours
+ */
+function unslantContours(contours, italicAngle) {
+  const slant = Math.tan(italicAngle * Math.PI / 180);
+  return contours.map(contour => contour.map(point => ({ x: point.x + point.y * slant, y: point.y })));
+}
+
+/**
+ * Connected scripts draw lowercase strokes out to the edges of the advance so letters join;
+ * a strong slant adds weight only when letters also connect, since italics slant too
+ */
+function collectScriptEvidence(font, add) {
+  const tolerance = font.unitsPerEm * 0.01;
+  let measured = 0;
+  let connected = 0;
+
+  for (const char of CONNECTING_GLYPHS) {
+    const outline = getGlyphOutline(font, char);
+    if (!outline) {
+      continue;
+    }
+
+    measured++;
+    const { bounds, advanceWidth } = outline;
+    if (bounds.xMin <= tolerance && bounds.xMax >= advanceWidth - tolerance) {
+      connected++;
+    }
+  }
+
+  if (measured < 4) {
+    return;
+  }
+
+  const share = connected / measured;
+  if (share < 0.5) {
+    return;
+  }
+
+  const sampled = measured / CONNECTING_GLYPHS.length;
+  add('outline', `${connected} of ${measured} lowercase letters reach both sidebearings, so they join`, 'script', GEOMETRY_WEIGHT * share * sampled);
+
+  const slant = measureSlant(font);
+  if (slant !== null && Math.abs(slant) >= 8) {
+    add('outline', `Stems lean ${Math.abs(slant).toFixed(1)}°`, 'script', GEOMETRY_WEIGHT / 4);
+  }
+}
+
+/**
+ * Measures how far the 'l' (or 'I') stem leans from vertical
+ * @param {Object} font - The parsed font object
+ * @returns {number|null} - Slant in degrees (positive leans right), or null if unmeasurable
+ */
+function measureSlant(font) {
+  const outline = getGlyphOutline(font, 'l') || getGlyphOutline(font, 'I');
+  if (!outline) {
+    return null;
+  }
+
+  const { contours, bounds } = outline;
+  const height = bounds.yMax - bounds.yMin;
+  const lowY = bounds.yMin + height * 0.25;
+  const highY = bounds.yMin + height * 0.75;
+  const low = scanRuns(contours, 'horizontal', lowY)[0];
+  const high = scanRuns(contours, 'horizontal', highY)[0];
+  if (!low || !high) {
+    return null;
+  }
+
+  const dx = (high.start + high.end) / 2 - (low.start + low.end) / 2;
+  return Math.atan2(dx, highY - lowY) * 180 / Math.PI;
+}
+
+/**
+ * Style words in the family, full and PostScript names
+ */
+function collectNameHints(font, add) {
+  const names = ['fontFamily', 'fullName', 'postScriptName']
+    .map(key => (font.names[key] ? font.names[key].en || '' : ''))
+    .join(' ')
+    .toLowerCase();
+
+  // Check "sans" before "serif", since "Sans Serif" names a sans
+  if (names.includes('sans')) {
+    add('name', 'Name contains "sans"', 'sans-serif', HINT_WEIGHT);
+  } else if (names.includes('serif') || names.includes('slab')) {
+    add('name', 'Name contains "serif" or "slab"', 'serif', HINT_WEIGHT);
+  }
+
+  if (names.includes('mono')) {
+    add('name', 'Name contains "mono"', 'monospace', HINT_WEIGHT);
+  }
+
+  const scriptWord = ['script', 'handwriting', 'cursive', 'brush', 'calligraph'].find(word => names.includes(word));
+  if (scriptWord) {
+    add('name', `Name contains "${scriptWord}"`, 'script', HINT_WEIGHT);
+  }
+
+  const decorativeWord = ['deco', 'ornament', 'fancy', 'comic', 'grunge'].find(word => names.includes(word));
+  if (decorativeWord) {
+    add('name', `Name contains "${decorativeWord}"`, 'decorative', HINT_WEIGHT);
+  }
+}
+
+/**
+ * PANOSE, IBM sFamilyClass and post.isFixedPitch, when the font sets them
+ */
+function collectTableHints(font, add) {
+  const { os2, post } = font.tables;
+
+  if (os2 && os2.panose) {
+    const panose = os2.panose;
+
+    // Family Type (index 0): 2 = Latin Text, 3 = Script, 4 = Decorative, 5 = Pictorial
+    if (panose[0] === 3) {
+      add('PANOSE', 'PANOSE family type is Latin Hand Written', 'script', HINT_WEIGHT);
+    } else if (panose[0] === 4 || panose[0] === 5) {
+      add('PANOSE', 'PANOSE family type is Decorative/Pictorial', 'decorative', HINT_WEIGHT);
+    } else if (panose[0] === 2) {
+      // Serif Style (index 1): 2-10 = serif styles, 11-13 = sans styles; 0 and 1 say nothing
+      if (panose[1] >= 11 && panose[1] <= 13) {
+        add('PANOSE', `PANOSE serif style ${panose[1]} is a sans style`, 'sans-serif', HINT_WEIGHT);
+      } else if (panose[1] >= 2 && panose[1] <= 10) {
+        add('PANOSE', `PANOSE serif style ${panose[1]} is a serif style`, 'serif', HINT_WEIGHT);
+      }
+
+      // Proportion (index 3): 9 = Monospaced
+      if (panose[3] === 9) {
+        add('PANOSE', 'PANOSE proportion is Monospaced', 'monospace', HINT_WEIGHT);
+      }
+    }
+  }
+
+  if (os2 && os2.sFamilyClass) {
+    const classID = (os2.sFamilyClass >> 8) & 0xFF;
+    const classStyles = { 1: 'serif', 2: 'serif', 3: 'serif', 4: 'serif', 5: 'serif', 7: 'serif', 8: 'sans-serif', 9: 'decorative', 10: 'script', 12: 'decorative' };
+    if (classStyles[classID]) {
+      add('OS/2 sFamilyClass', `sFamilyClass ${classID}`, classStyles[classID], HINT_WEIGHT);
+    }
+  }
+
+  if (post && post.isFixedPitch) {
+    add('post', 'post.isFixedPitch is set', 'monospace', HINT_WEIGHT);
+  }
+}
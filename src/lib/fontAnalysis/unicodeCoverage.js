@@ -0,0 +1,169 @@
+// Unicode coverage - Reports cmap coverage per Unicode block and per language orthography
+import { UNICODE_BLOCKS } from './unicodeBlocks';
+import { ORTHOGRAPHIES } from './orthographies';
+
+// Languages at or above this share of their required characters count as nearly supported
+const NEAR_PASS_PERCENT = 80;
+
+/**
+ * Analyzes which Unicode blocks and languages a font covers
+ * @param {Object} font - The parsed font object
+ * @returns {Object} - { totalCodepoints, blocks, languages }
+ */
+export function analyzeUnicodeCoverage(font) {
+  const codepoints = getMappedCodepoints(font);
+  const mapped = new Set(codepoints);
+
+  return {
+    totalCodepoints: codepoints.length,
+    blocks: countBlocks(codepoints),
+    languages: ORTHOGRAPHIES.map(orthography => checkOrthography(orthography, mapped, codepoints))
+  };
+}
+
+/**
+ * Collects every code point the cmap maps to a real glyph
+ * Control codes are skipped; fonts often map them (to a blank glyph for CR, say) but they never render
+ * @param {Object} font - The parsed font object
+ * @returns {Array<number>} - Sorted code points
+ */
+export function getMappedCodepoints(font) {
+  const cmap = font.tables.cmap;
+  if (!cmap || !cmap.glyphIndexMap) {
+    return [];
+  }
+
+  return Object.entries(cmap.glyphIndexMap)
+    .filter(([, glyphIndex]) => glyphIndex > 0)
+    .map(([codepoint]) => Number(codepoint))
+    .filter(codepoint => !isControlCode(codepoint))
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Counts covered code points per block, in block order
+ * @param {Array<number>} codepoints - Sorted code points
+ * @returns {Array<Object>} - Blocks with coverage as { name, start, end, covered, total, percent };
+ *   code points outside the known blocks are reported as "Other"
+ */
+export function countBlocks(codepoints) {
+  const blocks = [];
+  let other = 0;
+  let index = 0;
+
+  for (const [start, end, name, printable] of UNICODE_BLOCKS) {
+    // Both lists are sorted, so code points before this block belong to no known block
+    while (index < codepoints.length && codepoints[index] < start) {
+      other++;
+      index++;
+    }
+
+    let covered = 0;
+    while (index < codepoints.length && codepoints[index] <= end) {
+      covered++;
+      index++;
+    }
+
+    if (covered > 0) {
+      const total = printable || end - start + 1;
+      blocks.push({ name, start, end, covered, total, percent: toPercent(Math.min(covered, total), total) });
+    }
+  }
+
+  other += codepoints.length - index;
+  if (other > 0) {
+    blocks.push({ name: 'Other', start: null, end: null, covered: other, total: null, percent: null });
+  }
+
+  return blocks;
+}
+
+/**
+ * Checks one language's orthography against the font's code points
+ * @param {Object} orthography - Entry from ORTHOGRAPHIES
+ * @param {Set<number>} mapped - Covered code points
+ * @param {Array<number>} codepoints - Sorted covered code points
+ * @returns {Object} - { language, script, status, percent, missing, shortfalls }
+ */
+function checkOrthography(orthography, mapped, codepoints) {
+  const required = requiredCharacters(orthography);
+  const missing = required.filter(char => !mapped.has(char.codePointAt(0)));
+
+  let needed = required.length;
+  let have = required.length - missing.length;
+  const shortfalls = [];
+
+  for (const range of orthography.ranges || []) {
+    const covered = countInRange(codepoints, range.start, range.end);
+    needed += range.minimum;
+    have += Math.min(covered, range.minimum);
+    if (covered < range.minimum) {
+      shortfalls.push({ label: range.label, covered, minimum: range.minimum });
+    }
+  }
+
+  const percent = toPercent(have, needed);
+  const status = have === needed ? 'supported' : percent >= NEAR_PASS_PERCENT ? 'partial' : 'unsupported';
+
+  return {
+    language: orthography.language,
+    script: orthography.script,
+    status,
+    percent,
+    // Listing what is missing is only useful when the language is within reach
+    missing: status === 'partial' ? missing : [],
+    missingCount: missing.length,
+    shortfalls
+  };
+}
+
+/**
+ * Expands an orthography into its required characters, adding uppercase forms for cased scripts
+ * @param {Object} orthography - Entry from ORTHOGRAPHIES
+ * @returns {Array<string>} - Unique required characters
+ */
+function requiredCharacters(orthography) {
+  const characters = new Set();
+
+  for (const char of orthography.letters || '') {
+    characters.add(char);
+
+    // Skip letters whose uppercase is more than one character, such as ß → SS
+    const upper = char.toUpperCase();
+    if (!orthography.caseless && upper !== char && [...upper].length === 1) {
+      characters.add(upper);
+    }
+  }
+
+  for (const char of orthography.extra || '') {
+    characters.add(char);
+  }
+
+  return [...characters];
+}
+
+/**
+ * Checks for C0 and C1 control codes (and DEL)
+ */
+function isControlCode(codepoint) {
+  return codepoint < 0x20 || (codepoint >= 0x7F && codepoint < 0xA0);
+}
+
+/**
+ * Counts sorted code points within a range
+ */
+function countInRange(codepoints, start, end) {
+  let count = 0;
+  for (const codepoint of codepoints) {
+    if (codepoint > end) break;
+    if (codepoint >= start) count++;
+  }
+  return count;
+}
+
+/**
+ * Converts a fraction to a percentage with one decimal
+ */
+function toPercent(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0;
+}
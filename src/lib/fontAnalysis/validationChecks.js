@@ -0,0 +1,462 @@
+// Validation checks - Structural and metric checks run on every analyzed font
+// Each finding carries a check ID, a severity (error/warning/info) and a message
+import { readTableDirectory, calculateChecksum } from './sfnt';
+import { REFERENCE_GLYPHS, measureReferenceMetrics, findMetricDiscrepancies } from './glyphMetrics';
+
+// fsSelection bits (OS/2 table)
+const FS_SELECTION_ITALIC = 0x0001;
+const FS_SELECTION_USE_TYPO_METRICS = 0x0080;
+
+// macStyle bits (head table)
+const MAC_STYLE_ITALIC = 0x0002;
+
+const REQUIRED_TABLES = ['cmap', 'head', 'hhea', 'hmtx', 'maxp', 'name', 'OS/2', 'post'];
+
+/**
+ * Runs the validation check suite on a parsed font
+ * @param {Object} font - The parsed opentype.js font object
+ * @param {Object} source - Where the font's raw tables can be read from
+ * @param {DataView} source.view - View over the SFNT/TTC data
+ * @param {number} source.directoryOffset - Offset of the face's table directory within the view
+ * @param {boolean} source.checksumsStored - Whether the table checksums come from the original file
+ * @param {boolean} source.standalone - Whether the view holds a single font (not a collection)
+ * @returns {Object} - { results, summary } where results are { id, severity, message }
+ */
+export function runValidationChecks(font, source) {
+  const results = [];
+  const report = (id, severity, message) => results.push({ id, severity, message });
+
+  const directory = readTableDirectory(source.view, source.directoryOffset);
+  const tableTags = directory.tables.map(table => table.tag);
+
+  const checks = [
+    () => checkTableChecksums(source, directory, report),
+    () => checkRequiredTables(font, tableTags, report),
+    () => checkUnitsPerEm(font, report),
+    () => checkVerticalMetrics(font, report),
+    () => checkUseTypoMetrics(font, report),
+    () => checkDeclaredHeights(font, report),
+    () => checkCmapEntries(font, source, directory, report),
+    () => checkNotdef(font, report),
+    () => checkNameTable(font, report),
+    () => checkPostTable(font, report)
+  ];
+
+  // A check that trips over malformed data shouldn't stop the rest of the suite
+  for (const check of checks) {
+    try {
+      check();
+    } catch (error) {
+      report('validator.internal', 'warning', `A check could not complete: ${error.message}`);
+    }
+  }
+
+  const order = { error: 0, warning: 1, info: 2 };
+  results.sort((a, b) => order[a.severity] - order[b.severity]);
+
+  return {
+    results,
+    summary: {
+      errors: results.filter(result => result.severity === 'error').length,
+      warnings: results.filter(result => result.severity === 'warning').length,
+      info: results.filter(result => result.severity === 'info').length
+    }
+  };
+}
+
+/**
+ * Verifies each table checksum and the whole-font checkSumAdjustment
+ */
+function checkTableChecksums(source, directory, report) {
+  if (!source.checksumsStored) {
+    report('checksum.unavailable', 'info', 'WOFF2 files do not store the original table checksums, so they could not be verified.');
+    return;
+  }
+
+  const { view } = source;
+  for (const table of directory.tables) {
+    if (table.offset + table.length > view.byteLength) {
+      report('checksum.table', 'error', `Table '${table.tag}' extends past the end of the file.`);
+      continue;
+    }
+
+    let checksum = calculateChecksum(view, table.offset, table.length);
+
+    // The head checksum is computed with checkSumAdjustment treated as zero
+    if (table.tag === 'head' && table.length >= 12) {
+      checksum = (checksum - view.getUint32(table.offset + 8)) >>> 0;
+    }
+
+    if (checksum !== table.checksum) {
+      report('checksum.table', 'error', `Table '${table.tag}' checksum is 0x${hex(table.checksum)} but its data sums to 0x${hex(checksum)}.`);
+    }
+  }
+
+  // Collections share head tables between faces, so only standalone fonts have a meaningful adjustment
+  if (source.standalone && directory.tables.some(table => table.tag === 'head')) {
+    const fontChecksum = calculateChecksum(view, 0, view.byteLength);
+    if (fontChecksum !== 0xB1B0AFBA) {
+      report('checksum.head-adjustment', 'warning', `head.checkSumAdjustment is wrong: the font sums to 0x${hex(fontChecksum)} instead of 0xB1B0AFBA.`);
+    }
+  }
+}
+
+/**
+ * Checks that the tables every font needs, plus an outline table, are present
+ */
+function checkRequiredTables(font, tableTags, report) {
+  const missing = REQUIRED_TABLES.filter(tag => !tableTags.includes(tag));
+  if (missing.length > 0) {
+    report('tables.required', 'error', `Required tables are missing: ${missing.join(', ')}.`);
+  }
+
+  const hasTrueType = tableTags.includes('glyf') && tableTags.includes('loca');
+  const hasCff = tableTags.includes('CFF ') || tableTags.includes('CFF2');
+  if (!hasTrueType && !hasCff) {
+    report('tables.outlines', 'error', "The font has no outline tables (glyf/loca or CFF/CFF2).");
+  } else if (tableTags.includes('glyf') !== tableTags.includes('loca')) {
+    report('tables.outlines', 'error', 'glyf and loca must be present together.');
+  }
+}
+
+/**
+ * Checks head.unitsPerEm is in range
+ */
+function checkUnitsPerEm(font, report) {
+  const unitsPerEm = font.unitsPerEm;
+
+  if (unitsPerEm < 16 || unitsPerEm > 16384) {
+    report('head.units-per-em', 'error', `unitsPerEm is ${unitsPerEm}; it must be between 16 and 16384.`);
+  }
+}
+
+/**
+ * Compares the hhea, OS/2 typo and OS/2 win vertical metrics against each other and the font bounding box
+ */
+function checkVerticalMetrics(font, report) {
+  const { os2, hhea, head } = font.tables;
+  if (!os2 || !hhea || !head) {
+    return;
+  }
+
+  if (hhea.descender > 0) {
+    report('metrics.descender-sign', 'error', `hhea.descender is ${hhea.descender}; it must be zero or negative.`);
+  }
+  if (os2.sTypoDescender > 0) {
+    report('metrics.descender-sign', 'error', `OS/2.sTypoDescender is ${os2.sTypoDescender}; it must be zero or negative.`);
+  }
+
+  // macOS always lays out lines with hhea; Windows uses the typo values when USE_TYPO_METRICS is set
+  // and usWinAscent/usWinDescent otherwise, so only that pair has to agree with hhea
+  const useTypoMetrics = (os2.fsSelection & FS_SELECTION_USE_TYPO_METRICS) !== 0;
+  const hheaLineHeight = hhea.ascender - hhea.descender + hhea.lineGap;
+  const winLineHeight = os2.usWinAscent + os2.usWinDescent;
+
+  if (useTypoMetrics) {
+    if (hhea.ascender !== os2.sTypoAscender || hhea.descender !== os2.sTypoDescender || hhea.lineGap !== os2.sTypoLineGap) {
+      report('metrics.hhea-typo', 'warning',
+        `hhea ascender/descender/lineGap (${hhea.ascender}/${hhea.descender}/${hhea.lineGap}) differ from OS/2 typo values ` +
+        `(${os2.sTypoAscender}/${os2.sTypoDescender}/${os2.sTypoLineGap}); with USE_TYPO_METRICS set, line spacing will differ between platforms.`);
+    }
+  } else if (hheaLineHeight !== winLineHeight) {
+    report('metrics.hhea-win', 'warning',
+      `hhea line height (${hheaLineHeight}) differs from usWinAscent + usWinDescent (${winLineHeight}); ` +
+      'text will sit differently on macOS and Windows.');
+  }
+
+  if (os2.usWinAscent < head.yMax) {
+    report('metrics.win-clipping', 'warning', `usWinAscent (${os2.usWinAscent}) is below the font's yMax (${head.yMax}); tall glyphs will be clipped on Windows.`);
+  }
+  if (os2.usWinDescent < -head.yMin) {
+    report('metrics.win-clipping', 'warning', `usWinDescent (${os2.usWinDescent}) is smaller than the font's depth (${-head.yMin}); descenders will be clipped on Windows.`);
+  }
+}
+
+/**
+ * Checks the fsSelection USE_TYPO_METRICS bit against the OS/2 version
+ */
+function checkUseTypoMetrics(font, report) {
+  const { os2 } = font.tables;
+  if (!os2) {
+    return;
+  }
+
+  const useTypoMetrics = (os2.fsSelection & FS_SELECTION_USE_TYPO_METRICS) !== 0;
+
+  if (useTypoMetrics && os2.version < 4) {
+    report('metrics.use-typo-metrics', 'warning', `USE_TYPO_METRICS is set, but the bit is only defined for OS/2 version 4 and later (this font has version ${os2.version}).`);
+  } else if (!useTypoMetrics && os2.version >= 4) {
+    report('metrics.use-typo-metrics', 'warning', 'fsSelection USE_TYPO_METRICS is not set, so Windows will use usWinAscent/usWinDescent for line spacing.');
+  }
+}
+
+/**
+ * Compares the declared OS/2 x-height and cap height with the measured x and H outlines
+ */
+function checkDeclaredHeights(font, report) {
+  const labels = { xHeight: 'sxHeight', capHeight: 'sCapHeight' };
+
+  for (const discrepancy of findMetricDiscrepancies(font, measureReferenceMetrics(font))) {
+    report('metrics.declared-height', 'warning', `OS/2 ${labels[discrepancy.metric]} is ${discrepancy.declared}, but the '${REFERENCE_GLYPHS[discrepancy.metric]}' glyph measures ${Math.round(discrepancy.measured)}.`);
+  }
+}
+
+/**
+ * Checks cmap mappings: invalid or .notdef targets, duplicates, unmapped named glyphs and space characters
+ */
+function checkCmapEntries(font, source, directory, report) {
+  const cmap = font.tables.cmap;
+  if (!cmap || !cmap.glyphIndexMap) {
+    return;
+  }
+
+  const glyphIndexMap = cmap.glyphIndexMap;
+  const numGlyphs = font.numGlyphs;
+  const invalid = [];
+  const toNotdef = [];
+  const codepointsByGlyph = new Map();
+
+  for (const [code, glyphIndex] of Object.entries(glyphIndexMap)) {
+    const codepoint = Number(code);
+
+    if (glyphIndex >= numGlyphs) {
+      invalid.push(codepoint);
+    } else if (glyphIndex === 0) {
+      toNotdef.push(codepoint);
+    } else {
+      if (!codepointsByGlyph.has(glyphIndex)) {
+        codepointsByGlyph.set(glyphIndex, []);
+      }
+      codepointsByGlyph.get(glyphIndex).push(codepoint);
+    }
+  }
+
+  if (invalid.length > 0) {
+    report('cmap.invalid-glyph', 'error', `${invalid.length} codepoint(s) map to glyph IDs beyond the ${numGlyphs} glyphs in the font: ${formatCodepoints(invalid)}.`);
+  }
+  if (toNotdef.length > 0) {
+    report('cmap.notdef-mapped', 'warning', `${toNotdef.length} codepoint(s) are mapped to .notdef: ${formatCodepoints(toNotdef)}.`);
+  }
+
+  const shared = [...codepointsByGlyph.values()].filter(codepoints => codepoints.length > 1);
+  if (shared.length > 0) {
+    report('cmap.shared-glyphs', 'info', `${shared.length} glyph(s) are mapped from more than one codepoint, e.g. ${formatCodepoints(shared[0])}.`);
+  }
+
+  const cmapRecord = directory.tables.find(table => table.tag === 'cmap');
+  if (cmapRecord) {
+    for (const duplicate of findDuplicateCmapRanges(source.view, cmapRecord.offset)) {
+      report('cmap.duplicate-codepoints', 'error',
+        `cmap subtable (platform ${duplicate.platformID}, encoding ${duplicate.encodingID}, format ${duplicate.format}) ` +
+        `maps ${formatCodepoints([duplicate.codepoint])} more than once (overlapping or unsorted ranges).`);
+    }
+  }
+
+  // Glyphs named uniXXXX/uXXXXX imply a codepoint; flag the ones the cmap doesn't reach
+  const unmapped = [];
+  for (let i = 1; i < numGlyphs; i++) {
+    const name = font.glyphs.get(i).name;
+    const match = name && /^(?:uni([0-9A-F]{4})|u([0-9A-F]{5,6}))$/.exec(name);
+    if (match) {
+      const codepoint = parseInt(match[1] || match[2], 16);
+      if (glyphIndexMap[codepoint] === undefined) {
+        unmapped.push(name);
+      }
+    }
+  }
+  if (unmapped.length > 0) {
+    report('cmap.unmapped-named-glyph', 'warning', `${unmapped.length} glyph(s) are named for a codepoint the cmap doesn't map: ${unmapped.slice(0, 8).join(', ')}${unmapped.length > 8 ? ', …' : ''}.`);
+  }
+
+  if (glyphIndexMap[0x0020] === undefined) {
+    report('cmap.missing-space', 'error', 'U+0020 SPACE is not mapped.');
+  }
+  if (glyphIndexMap[0x00A0] === undefined && glyphIndexMap[0x0041] !== undefined) {
+    report('cmap.missing-space', 'warning', 'U+00A0 NO-BREAK SPACE is not mapped.');
+  }
+}
+
+/**
+ * Finds codepoints that appear in more than one segment/group of a format 4 or 12 cmap subtable
+ * @param {DataView} view - View over the font data
+ * @param {number} cmapOffset - Offset of the cmap table
+ * @returns {Array<Object>} - The first duplicate found in each affected subtable
+ */
+function findDuplicateCmapRanges(view, cmapOffset) {
+  const duplicates = [];
+  const numTables = view.getUint16(cmapOffset + 2);
+  const seenOffsets = new Set();
+
+  for (let i = 0; i < numTables; i++) {
+    const record = cmapOffset + 4 + i * 8;
+    const platformID = view.getUint16(record);
+    const encodingID = view.getUint16(record + 2);
+    const subtableOffset = cmapOffset + view.getUint32(record + 4);
+
+    if (seenOffsets.has(subtableOffset) || subtableOffset + 2 > view.byteLength) {
+      continue;
+    }
+    seenOffsets.add(subtableOffset);
+
+    const format = view.getUint16(subtableOffset);
+    let ranges = [];
+
+    if (format === 4) {
+      const segCount = view.getUint16(subtableOffset + 6) / 2;
+      const endCodes = subtableOffset + 14;
+      const startCodes = endCodes + segCount * 2 + 2;
+      for (let s = 0; s < segCount; s++) {
+        ranges.push([view.getUint16(startCodes + s * 2), view.getUint16(endCodes + s * 2)]);
+      }
+    } else if (format === 12) {
+      const numGroups = view.getUint32(subtableOffset + 12);
+      for (let g = 0; g < numGroups; g++) {
+        const group = subtableOffset + 16 + g * 12;
+        ranges.push([view.getUint32(group), view.getUint32(group + 4)]);
+      }
+    } else {
+      continue;
+    }
+
+    // Ranges must be sorted and disjoint; any overlap maps a codepoint twice
+    ranges = ranges.filter(([start, end]) => start <= end);
+    for (let r = 1; r < ranges.length; r++) {
+      if (ranges[r][0] <= ranges[r - 1][1]) {
+        duplicates.push({ platformID, encodingID, format, codepoint: ranges[r][0] });
+        break;
+      }
+    }
+  }
+
+  return duplicates;
+}
+
+/**
+ * Checks glyph 0 is a .notdef glyph with a visible outline
+ */
+function checkNotdef(font, report) {
+  const notdef = font.numGlyphs > 0 ? font.glyphs.get(0) : null;
+
+  if (!notdef) {
+    report('notdef.missing', 'error', 'The font has no glyphs, so glyph 0 (.notdef) is missing.');
+    return;
+  }
+
+  if (notdef.name && notdef.name !== '.notdef') {
+    report('notdef.missing', 'error', `Glyph 0 is named '${notdef.name}' instead of '.notdef'.`);
+  }
+
+  if (!notdef.path || notdef.path.commands.length === 0) {
+    report('notdef.empty', 'warning', 'The .notdef glyph is empty, so missing characters will render as blanks instead of a box.');
+  }
+}
+
+/**
+ * Checks the name table has the core records and a valid PostScript name
+ */
+function checkNameTable(font, report) {
+  const names = font.names || {};
+  const value = key => (names[key] ? names[key].en || Object.values(names[key])[0] : '');
+
+  const required = [
+    ['fontFamily', 1, 'error'],
+    ['fontSubfamily', 2, 'error'],
+    ['uniqueID', 3, 'warning'],
+    ['fullName', 4, 'error'],
+    ['version', 5, 'warning'],
+    ['postScriptName', 6, 'error']
+  ];
+
+  for (const [key, nameID, severity] of required) {
+    if (!value(key)) {
+      report('name.missing', severity, `Name ID ${nameID} (${key}) is missing.`);
+    }
+  }
+
+  if (!value('copyright')) {
+    report('name.missing', 'info', 'Name ID 0 (copyright) is missing.');
+  }
+
+  const postScriptName = value('postScriptName');
+  if (postScriptName) {
+    if (postScriptName.length > 63) {
+      report('name.postscript', 'error', `PostScript name is ${postScriptName.length} characters long; the limit is 63.`);
+    }
+    if (/[^\x21-\x7E]|[[\](){}<>/%]/.test(postScriptName)) {
+      report('name.postscript', 'error', `PostScript name '${postScriptName}' contains spaces or characters that aren't allowed.`);
+    }
+  }
+
+  const version = value('version');
+  if (version && !/^Version \d+\.\d+/.test(version)) {
+    report('name.version-format', 'warning', `Version string '${version}' should start with 'Version <major>.<minor>'.`);
+  }
+}
+
+/**
+ * Checks the post table version, underline values, italic angle and fixed-pitch flag
+ */
+function checkPostTable(font, report) {
+  const { post, head, os2 } = font.tables;
+  if (!post) {
+    return;
+  }
+
+  if (![1, 2, 2.5, 3].includes(post.version)) {
+    report('post.version', 'error', `post table version ${post.version} is not a valid version (1, 2, 2.5 or 3).`);
+  } else if (font.outlinesFormat === 'cff' && post.version === 2) {
+    report('post.version', 'info', 'CFF fonts store glyph names in the CFF table; post version 3 is recommended.');
+  }
+
+  if (post.underlineThickness <= 0) {
+    report('post.underline', 'warning', `underlineThickness is ${post.underlineThickness}; underlines will be invisible.`);
+  }
+  if (post.underlinePosition > 0) {
+    report('post.underline', 'warning', `underlinePosition is ${post.underlinePosition}; underlines will be drawn above the baseline.`);
+  }
+
+  const flaggedItalic = (head && (head.macStyle & MAC_STYLE_ITALIC) !== 0) || (os2 && (os2.fsSelection & FS_SELECTION_ITALIC) !== 0);
+  if (post.italicAngle > 0) {
+    report('post.italic-angle', 'warning', `italicAngle is ${post.italicAngle}; right-leaning italics use a negative angle.`);
+  }
+  if (post.italicAngle !== 0 && !flaggedItalic) {
+    report('post.italic-angle', 'warning', `italicAngle is ${post.italicAngle}, but neither macStyle nor fsSelection mark the font as italic.`);
+  } else if (post.italicAngle === 0 && flaggedItalic) {
+    report('post.italic-angle', 'info', 'The font is flagged italic but has an italicAngle of 0 (upright italic).');
+  }
+
+  // Compare the fixed-pitch flag against the advance widths of mapped glyphs
+  const glyphIndexMap = font.tables.cmap ? font.tables.cmap.glyphIndexMap : {};
+  const widths = new Set();
+  for (const glyphIndex of new Set(Object.values(glyphIndexMap))) {
+    const glyph = glyphIndex < font.numGlyphs ? font.glyphs.get(glyphIndex) : null;
+    if (glyph && glyph.advanceWidth > 0) {
+      widths.add(glyph.advanceWidth);
+    }
+  }
+
+  if (post.isFixedPitch && widths.size > 1) {
+    report('post.fixed-pitch', 'warning', `isFixedPitch is set, but mapped glyphs use ${widths.size} different advance widths.`);
+  } else if (!post.isFixedPitch && widths.size === 1 && Object.keys(glyphIndexMap).length > 10) {
+    report('post.fixed-pitch', 'warning', 'Every mapped glyph has the same advance width, but isFixedPitch is not set.');
+  }
+}
+
+/**
+ * Formats a list of codepoints as U+XXXX, truncated after a few entries
+ * @param {Array<number>} codepoints - Codepoints to format
+ * @returns {string} - Comma-separated list
+ */
+export function formatCodepoints(codepoints) {
+  const formatted = codepoints.slice(0, 6).map(codepoint => `U+${codepoint.toString(16).toUpperCase().padStart(4, '0')}`);
+  return formatted.join(', ') + (codepoints.length > 6 ? ', …' : '');
+}
+
+/**
+ * Formats a uint32 as eight hex digits
+ * @param {number} value - The value to format
+ * @returns {string} - Upper-case hex string
+ */
+function hex(value) {
+  return value.toString(16).toUpperCase().padStart(8, '0');
+}
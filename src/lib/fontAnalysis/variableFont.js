@@ -0,0 +1,399 @@
+// Variable font - Describes fvar axes and instances and builds instanced outlines from gvar deltas
+import * as opentype from 'opentype.js';
+
+// OS/2 usWidthClass 1-9 as percentages of normal width, for mapping the wdth axis
+const WIDTH_CLASS_PERCENTAGES = [50, 62.5, 75, 87.5, 100, 112.5, 125, 150, 200];
+
+/**
+ * Describes a font's variation axes, named instances and STAT axis values
+ * @param {Object} font - The parsed font object
+ * @param {Object} tables - Raw variation tables from readVariationTables
+ * @returns {Object|null} - { axes, instances, statValues, hasAvar, hasGvar, tablesReadable }, or null for static fonts
+ */
+export function describeVariations(font, tables) {
+  const fvar = font.tables.fvar;
+  if (!fvar || !fvar.axes || fvar.axes.length === 0) {
+    return null;
+  }
+
+  const designAxes = tables.stat ? tables.stat.designAxes : [];
+
+  return {
+    axes: fvar.axes.map(axis => ({
+      tag: axis.tag,
+      name: localName(axis.name) || axis.tag,
+      min: axis.minValue,
+      default: axis.defaultValue,
+      max: axis.maxValue,
+      hidden: tables.hiddenAxes.includes(axis.tag),
+      ordering: (designAxes.find(designAxis => designAxis.tag === axis.tag) || {}).ordering ?? null
+    })),
+    instances: (fvar.instances || []).map(instance => ({
+      name: localName(instance.name) || 'Unnamed',
+      coordinates: { ...instance.coordinates }
+    })),
+    statValues: tables.stat ? tables.stat.axisValues : [],
+    hasAvar: Boolean(tables.avar),
+    hasGvar: Boolean(tables.gvar),
+    tablesReadable: tables.available
+  };
+}
+
+/**
+ * Builds a static font object at the given axis coordinates
+ * The result shares everything with the default font except glyph outlines, advance widths and
+ * the OS/2 weight and width classes, which follow the wght and wdth coordinates; fvar is dropped
+ * @param {Object} font - The parsed font object
+ * @param {Object} tables - Raw variation tables from readVariationTables
+ * @param {Object} coordinates - User-space coordinates by axis tag; missing axes stay at their default
+ * @returns {Object} - Font object usable wherever a parsed font is expected
+ */
+export function instantiateFont(font, tables, coordinates) {
+  const axes = font.tables.fvar.axes;
+  const normalized = normalizeCoordinates(axes, tables.avar, coordinates);
+  const location = Object.fromEntries(axes.map(axis => [axis.tag, clampToAxis(axis, coordinates[axis.tag])]));
+
+  const cache = new Map();
+  const glyphs = {
+    length: font.glyphs.length,
+    get(index) {
+      if (!cache.has(index)) {
+        cache.set(index, buildVariedGlyph(font, tables.gvar, normalized, index));
+      }
+      return cache.get(index);
+    }
+  };
+
+  const instance = Object.create(font);
+  instance.glyphs = glyphs;
+  instance.tables = { ...font.tables, fvar: undefined, os2: instanceOs2(font.tables.os2, location) };
+  return instance;
+}
+
+/**
+ * Maps user coordinates to normalized -1..1 coordinates, applying avar when present
+ * @param {Array<Object>} axes - fvar axes
+ * @param {Array<Array<Object>>|null} avar - avar segment maps
+ * @param {Object} coordinates - User-space coordinates by axis tag
+ * @returns {Array<number>} - Normalized coordinates in fvar axis order
+ */
+export function normalizeCoordinates(axes, avar, coordinates) {
+  return axes.map((axis, index) => {
+    const value = clampToAxis(axis, coordinates[axis.tag]);
+
+    let normalized = 0;
+    if (value < axis.defaultValue && axis.defaultValue > axis.minValue) {
+      normalized = (value - axis.defaultValue) / (axis.defaultValue - axis.minValue);
+    } else if (value > axis.defaultValue && axis.maxValue > axis.defaultValue) {
+      normalized = (value - axis.defaultValue) / (axis.maxValue - axis.defaultValue);
+    }
+
+    return avar && avar[index] ? applySegmentMap(avar[index], normalized) : normalized;
+  });
+}
+
+function clampToAxis(axis, value) {
+  if (value === undefined || value === null || Number.isNaN(value)) {
+    return axis.defaultValue;
+  }
+  return Math.min(axis.maxValue, Math.max(axis.minValue, value));
+}
+
+/**
+ * Applies one avar segment map by piecewise linear interpolation
+ */
+function applySegmentMap(map, value) {
+  if (map.length === 0) return value;
+
+  for (let i = 1; i < map.length; i++) {
+    const previous = map[i - 1];
+    const next = map[i];
+    if (value <= next.from) {
+      if (next.from === previous.from) return next.to;
+      return previous.to + ((value - previous.from) * (next.to - previous.to)) / (next.from - previous.from);
+    }
+  }
+
+  return map[map.length - 1].to;
+}
+
+/**
+ * Computes how strongly a tuple variation applies at the normalized location
+ * @param {Object} tuple - Decoded tuple with peak and optional start/end
+ * @param {Array<number>} location - Normalized coordinates
+ * @returns {number} - Scalar between 0 and 1
+ */
+function tupleScalar(tuple, location) {
+  let scalar = 1;
+
+  for (let i = 0; i < tuple.peak.length; i++) {
+    const peak = tuple.peak[i];
+    const value = location[i] || 0;
+    if (peak === 0 || value === peak) continue;
+
+    if (tuple.start) {
+      const start = tuple.start[i];
+      const end = tuple.end[i];
+      // Malformed regions are ignored for this axis, as the spec requires
+      if (start > peak || peak > end || (start < 0 && end > 0)) continue;
+      if (value <= start || value >= end) return 0;
+      scalar *= value < peak ? (value - start) / (peak - start) : (end - value) / (end - peak);
+    } else {
+      if (value === 0 || value < Math.min(0, peak) || value > Math.max(0, peak)) return 0;
+      scalar *= value / peak;
+    }
+  }
+
+  return scalar;
+}
+
+/**
+ * Builds one glyph at a normalized location
+ * @returns {Object} - An opentype.js Glyph with the varied path and advance width
+ */
+function buildVariedGlyph(font, gvar, location, index) {
+  const glyph = font.glyphs.get(index);
+  const varied = gvar ? variedPoints(font, gvar, location, index) : null;
+  if (!varied) {
+    return glyph;
+  }
+
+  return new opentype.Glyph({
+    index,
+    name: glyph.name,
+    unicode: glyph.unicode,
+    unicodes: glyph.unicodes,
+    advanceWidth: varied.advanceWidth,
+    path: pointsToPath(varied.points)
+  });
+}
+
+/**
+ * Applies gvar deltas to a glyph's points, recursing into composite components
+ * @returns {Object|null} - { points, advanceWidth } with points shifted so the origin stays at x = 0,
+ *   or null if the glyph cannot be varied
+ */
+function variedPoints(font, gvar, location, index) {
+  const glyph = font.glyphs.get(index);
+  // Reading the path makes opentype.js parse the glyph's points and components
+  if (!glyph.path) return null;
+
+  if (glyph.isComposite) {
+    return variedComposite(font, gvar, location, glyph);
+  }
+
+  const original = glyph.points || [];
+  const tuples = gvar.glyphVariations(index, original.length + 4);
+  const { deltasX, deltasY } = accumulateDeltas(tuples, location, original, original.length + 4, true);
+
+  // Phantom points 0 and 1 hold the left origin and the advance
+  const originShift = deltasX[original.length];
+  const advanceDelta = deltasX[original.length + 1] - originShift;
+
+  return {
+    points: original.map((point, i) => ({
+      ...point,
+      x: point.x + deltasX[i] - originShift,
+      y: point.y + deltasY[i]
+    })),
+    advanceWidth: glyph.advanceWidth + advanceDelta
+  };
+}
+
+/**
+ * Varies a composite glyph: each component's offset gets its own delta, and each component
+ * brings its own varied outline
+ */
+function variedComposite(font, gvar, location, glyph) {
+  const components = glyph.components || [];
+  const tuples = gvar.glyphVariations(glyph.index, components.length + 4);
+  const { deltasX, deltasY } = accumulateDeltas(tuples, location, null, components.length + 4, false);
+
+  const points = [];
+  for (let i = 0; i < components.length; i++) {
+    const component = components[i];
+    // Components placed by matching points can't be moved by an offset delta
+    if (component.matchedPoints !== undefined) return null;
+
+    const base = variedPoints(font, gvar, location, component.glyphIndex);
+    if (!base) return null;
+
+    const dx = component.dx + deltasX[i];
+    const dy = component.dy + deltasY[i];
+    for (const point of base.points) {
+      points.push({
+        ...point,
+        x: component.xScale * point.x + component.scale01 * point.y + dx,
+        y: component.scale10 * point.x + component.yScale * point.y + dy
+      });
+    }
+  }
+
+  const originShift = deltasX[components.length];
+  return {
+    points: points.map(point => ({ ...point, x: point.x - originShift })),
+    advanceWidth: glyph.advanceWidth + deltasX[components.length + 1] - originShift
+  };
+}
+
+/**
+ * Sums the scaled deltas of every tuple that applies at the location
+ * @param {Array<Object>} tuples - Decoded tuple variations
+ * @param {Array<number>} location - Normalized coordinates
+ * @param {Array<Object>|null} original - Default outline points, for interpolating untouched points
+ * @param {number} count - Points including the four phantom points
+ * @param {boolean} interpolate - Whether sparse tuples infer deltas for untouched outline points
+ * @returns {Object} - { deltasX, deltasY }
+ */
+function accumulateDeltas(tuples, location, original, count, interpolate) {
+  const deltasX = new Array(count).fill(0);
+  const deltasY = new Array(count).fill(0);
+
+  for (const tuple of tuples) {
+    const scalar = tupleScalar(tuple, location);
+    if (scalar === 0) continue;
+
+    let tupleX;
+    let tupleY;
+    if (!tuple.points) {
+      tupleX = tuple.deltasX;
+      tupleY = tuple.deltasY;
+    } else {
+      tupleX = new Array(count).fill(0);
+      tupleY = new Array(count).fill(0);
+      const touched = new Array(count).fill(false);
+      tuple.points.forEach((point, i) => {
+        if (point >= count) return;
+        tupleX[point] += tuple.deltasX[i];
+        tupleY[point] += tuple.deltasY[i];
+        touched[point] = true;
+      });
+      if (interpolate && original) {
+        interpolateUntouched(original, touched, tupleX, tupleY);
+      }
+    }
+
+    for (let i = 0; i < count; i++) {
+      deltasX[i] += tupleX[i] * scalar;
+      deltasY[i] += tupleY[i] * scalar;
+    }
+  }
+
+  return { deltasX, deltasY };
+}
+
+/**
+ * Infers deltas for outline points a sparse tuple leaves untouched (IUP), contour by contour
+ */
+function interpolateUntouched(points, touched, deltasX, deltasY) {
+  let start = 0;
+  for (let end = 0; end < points.length; end++) {
+    if (!points[end].lastPointOfContour) continue;
+
+    const contour = [];
+    for (let i = start; i <= end; i++) contour.push(i);
+    const touchedInContour = contour.filter(i => touched[i]);
+
+    if (touchedInContour.length > 0) {
+      for (let k = 0; k < touchedInContour.length; k++) {
+        const from = touchedInContour[k];
+        const to = touchedInContour[(k + 1) % touchedInContour.length];
+
+        // Walk the untouched points between two touched neighbours, wrapping around the contour
+        let i = from === end ? start : from + 1;
+        while (i !== to) {
+          deltasX[i] = interpolateDelta(points[i].x, points[from].x, points[to].x, deltasX[from], deltasX[to]);
+          deltasY[i] = interpolateDelta(points[i].y, points[from].y, points[to].y, deltasY[from], deltasY[to]);
+          i = i === end ? start : i + 1;
+        }
+      }
+    }
+
+    start = end + 1;
+  }
+}
+
+function interpolateDelta(value, a, b, deltaA, deltaB) {
+  if (a === b) {
+    return deltaA === deltaB ? deltaA : 0;
+  }
+
+  const [low, high, deltaLow, deltaHigh] = a < b ? [a, b, deltaA, deltaB] : [b, a, deltaB, deltaA];
+  if (value <= low) return deltaLow;
+  if (value >= high) return deltaHigh;
+  return deltaLow + ((value - low) * (deltaHigh - deltaLow)) / (high - low);
+}
+
+/**
+ * Converts TrueType quadratic contours to an opentype.js Path, inferring implied on-curve points
+ * @param {Array<Object>} points - Points as { x, y, onCurve, lastPointOfContour }
+ * @returns {Object} - opentype.js Path
+ */
+function pointsToPath(points) {
+  const path = new opentype.Path();
+
+  let start = 0;
+  for (let end = 0; end < points.length; end++) {
+    if (!points[end].lastPointOfContour && end !== points.length - 1) continue;
+
+    const contour = points.slice(start, end + 1);
+    start = end + 1;
+    if (contour.length === 0) continue;
+
+    const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+    const last = contour[contour.length - 1];
+    const first = contour[0];
+    const origin = last.onCurve ? last : first.onCurve ? first : midpoint(last, first);
+    path.moveTo(origin.x, origin.y);
+
+    for (let i = 0; i < contour.length; i++) {
+      const current = contour[i];
+      const next = contour[(i + 1) % contour.length];
+
+      if (current.onCurve) {
+        path.lineTo(current.x, current.y);
+      } else {
+        const target = next.onCurve ? next : midpoint(current, next);
+        path.quadraticCurveTo(current.x, current.y, target.x, target.y);
+      }
+    }
+
+    path.closePath();
+  }
+
+  return path;
+}
+
+/**
+ * Returns the OS/2 table with weight and width classes taken from the instance location
+ */
+function instanceOs2(os2, location) {
+  if (!os2) return os2;
+
+  const instance = { ...os2 };
+  if (location.wght !== undefined) {
+    instance.usWeightClass = Math.round(Math.min(1000, Math.max(1, location.wght)));
+  }
+  if (location.wdth !== undefined) {
+    instance.usWidthClass = nearestWidthClass(location.wdth);
+  }
+  return instance;
+}
+
+/**
+ * Maps a wdth percentage to the nearest OS/2 usWidthClass (1-9)
+ * @param {number} percent - Width as a percentage of normal
+ * @returns {number} - Width class
+ */
+export function nearestWidthClass(percent) {
+  let best = 0;
+  WIDTH_CLASS_PERCENTAGES.forEach((value, index) => {
+    if (Math.abs(value - percent) < Math.abs(WIDTH_CLASS_PERCENTAGES[best] - percent)) best = index;
+  });
+  return best + 1;
+}
+
+function localName(name) {
+  if (!name) return null;
+  return name.en || Object.values(name)[0] || null;
+}
@@ -0,0 +1,356 @@
+// Variation tables - Reads the raw avar, STAT and gvar tables, which opentype.js does not parse
+import { readTableDirectory, readNameTable, readTag } from './sfnt';
+
+// gvar flags
+const GVAR_LONG_OFFSETS = 0x0001;
+const SHARED_POINT_NUMBERS = 0x8000;
+const TUPLE_COUNT_MASK = 0x0FFF;
+const EMBEDDED_PEAK_TUPLE = 0x8000;
+const INTERMEDIATE_REGION = 0x4000;
+const PRIVATE_POINT_NUMBERS = 0x2000;
+const TUPLE_INDEX_MASK = 0x0FFF;
+
+// Packed point and delta run flags
+const POINTS_ARE_WORDS = 0x80;
+const POINT_RUN_COUNT_MASK = 0x7F;
+const DELTAS_ARE_ZERO = 0x80;
+const DELTAS_ARE_WORDS = 0x40;
+const DELTA_RUN_COUNT_MASK = 0x3F;
+
+// fvar axis flags
+const HIDDEN_AXIS = 0x0001;
+
+// STAT axis value flags
+const ELIDABLE_AXIS_VALUE_NAME = 0x0002;
+
+/**
+ * Reads the avar, STAT and gvar tables of one face, plus the fvar axis flags
+ * @param {Object} source - Table source, as passed to runValidationChecks
+ * @returns {Object} - { available, hiddenAxes, avar, stat, gvar }; each table is null if the font lacks it
+ */
+export function readVariationTables(source) {
+  const { view } = source;
+  const { tables } = readTableDirectory(view, source.directoryOffset);
+  const find = tag => tables.find(table => table.tag === tag);
+
+  const fvar = find('fvar');
+  const avar = find('avar');
+  const stat = find('STAT');
+  const gvar = find('gvar');
+  const name = find('name');
+
+  // STAT labels point into the name table, often at IDs above 255 that opentype.js leaves unnamed
+  const names = name ? readNameTable(new Uint8Array(view.buffer, view.byteOffset + name.offset, name.length)) : {};
+
+  return {
+    available: true,
+    hiddenAxes: fvar ? readHiddenAxes(view, fvar.offset) : [],
+    avar: avar ? readAvar(view, avar.offset) : null,
+    stat: stat ? readStat(view, stat.offset, names) : null,
+    gvar: gvar ? readGvar(view, gvar.offset) : null
+  };
+}
+
+/**
+ * Lists the fvar axes flagged as hidden from user interfaces
+ * @returns {Array<string>} - Axis tags
+ */
+function readHiddenAxes(view, offset) {
+  const axesOffset = view.getUint16(offset + 4);
+  const axisCount = view.getUint16(offset + 8);
+  const axisSize = view.getUint16(offset + 10);
+
+  const hidden = [];
+  for (let i = 0; i < axisCount; i++) {
+    const record = offset + axesOffset + i * axisSize;
+    if (view.getUint16(record + 16) & HIDDEN_AXIS) {
+      hidden.push(readTag(view, record));
+    }
+  }
+  return hidden;
+}
+
+/**
+ * Reads the avar segment maps, one per fvar axis
+ * @returns {Array<Array<Object>>} - Per axis, { from, to } pairs in normalized coordinates
+ */
+function readAvar(view, offset) {
+  const axisCount = view.getUint16(offset + 6);
+  const segmentMaps = [];
+  let position = offset + 8;
+
+  for (let axis = 0; axis < axisCount; axis++) {
+    const count = view.getUint16(position);
+    position += 2;
+
+    const map = [];
+    for (let i = 0; i < count; i++) {
+      map.push({ from: readF2Dot14(view, position), to: readF2Dot14(view, position + 2) });
+      position += 4;
+    }
+    segmentMaps.push(map);
+  }
+
+  return segmentMaps;
+}
+
+/**
+ * Reads the STAT design axes and axis values
+ * @returns {Object} - { designAxes: [{ tag, name, ordering }], axisValues: [{ format, name, axes, elidable, ... }] }
+ */
+function readStat(view, offset, names) {
+  const designAxisSize = view.getUint16(offset + 4);
+  const designAxisCount = view.getUint16(offset + 6);
+  const designAxesOffset = view.getUint32(offset + 8);
+  const axisValueCount = view.getUint16(offset + 12);
+  const axisValuesOffset = view.getUint32(offset + 14);
+
+  const designAxes = [];
+  for (let i = 0; i < designAxisCount; i++) {
+    const record = offset + designAxesOffset + i * designAxisSize;
+    designAxes.push({
+      tag: readTag(view, record),
+      name: lookupName(names, view.getUint16(record + 4)),
+      ordering: view.getUint16(record + 6)
+    });
+  }
+
+  const axisValues = [];
+  const offsetsStart = offset + axisValuesOffset;
+  for (let i = 0; i < axisValueCount; i++) {
+    const table = offsetsStart + view.getUint16(offsetsStart + i * 2);
+    const axisValue = readAxisValue(view, table, designAxes, names);
+    if (axisValue) axisValues.push(axisValue);
+  }
+
+  return { designAxes, axisValues };
+}
+
+/**
+ * Reads one STAT axis value table (formats 1-4)
+ * @returns {Object|null} - { format, name, elidable, axes: [{ tag, value }], rangeMin?, rangeMax?, linkedValue? },
+ *   or null for unknown formats
+ */
+function readAxisValue(view, offset, designAxes, names) {
+  const format = view.getUint16(offset);
+  const axisTag = index => (designAxes[index] ? designAxes[index].tag : `axis${index}`);
+
+  if (format === 4) {
+    const axisCount = view.getUint16(offset + 2);
+    const axes = [];
+    for (let i = 0; i < axisCount; i++) {
+      const record = offset + 8 + i * 6;
+      axes.push({ tag: axisTag(view.getUint16(record)), value: readFixed(view, record + 2) });
+    }
+    return {
+      format,
+      name: lookupName(names, view.getUint16(offset + 6)),
+      elidable: (view.getUint16(offset + 4) & ELIDABLE_AXIS_VALUE_NAME) !== 0,
+      axes
+    };
+  }
+
+  if (format < 1 || format > 3) {
+    return null;
+  }
+
+  const axisValue = {
+    format,
+    name: lookupName(names, view.getUint16(offset + 6)),
+    elidable: (view.getUint16(offset + 4) & ELIDABLE_AXIS_VALUE_NAME) !== 0,
+    axes: [{ tag: axisTag(view.getUint16(offset + 2)), value: readFixed(view, offset + 8) }]
+  };
+
+  if (format === 2) {
+    axisValue.rangeMin = readFixed(view, offset + 12);
+    axisValue.rangeMax = readFixed(view, offset + 16);
+  } else if (format === 3) {
+    axisValue.linkedValue = readFixed(view, offset + 12);
+  }
+
+  return axisValue;
+}
+
+/**
+ * Reads the gvar header; per-glyph variation data is decoded on demand
+ * @returns {Object} - { axisCount, sharedTuples, glyphVariations(glyphIndex, pointCount) }
+ */
+function readGvar(view, offset) {
+  const axisCount = view.getUint16(offset + 4);
+  const sharedTupleCount = view.getUint16(offset + 6);
+  const sharedTuplesOffset = view.getUint32(offset + 8);
+  const glyphCount = view.getUint16(offset + 12);
+  const flags = view.getUint16(offset + 14);
+  const dataArrayOffset = view.getUint32(offset + 16);
+
+  const sharedTuples = [];
+  for (let i = 0; i < sharedTupleCount; i++) {
+    sharedTuples.push(readTuple(view, offset + sharedTuplesOffset + i * axisCount * 2, axisCount));
+  }
+
+  const longOffsets = (flags & GVAR_LONG_OFFSETS) !== 0;
+  const glyphDataOffset = index => (longOffsets
+    ? view.getUint32(offset + 20 + index * 4)
+    : view.getUint16(offset + 20 + index * 2) * 2);
+
+  return {
+    axisCount,
+    sharedTuples,
+    /**
+     * Decodes the tuple variations of one glyph
+     * @param {number} glyphIndex - Glyph ID
+     * @param {number} pointCount - Outline points (or components) plus the four phantom points
+     * @returns {Array<Object>} - Tuples as { peak, start, end, points, deltasX, deltasY }, where points
+     *   is null when every point has a delta
+     */
+    glyphVariations(glyphIndex, pointCount) {
+      if (glyphIndex >= glyphCount) return [];
+
+      const start = glyphDataOffset(glyphIndex);
+      const end = glyphDataOffset(glyphIndex + 1);
+      if (start === end) return [];
+
+      return readGlyphVariationData(view, offset + dataArrayOffset + start, axisCount, sharedTuples, pointCount);
+    }
+  };
+}
+
+/**
+ * Decodes a GlyphVariationData table
+ */
+function readGlyphVariationData(view, offset, axisCount, sharedTuples, pointCount) {
+  const tupleCountField = view.getUint16(offset);
+  const tupleCount = tupleCountField & TUPLE_COUNT_MASK;
+  let dataPosition = offset + view.getUint16(offset + 2);
+  let headerPosition = offset + 4;
+
+  let sharedPoints = null;
+  if (tupleCountField & SHARED_POINT_NUMBERS) {
+    const packed = readPackedPoints(view, dataPosition);
+    sharedPoints = packed.points;
+    dataPosition = packed.position;
+  }
+
+  const tuples = [];
+  for (let i = 0; i < tupleCount; i++) {
+    const dataSize = view.getUint16(headerPosition);
+    const tupleIndex = view.getUint16(headerPosition + 2);
+    headerPosition += 4;
+
+    let peak;
+    if (tupleIndex & EMBEDDED_PEAK_TUPLE) {
+      peak = readTuple(view, headerPosition, axisCount);
+      headerPosition += axisCount * 2;
+    } else {
+      peak = sharedTuples[tupleIndex & TUPLE_INDEX_MASK];
+    }
+
+    let start = null;
+    let end = null;
+    if (tupleIndex & INTERMEDIATE_REGION) {
+      start = readTuple(view, headerPosition, axisCount);
+      end = readTuple(view, headerPosition + axisCount * 2, axisCount);
+      headerPosition += axisCount * 4;
+    }
+
+    let position = dataPosition;
+    let points = sharedPoints;
+    if (tupleIndex & PRIVATE_POINT_NUMBERS) {
+      const packed = readPackedPoints(view, position);
+      points = packed.points;
+      position = packed.position;
+    }
+
+    const deltaCount = points ? points.length : pointCount;
+    const deltasX = readPackedDeltas(view, position, deltaCount);
+    const deltasY = readPackedDeltas(view, deltasX.position, deltaCount);
+
+    tuples.push({ peak, start, end, points, deltasX: deltasX.deltas, deltasY: deltasY.deltas });
+    dataPosition += dataSize;
+  }
+
+  return tuples;
+}
+
+/**
+ * Reads packed point numbers
+ * @returns {Object} - { points, position }; points is null when the data means "all points"
+ */
+function readPackedPoints(view, position) {
+  let count = view.getUint8(position++);
+  if (count & POINTS_ARE_WORDS) {
+    count = ((count & POINT_RUN_COUNT_MASK) << 8) | view.getUint8(position++);
+  }
+  if (count === 0) {
+    return { points: null, position };
+  }
+
+  const points = [];
+  let last = 0;
+  while (points.length < count) {
+    const control = view.getUint8(position++);
+    const runLength = (control & POINT_RUN_COUNT_MASK) + 1;
+    const words = (control & POINTS_ARE_WORDS) !== 0;
+
+    for (let i = 0; i < runLength && points.length < count; i++) {
+      last += words ? view.getUint16(position) : view.getUint8(position);
+      position += words ? 2 : 1;
+      points.push(last);
+    }
+  }
+
+  return { points, position };
+}
+
+/**
+ * Reads a run of packed deltas
+ * @returns {Object} - { deltas, position }
+ */
+function readPackedDeltas(view, position, count) {
+  const deltas = [];
+
+  while (deltas.length < count) {
+    const control = view.getUint8(position++);
+    const runLength = (control & DELTA_RUN_COUNT_MASK) + 1;
+
+    for (let i = 0; i < runLength && deltas.length < count; i++) {
+      if (control & DELTAS_ARE_ZERO) {
+        deltas.push(0);
+      } else if (control & DELTAS_ARE_WORDS) {
+        deltas.push(view.getInt16(position));
+        position += 2;
+      } else {
+        deltas.push(view.getInt8(position));
+        position += 1;
+      }
+    }
+  }
+
+  return { deltas, position };
+}
+
+/**
+ * Reads a tuple of F2DOT14 coordinates
+ */
+function readTuple(view, offset, axisCount) {
+  const tuple = [];
+  for (let i = 0; i < axisCount; i++) {
+    tuple.push(readF2Dot14(view, offset + i * 2));
+  }
+  return tuple;
+}
+
+function readF2Dot14(view, offset) {
+  return view.getInt16(offset) / 16384;
+}
+
+function readFixed(view, offset) {
+  return view.getInt32(offset) / 65536;
+}
+
+/**
+ * Looks up a name table string, falling back to its ID
+ */
+function lookupName(names, nameID) {
+  return names[nameID] || `Name ${nameID}`;
+}
@@ -0,0 +1,246 @@
+// Vertical metrics - Simulates the line box each rendering model builds from hhea, OS/2 typo
+// and OS/2 win metrics, and suggests values that render the same everywhere
+
+const FS_SELECTION_USE_TYPO_METRICS = 0x0080;
+
+// Latin text (Basic Latin to Latin Extended-A) sets the extremes that everyday text reaches
+const TEXT_RANGE_START = 0x20;
+const TEXT_RANGE_END = 0x17F;
+
+// Differences below this fraction of the em are rounding, not a visible shift
+const SHIFT_TOLERANCE = 0.01;
+
+// Line height the suggested metrics add up to at least, matching what browsers commonly default to
+const MINIMUM_LINE_HEIGHT = 1.2;
+
+/**
+ * Works out the line box each rendering model gives the font and where text can escape it
+ * @param {Object} font - The parsed font object
+ * @returns {Object|null} - { unitsPerEm, useTypoMetrics, extremes, models, consistency, suggested, css },
+ *   or null when the font lacks the hhea or OS/2 table; values are in font units unless named em
+ */
+export function analyzeVerticalMetrics(font) {
+  const { hhea, os2, head } = font.tables;
+  if (!hhea || !os2) {
+    return null;
+  }
+
+  const unitsPerEm = font.unitsPerEm;
+  const useTypoMetrics = (os2.fsSelection & FS_SELECTION_USE_TYPO_METRICS) !== 0;
+  const extremes = {
+    font: head ? { yMax: head.yMax, yMin: head.yMin } : null,
+    text: measureTextExtremes(font)
+  };
+
+  const models = [
+    {
+      id: 'hhea',
+      name: 'hhea',
+      platforms: 'macOS and iOS, and FreeType renderers unless USE_TYPO_METRICS is set',
+      active: true,
+      ascent: hhea.ascender,
+      descent: -hhea.descender,
+      lineGap: hhea.lineGap
+    },
+    {
+      id: 'typo',
+      name: 'OS/2 typo',
+      platforms: 'Windows and FreeType renderers when USE_TYPO_METRICS is set',
+      active: useTypoMetrics,
+      ascent: os2.sTypoAscender,
+      descent: -os2.sTypoDescender,
+      lineGap: os2.sTypoLineGap
+    },
+    {
+      id: 'win',
+      name: 'OS/2 win',
+      platforms: 'Windows when USE_TYPO_METRICS is not set; GDI clips anything outside it',
+      active: !useTypoMetrics,
+      ascent: os2.usWinAscent,
+      descent: os2.usWinDescent,
+      // GDI adds only the part of the hhea line gap the win metrics don't already cover
+      lineGap: Math.max(0, hhea.lineGap - ((os2.usWinAscent + os2.usWinDescent) - (hhea.ascender - hhea.descender)))
+    }
+  ].map(model => describeModel(model, extremes, unitsPerEm));
+
+  const activeModels = models.filter(model => model.active);
+  const lineHeights = activeModels.map(model => model.lineHeight);
+  const baselines = activeModels.map(model => model.baseline);
+
+  const suggested = suggestMetrics(font, extremes);
+
+  return {
+    unitsPerEm,
+    useTypoMetrics,
+    extremes,
+    models,
+    consistency: {
+      lineHeightSpread: round((Math.max(...lineHeights) - Math.min(...lineHeights)) / unitsPerEm),
+      baselineShift: round((Math.max(...baselines) - Math.min(...baselines)) / unitsPerEm),
+      consistent: Math.max(...lineHeights) - Math.min(...lineHeights) <= unitsPerEm * SHIFT_TOLERANCE &&
+        Math.max(...baselines) - Math.min(...baselines) <= unitsPerEm * SHIFT_TOLERANCE
+    },
+    suggested,
+    css: buildOverrides(suggested, unitsPerEm)
+  };
+}
+
+/**
+ * Adds the derived line height, baseline position and risks to one model
+ * With a fixed CSS line-height the half-leading is split evenly, so the baseline sits
+ * (ascent - descent) / 2 below the middle of the line; models that disagree on it move text up or down
+ */
+function describeModel(model, extremes, unitsPerEm) {
+  const lineHeight = model.ascent + model.descent + model.lineGap;
+  const risks = [];
+  const clips = model.id === 'win';
+
+  // Outside GDI nothing is clipped to the metrics, but text past the line box (the metrics plus half
+  // the line gap on each side) is cut off by overflow: hidden and can touch neighbouring lines
+  const top = clips ? model.ascent : model.ascent + model.lineGap / 2;
+  const bottom = clips ? model.descent : model.descent + model.lineGap / 2;
+
+  const { text, font } = extremes;
+  if (text && text.yMax > top) {
+    risks.push({
+      severity: clips ? 'error' : 'warning',
+      message: clips
+        ? `${text.yMaxChar} reaches ${text.yMax}, above the ascent of ${model.ascent}, and is clipped.`
+        : `${text.yMaxChar} reaches ${text.yMax}, above the line box top at ${top}; it can touch the line above or be cut off by overflow: hidden.`
+    });
+  }
+  if (text && -text.yMin > bottom) {
+    risks.push({
+      severity: clips ? 'error' : 'warning',
+      message: clips
+        ? `${text.yMinChar} reaches ${text.yMin}, below the descent of ${-model.descent}, and is clipped.`
+        : `${text.yMinChar} reaches ${text.yMin}, below the line box bottom at ${-bottom}; it can touch the line below or be cut off by overflow: hidden.`
+    });
+  }
+  if (clips && font && (font.yMax > model.ascent || -font.yMin > model.descent) && risks.length === 0) {
+    risks.push({
+      severity: 'warning',
+      message: `Some glyphs outside everyday Latin text extend past the win metrics (font box ${font.yMin} to ${font.yMax}) and are clipped.`
+    });
+  }
+
+  return {
+    ...model,
+    lineHeight,
+    normalLineHeight: round(lineHeight / unitsPerEm),
+    baseline: (model.ascent - model.descent) / 2,
+    risks
+  };
+}
+
+/**
+ * Finds the highest and lowest points reached by the font's Latin characters
+ * @returns {Object|null} - { yMax, yMaxChar, yMin, yMinChar }, or null if none have outlines
+ */
+function measureTextExtremes(font) {
+  let result = null;
+
+  for (let codepoint = TEXT_RANGE_START; codepoint <= TEXT_RANGE_END; codepoint++) {
+    // Skip the C1 control codes between Basic Latin and Latin-1
+    if (codepoint >= 0x7F && codepoint <= 0x9F) continue;
+
+    const char = String.fromCodePoint(codepoint);
+    const glyphIndex = font.charToGlyphIndex(char);
+    if (!glyphIndex) continue;
+
+    const glyph = font.glyphs.get(glyphIndex);
+    if (!glyph.path || glyph.path.commands.length === 0) continue;
+
+    const box = glyph.getBoundingBox();
+    if (!result) {
+      result = { yMax: box.y2, yMaxChar: char, yMin: box.y1, yMinChar: char };
+      continue;
+    }
+    if (box.y2 > result.yMax) Object.assign(result, { yMax: box.y2, yMaxChar: char });
+    if (box.y1 < result.yMin) Object.assign(result, { yMin: box.y1, yMinChar: char });
+  }
+
+  if (result) {
+    result.yMax = Math.ceil(result.yMax);
+    result.yMin = Math.floor(result.yMin);
+  }
+  return result;
+}
+
+/**
+ * Suggests metrics that give every platform the same line box without clipping
+ * The hhea and typo values are made identical with no line gap, sized to hold everyday text;
+ * the win values cover the whole font box, and USE_TYPO_METRICS stops Windows from using them for spacing
+ * @returns {Object} - { ascent, descent, lineGap, winAscent, winDescent, useTypoMetrics, changes }
+ */
+function suggestMetrics(font, extremes) {
+  const { hhea, os2 } = font.tables;
+  const unitsPerEm = font.unitsPerEm;
+  const text = extremes.text || { yMax: hhea.ascender, yMin: hhea.descender };
+
+  let ascent = Math.max(text.yMax, 0);
+  let descent = Math.max(-text.yMin, 0);
+
+  // Short extremes would set lines too tightly; pad both sides equally so text stays centred in the line
+  const minimum = Math.ceil(unitsPerEm * MINIMUM_LINE_HEIGHT);
+  if (ascent + descent < minimum) {
+    const extra = minimum - (ascent + descent);
+    ascent += Math.ceil(extra / 2);
+    descent += Math.floor(extra / 2);
+  }
+
+  const fontBox = extremes.font || { yMax: ascent, yMin: -descent };
+  const suggested = {
+    ascent,
+    descent,
+    lineGap: 0,
+    winAscent: Math.max(ascent, fontBox.yMax),
+    winDescent: Math.max(descent, -fontBox.yMin),
+    useTypoMetrics: true
+  };
+
+  const fields = [
+    ['hhea.ascender', hhea.ascender, ascent],
+    ['hhea.descender', hhea.descender, -descent],
+    ['hhea.lineGap', hhea.lineGap, 0],
+    ['OS/2.sTypoAscender', os2.sTypoAscender, ascent],
+    ['OS/2.sTypoDescender', os2.sTypoDescender, -descent],
+    ['OS/2.sTypoLineGap', os2.sTypoLineGap, 0],
+    ['OS/2.usWinAscent', os2.usWinAscent, suggested.winAscent],
+    ['OS/2.usWinDescent', os2.usWinDescent, suggested.winDescent],
+    ['fsSelection USE_TYPO_METRICS', (os2.fsSelection & FS_SELECTION_USE_TYPO_METRICS) !== 0, true]
+  ];
+
+  suggested.changes = fields
+    .filter(([, current, value]) => current !== value)
+    .map(([field, current, value]) => ({ field, current, suggested: value }));
+
+  return suggested;
+}
+
+/**
+ * Turns the suggested metrics into @font-face overrides, which apply them without editing the font
+ * @returns {Object} - { ascentOverride, descentOverride, lineGapOverride, declarations }
+ */
+function buildOverrides(suggested, unitsPerEm) {
+  const percent = value => `${round(value / unitsPerEm * 100, 2)}%`;
+  const overrides = {
+    ascentOverride: percent(suggested.ascent),
+    descentOverride: percent(suggested.descent),
+    lineGapOverride: percent(suggested.lineGap)
+  };
+
+  return {
+    ...overrides,
+    declarations: [
+      `ascent-override: ${overrides.ascentOverride};`,
+      `descent-override: ${overrides.descentOverride};`,
+      `line-gap-override: ${overrides.lineGapOverride};`
+    ].join('\n')
+  };
+}
+
+function round(value, digits = 3) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
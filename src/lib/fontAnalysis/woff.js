@@ -0,0 +1,119 @@
+// WOFF decoder - Rebuilds the original SFNT (TrueType/OpenType) binary from a WOFF 1.0 container
+// Implements the W3C WOFF 1.0 spec: per-table zlib compression, original checksums kept in the directory
+import inflate from 'tiny-inflate';
+import { readTag, pad4 } from './sfnt';
+
+const WOFF_SIGNATURE = 0x774F4646; // 'wOFF'
+const WOFF_HEADER_SIZE = 44;
+const WOFF_DIRECTORY_ENTRY_SIZE = 20;
+
+// Each zlib stream starts with a two-byte header before the deflate data
+const ZLIB_HEADER_SIZE = 2;
+
+/**
+ * Checks whether a buffer holds a WOFF 1.0 file
+ * @param {ArrayBuffer} arrayBuffer - The raw font file contents
+ * @returns {boolean} - Whether the buffer starts with the WOFF signature
+ */
+export function isWoff(arrayBuffer) {
+  return arrayBuffer.byteLength >= 4 && new DataView(arrayBuffer).getUint32(0) === WOFF_SIGNATURE;
+}
+
+/**
+ * Decodes a WOFF 1.0 file into the SFNT font it was made from
+ * Tables keep the order they had in the original font and the directory keeps the original checksums,
+ * so checksum validation sees the font as it was before compression
+ * @param {ArrayBuffer} arrayBuffer - The raw WOFF file contents
+ * @returns {ArrayBuffer} - An SFNT binary
+ */
+export function decodeWoff(arrayBuffer) {
+  if (!isWoff(arrayBuffer)) {
+    throw new Error('Not a WOFF file');
+  }
+
+  const view = new DataView(arrayBuffer);
+  if (arrayBuffer.byteLength < WOFF_HEADER_SIZE) {
+    throw new Error('WOFF header is truncated');
+  }
+
+  const flavor = view.getUint32(4);
+  const numTables = view.getUint16(12);
+  if (WOFF_HEADER_SIZE + numTables * WOFF_DIRECTORY_ENTRY_SIZE > arrayBuffer.byteLength) {
+    throw new Error('WOFF table directory is truncated');
+  }
+
+  // The directory is sorted by tag, as the SFNT directory has to be
+  const tables = [];
+  for (let i = 0; i < numTables; i++) {
+    const entry = WOFF_HEADER_SIZE + i * WOFF_DIRECTORY_ENTRY_SIZE;
+    const table = {
+      tag: readTag(view, entry),
+      offset: view.getUint32(entry + 4),
+      compLength: view.getUint32(entry + 8),
+      origLength: view.getUint32(entry + 12),
+      origChecksum: view.getUint32(entry + 16)
+    };
+    table.data = readTableData(arrayBuffer, table);
+    tables.push(table);
+  }
+
+  // Table data goes back in the order it was stored, which is the order of the original font
+  const dataOrder = [...tables].sort((a, b) => a.offset - b.offset);
+  const directorySize = 12 + numTables * 16;
+  const offsets = new Map();
+  let totalSize = directorySize;
+  for (const table of dataOrder) {
+    offsets.set(table, totalSize);
+    totalSize += pad4(table.data.length);
+  }
+
+  const buffer = new ArrayBuffer(totalSize);
+  const output = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+
+  const entrySelector = numTables > 0 ? Math.floor(Math.log2(numTables)) : 0;
+  const searchRange = Math.pow(2, entrySelector) * 16;
+  output.setUint32(0, flavor);
+  output.setUint16(4, numTables);
+  output.setUint16(6, searchRange);
+  output.setUint16(8, entrySelector);
+  output.setUint16(10, numTables * 16 - searchRange);
+
+  tables.forEach((table, index) => {
+    const record = 12 + index * 16;
+    for (let i = 0; i < 4; i++) {
+      output.setUint8(record + i, table.tag.charCodeAt(i));
+    }
+    output.setUint32(record + 4, table.origChecksum);
+    output.setUint32(record + 8, offsets.get(table));
+    output.setUint32(record + 12, table.data.length);
+    bytes.set(table.data, offsets.get(table));
+  });
+
+  return buffer;
+}
+
+/**
+ * Reads one table's data, inflating it when it is stored compressed
+ * A table is compressed exactly when its stored length is less than its original length
+ */
+function readTableData(arrayBuffer, table) {
+  if (table.offset + table.compLength > arrayBuffer.byteLength) {
+    throw new Error(`WOFF table '${table.tag}' extends past the end of the file`);
+  }
+
+  const stored = new Uint8Array(arrayBuffer, table.offset, table.compLength);
+  if (table.compLength === table.origLength) {
+    return stored;
+  }
+  if (table.compLength > table.origLength) {
+    throw new Error(`WOFF table '${table.tag}' is longer compressed than uncompressed`);
+  }
+
+  // tiny-inflate returns a shorter copy when the stream ends before filling the output
+  const data = inflate(stored.subarray(ZLIB_HEADER_SIZE), new Uint8Array(table.origLength));
+  if (data.length !== table.origLength) {
+    throw new Error(`WOFF table '${table.tag}' inflates to ${data.length} bytes instead of ${table.origLength}`);
+  }
+  return data;
+}
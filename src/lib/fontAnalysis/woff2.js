@@ -0,0 +1,683 @@
+// WOFF2 decoder - Rebuilds an SFNT (TrueType/OpenType) binary from a WOFF2 container
+// Implements the W3C WOFF2 spec: Brotli stream, glyf/loca and hmtx transforms
+import brotliDecompress from 'brotli/decompress';
+import { TTC_SIGNATURE, buildSfnt, buildCollection, pad4 } from './sfnt';
+
+const WOFF2_SIGNATURE = 0x774F4632; // 'wOF2'
+const WOFF2_HEADER_SIZE = 48;
+
+// Table tags referenced by the 6-bit index in each table directory entry
+const KNOWN_TAGS = [
+  'cmap', 'head', 'hhea', 'hmtx', 'maxp', 'name', 'OS/2', 'post', 'cvt ', 'fpgm',
+  'glyf', 'loca', 'prep', 'CFF ', 'VORG', 'EBDT', 'EBLC', 'gasp', 'hdmx', 'kern',
+  'LTSH', 'PCLT', 'VDMX', 'vhea', 'vmtx', 'BASE', 'GDEF', 'GPOS', 'GSUB', 'EBSC',
+  'JSTF', 'MATH', 'CBDT', 'CBLC', 'COLR', 'CPAL', 'SVG ', 'sbix', 'acnt', 'avar',
+  'bdat', 'bloc', 'bsln', 'cvar', 'fdsc', 'feat', 'fmtx', 'fvar', 'gvar', 'hsty',
+  'just', 'lcar', 'mort', 'morx', 'opbd', 'prop', 'trak', 'Zapf', 'Silf', 'Glat',
+  'Gloc', 'Feat', 'Sill'
+];
+
+// Simple glyph flag bits (glyf table)
+const ON_CURVE_POINT = 0x01;
+const X_SHORT_VECTOR = 0x02;
+const Y_SHORT_VECTOR = 0x04;
+const X_IS_SAME_OR_POSITIVE = 0x10;
+const Y_IS_SAME_OR_POSITIVE = 0x20;
+const OVERLAP_SIMPLE = 0x40;
+
+// Composite glyph flag bits (glyf table)
+const ARG_1_AND_2_ARE_WORDS = 0x0001;
+const WE_HAVE_A_SCALE = 0x0008;
+const MORE_COMPONENTS = 0x0020;
+const WE_HAVE_AN_X_AND_Y_SCALE = 0x0040;
+const WE_HAVE_A_TWO_BY_TWO = 0x0080;
+const WE_HAVE_INSTRUCTIONS = 0x0100;
+
+/**
+ * Checks whether a buffer holds a WOFF2 file
+ * @param {ArrayBuffer} arrayBuffer - The raw font file contents
+ * @returns {boolean} - Whether the buffer starts with the WOFF2 signature
+ */
+export function isWoff2(arrayBuffer) {
+  return arrayBuffer.byteLength >= 4 && new DataView(arrayBuffer).getUint32(0) === WOFF2_SIGNATURE;
+}
+
+/**
+ * Decodes a WOFF2 file into an uncompressed SFNT font, or a TTC for WOFF2 collections
+ * @param {ArrayBuffer} arrayBuffer - The raw WOFF2 file contents
+ * @returns {ArrayBuffer} - An SFNT or TTC binary
+ */
+export function decodeWoff2(arrayBuffer) {
+  if (!isWoff2(arrayBuffer)) {
+    throw new Error('Not a WOFF2 file');
+  }
+
+  const header = readHeader(arrayBuffer);
+  const reader = new ByteReader(arrayBuffer, WOFF2_HEADER_SIZE);
+  const directory = readTableDirectory(reader, header.numTables);
+  const isCollection = header.flavor === TTC_SIGNATURE;
+
+  // A single font uses every table in directory order
+  const fonts = isCollection
+    ? readCollectionDirectory(reader, directory.length)
+    : [{ flavor: header.flavor, indices: directory.map((entry, index) => index) }];
+
+  // All table data lives in a single Brotli stream right after the directories
+  const compressed = new Uint8Array(arrayBuffer, reader.offset, header.totalCompressedSize);
+  const decompressedSize = directory.reduce((sum, entry) => sum + entry.transformLength, 0);
+  const stream = brotliDecompress(compressed, decompressedSize);
+
+  if (!stream || stream.length < decompressedSize) {
+    throw new Error('WOFF2 table data is truncated or corrupt');
+  }
+
+  // Slice each table out of the decompressed stream
+  let streamOffset = 0;
+  for (const entry of directory) {
+    entry.data = stream.subarray(streamOffset, streamOffset + entry.transformLength);
+    streamOffset += entry.transformLength;
+  }
+
+  reconstructTables(directory, fonts);
+
+  // Directory entries double as table objects, so shared tables stay shared in the TTC
+  const fontTables = fonts.map(font => ({
+    flavor: font.flavor,
+    tables: font.indices.map(index => directory[index])
+  }));
+
+  return isCollection
+    ? buildCollection(fontTables)
+    : buildSfnt(fontTables[0].flavor, fontTables[0].tables);
+}
+
+/**
+ * Reads the fixed-size WOFF2 header
+ * @param {ArrayBuffer} arrayBuffer - The raw WOFF2 file contents
+ * @returns {Object} - Header fields
+ */
+function readHeader(arrayBuffer) {
+  if (arrayBuffer.byteLength < WOFF2_HEADER_SIZE) {
+    throw new Error('WOFF2 header is truncated');
+  }
+
+  const view = new DataView(arrayBuffer);
+  return {
+    flavor: view.getUint32(4),
+    length: view.getUint32(8),
+    numTables: view.getUint16(12),
+    totalSfntSize: view.getUint32(16),
+    totalCompressedSize: view.getUint32(20)
+  };
+}
+
+/**
+ * Reads the WOFF2 table directory
+ * @param {ByteReader} reader - Reader positioned at the start of the directory
+ * @param {number} numTables - Number of entries in the directory
+ * @returns {Array<Object>} - Table directory entries in stream order
+ */
+function readTableDirectory(reader, numTables) {
+  const directory = [];
+
+  for (let i = 0; i < numTables; i++) {
+    const flags = reader.uint8();
+    const tagIndex = flags & 0x3F;
+    const tag = tagIndex === 0x3F ? reader.tag() : KNOWN_TAGS[tagIndex];
+    const transformVersion = (flags >> 6) & 0x03;
+    const origLength = reader.uintBase128();
+
+    // glyf/loca use version 0 for the transform and 3 for none; every other table is the reverse
+    const isGlyfOrLoca = tag === 'glyf' || tag === 'loca';
+    const transformed = isGlyfOrLoca ? transformVersion === 0 : transformVersion !== 0;
+    const transformLength = transformed ? reader.uintBase128() : origLength;
+
+    if (transformed && !isGlyfOrLoca && tag !== 'hmtx') {
+      throw new Error(`Unknown WOFF2 transform for table '${tag}'`);
+    }
+
+    directory.push({ tag, transformed, origLength, transformLength, data: null });
+  }
+
+  return directory;
+}
+
+/**
+ * Reads the collection directory that follows the table directory in WOFF2 collections
+ * @param {ByteReader} reader - Reader positioned at the collection header
+ * @param {number} numTables - Number of entries in the table directory
+ * @returns {Array<Object>} - Fonts as { flavor, indices } into the table directory
+ */
+function readCollectionDirectory(reader, numTables) {
+  reader.uint32(); // version
+  const numFonts = reader.uint255();
+  const fonts = [];
+
+  for (let i = 0; i < numFonts; i++) {
+    const fontTableCount = reader.uint255();
+    const flavor = reader.uint32();
+    const indices = [];
+
+    for (let j = 0; j < fontTableCount; j++) {
+      const index = reader.uint255();
+      if (index >= numTables) {
+        throw new Error(`WOFF2 collection font ${i} references missing table ${index}`);
+      }
+      indices.push(index);
+    }
+
+    fonts.push({ flavor, indices });
+  }
+
+  return fonts;
+}
+
+/**
+ * Reverses the glyf/loca and hmtx transforms in place
+ * Each transformed table is rebuilt once, however many collection fonts share it
+ * @param {Array<Object>} directory - Table directory entries with their stream data
+ * @param {Array<Object>} fonts - Fonts as { flavor, indices } into the directory
+ */
+function reconstructTables(directory, fonts) {
+  const rebuiltGlyfs = new Map();
+  const rebuiltHmtx = new Set();
+
+  const findIndex = (font, tag) => font.indices.find(index => directory[index].tag === tag);
+
+  for (const font of fonts) {
+    const glyfIndex = findIndex(font, 'glyf');
+    const locaIndex = findIndex(font, 'loca');
+
+    if (glyfIndex !== undefined && directory[glyfIndex].transformed && !rebuiltGlyfs.has(glyfIndex)) {
+      const rebuilt = reconstructGlyf(directory[glyfIndex].data);
+      rebuiltGlyfs.set(glyfIndex, rebuilt);
+      directory[glyfIndex].data = rebuilt.glyf;
+
+      if (locaIndex !== undefined) {
+        directory[locaIndex].data = rebuilt.loca;
+      }
+    }
+  }
+
+  for (const font of fonts) {
+    const hmtxIndex = findIndex(font, 'hmtx');
+    if (hmtxIndex === undefined || !directory[hmtxIndex].transformed || rebuiltHmtx.has(hmtxIndex)) {
+      continue;
+    }
+
+    const rebuiltGlyf = rebuiltGlyfs.get(findIndex(font, 'glyf'));
+    const hheaIndex = findIndex(font, 'hhea');
+    if (!rebuiltGlyf || hheaIndex === undefined) {
+      throw new Error('WOFF2 hmtx transform requires a transformed glyf table and hhea');
+    }
+
+    directory[hmtxIndex].data = reconstructHmtx(directory[hmtxIndex].data, directory[hheaIndex].data, rebuiltGlyf.xMins);
+    rebuiltHmtx.add(hmtxIndex);
+  }
+}
+
+/**
+ * Rebuilds the glyf and loca tables from the transformed glyf stream
+ * @param {Uint8Array} data - Transformed glyf table data
+ * @returns {Object} - { glyf, loca, xMins } where xMins is indexed by glyph ID
+ */
+function reconstructGlyf(data) {
+  const header = new ByteReader(data.buffer, data.byteOffset);
+  header.uint16(); // reserved
+  const optionFlags = header.uint16();
+  const numGlyphs = header.uint16();
+  const indexFormat = header.uint16();
+
+  const streamSizes = [];
+  for (let i = 0; i < 7; i++) {
+    streamSizes.push(header.uint32());
+  }
+
+  // Carve the seven sub-streams out of the table in their fixed order
+  let offset = header.offset;
+  const streams = streamSizes.map(size => {
+    const stream = new ByteReader(data.buffer, offset, size);
+    offset += size;
+    return stream;
+  });
+  const [nContourStream, nPointsStream, flagStream, glyphStream, compositeStream, bboxStream, instructionStream] = streams;
+
+  const bboxBitmapLength = ((numGlyphs + 31) >> 5) << 2;
+  const bboxBitmap = bboxStream.bytes(bboxBitmapLength);
+  const overlapBitmap = optionFlags & 0x0001
+    ? new Uint8Array(data.buffer, offset, (numGlyphs + 7) >> 3)
+    : null;
+
+  const hasBit = (bitmap, index) => (bitmap[index >> 3] & (0x80 >> (index & 7))) !== 0;
+
+  const glyphs = [];
+  const xMins = new Array(numGlyphs).fill(0);
+
+  for (let glyphId = 0; glyphId < numGlyphs; glyphId++) {
+    const numberOfContours = nContourStream.int16();
+
+    if (numberOfContours === 0) {
+      if (hasBit(bboxBitmap, glyphId)) {
+        throw new Error(`WOFF2 glyph ${glyphId} is empty but has a bounding box`);
+      }
+      glyphs.push(new Uint8Array(0));
+    } else if (numberOfContours === -1) {
+      if (!hasBit(bboxBitmap, glyphId)) {
+        throw new Error(`WOFF2 composite glyph ${glyphId} is missing its bounding box`);
+      }
+      const bbox = [bboxStream.int16(), bboxStream.int16(), bboxStream.int16(), bboxStream.int16()];
+      xMins[glyphId] = bbox[0];
+      glyphs.push(readCompositeGlyph(bbox, compositeStream, glyphStream, instructionStream));
+    } else {
+      const overlap = overlapBitmap ? hasBit(overlapBitmap, glyphId) : false;
+      const glyph = readSimpleGlyph(
+        numberOfContours,
+        hasBit(bboxBitmap, glyphId) ? bboxStream : null,
+        { nPointsStream, flagStream, glyphStream, instructionStream },
+        overlap
+      );
+      xMins[glyphId] = glyph.xMin;
+      glyphs.push(glyph.data);
+    }
+  }
+
+  // Lay glyphs out on 4-byte boundaries and record their offsets
+  const offsets = [];
+  let glyfLength = 0;
+  for (const glyph of glyphs) {
+    offsets.push(glyfLength);
+    glyfLength += pad4(glyph.length);
+  }
+  offsets.push(glyfLength);
+
+  const glyf = new Uint8Array(glyfLength);
+  glyphs.forEach((glyph, index) => glyf.set(glyph, offsets[index]));
+
+  const loca = new Uint8Array(offsets.length * (indexFormat ? 4 : 2));
+  const locaView = new DataView(loca.buffer);
+  offsets.forEach((glyphOffset, index) => {
+    if (indexFormat) {
+      locaView.setUint32(index * 4, glyphOffset);
+    } else {
+      locaView.setUint16(index * 2, glyphOffset / 2);
+    }
+  });
+
+  return { glyf, loca, xMins };
+}
+
+/**
+ * Decodes one simple glyph from the transformed glyf streams
+ * @param {number} numberOfContours - Contour count from the nContour stream
+ * @param {ByteReader|null} bboxStream - Bounding box stream, or null to compute it from the points
+ * @param {Object} streams - The nPoints, flag, glyph and instruction streams
+ * @param {boolean} overlap - Whether the OVERLAP_SIMPLE flag should be set
+ * @returns {Object} - { data, xMin } with data in standard glyf encoding
+ */
+function readSimpleGlyph(numberOfContours, bboxStream, streams, overlap) {
+  const { nPointsStream, flagStream, glyphStream, instructionStream } = streams;
+
+  const endPoints = [];
+  let totalPoints = 0;
+  for (let i = 0; i < numberOfContours; i++) {
+    totalPoints += nPointsStream.uint255();
+    endPoints.push(totalPoints - 1);
+  }
+
+  const onCurve = new Array(totalPoints);
+  const xs = new Array(totalPoints);
+  const ys = new Array(totalPoints);
+  let x = 0;
+  let y = 0;
+
+  for (let i = 0; i < totalPoints; i++) {
+    const flag = flagStream.uint8();
+    const delta = decodeTriplet(flag & 0x7F, glyphStream);
+    x += delta.dx;
+    y += delta.dy;
+    xs[i] = x;
+    ys[i] = y;
+    onCurve[i] = (flag & 0x80) === 0;
+  }
+
+  const instructionLength = glyphStream.uint255();
+  const instructions = instructionStream.bytes(instructionLength);
+
+  let bbox;
+  if (bboxStream) {
+    bbox = [bboxStream.int16(), bboxStream.int16(), bboxStream.int16(), bboxStream.int16()];
+  } else {
+    bbox = [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+  }
+
+  // Encode flags and coordinates using short vectors where possible
+  const flags = [];
+  const xBytes = [];
+  const yBytes = [];
+  let previousX = 0;
+  let previousY = 0;
+
+  for (let i = 0; i < totalPoints; i++) {
+    let flag = onCurve[i] ? ON_CURVE_POINT : 0;
+    if (i === 0 && overlap) {
+      flag |= OVERLAP_SIMPLE;
+    }
+
+    flag |= encodeCoordinate(xs[i] - previousX, xBytes, X_SHORT_VECTOR, X_IS_SAME_OR_POSITIVE);
+    flag |= encodeCoordinate(ys[i] - previousY, yBytes, Y_SHORT_VECTOR, Y_IS_SAME_OR_POSITIVE);
+    previousX = xs[i];
+    previousY = ys[i];
+    flags.push(flag);
+  }
+
+  const size = 10 + numberOfContours * 2 + 2 + instructionLength + flags.length + xBytes.length + yBytes.length;
+  const out = new ByteWriter(size);
+  out.int16(numberOfContours);
+  bbox.forEach(value => out.int16(value));
+  endPoints.forEach(endPoint => out.uint16(endPoint));
+  out.uint16(instructionLength);
+  out.bytes(instructions);
+  out.bytes(flags);
+  out.bytes(xBytes);
+  out.bytes(yBytes);
+
+  return { data: out.data, xMin: bbox[0] };
+}
+
+/**
+ * Decodes one composite glyph from the transformed glyf streams
+ * @param {Array<number>} bbox - Bounding box read from the bbox stream
+ * @param {ByteReader} compositeStream - Composite component stream
+ * @param {ByteReader} glyphStream - Glyph stream (holds the instruction length)
+ * @param {ByteReader} instructionStream - Instruction stream
+ * @returns {Uint8Array} - The glyph in standard glyf encoding
+ */
+function readCompositeGlyph(bbox, compositeStream, glyphStream, instructionStream) {
+  const start = compositeStream.offset;
+  let flags;
+  let haveInstructions = false;
+
+  // Walk the components to find where this glyph's composite data ends
+  do {
+    flags = compositeStream.uint16();
+    compositeStream.skip(2); // glyphIndex
+    compositeStream.skip(flags & ARG_1_AND_2_ARE_WORDS ? 4 : 2);
+
+    if (flags & WE_HAVE_A_SCALE) {
+      compositeStream.skip(2);
+    } else if (flags & WE_HAVE_AN_X_AND_Y_SCALE) {
+      compositeStream.skip(4);
+    } else if (flags & WE_HAVE_A_TWO_BY_TWO) {
+      compositeStream.skip(8);
+    }
+
+    if (flags & WE_HAVE_INSTRUCTIONS) {
+      haveInstructions = true;
+    }
+  } while (flags & MORE_COMPONENTS);
+
+  const components = compositeStream.slice(start, compositeStream.offset);
+  const instructionLength = haveInstructions ? glyphStream.uint255() : 0;
+  const instructions = instructionStream.bytes(instructionLength);
+
+  const size = 10 + components.length + (haveInstructions ? 2 + instructionLength : 0);
+  const out = new ByteWriter(size);
+  out.int16(-1);
+  bbox.forEach(value => out.int16(value));
+  out.bytes(components);
+  if (haveInstructions) {
+    out.uint16(instructionLength);
+    out.bytes(instructions);
+  }
+
+  return out.data;
+}
+
+/**
+ * Decodes one point delta from the WOFF2 triplet encoding
+ * @param {number} flag - The point flag with the on-curve bit stripped
+ * @param {ByteReader} glyphStream - Stream holding the triplet data bytes
+ * @returns {Object} - { dx, dy }
+ */
+function decodeTriplet(flag, glyphStream) {
+  const withSign = (signFlag, value) => (signFlag & 1 ? value : -value);
+
+  if (flag < 10) {
+    return { dx: 0, dy: withSign(flag, ((flag & 14) << 7) + glyphStream.uint8()) };
+  }
+
+  if (flag < 20) {
+    return { dx: withSign(flag, (((flag - 10) & 14) << 7) + glyphStream.uint8()), dy: 0 };
+  }
+
+  if (flag < 84) {
+    const b0 = flag - 20;
+    const b1 = glyphStream.uint8();
+    return {
+      dx: withSign(flag, 1 + (b0 & 0x30) + (b1 >> 4)),
+      dy: withSign(flag >> 1, 1 + ((b0 & 0x0C) << 2) + (b1 & 0x0F))
+    };
+  }
+
+  if (flag < 120) {
+    const b0 = flag - 84;
+    const b1 = glyphStream.uint8();
+    const b2 = glyphStream.uint8();
+    return {
+      dx: withSign(flag, 1 + (Math.floor(b0 / 12) << 8) + b1),
+      dy: withSign(flag >> 1, 1 + (((b0 % 12) >> 2) << 8) + b2)
+    };
+  }
+
+  if (flag < 124) {
+    const b1 = glyphStream.uint8();
+    const b2 = glyphStream.uint8();
+    const b3 = glyphStream.uint8();
+    return {
+      dx: withSign(flag, (b1 << 4) + (b2 >> 4)),
+      dy: withSign(flag >> 1, ((b2 & 0x0F) << 8) + b3)
+    };
+  }
+
+  const b1 = glyphStream.uint8();
+  const b2 = glyphStream.uint8();
+  const b3 = glyphStream.uint8();
+  const b4 = glyphStream.uint8();
+  return {
+    dx: withSign(flag, (b1 << 8) + b2),
+    dy: withSign(flag >> 1, (b3 << 8) + b4)
+  };
+}
+
+/**
+ * Appends one coordinate delta in glyf encoding and returns the flag bits it needs
+ * @param {number} delta - Coordinate delta from the previous point
+ * @param {Array<number>} bytes - Output byte array for this axis
+ * @param {number} shortFlag - The x/y short vector flag bit
+ * @param {number} sameFlag - The x/y same-or-positive flag bit
+ * @returns {number} - Flag bits to set for this point
+ */
+function encodeCoordinate(delta, bytes, shortFlag, sameFlag) {
+  if (delta === 0) {
+    return sameFlag;
+  }
+
+  if (Math.abs(delta) < 256) {
+    bytes.push(Math.abs(delta));
+    return shortFlag | (delta > 0 ? sameFlag : 0);
+  }
+
+  bytes.push((delta >> 8) & 0xFF, delta & 0xFF);
+  return 0;
+}
+
+/**
+ * Rebuilds the hmtx table from its transformed form
+ * @param {Uint8Array} data - Transformed hmtx table data
+ * @param {Uint8Array} hhea - The font's hhea table data
+ * @param {Array<number>} xMins - Glyph xMin values from the rebuilt glyf table
+ * @returns {Uint8Array} - Standard hmtx table data
+ */
+function reconstructHmtx(data, hhea, xMins) {
+  const numHMetrics = new DataView(hhea.buffer, hhea.byteOffset).getUint16(34);
+  const numGlyphs = xMins.length;
+
+  const reader = new ByteReader(data.buffer, data.byteOffset, data.length);
+  const flags = reader.uint8();
+  const hasProportionalLsb = (flags & 0x01) === 0;
+  const hasMonospaceLsb = (flags & 0x02) === 0;
+
+  const advanceWidths = [];
+  for (let i = 0; i < numHMetrics; i++) {
+    advanceWidths.push(reader.uint16());
+  }
+
+  // Side bearings that were dropped from the stream equal the glyph's xMin
+  const leftSideBearings = [];
+  for (let i = 0; i < numGlyphs; i++) {
+    const stored = i < numHMetrics ? hasProportionalLsb : hasMonospaceLsb;
+    leftSideBearings.push(stored ? reader.int16() : xMins[i]);
+  }
+
+  const out = new ByteWriter(numHMetrics * 4 + (numGlyphs - numHMetrics) * 2);
+  for (let i = 0; i < numGlyphs; i++) {
+    if (i < numHMetrics) {
+      out.uint16(advanceWidths[i]);
+    }
+    out.int16(leftSideBearings[i]);
+  }
+
+  return out.data;
+}
+
+/**
+ * Sequential big-endian reader over a region of an ArrayBuffer
+ */
+class ByteReader {
+  constructor(buffer, offset = 0, length = buffer.byteLength - offset) {
+    this.view = new DataView(buffer, offset, length);
+    this.base = offset;
+    this.position = 0;
+  }
+
+  get offset() {
+    return this.base + this.position;
+  }
+
+  ensure(size) {
+    if (this.position + size > this.view.byteLength) {
+      throw new Error('Unexpected end of WOFF2 data');
+    }
+  }
+
+  uint8() {
+    this.ensure(1);
+    return this.view.getUint8(this.position++);
+  }
+
+  uint16() {
+    this.ensure(2);
+    const value = this.view.getUint16(this.position);
+    this.position += 2;
+    return value;
+  }
+
+  int16() {
+    this.ensure(2);
+    const value = this.view.getInt16(this.position);
+    this.position += 2;
+    return value;
+  }
+
+  uint32() {
+    this.ensure(4);
+    const value = this.view.getUint32(this.position);
+    this.position += 4;
+    return value;
+  }
+
+  tag() {
+    return String.fromCharCode(this.uint8(), this.uint8(), this.uint8(), this.uint8());
+  }
+
+  bytes(length) {
+    this.ensure(length);
+    const value = new Uint8Array(this.view.buffer, this.view.byteOffset + this.position, length);
+    this.position += length;
+    return value;
+  }
+
+  slice(start, end) {
+    return new Uint8Array(this.view.buffer, start, end - start);
+  }
+
+  skip(length) {
+    this.ensure(length);
+    this.position += length;
+  }
+
+  // UIntBase128: big-endian base-128 varint of at most five bytes
+  uintBase128() {
+    let accumulator = 0;
+
+    for (let i = 0; i < 5; i++) {
+      const byte = this.uint8();
+
+      if (i === 0 && byte === 0x80) {
+        throw new Error('Invalid UIntBase128 value in WOFF2 directory');
+      }
+      if (accumulator > 0x1FFFFFF) {
+        throw new Error('UIntBase128 value overflows 32 bits');
+      }
+
+      accumulator = accumulator * 128 + (byte & 0x7F);
+      if ((byte & 0x80) === 0) {
+        return accumulator;
+      }
+    }
+
+    throw new Error('UIntBase128 value exceeds five bytes');
+  }
+
+  // 255UInt16: variable-length encoding used for point counts and instruction lengths
+  uint255() {
+    const code = this.uint8();
+
+    if (code === 253) {
+      return this.uint16();
+    }
+    if (code === 254) {
+      return this.uint8() + 506;
+    }
+    if (code === 255) {
+      return this.uint8() + 253;
+    }
+    return code;
+  }
+}
+
+/**
+ * Fixed-size big-endian writer used to emit rebuilt glyph and metric records
+ */
+class ByteWriter {
+  constructor(size) {
+    this.data = new Uint8Array(size);
+    this.view = new DataView(this.data.buffer);
+    this.position = 0;
+  }
+
+  int16(value) {
+    this.view.setInt16(this.position, value);
+    this.position += 2;
+  }
+
+  uint16(value) {
+    this.view.setUint16(this.position, value);
+    this.position += 2;
+  }
+
+  bytes(values) {
+    this.data.set(values, this.position);
+    this.position += values.length;
+  }
+}
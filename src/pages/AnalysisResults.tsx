@@ -1,18 +1,32 @@
 import React, { useState, useContext, useEffect, useRef, useMemo } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
-import { BarChart3, FileType, Download, ArrowRight, Star, Info, FileBarChart } from 'lucide-react';
+import { BarChart3, FileType, Download, FileJson, FileText, FileCode, ArrowRight, Star, Info, FileBarChart, ShieldCheck, AlertTriangle, LayoutGrid, Layers, SlidersHorizontal, MoveHorizontal, Ruler } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import Navbar from '@/components/Navbar';
+import ValidationReport from '@/components/ValidationReport';
+import PersonalityBreakdown from '@/components/PersonalityBreakdown';
+import CoverageTable from '@/components/CoverageTable';
+import GlyphInspector from '@/components/GlyphInspector';
+import FeaturePlayground from '@/components/FeaturePlayground';
+import VariationExplorer from '@/components/VariationExplorer';
+import SpacingReport from '@/components/SpacingReport';
+import LineHeightSimulator from '@/components/LineHeightSimulator';
+import FallbackFontFace from '@/components/FallbackFontFace';
 import { FontContext, FontMetrics } from '@/contexts/FontContext';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import { toast } from 'sonner';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, RadarChart, PolarGrid, PolarAngleAxis, PolarRadiusAxis, Radar, Legend } from 'recharts';
 import { ResizablePanelGroup, ResizablePanel, ResizableHandle } from "@/components/ui/resizable";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import html2canvas from 'html2canvas';
 import JSZip from 'jszip';
 import { saveAs } from 'file-saver';
+import { buildReport, toJsonReport, toMarkdownReport, toHtmlReport } from '@/lib/fontAnalysis/reportExport';
+import { buildPdfReport } from '@/lib/fontAnalysis/pdfReport';
+import { loadFaceBufferInWorker } from '@/lib/fontAnalysis/analysisClient';
+import { useFontFaceUrl } from '@/hooks/useFontFaceUrl';
 
 // Mock data for visualizations
 const fontPersonalityData = [{
@@ -105,25 +119,21 @@ const AnalysisResults = () => {
     fontFile,
     fontName,
     fontMetrics,
-    setFontMetrics
+    setFontMetrics,
+    faceMetrics
   } = useContext(FontContext);
   const navigate = useNavigate();
   const visualizationsRef = useRef<HTMLDivElement>(null);
-  const reportRef = useRef<HTMLDivElement>(null);
-  const [fontUrl, setFontUrl] = useState<string | null>(null);
+  // Serve the selected face on its own, since browsers won't load a collection or pick a face from it
+  const { url: fontUrl } = useFontFaceUrl(fontFile, fontMetrics?.faceIndex ?? 0);
   const fontFamilyName = useMemo(() => `uploaded-font-${fontName?.replace(/\s+/g, '-') || 'unknown'}`, [fontName]);
-
-  // Create a URL for the uploaded font file
-  useEffect(() => {
-    if (fontFile) {
-      const url = URL.createObjectURL(fontFile);
-      setFontUrl(url);
-      
-      // Clean up the URL when component unmounts
-      return () => {
-        URL.revokeObjectURL(url);
-      };
-    }
+  const fontFaceFormat = useMemo(() => {
+    const extension = fontFile?.name.split('.').pop()?.toLowerCase();
+    if (extension === 'woff2') return 'woff2';
+    if (extension === 'woff') return 'woff';
+    if (extension === 'otf') return 'opentype';
+    if (extension === 'ttc' || extension === 'otc') return 'collection';
+    return 'truetype';
   }, [fontFile]);
 
   // Redirect if no font file is uploaded
@@ -156,8 +166,9 @@ const AnalysisResults = () => {
 
   // Define fontData before it's used in the useMemo hooks
   const fontData = {
-    name: fontName || 'Unknown Font',
-    format: fontFile?.name.split('.').pop()?.toUpperCase() || 'Unknown',
+    name: fontMetrics?.faceName || fontName || 'Unknown Font',
+    format: fontMetrics?.format || fontFile?.name.split('.').pop()?.toUpperCase() || 'Unknown',
+    container: fontMetrics?.container || fontFile?.name.split('.').pop()?.toUpperCase() || 'Unknown',
     style: fontMetrics?.style || 'serif',
     weight: fontMetrics?.weight || 'Regular (400)',
     width: fontMetrics?.width || 'Normal (5)'
@@ -248,6 +259,7 @@ const AnalysisResults = () => {
       if (contrastStr.includes('No')) return 10;
       if (contrastStr.includes('Low')) return 30;
       if (contrastStr.includes('Medium')) return 50;
+      if (contrastStr.includes('Very High')) return 95;
       if (contrastStr.includes('High')) return 80;
       if (contrastStr.includes('Extreme')) return 95;
       return 50;
@@ -408,26 +420,50 @@ const AnalysisResults = () => {
     }
   };
   
-  // Function to handle downloading the full report
+  // Function to handle downloading the full report as a PDF built from the analysis data
   const handleDownloadReport = async () => {
-    if (!reportRef.current) return;
+    if (!fontMetrics?.analysis || !fontFile) {
+      toast.error('Analyze the font again to download the full report');
+      return;
+    }
     
     try {
       toast.info('Preparing report for download...');
       
-      const canvas = await html2canvas(reportRef.current);
-      canvas.toBlob(blob => {
-        if (blob) {
-          saveAs(blob, `${fontName || 'font'}-analysis-report.png`);
-          toast.success('Report downloaded successfully!');
-        }
-      }, 'image/png');
+      const fontData = await loadFaceBufferInWorker(fontFile, { faceIndex: fontMetrics.faceIndex });
+      const pdf = await buildPdfReport(fontMetrics.analysis, fontData);
+      saveAs(new Blob([pdf], { type: 'application/pdf' }), `${fontName || 'font'}-analysis-report.pdf`);
+      toast.success('Report downloaded successfully!');
     } catch (error) {
       console.error('Error downloading report:', error);
       toast.error('Failed to download report');
     }
   };
 
+  // Function to handle exporting the analysis as a structured JSON, Markdown or HTML report
+  const handleExportReport = (format: 'json' | 'md' | 'html') => {
+    if (!fontMetrics?.analysis) {
+      toast.error('Analyze the font again to export a structured report');
+      return;
+    }
+    
+    try {
+      const report = buildReport(fontMetrics.analysis, { file: fontFile });
+      const exports = {
+        json: { content: toJsonReport(report), type: 'application/json' },
+        md: { content: toMarkdownReport(report), type: 'text/markdown' },
+        html: { content: toHtmlReport(report), type: 'text/html' }
+      };
+      
+      const { content, type } = exports[format];
+      saveAs(new Blob([content], { type: `${type};charset=utf-8` }), `${fontName || 'font'}-analysis-report.${format}`);
+      toast.success('Report exported successfully!');
+    } catch (error) {
+      console.error('Error exporting report:', error);
+      toast.error('Failed to export report');
+    }
+  };
+
   const containerVariants = {
     hidden: {
       opacity: 0
@@ -459,7 +495,7 @@ const AnalysisResults = () => {
           {`
             @font-face {
               font-family: "${fontFamilyName}";
-              src: url(${fontUrl}) format("${fontFile?.name.endsWith('.otf') ? 'opentype' : 'truetype'}");
+              src: url(${fontUrl});
               font-weight: normal;
               font-style: normal;
             }
@@ -493,6 +529,31 @@ const AnalysisResults = () => {
           </Link>
         </motion.div>
         
+        {/* Face switcher when every face of a collection was analyzed */}
+        {faceMetrics && faceMetrics.length > 1 && (
+          <div className="flex items-center gap-3 mb-6">
+            <span className="text-sm text-muted-foreground">Showing face:</span>
+            <Select
+              value={String(fontMetrics?.faceIndex ?? 0)}
+              onValueChange={(value) => {
+                const face = faceMetrics.find(metrics => metrics.faceIndex === Number(value));
+                if (face) setFontMetrics(face);
+              }}
+            >
+              <SelectTrigger className="w-72">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {faceMetrics.map(metrics => (
+                  <SelectItem key={metrics.faceIndex} value={String(metrics.faceIndex)}>
+                    {metrics.faceName || `Face ${metrics.faceIndex + 1}`}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        )}
+        
         <Tabs defaultValue="fullReport" value={activeTab} onValueChange={setActiveTab} className="w-full">
           <TabsList className="mb-6 mx-auto flex justify-center w-auto px-0">
             <TabsTrigger value="fullReport" className="flex items-center gap-2">
@@ -503,13 +564,39 @@ const AnalysisResults = () => {
               <BarChart3 className="w-5 h-5" />
               Visualizations
             </TabsTrigger>
+            <TabsTrigger value="glyphs" className="flex items-center gap-2">
+              <LayoutGrid className="w-5 h-5" />
+              Glyphs
+            </TabsTrigger>
+            <TabsTrigger value="features" className="flex items-center gap-2">
+              <Layers className="w-5 h-5" />
+              Features
+            </TabsTrigger>
+            <TabsTrigger value="spacing" className="flex items-center gap-2">
+              <MoveHorizontal className="w-5 h-5" />
+              Spacing
+            </TabsTrigger>
+            <TabsTrigger value="lineHeight" className="flex items-center gap-2">
+              <Ruler className="w-5 h-5" />
+              Line Height
+            </TabsTrigger>
+            {fontMetrics?.variations && (
+              <TabsTrigger value="variations" className="flex items-center gap-2">
+                <SlidersHorizontal className="w-5 h-5" />
+                Variations
+              </TabsTrigger>
+            )}
+            <TabsTrigger value="validation" className="flex items-center gap-2">
+              <ShieldCheck className="w-5 h-5" />
+              Validation
+            </TabsTrigger>
           </TabsList>
           
           <TabsContent value="fullReport" className="mt-0">
             <ResizablePanelGroup direction="horizontal" className="min-h-[600px] rounded-lg border">
               {/* Left Panel - Report */}
               <ResizablePanel defaultSize={65} minSize={40}>
-                <div ref={reportRef} className="h-full overflow-auto">
+                <div className="h-full overflow-auto">
                   <div className="bg-white rounded-tl-xl overflow-hidden">
                     {/* Report Header */}
                     <div className="px-8 py-6 border-b bg-gradient-to-r from-blue-50 to-indigo-50">
@@ -517,7 +604,7 @@ const AnalysisResults = () => {
                         Font Analysis Report: {fontData.name}
                       </h2>
                       <div className="text-center text-gray-500 mt-2">
-                        Format: {fontData.format} | Style: {fontData.style}
+                        Format: {fontData.format} | Container: {fontData.container} | Style: {fontData.style}
                       </div>
                     </div>
                     
@@ -542,31 +629,49 @@ const AnalysisResults = () => {
                         <div className="space-y-1">
                           <div className="text-sm text-gray-500">X-Height</div>
                           <div className="font-medium">{fontMetrics?.xHeight || '0.52 em'}</div>
+                          {fontMetrics?.metricSources && (
+                            <div className="text-xs text-gray-400">Source: {fontMetrics.metricSources.xHeight}</div>
+                          )}
                         </div>
                         
                         <div className="space-y-1">
                           <div className="text-sm text-gray-500">Cap Height</div>
                           <div className="font-medium">{fontMetrics?.capHeight || '0.72 em'}</div>
+                          {fontMetrics?.metricSources && (
+                            <div className="text-xs text-gray-400">Source: {fontMetrics.metricSources.capHeight}</div>
+                          )}
                         </div>
                         
                         <div className="space-y-1">
                           <div className="text-sm text-gray-500">Ascender</div>
                           <div className="font-medium">{fontMetrics?.ascender || '0.82 em'}</div>
+                          {fontMetrics?.metricSources && (
+                            <div className="text-xs text-gray-400">Source: {fontMetrics.metricSources.ascender}</div>
+                          )}
                         </div>
                         
                         <div className="space-y-1">
                           <div className="text-sm text-gray-500">Descender</div>
                           <div className="font-medium">{fontMetrics?.descender || '0.22 em'}</div>
+                          {fontMetrics?.metricSources && (
+                            <div className="text-xs text-gray-400">Source: {fontMetrics.metricSources.descender}</div>
+                          )}
                         </div>
                         
                         <div className="space-y-1">
                           <div className="text-sm text-gray-500">Contrast</div>
                           <div className="font-medium">{fontMetrics?.contrast || 'Medium (3.5)'}</div>
+                          {fontMetrics?.metricConfidence && (
+                            <div className="text-xs text-gray-400">Confidence: {Math.round(fontMetrics.metricConfidence.contrast * 100)}%</div>
+                          )}
                         </div>
                         
                         <div className="space-y-1">
                           <div className="text-sm text-gray-500">Stroke Terminals</div>
                           <div className="font-medium">{fontMetrics?.strokeTerminals || 'Rounded'}</div>
+                          {fontMetrics?.metricConfidence && (
+                            <div className="text-xs text-gray-400">Confidence: {Math.round(fontMetrics.metricConfidence.strokeTerminals * 100)}%</div>
+                          )}
                         </div>
                         
                         <div className="space-y-1">
@@ -574,8 +679,50 @@ const AnalysisResults = () => {
                           <div className="font-medium">{fontMetrics?.shape || 'Moderately curvy'}</div>
                         </div>
                       </div>
+                      
+                      {fontMetrics?.metricDiscrepancies && fontMetrics.metricDiscrepancies.length > 0 && (
+                        <div className="mt-6 rounded-md border border-amber-200 bg-amber-50 p-4">
+                          <div className="flex items-center gap-2 text-sm font-medium text-amber-800">
+                            <AlertTriangle className="w-4 h-4" />
+                            Declared metrics disagree with the glyph outlines
+                          </div>
+                          <ul className="mt-2 space-y-1 text-sm text-amber-700">
+                            {fontMetrics.metricDiscrepancies.map(discrepancy => (
+                              <li key={discrepancy.metric}>
+                                {discrepancy.metric === 'xHeight' ? 'X-Height' : 'Cap Height'}: {discrepancy.source} declares {discrepancy.declared.toFixed(3)} em, outlines measure {discrepancy.measured.toFixed(3)} em
+                              </li>
+                            ))}
+                          </ul>
+                        </div>
+                      )}
                     </div>
                     
+                    {/* Style Classification Section */}
+                    {fontMetrics?.styleAnalysis && (
+                      <div className="px-8 py-6 border-b">
+                        <div className="flex items-center gap-2 mb-4">
+                          <FileType className="w-5 h-5 text-blue-500" />
+                          <h3 className="text-xl font-semibold text-gray-800">Style Classification</h3>
+                        </div>
+                        
+                        <div className="flex items-baseline gap-3 mb-3">
+                          <span className="text-lg font-medium capitalize">{fontMetrics.styleAnalysis.classification}</span>
+                          <span className="text-sm text-gray-500">
+                            {Math.round(fontMetrics.styleAnalysis.confidence * 100)}% confidence
+                          </span>
+                        </div>
+                        
+                        <ul className="space-y-1 text-sm">
+                          {fontMetrics.styleAnalysis.evidence.map((item, index) => (
+                            <li key={index} className="flex justify-between gap-4">
+                              <span className="text-gray-700">{item.signal}</span>
+                              <span className="shrink-0 text-gray-400">{item.source} → {item.supports}</span>
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    )}
+                    
                     {/* Character Set Section */}
                     <div className="px-8 py-6 border-b">
                       <div className="flex items-center gap-2 mb-4">
@@ -611,6 +758,16 @@ const AnalysisResults = () => {
                       </div>
                     </div>
                     
+                    {/* Unicode Coverage Section */}
+                    <div className="px-8 py-6 border-b">
+                      <div className="flex items-center gap-2 mb-4">
+                        <FileBarChart className="w-5 h-5 text-blue-500" />
+                        <h3 className="text-xl font-semibold text-gray-800">Unicode & Language Coverage</h3>
+                      </div>
+                      
+                      <CoverageTable coverage={fontMetrics?.characterSet?.coverage} />
+                    </div>
+                    
                     {/* Personality Analysis */}
                     <div className="px-8 py-6 border-b">
                       <div className="flex items-center gap-2 mb-4">
@@ -621,6 +778,8 @@ const AnalysisResults = () => {
                       <p className="italic text-gray-600">
                         {fontMetrics?.personality?.emotionalDescription || personalityAnalysis}
                       </p>
+                      
+                      <PersonalityBreakdown personality={fontMetrics?.personality} />
                     </div>
                     
                     {/* Font Pairings Recommendation */}
@@ -703,6 +862,21 @@ const AnalysisResults = () => {
                       Download Full Report
                     </Button>
                     
+                    <div className="grid grid-cols-3 gap-2">
+                      <Button variant="outline" onClick={() => handleExportReport('json')} className="flex items-center justify-center gap-2">
+                        <FileJson className="w-4 h-4" />
+                        JSON
+                      </Button>
+                      <Button variant="outline" onClick={() => handleExportReport('md')} className="flex items-center justify-center gap-2">
+                        <FileText className="w-4 h-4" />
+                        Markdown
+                      </Button>
+                      <Button variant="outline" onClick={() => handleExportReport('html')} className="flex items-center justify-center gap-2">
+                        <FileCode className="w-4 h-4" />
+                        HTML
+                      </Button>
+                    </div>
+                    
                     <Link to="/compare" className="block w-full">
                       <Button className="w-full flex items-center justify-center gap-2 py-6 text-base">
                         <BarChart3 className="w-5 h-5" />
@@ -855,6 +1029,21 @@ const AnalysisResults = () => {
                       Download Full Report
                     </Button>
                     
+                    <div className="grid grid-cols-3 gap-2">
+                      <Button variant="outline" onClick={() => handleExportReport('json')} className="flex items-center justify-center gap-2">
+                        <FileJson className="w-4 h-4" />
+                        JSON
+                      </Button>
+                      <Button variant="outline" onClick={() => handleExportReport('md')} className="flex items-center justify-center gap-2">
+                        <FileText className="w-4 h-4" />
+                        Markdown
+                      </Button>
+                      <Button variant="outline" onClick={() => handleExportReport('html')} className="flex items-center justify-center gap-2">
+                        <FileCode className="w-4 h-4" />
+                        HTML
+                      </Button>
+                    </div>
+                    
                     <Link to="/compare" className="block w-full">
                       <Button className="w-full flex items-center justify-center gap-2 py-6 text-base">
                         <BarChart3 className="w-5 h-5" />
@@ -866,6 +1055,97 @@ const AnalysisResults = () => {
               </ResizablePanel>
             </ResizablePanelGroup>
           </TabsContent>
+          
+          <TabsContent value="glyphs" className="mt-0">
+            <div className="min-h-[600px] rounded-lg border bg-white px-8 py-6">
+              <div className="flex items-center gap-2 mb-6">
+                <LayoutGrid className="w-5 h-5 text-blue-500" />
+                <h3 className="text-xl font-semibold text-gray-800">Glyph Inspector</h3>
+              </div>
+              
+              <GlyphInspector fontFile={fontFile} faceIndex={fontMetrics?.faceIndex ?? 0} />
+            </div>
+          </TabsContent>
+          
+          <TabsContent value="features" className="mt-0">
+            <div className="min-h-[600px] rounded-lg border bg-white px-8 py-6">
+              <div className="flex items-center gap-2 mb-6">
+                <Layers className="w-5 h-5 text-blue-500" />
+                <h3 className="text-xl font-semibold text-gray-800">OpenType Features</h3>
+              </div>
+              
+              <FeaturePlayground
+                layoutFeatures={fontMetrics?.layoutFeatures}
+                fontFamily={fontUrl ? fontFamilyName : 'inherit'}
+              />
+            </div>
+          </TabsContent>
+          
+          <TabsContent value="spacing" className="mt-0">
+            <div className="min-h-[600px] rounded-lg border bg-white px-8 py-6">
+              <div className="flex items-center gap-2 mb-6">
+                <MoveHorizontal className="w-5 h-5 text-blue-500" />
+                <h3 className="text-xl font-semibold text-gray-800">Kerning and Spacing</h3>
+              </div>
+              
+              <SpacingReport spacing={fontMetrics?.spacing} fontFamily={fontUrl ? fontFamilyName : 'inherit'} />
+            </div>
+          </TabsContent>
+          
+          <TabsContent value="lineHeight" className="mt-0">
+            <div className="min-h-[600px] rounded-lg border bg-white px-8 py-6">
+              <div className="flex items-center gap-2 mb-6">
+                <Ruler className="w-5 h-5 text-blue-500" />
+                <h3 className="text-xl font-semibold text-gray-800">Vertical Metrics</h3>
+              </div>
+              
+              <LineHeightSimulator
+                verticalMetrics={fontMetrics?.verticalMetrics}
+                fontFamily={fontUrl ? fontFamilyName : 'inherit'}
+                familyName={fontName}
+                fileName={fontFile?.name ?? ''}
+                format={fontFaceFormat}
+              />
+              
+              <div className="mt-10 border-t pt-6">
+                <h4 className="mb-4 text-lg font-semibold text-gray-800">Fallback @font-face</h4>
+                <FallbackFontFace
+                  lineMetrics={fontMetrics?.lineMetrics}
+                  fontFamily={fontUrl ? fontFamilyName : 'inherit'}
+                  familyName={fontName}
+                />
+              </div>
+            </div>
+          </TabsContent>
+          
+          {fontMetrics?.variations && (
+            <TabsContent value="variations" className="mt-0">
+              <div className="min-h-[600px] rounded-lg border bg-white px-8 py-6">
+                <div className="flex items-center gap-2 mb-6">
+                  <SlidersHorizontal className="w-5 h-5 text-blue-500" />
+                  <h3 className="text-xl font-semibold text-gray-800">Variable Font Axes</h3>
+                </div>
+                
+                <VariationExplorer
+                  variations={fontMetrics.variations}
+                  fontFamily={fontUrl ? fontFamilyName : 'inherit'}
+                  fontFile={fontFile}
+                  faceIndex={fontMetrics.faceIndex ?? 0}
+                />
+              </div>
+            </TabsContent>
+          )}
+          
+          <TabsContent value="validation" className="mt-0">
+            <div className="min-h-[600px] rounded-lg border bg-white px-8 py-6">
+              <div className="flex items-center gap-2 mb-6">
+                <ShieldCheck className="w-5 h-5 text-blue-500" />
+                <h3 className="text-xl font-semibold text-gray-800">Validation Checks</h3>
+              </div>
+              
+              <ValidationReport validation={fontMetrics?.validation} />
+            </div>
+          </TabsContent>
         </Tabs>
       </main>
       
@@ -0,0 +1,198 @@
+import React, { useState, useContext, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { ArrowLeft, Upload, FolderOpen, Loader2, XCircle, RotateCcw, Trash2, AlertCircle } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Progress } from '@/components/ui/progress';
+import Navbar from '@/components/Navbar';
+import FamilyTable from '@/components/FamilyTable';
+import ValidationReport from '@/components/ValidationReport';
+import { FontContext } from '@/contexts/FontContext';
+import { useBatchAnalysis } from '@/hooks/useBatchAnalysis';
+
+const Batch = () => {
+  const navigate = useNavigate();
+  const { batchFiles, setBatchFiles } = useContext(FontContext);
+  const { addFiles, cancel, resume, clear, entries, progress, rows, outliers, consistency } = useBatchAnalysis();
+  const [isDragging, setIsDragging] = useState(false);
+  const fileInputRef = useRef<HTMLInputElement>(null);
+  const dirInputRef = useRef<HTMLInputElement>(null);
+
+  // Pick up the files handed over by the uploader on the home page
+  useEffect(() => {
+    if (batchFiles.length > 0) {
+      addFiles(batchFiles);
+      setBatchFiles([]);
+    }
+  }, [batchFiles, setBatchFiles, addFiles]);
+
+  const handleDrop = (e: React.DragEvent) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setIsDragging(false);
+
+    if (e.dataTransfer.files.length > 0) {
+      addFiles(e.dataTransfer.files);
+    }
+  };
+
+  const handleFileChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    if (e.target.files && e.target.files.length > 0) {
+      addFiles(e.target.files);
+    }
+    // Let the same files be picked again after a clear
+    e.target.value = '';
+  };
+
+  const failed = entries.filter(entry => entry.status === 'failed');
+  const cancelled = entries.some(entry => entry.status === 'cancelled');
+  const queued = entries.some(entry => entry.status === 'queued');
+  const current = entries.find(entry => entry.status === 'analyzing');
+
+  return (
+    <div className="min-h-screen pb-20">
+      <Navbar />
+
+      <main className="container mx-auto px-4 pt-24">
+        <motion.div
+          className="flex items-center gap-3 mb-8"
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.5 }}
+        >
+          <Button
+            variant="outline"
+            size="icon"
+            onClick={() => navigate(-1)}
+            className="rounded-full"
+          >
+            <ArrowLeft className="w-4 h-4" />
+          </Button>
+          <h1 className="text-3xl font-bold text-foreground">Batch Analysis</h1>
+        </motion.div>
+
+        <motion.div
+          className="bg-card p-6 rounded-lg border border-border mb-8"
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.5 }}
+        >
+          <h2 className="text-xl font-semibold mb-4">Add Fonts</h2>
+
+          <div
+            className={`upload-area rounded-xl h-40 flex flex-col items-center justify-center cursor-pointer ${
+              isDragging ? "border-primary bg-primary/5" : ""
+            }`}
+            onClick={() => fileInputRef.current?.click()}
+            onDragEnter={(e) => { e.preventDefault(); setIsDragging(true); }}
+            onDragLeave={(e) => { e.preventDefault(); setIsDragging(false); }}
+            onDragOver={(e) => e.preventDefault()}
+            onDrop={handleDrop}
+          >
+            <input
+              type="file"
+              ref={fileInputRef}
+              className="hidden"
+              multiple
+              accept=".ttf,.otf,.woff,.woff2,.ttc,.otc,.zip"
+              onChange={handleFileChange}
+            />
+            <input
+              type="file"
+              ref={dirInputRef}
+              className="hidden"
+              webkitdirectory="true"
+              directory="true"
+              onChange={handleFileChange}
+            />
+            <Upload className="h-10 w-10 text-primary mb-3" />
+            <p className="text-base font-medium text-foreground">Drag & drop font files or ZIP archives here, or click to browse</p>
+            <p className="text-sm text-muted-foreground mt-2">
+              Every style is analyzed in turn and compared with the rest of its family
+            </p>
+          </div>
+
+          <div className="mt-4 flex flex-wrap gap-2">
+            <Button variant="outline" onClick={() => dirInputRef.current?.click()} className="flex items-center gap-2">
+              <FolderOpen className="w-4 h-4" />
+              Add a Folder
+            </Button>
+            {queued && (
+              <Button variant="outline" onClick={cancel} className="flex items-center gap-2">
+                <XCircle className="w-4 h-4" />
+                Stop
+              </Button>
+            )}
+            {cancelled && !queued && (
+              <Button variant="outline" onClick={resume} className="flex items-center gap-2">
+                <RotateCcw className="w-4 h-4" />
+                Resume
+              </Button>
+            )}
+            {entries.length > 0 && (
+              <Button variant="outline" onClick={clear} className="flex items-center gap-2">
+                <Trash2 className="w-4 h-4" />
+                Clear
+              </Button>
+            )}
+          </div>
+
+          {progress.total > 0 && (
+            <div className="mt-6 space-y-2">
+              <div className="flex items-center justify-between text-sm">
+                <span className="flex items-center gap-2 text-foreground">
+                  {progress.running && <Loader2 className="w-4 h-4 animate-spin text-primary" />}
+                  {current ? `Analyzing ${current.file.name}` : progress.finished === progress.total ? 'Analysis complete' : 'Stopped'}
+                </span>
+                <span className="text-muted-foreground">
+                  {progress.finished} of {progress.total} files
+                </span>
+              </div>
+              <Progress value={(progress.finished / progress.total) * 100} className="h-2" />
+            </div>
+          )}
+
+          {failed.length > 0 && (
+            <div className="mt-4 space-y-1">
+              {failed.map(entry => (
+                <p key={entry.id} className="flex gap-2 text-sm text-red-700">
+                  <AlertCircle className="mt-0.5 w-4 h-4 shrink-0" />
+                  {entry.file.name}: {entry.error}
+                </p>
+              ))}
+            </div>
+          )}
+        </motion.div>
+
+        {rows.length > 0 && (
+          <motion.div
+            className="bg-card p-6 rounded-lg border border-border"
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.5 }}
+          >
+            <h2 className="text-xl font-semibold mb-4">Family Overview</h2>
+            <FamilyTable rows={rows} outliers={outliers} />
+          </motion.div>
+        )}
+
+        {rows.length > 1 && (
+          <motion.div
+            className="bg-card p-6 rounded-lg border border-border mt-8"
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.5 }}
+          >
+            <h2 className="text-xl font-semibold mb-1">Family Consistency</h2>
+            <p className="text-sm text-gray-500 mb-4">
+              Naming and style linking, vertical metrics, weight classes, glyph sets and versions, compared across the styles of each family
+            </p>
+            <ValidationReport validation={consistency} />
+          </motion.div>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default Batch;
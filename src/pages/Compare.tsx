@@ -1,19 +1,61 @@
 import React, { useState, useContext } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
-import { ArrowLeft, Upload, BarChart3, FileType, Check, Loader2 } from 'lucide-react';
+import { ArrowLeft, Upload, BarChart3, FileType, Check, Loader2, X } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import Navbar from '@/components/Navbar';
 import { FontContext } from '@/contexts/FontContext';
 import { toast } from 'sonner';
 import { useFontComparison } from '@/hooks/useFontComparison';
 import FontComparisonResults from '@/components/FontComparisonResults';
+import FontSetComparison from '@/components/FontSetComparison';
+import AnalysisProgress from '@/components/AnalysisProgress';
+
+interface ComparisonOptions {
+  metrics: boolean;
+  glyphs: boolean;
+  personality: boolean;
+  features: boolean;
+  outlines: boolean;
+}
+
+const comparisonOptionLabels: Array<[keyof ComparisonOptions, string]> = [
+  ['metrics', 'Compare Metrics'],
+  ['glyphs', 'Compare Glyphs'],
+  ['personality', 'Compare Personality Traits'],
+  ['features', 'Compare OpenType Features'],
+  ['outlines', 'Compare Glyph Outlines (two versions of a font)'],
+];
+
+// The primary font plus up to seven candidates, one color each in the shortlist charts
+const MAX_CANDIDATES = 7;
+
+const validFormats = ['.ttf', '.otf', '.woff', '.woff2', '.ttc', '.otc'];
 
 const Compare = () => {
-  const { fontFile } = useContext(FontContext);
+  const { fontFile, faceSelection } = useContext(FontContext);
   const navigate = useNavigate();
-  const [compareFont, setCompareFont] = useState<File | null>(null);
-  const { compareFontsAsync, isComparing, comparisonResults, clearComparisonResults } = useFontComparison();
+  const [candidateFonts, setCandidateFonts] = useState<File[]>([]);
+  const [options, setOptions] = useState<ComparisonOptions>({
+    metrics: true,
+    glyphs: true,
+    personality: true,
+    features: false,
+    outlines: false,
+  });
+  const {
+    compareFontsAsync,
+    compareFontSetAsync,
+    cancelComparison,
+    isComparing,
+    progress,
+    comparisonResults,
+    fontSetResults,
+    clearComparisonResults,
+  } = useFontComparison();
+  
+  // More than one candidate switches from the in-depth two-font comparison to the shortlist view
+  const isShortlist = candidateFonts.length > 1;
   
   // Redirect if no font file is uploaded
   React.useEffect(() => {
@@ -22,33 +64,51 @@ const Compare = () => {
     }
   }, [fontFile, navigate]);
   
-  // Clear comparison results when a new font is selected
+  // Clear comparison results when the candidates change
   React.useEffect(() => {
     clearComparisonResults();
-  }, [compareFont, clearComparisonResults]);
+  }, [candidateFonts, clearComparisonResults]);
   
   const handleFileChange = (e: React.ChangeEvent<HTMLInputElement>) => {
-    if (e.target.files && e.target.files.length > 0) {
-      const file = e.target.files[0];
-      const validFormats = ['.ttf', '.otf', '.woff', '.woff2'];
-      const fileExtension = '.' + file.name.split('.').pop()?.toLowerCase();
-      
-      if (validFormats.includes(fileExtension)) {
-        setCompareFont(file);
-        toast.success("Comparison font uploaded successfully");
-      } else {
-        toast.error("Invalid file format. Please upload TTF, OTF, WOFF, or WOFF2");
-      }
+    const files = Array.from(e.target.files || []);
+    // Let the same file be picked again after it was removed
+    e.target.value = '';
+    if (files.length === 0) return;
+    
+    const valid = files.filter((file) => validFormats.includes('.' + file.name.split('.').pop()?.toLowerCase()));
+    if (valid.length < files.length) {
+      toast.error("Invalid file format. Please upload TTF, OTF, WOFF, WOFF2, TTC, or OTC");
+    }
+    
+    const room = MAX_CANDIDATES - candidateFonts.length;
+    if (valid.length > room) {
+      toast.error(`Up to ${MAX_CANDIDATES} fonts can be compared against the primary font`);
+    }
+    
+    const added = valid.slice(0, Math.max(0, room));
+    if (added.length > 0) {
+      setCandidateFonts([...candidateFonts, ...added]);
+      toast.success(added.length === 1 ? "Comparison font uploaded successfully" : `${added.length} comparison fonts uploaded successfully`);
     }
   };
   
+  const removeCandidate = (index: number) => {
+    setCandidateFonts(candidateFonts.filter((_, i) => i !== index));
+  };
+  
   const handleCompare = async () => {
-    if (!fontFile || !compareFont) {
+    if (!fontFile || candidateFonts.length === 0) {
       toast.error("Please upload a second font to compare");
       return;
     }
     
-    await compareFontsAsync(fontFile, compareFont);
+    // Compare the face picked on the analysis page; analyzing every face shows the first one
+    const faceIndexes = [faceSelection === 'all' ? 0 : faceSelection];
+    if (isShortlist) {
+      await compareFontSetAsync([fontFile, ...candidateFonts], { faceIndexes });
+    } else {
+      await compareFontsAsync(fontFile, candidateFonts[0], { ...options, faceIndexes });
+    }
   };
   
   return (
@@ -94,36 +154,53 @@ const Compare = () => {
               </div>
             </div>
             
-            <div className="font-upload-item bg-background p-4 rounded-md border border-border">
-              <label className="flex flex-col cursor-pointer">
-                {compareFont ? (
-                  <div className="flex items-center">
-                    <div className="w-10 h-10 bg-primary/10 rounded-full flex items-center justify-center mr-3">
-                      <FileType className="w-5 h-5 text-primary" />
-                    </div>
-                    <div>
-                      <h3 className="font-medium">{compareFont.name}</h3>
-                      <p className="text-sm text-muted-foreground">Secondary Font</p>
-                    </div>
+            <div className="space-y-3">
+              {candidateFonts.map((file, index) => (
+                <div key={`${file.name}-${index}`} className="font-upload-item bg-background p-4 rounded-md border border-border flex items-center">
+                  <div className="w-10 h-10 bg-primary/10 rounded-full flex items-center justify-center mr-3">
+                    <FileType className="w-5 h-5 text-primary" />
                   </div>
-                ) : (
-                  <div className="flex items-center">
-                    <div className="w-10 h-10 bg-primary/10 rounded-full flex items-center justify-center mr-3">
-                      <Upload className="w-5 h-5 text-primary" />
-                    </div>
-                    <div>
-                      <h3 className="font-medium">Upload a font to compare</h3>
-                      <p className="text-sm text-muted-foreground">Click to browse</p>
-                    </div>
+                  <div className="flex-1 min-w-0">
+                    <h3 className="font-medium truncate">{file.name}</h3>
+                    <p className="text-sm text-muted-foreground">{isShortlist ? `Candidate ${index + 2}` : 'Secondary Font'}</p>
                   </div>
-                )}
-                <input 
-                  type="file" 
-                  className="hidden" 
-                  accept=".ttf,.otf,.woff,.woff2"
-                  onChange={handleFileChange}
-                />
-              </label>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    onClick={() => removeCandidate(index)}
+                    disabled={isComparing}
+                    aria-label={`Remove ${file.name}`}
+                  >
+                    <X className="w-4 h-4" />
+                  </Button>
+                </div>
+              ))}
+              
+              {candidateFonts.length < MAX_CANDIDATES && (
+                <div className="font-upload-item bg-background p-4 rounded-md border border-border">
+                  <label className="flex flex-col cursor-pointer">
+                    <div className="flex items-center">
+                      <div className="w-10 h-10 bg-primary/10 rounded-full flex items-center justify-center mr-3">
+                        <Upload className="w-5 h-5 text-primary" />
+                      </div>
+                      <div>
+                        <h3 className="font-medium">{candidateFonts.length === 0 ? 'Upload a font to compare' : 'Add more fonts to compare'}</h3>
+                        <p className="text-sm text-muted-foreground">
+                          Click to browse; pick several to compare a shortlist
+                        </p>
+                      </div>
+                    </div>
+                    <input 
+                      type="file" 
+                      className="hidden" 
+                      accept=".ttf,.otf,.woff,.woff2,.ttc,.otc"
+                      multiple
+                      disabled={isComparing}
+                      onChange={handleFileChange}
+                    />
+                  </label>
+                </div>
+              )}
             </div>
           </div>
           
@@ -131,7 +208,7 @@ const Compare = () => {
             <Button 
               className="w-full sm:w-auto"
               onClick={handleCompare}
-              disabled={!compareFont || isComparing}
+              disabled={candidateFonts.length === 0 || isComparing}
             >
               {isComparing ? (
                 <>
@@ -141,10 +218,16 @@ const Compare = () => {
               ) : (
                 <>
                   <BarChart3 className="w-5 h-5 mr-2" />
-                  Compare Fonts
+                  {isShortlist ? `Compare ${candidateFonts.length + 1} Fonts` : 'Compare Fonts'}
                 </>
               )}
             </Button>
+
+            {isComparing && (
+              <div className="mt-4">
+                <AnalysisProgress progress={progress} onCancel={cancelComparison} />
+              </div>
+            )}
           </div>
         </motion.div>
         
@@ -157,45 +240,25 @@ const Compare = () => {
           <h2 className="text-xl font-semibold mb-4">Comparison Options</h2>
           
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-            <div className="option-checkbox flex items-center">
-              <input 
-                type="checkbox" 
-                id="metrics" 
-                className="w-5 h-5 rounded text-primary" 
-                defaultChecked 
-              />
-              <label htmlFor="metrics" className="ml-2 text-foreground">Compare Metrics</label>
-            </div>
-            
-            <div className="option-checkbox flex items-center">
-              <input 
-                type="checkbox" 
-                id="glyphs" 
-                className="w-5 h-5 rounded text-primary" 
-                defaultChecked 
-              />
-              <label htmlFor="glyphs" className="ml-2 text-foreground">Compare Glyphs</label>
-            </div>
-            
-            <div className="option-checkbox flex items-center">
-              <input 
-                type="checkbox" 
-                id="personality" 
-                className="w-5 h-5 rounded text-primary" 
-                defaultChecked 
-              />
-              <label htmlFor="personality" className="ml-2 text-foreground">Compare Personality Traits</label>
-            </div>
-            
-            <div className="option-checkbox flex items-center">
-              <input 
-                type="checkbox" 
-                id="features" 
-                className="w-5 h-5 rounded text-primary" 
-              />
-              <label htmlFor="features" className="ml-2 text-foreground">Compare OpenType Features</label>
-            </div>
+            {comparisonOptionLabels.map(([key, label]) => (
+              <div key={key} className="option-checkbox flex items-center">
+                <input 
+                  type="checkbox" 
+                  id={key} 
+                  className="w-5 h-5 rounded text-primary" 
+                  checked={options[key]}
+                  disabled={isComparing || isShortlist}
+                  onChange={(e) => setOptions({ ...options, [key]: e.target.checked })}
+                />
+                <label htmlFor={key} className="ml-2 text-foreground">{label}</label>
+              </div>
+            ))}
           </div>
+          <p className="mt-4 text-sm text-muted-foreground">
+            {isShortlist
+              ? 'These options apply to two-font comparisons. A shortlist compares every candidate\'s metrics, personality and pairwise compatibility.'
+              : 'The compatibility score and pairing recommendations are always included. Options apply to the next comparison.'}
+          </p>
         </motion.div>
         
         {/* Comparison Results */}
@@ -207,7 +270,19 @@ const Compare = () => {
             transition={{ duration: 0.5 }}
           >
             <h2 className="text-2xl font-bold mb-6">Comparison Results</h2>
-            <FontComparisonResults results={comparisonResults} />
+            <FontComparisonResults results={comparisonResults} primaryFile={fontFile} secondaryFile={candidateFonts[0]} />
+          </motion.div>
+        )}
+        
+        {fontSetResults && fontFile && (
+          <motion.div
+            className="comparison-results-container"
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.5 }}
+          >
+            <h2 className="text-2xl font-bold mb-6">Shortlist Comparison</h2>
+            <FontSetComparison results={fontSetResults} fileNames={[fontFile, ...candidateFonts].map((file) => file.name)} />
           </motion.div>
         )}
       </main>
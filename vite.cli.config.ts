@@ -0,0 +1,27 @@
+import { defineConfig } from "vite";
+import path from "path";
+
+// Bundles the command-line tool into a single Node script, dependencies included
+export default defineConfig({
+  // The web app's static assets have no place next to the script
+  publicDir: false,
+  resolve: {
+    alias: {
+      "@": path.resolve(__dirname, "./src"),
+    },
+  },
+  ssr: {
+    noExternal: true,
+  },
+  build: {
+    ssr: "src/cli/fontValidatorCli.js",
+    outDir: "dist-cli",
+    target: "node18",
+    rollupOptions: {
+      output: {
+        entryFileNames: "font-validator.js",
+        banner: "#!/usr/bin/env node",
+      },
+    },
+  },
+});